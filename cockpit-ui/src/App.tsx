@@ -1,49 +1,131 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
-import { ChevronRight, Copy, X } from 'lucide-react';
-import { MermaidDiagram } from './cockpit/MermaidDiagram';
+import { Bookmark, CalendarClock, ChevronRight, Copy, RefreshCw, X } from 'lucide-react';
+import { apiGet, apiGetPage, apiJson } from './cockpit/api';
+import { BulkJobProgress } from './cockpit/BulkJobProgress';
+import { BulkJobsPanel } from './cockpit/BulkJobsPanel';
+import { type BulkActionTarget, runInstanceAction, useBulkJobResults, useBulkJobs } from './cockpit/bulkActions';
+import { useEngineHealth } from './cockpit/engineHealth';
+import { EngineHealthStrip } from './cockpit/EngineHealthStrip';
+import { FlowDiagramModal } from './cockpit/modals/FlowDiagramModal';
 import { InstanceDetailsModal } from './cockpit/modals/InstanceDetailsModal';
-import { buildLocationSearch, readLocationState } from './cockpit/locationState';
+import { StartInstanceModal } from './cockpit/modals/StartInstanceModal';
+import { useFlowsLiveUpdates } from './cockpit/liveUpdates';
+import { instanceSearchError } from './cockpit/instanceSearch';
+import {
+  loadSavedViewsPreferences,
+  savedViewLocationState,
+  savedViewSearch,
+  storeSavedViewsPreferences,
+  useSavedViewCounts,
+  useSavedViews,
+  type SavedViewsPreferences,
+} from './cockpit/savedViews';
+import { SavedViewsSidebar } from './cockpit/SavedViewsSidebar';
+import { buildInstanceFilterParams, buildLocationSearch, readLocationState } from './cockpit/locationState';
+import { formatTableSort, storeTableLayouts } from './cockpit/tableLayout';
 import {
   activeViews,
+  confirmationActions,
   defaultLongRunningThresholdSeconds,
+  instancesPageSize,
+  maxActionReasonLength,
   toUiInstance,
   type ActiveView,
+  type AnalyticsWindow,
+  type AuditEntryDto,
+  type AuditTypeFilter,
+  type CanRunAction,
+  type CockpitLocationState,
+  type ConfirmationActionKind,
   type ConfirmationActionState,
-  type CockpitStatus,
+  type DiagramDto,
+  type ExportFormat,
+  type ErrorFingerprintGroupDto,
   type ErrorGroupDto,
+  type FlowAnalyticsDto,
   type FlowDto,
   type HistoryEntryDto,
   type InstanceDto,
   type LongRunningStatusFilter,
+  type MatchingSelection,
+  type NextTickDto,
+  type PageDto,
+  type PendingEventsDto,
+  type InstanceStateDto,
+  type SavedView,
   type StatusFilter,
+  type TableLayout,
+  type TableLayouts,
+  type TableView,
   type UiInstance,
+  type UserAccessDto,
 } from './cockpit/types';
-import { parseDurationToSeconds } from './cockpit/utils';
+import { canRunAction, formatDateTime, formatDateTimeInput, isActionableStatus, parseDurationToSeconds } from './cockpit/utils';
+import { AuditView } from './cockpit/views/AuditView';
+import { MetricsView } from './cockpit/views/MetricsView';
 import { ErrorsView } from './cockpit/views/ErrorsView';
 import { FlowsView } from './cockpit/views/FlowsView';
 import { InstancesView } from './cockpit/views/InstancesView';
 import { LongRunningView } from './cockpit/views/LongRunningView';
 
-interface MermaidHostWindow extends Window {
-  mermaid?: {
-    initialize: (config: Record<string, unknown>) => void;
-  };
-}
+const actionConfirmationTitles: Record<ConfirmationActionKind, string> = {
+  retry: 'Are you sure you want to retry?',
+  cancel: 'Are you sure you want to cancel?',
+  'change-stage': 'Are you sure you want to change stage?',
+  'send-event': 'Are you sure you want to send this event?',
+  'wake-up-timer': 'Are you sure you want to wake up the timer now?',
+  'reschedule-timer': 'Are you sure you want to reschedule the timer?',
+};
+
+const actionProgressLabels: Record<ConfirmationActionKind, string> = {
+  retry: 'Retry',
+  cancel: 'Cancel',
+  'change-stage': 'Change stage',
+  'send-event': 'Send event',
+  'wake-up-timer': 'Wake now',
+  'reschedule-timer': 'Reschedule timer',
+};
 
-const isActionableStatus = (status: CockpitStatus) =>
-  status === 'PendingEngine' || status === 'WaitingForTimer' || status === 'WaitingForEvent' || status === 'Error';
+const actionConfirmationSummary = (confirmation: ConfirmationActionState) => {
+  switch (confirmation.kind) {
+    case 'retry':
+      return 'Retry restarts the processing of the current stage.';
+    case 'cancel':
+      return 'Cancelling marks the selected instance(s) as cancelled and removes them from active processing.';
+    case 'change-stage':
+      return `Changing stage moves the selected instance(s) to ${confirmation.targetStage ?? 'the selected stage'} and reprocesses them from there on the next tick.`;
+    case 'send-event':
+      return `Sends ${confirmation.event ?? 'the selected event'} to the selected instance(s); instances that are not waiting for an event are skipped.`;
+    case 'wake-up-timer':
+      return 'Releases the selected instance(s) from their timer stage now instead of at the scheduled wake-up; instances that are not waiting for a timer are skipped.';
+    case 'reschedule-timer':
+      return 'Moves the scheduled wake-up of the selected instance(s) to the chosen time; instances that are not waiting for a timer are skipped.';
+  }
+};
 
-const groupErrors = (rows: InstanceDto[]): ErrorGroupDto[] => {
+const groupErrors = (fingerprintGroups: ErrorFingerprintGroupDto[]): ErrorGroupDto[] => {
   const grouped = new Map<string, ErrorGroupDto>();
 
-  rows.forEach((row) => {
-    const key = `${row.flowId}::${row.stage ?? ''}`;
+  fingerprintGroups.forEach((fingerprintGroup) => {
+    const key = `${fingerprintGroup.flowId}::${fingerprintGroup.stage ?? ''}`;
+    const firstSeenAt = new Date(fingerprintGroup.firstSeenAt);
+    const lastSeenAt = new Date(fingerprintGroup.lastSeenAt);
     const existing = grouped.get(key);
     if (existing) {
-      existing.count += 1;
+      existing.count += fingerprintGroup.count;
+      if (firstSeenAt < existing.firstSeenAt) existing.firstSeenAt = firstSeenAt;
+      if (lastSeenAt > existing.lastSeenAt) existing.lastSeenAt = lastSeenAt;
+      existing.fingerprints.push(fingerprintGroup);
       return;
     }
-    grouped.set(key, { flowId: row.flowId, stage: row.stage, count: 1 });
+    grouped.set(key, {
+      flowId: fingerprintGroup.flowId,
+      stage: fingerprintGroup.stage,
+      count: fingerprintGroup.count,
+      firstSeenAt,
+      lastSeenAt,
+      fingerprints: [fingerprintGroup],
+    });
   });
 
   return Array.from(grouped.values()).sort((left, right) => {
@@ -57,10 +139,22 @@ const FlowLiteCockpit = () => {
   const [activeView, setActiveView] = useState<ActiveView>(initialLocationState.activeView);
   const [flows, setFlows] = useState<FlowDto[]>([]);
   const [instances, setInstances] = useState<UiInstance[]>([]);
+  const [instancesTotalCount, setInstancesTotalCount] = useState(0);
+  const [instancesNextCursor, setInstancesNextCursor] = useState<string | null>(null);
+  const [loadingMoreInstances, setLoadingMoreInstances] = useState(false);
   const [errorsByGroup, setErrorsByGroup] = useState<ErrorGroupDto[]>([]);
+  const [flowAnalytics, setFlowAnalytics] = useState<FlowAnalyticsDto[]>([]);
+  const [auditEntries, setAuditEntries] = useState<AuditEntryDto[]>([]);
   const [selectedFlowForDiagram, setSelectedFlowForDiagram] = useState<FlowDto | null>(null);
+  const [startInstanceFlow, setStartInstanceFlow] = useState<FlowDto | null>(null);
+  const [flowHeatmapEnabled, setFlowHeatmapEnabled] = useState(false);
+  const [flowHeatmapDiagram, setFlowHeatmapDiagram] = useState<string | null>(null);
   const [selectedInstance, setSelectedInstance] = useState<UiInstance | null>(null);
   const [instanceHistory, setInstanceHistory] = useState<HistoryEntryDto[]>([]);
+  const [instanceDiagram, setInstanceDiagram] = useState<string | null>(null);
+  const [instancePendingEvents, setInstancePendingEvents] = useState<PendingEventsDto | null>(null);
+  const [instanceState, setInstanceState] = useState<InstanceStateDto | null>(null);
+  const [instanceNextTick, setInstanceNextTick] = useState<NextTickDto | null>(null);
 
   const [searchTerm, setSearchTerm] = useState(initialLocationState.searchTerm);
   const [statusFilter, setStatusFilter] = useState<StatusFilter>(initialLocationState.statusFilter);
@@ -72,21 +166,48 @@ const FlowLiteCockpit = () => {
   const [errorMessageFilterErrors, setErrorMessageFilterErrors] = useState(initialLocationState.errorMessageFilterErrors);
   const [longRunningFlowFilter, setLongRunningFlowFilter] = useState(initialLocationState.longRunningFlowFilter);
   const [longRunningStatusFilter, setLongRunningStatusFilter] = useState<LongRunningStatusFilter>(initialLocationState.longRunningStatusFilter);
+  const [metricsFlowFilter, setMetricsFlowFilter] = useState(initialLocationState.metricsFlowFilter);
+  const [metricsWindow, setMetricsWindow] = useState<AnalyticsWindow>(initialLocationState.metricsWindow);
+  const [auditFlowFilter, setAuditFlowFilter] = useState(initialLocationState.auditFlowFilter);
+  const [auditTypeFilter, setAuditTypeFilter] = useState<AuditTypeFilter>(initialLocationState.auditTypeFilter);
+  const [auditActorFilter, setAuditActorFilter] = useState(initialLocationState.auditActorFilter);
   const [selectedInstances, setSelectedInstances] = useState<Set<string>>(new Set());
   const [showDiagram, setShowDiagram] = useState(false);
   const [showStackTrace, setShowStackTrace] = useState(false);
   const [expandedHistoryErrors, setExpandedHistoryErrors] = useState<Set<number>>(new Set());
-  const [mermaidLoaded, setMermaidLoaded] = useState(false);
+  const [expandedHistoryDiffs, setExpandedHistoryDiffs] = useState<Set<number>>(new Set());
   const [longRunningThreshold, setLongRunningThreshold] = useState(initialLocationState.longRunningThreshold);
   const [loadingView, setLoadingView] = useState<ActiveView | null>(null);
   const [showChangeStageModal, setShowChangeStageModal] = useState(false);
   const [changeStageTargetInstances, setChangeStageTargetInstances] = useState<string[]>([]);
+  const [changeStageMatching, setChangeStageMatching] = useState<MatchingSelection | null>(null);
+  const [showSendEventModal, setShowSendEventModal] = useState(false);
+  const [sendEventTargetInstances, setSendEventTargetInstances] = useState<string[]>([]);
+  const [sendEventMatching, setSendEventMatching] = useState<MatchingSelection | null>(null);
+  const [eventToSend, setEventToSend] = useState('');
+  const [showRescheduleTimerModal, setShowRescheduleTimerModal] = useState(false);
+  const [rescheduleTimerTargetInstances, setRescheduleTimerTargetInstances] = useState<string[]>([]);
+  const [rescheduleTimerAt, setRescheduleTimerAt] = useState('');
+  const [instancesMatchingSelected, setInstancesMatchingSelected] = useState(false);
+  const [bulkRefreshToken, setBulkRefreshToken] = useState(0);
   const [newStage, setNewStage] = useState('');
   const [actionConfirmation, setActionConfirmation] = useState<ConfirmationActionState | null>(null);
+  const [submittingAction, setSubmittingAction] = useState(false);
   const [selectedInstanceFlowId, setSelectedInstanceFlowId] = useState<string | null>(initialLocationState.selectedInstanceFlowId);
   const [selectedInstanceId, setSelectedInstanceId] = useState<string | null>(initialLocationState.selectedInstanceId);
   const [copiedKey, setCopiedKey] = useState<string | null>(null);
+  const [liveFlowsEnabled, setLiveFlowsEnabled] = useState(true);
+  const [flowsUpdatedAt, setFlowsUpdatedAt] = useState<Date | null>(null);
+  const [tableLayouts, setTableLayouts] = useState<TableLayouts>(initialLocationState.tableLayouts);
+  const [access, setAccess] = useState<UserAccessDto | null>(null);
+  const [savedViewsPreferences, setSavedViewsPreferences] = useState<SavedViewsPreferences>(loadSavedViewsPreferences);
   const applyingLocationStateRef = useRef(false);
+  const flowsRefreshRef = useRef({ inFlight: false, queued: false });
+  const instancesPagePathRef = useRef<string | null>(null);
+  // Set synchronously so that a second scroll or click before the next render cannot request the same page again.
+  const loadingMoreInstancesRef = useRef(false);
+  // Likewise, a double click on the confirm button must not submit the action twice.
+  const submittingActionRef = useRef(false);
   const initializedHistoryRef = useRef(false);
   const copyFeedbackTimeoutRef = useRef<number | null>(null);
 
@@ -95,22 +216,7 @@ const FlowLiteCockpit = () => {
     [longRunningThreshold],
   );
 
-  async function apiGet<T>(path: string): Promise<T> {
-    const response = await fetch(path, { headers: { Accept: 'application/json' } });
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(`${response.status} ${response.statusText}: ${text}`);
-    }
-    return (await response.json()) as T;
-  }
-
-  async function apiPost(path: string): Promise<void> {
-    const response = await fetch(path, { method: 'POST' });
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(`${response.status} ${response.statusText}: ${text}`);
-    }
-  }
+  const flowsPath = `/api/flows?longRunningThresholdSeconds=${encodeURIComponent(longRunningThresholdSeconds.toString())}`;
 
   const hasInstanceFiltersApplied =
     searchTerm.trim() !== '' ||
@@ -119,6 +225,39 @@ const FlowLiteCockpit = () => {
     errorMessageFilter.trim() !== '' ||
     showIncompleteOnly;
 
+  const currentLocationState: CockpitLocationState = {
+    activeView,
+    searchTerm,
+    statusFilter,
+    stageFilter,
+    errorMessageFilter,
+    showIncompleteOnly,
+    errorFlowFilter,
+    errorStageFilter,
+    errorMessageFilterErrors,
+    longRunningFlowFilter,
+    longRunningStatusFilter,
+    longRunningThreshold,
+    metricsFlowFilter,
+    metricsWindow,
+    auditFlowFilter,
+    auditTypeFilter,
+    auditActorFilter,
+    selectedInstanceFlowId,
+    selectedInstanceId,
+    tableLayouts,
+  };
+
+  const instanceFilterParams = (view: ActiveView) => buildInstanceFilterParams(currentLocationState, view);
+
+  const instancesExportPath = (view: TableView, format: ExportFormat, includeStackTrace: boolean) => {
+    const params = instanceFilterParams(view);
+    params.set('sort', formatTableSort(tableLayouts[view].sort));
+    params.set('format', format);
+    if (includeStackTrace) params.set('includeStackTrace', 'true');
+    return `/api/instances/export?${params.toString()}`;
+  };
+
   const refreshData = async (view: ActiveView = activeView) => {
     setLoadingView(view);
 
@@ -127,61 +266,128 @@ const FlowLiteCockpit = () => {
       setInstances([]);
     } else if (view === 'long-running' || view === 'instances') {
       setInstances([]);
+    } else if (view === 'metrics') {
+      setFlowAnalytics([]);
+    } else if (view === 'audit') {
+      setAuditEntries([]);
     }
 
     const shouldFetchFlows = view !== 'instances' && (flows.length === 0 || view === 'flows');
-    const flowPath = `/api/flows?longRunningThresholdSeconds=${encodeURIComponent(longRunningThresholdSeconds.toString())}`;
-    const instancesParams = new URLSearchParams();
     let instancesPath: string | null = null;
-
-    if (view === 'errors') {
-      if (errorFlowFilter !== 'all') {
-        instancesParams.set('flowId', errorFlowFilter);
-      }
-      if (errorStageFilter !== 'all' && errorStageFilter.trim() !== '') {
-        instancesParams.set('stage', errorStageFilter.trim());
-      }
-      if (errorMessageFilterErrors.trim() !== '') {
-        instancesParams.set('errorMessage', errorMessageFilterErrors.trim());
-      }
-      instancesParams.set('bucket', 'error');
+    let errorGroupsPath: string | null = null;
+
+    // A malformed search query is flagged next to the search box instead of being sent for a 400.
+    const instancesQueryValid = instanceSearchError(searchTerm) === null;
+    if (view === 'errors' || view === 'long-running' || (view === 'instances' && hasInstanceFiltersApplied && instancesQueryValid)) {
+      const instancesParams = instanceFilterParams(view);
+      if (view === 'errors') errorGroupsPath = `/api/instances?${instancesParams.toString()}&groupBy=fingerprint`;
+      instancesParams.set('sort', formatTableSort(tableLayouts[view].sort));
+      if (view === 'instances') instancesParams.set('limit', instancesPageSize.toString());
       instancesPath = `/api/instances?${instancesParams.toString()}`;
     }
 
-    if (view === 'long-running') {
-      if (longRunningFlowFilter !== 'all') {
-        instancesParams.set('flowId', longRunningFlowFilter);
-      }
-      instancesParams.set('bucket', 'active');
-      instancesParams.set('cockpitStatus', longRunningStatusFilter);
-      instancesParams.set('longInactiveThresholdSeconds', longRunningThresholdSeconds.toString());
-      instancesPath = `/api/instances?${instancesParams.toString()}`;
+    instancesPagePathRef.current = view === 'instances' ? instancesPath : null;
+
+    let analyticsPath: string | null = null;
+    if (view === 'metrics') {
+      const analyticsParams = new URLSearchParams({ window: metricsWindow });
+      if (metricsFlowFilter !== 'all') analyticsParams.set('flowId', metricsFlowFilter);
+      analyticsPath = `/api/analytics?${analyticsParams.toString()}`;
     }
 
-    if (view === 'instances' && hasInstanceFiltersApplied) {
-      if (searchTerm.trim() !== '') instancesParams.set('q', searchTerm.trim());
-      if (statusFilter !== 'all') instancesParams.set('status', statusFilter);
-      if (stageFilter !== 'all' && stageFilter.trim() !== '') instancesParams.set('stage', stageFilter.trim());
-      if (errorMessageFilter.trim() !== '') instancesParams.set('errorMessage', errorMessageFilter.trim());
-      if (showIncompleteOnly) instancesParams.set('incompleteOnly', 'true');
-      instancesPath = `/api/instances?${instancesParams.toString()}`;
+    let auditPath: string | null = null;
+    if (view === 'audit') {
+      const auditParams = new URLSearchParams();
+      if (auditFlowFilter !== 'all') auditParams.set('flowId', auditFlowFilter);
+      if (auditTypeFilter !== 'all') auditParams.set('type', auditTypeFilter);
+      if (auditActorFilter.trim() !== '') auditParams.set('actor', auditActorFilter.trim());
+      auditPath = `/api/audit?${auditParams.toString()}`;
     }
 
     try {
-      const [flowRows, allRows] = await Promise.all([
-        shouldFetchFlows ? apiGet<FlowDto[]>(flowPath) : Promise.resolve<FlowDto[] | null>(null),
-        instancesPath ? apiGet<InstanceDto[]>(instancesPath) : Promise.resolve<InstanceDto[] | null>(null),
+      const [flowRows, instancePage, errorGroups, analyticsRows, auditRows] = await Promise.all([
+        shouldFetchFlows ? apiGet<FlowDto[]>(flowsPath) : Promise.resolve<FlowDto[] | null>(null),
+        instancesPath ? apiGetPage<InstanceDto>(instancesPath) : Promise.resolve<PageDto<InstanceDto> | null>(null),
+        errorGroupsPath ? apiGet<ErrorFingerprintGroupDto[]>(errorGroupsPath) : Promise.resolve<ErrorFingerprintGroupDto[]>([]),
+        analyticsPath ? apiGet<FlowAnalyticsDto[]>(analyticsPath) : Promise.resolve<FlowAnalyticsDto[] | null>(null),
+        auditPath ? apiGet<AuditEntryDto[]>(auditPath) : Promise.resolve<AuditEntryDto[] | null>(null),
       ]);
 
-      if (flowRows) setFlows(flowRows);
-      const nextRows = allRows ?? [];
+      if (flowRows) {
+        setFlows(flowRows);
+        setFlowsUpdatedAt(new Date());
+      }
+      const nextRows = instancePage?.items ?? [];
       setInstances(nextRows.map(toUiInstance));
-      setErrorsByGroup(view === 'errors' ? groupErrors(nextRows) : []);
+      setInstancesTotalCount(instancePage?.totalCount ?? 0);
+      setInstancesNextCursor(instancePage?.nextCursor ?? null);
+      setErrorsByGroup(groupErrors(errorGroups));
+      if (analyticsRows) setFlowAnalytics(analyticsRows);
+      if (auditRows) setAuditEntries(auditRows);
     } finally {
       setLoadingView((current) => (current === view ? null : current));
     }
   };
 
+  // Refetches flow summaries in place; calls arriving mid-fetch are coalesced into one follow-up fetch.
+  const refreshFlows = async () => {
+    const refresh = flowsRefreshRef.current;
+    if (refresh.inFlight) {
+      refresh.queued = true;
+      return;
+    }
+
+    refresh.inFlight = true;
+    try {
+      do {
+        refresh.queued = false;
+        setFlows(await apiGet<FlowDto[]>(flowsPath));
+        setFlowsUpdatedAt(new Date());
+      } while (refresh.queued);
+    } catch (error) {
+      console.error('Failed to refresh flows', error);
+    } finally {
+      refresh.inFlight = false;
+    }
+  };
+
+  const loadMoreInstances = async () => {
+    const pagePath = instancesPagePathRef.current;
+    if (!pagePath || !instancesNextCursor || loadingMoreInstancesRef.current) return;
+
+    loadingMoreInstancesRef.current = true;
+    setLoadingMoreInstances(true);
+    try {
+      const page = await apiGetPage<InstanceDto>(`${pagePath}&cursor=${encodeURIComponent(instancesNextCursor)}`);
+      // Filters changed while the page was loading; the refreshed first page already replaced the rows.
+      if (instancesPagePathRef.current !== pagePath) return;
+      setInstances((current) => [...current, ...page.items.map(toUiInstance)]);
+      setInstancesTotalCount(page.totalCount);
+      setInstancesNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Failed to load more instances', error);
+    } finally {
+      loadingMoreInstancesRef.current = false;
+      setLoadingMoreInstances(false);
+    }
+  };
+
+  // Layout changes made in the UI become the saved default; layouts applied from a shared link are not saved.
+  const updateTableLayout = (view: TableView, layout: TableLayout) => {
+    const next = { ...tableLayouts, [view]: layout };
+    setTableLayouts(next);
+    storeTableLayouts(next);
+  };
+
+  const { bulkJobs, startBulkJob, dismissBulkJob } = useBulkJobs(() => setBulkRefreshToken((current) => current + 1));
+  const actionJob = bulkJobs.find((job) => job.jobId === actionConfirmation?.jobId) ?? null;
+  const actionJobResults = useBulkJobResults(actionJob);
+
+  const engineHealth = useEngineHealth();
+  const { views: savedViews, teamAvailable: teamSavedViewsAvailable, saveView, deleteView } = useSavedViews();
+  const savedViewCounts = useSavedViewCounts(savedViews, savedViewsPreferences.sidebarOpen && savedViewsPreferences.showCounts);
+  const liveFlowsConnectionState = useFlowsLiveUpdates(activeView === 'flows' && liveFlowsEnabled, () => void refreshFlows());
+
   const openSelectedInstance = (instance: UiInstance) => {
     const selection = window.getSelection()?.toString().trim();
     if (selection) return;
@@ -190,6 +396,25 @@ const FlowLiteCockpit = () => {
     setSelectedInstance(instance);
   };
 
+  // Starts an instance from the JSON entered in the form and opens its details once the backend accepted it.
+  const startFlowInstance = async (flowId: string, initialState: unknown) => {
+    const started = await apiJson<{ flowId: string; flowInstanceId: string }>(`/api/flows/${encodeURIComponent(flowId)}/instances`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(initialState),
+    });
+    setStartInstanceFlow(null);
+    openInstanceById(started.flowId, started.flowInstanceId);
+    void refreshFlows();
+  };
+
+  // Opens the details of an instance that is not in the loaded rows; the details effect fetches it.
+  const openInstanceById = (flowId: string, flowInstanceId: string) => {
+    setSelectedInstance(null);
+    setSelectedInstanceFlowId(flowId);
+    setSelectedInstanceId(flowInstanceId);
+  };
+
   const closeSelectedInstance = () => {
     setSelectedInstanceFlowId(null);
     setSelectedInstanceId(null);
@@ -199,9 +424,23 @@ const FlowLiteCockpit = () => {
   const closeChangeStageModal = () => {
     setShowChangeStageModal(false);
     setChangeStageTargetInstances([]);
+    setChangeStageMatching(null);
     setNewStage('');
   };
 
+  const closeSendEventModal = () => {
+    setShowSendEventModal(false);
+    setSendEventTargetInstances([]);
+    setSendEventMatching(null);
+    setEventToSend('');
+  };
+
+  const closeRescheduleTimerModal = () => {
+    setShowRescheduleTimerModal(false);
+    setRescheduleTimerTargetInstances([]);
+    setRescheduleTimerAt('');
+  };
+
   const closeActionConfirmation = () => {
     setActionConfirmation(null);
   };
@@ -260,18 +499,35 @@ const FlowLiteCockpit = () => {
 
   const flowRefreshToken = activeView === 'flows' ? longRunningThresholdSeconds : null;
   const errorsRefreshToken = activeView === 'errors'
-    ? `${errorFlowFilter}|${errorStageFilter}|${errorMessageFilterErrors}`
+    ? `${errorFlowFilter}|${errorStageFilter}|${errorMessageFilterErrors}|${formatTableSort(tableLayouts.errors.sort)}`
     : null;
   const longRunningRefreshToken = activeView === 'long-running'
-    ? `${longRunningFlowFilter}|${longRunningStatusFilter}|${longRunningThresholdSeconds}`
+    ? `${longRunningFlowFilter}|${longRunningStatusFilter}|${longRunningThresholdSeconds}|${formatTableSort(tableLayouts['long-running'].sort)}`
     : null;
+  const metricsRefreshToken = activeView === 'metrics' ? `${metricsFlowFilter}|${metricsWindow}` : null;
+  const auditRefreshToken = activeView === 'audit' ? `${auditFlowFilter}|${auditTypeFilter}|${auditActorFilter}` : null;
   const instancesRefreshToken = activeView === 'instances'
-    ? `${searchTerm}|${statusFilter}|${stageFilter}|${errorMessageFilter}|${showIncompleteOnly}`
+    ? `${searchTerm}|${statusFilter}|${stageFilter}|${errorMessageFilter}|${showIncompleteOnly}|${formatTableSort(tableLayouts.instances.sort)}`
     : null;
 
   useEffect(() => {
     void refreshData(activeView);
-  }, [activeView, errorsRefreshToken, flowRefreshToken, instancesRefreshToken, longRunningRefreshToken]);
+  }, [activeView, auditRefreshToken, bulkRefreshToken, errorsRefreshToken, flowRefreshToken, instancesRefreshToken, longRunningRefreshToken, metricsRefreshToken]);
+
+  useEffect(() => {
+    setInstancesMatchingSelected(false);
+  }, [activeView, instancesRefreshToken]);
+
+  // The Instances tab skips the flow summaries, but search suggestions need the flow ids and stages once.
+  useEffect(() => {
+    if (activeView === 'instances' && flows.length === 0) void refreshFlows();
+  }, [activeView]);
+
+  useEffect(() => {
+    apiGet<UserAccessDto>('/api/me')
+      .then(setAccess)
+      .catch((error) => console.error('Failed to load Cockpit permissions', error));
+  }, []);
 
   useEffect(() => {
     return () => {
@@ -281,28 +537,52 @@ const FlowLiteCockpit = () => {
     };
   }, []);
 
+  // Replaces every filter, the layouts and the open instance with `next`, e.g. from the URL or a saved view.
+  const applyLocationState = (next: CockpitLocationState) => {
+    setActiveView(next.activeView);
+    setSearchTerm(next.searchTerm);
+    setStatusFilter(next.statusFilter);
+    setStageFilter(next.stageFilter);
+    setErrorMessageFilter(next.errorMessageFilter);
+    setShowIncompleteOnly(next.showIncompleteOnly);
+    setErrorFlowFilter(next.errorFlowFilter);
+    setErrorStageFilter(next.errorStageFilter);
+    setErrorMessageFilterErrors(next.errorMessageFilterErrors);
+    setLongRunningFlowFilter(next.longRunningFlowFilter);
+    setLongRunningStatusFilter(next.longRunningStatusFilter);
+    setLongRunningThreshold(next.longRunningThreshold);
+    setMetricsFlowFilter(next.metricsFlowFilter);
+    setMetricsWindow(next.metricsWindow);
+    setAuditFlowFilter(next.auditFlowFilter);
+    setAuditTypeFilter(next.auditTypeFilter);
+    setAuditActorFilter(next.auditActorFilter);
+    setSelectedInstances(new Set());
+    setSelectedInstanceFlowId(next.selectedInstanceFlowId);
+    setSelectedInstanceId(next.selectedInstanceId);
+    setTableLayouts(next.tableLayouts);
+    setSelectedFlowForDiagram(null);
+    closeChangeStageModal();
+    closeSendEventModal();
+    closeRescheduleTimerModal();
+  };
+
+  const applySavedView = (view: SavedView) => {
+    const next = savedViewLocationState(view);
+    if (next.activeView !== activeView) setLoadingView(next.activeView);
+    applyLocationState(next);
+  };
+
+  const updateSavedViewsPreferences = (next: SavedViewsPreferences) => {
+    setSavedViewsPreferences(next);
+    storeSavedViewsPreferences(next);
+  };
+
   useEffect(() => {
     const applyStateFromLocation = () => {
       const next = readLocationState();
       applyingLocationStateRef.current = true;
       setLoadingView(next.activeView);
-      setActiveView(next.activeView);
-      setSearchTerm(next.searchTerm);
-      setStatusFilter(next.statusFilter);
-      setStageFilter(next.stageFilter);
-      setErrorMessageFilter(next.errorMessageFilter);
-      setShowIncompleteOnly(next.showIncompleteOnly);
-      setErrorFlowFilter(next.errorFlowFilter);
-      setErrorStageFilter(next.errorStageFilter);
-      setErrorMessageFilterErrors(next.errorMessageFilterErrors);
-      setLongRunningFlowFilter(next.longRunningFlowFilter);
-      setLongRunningStatusFilter(next.longRunningStatusFilter);
-      setLongRunningThreshold(next.longRunningThreshold);
-      setSelectedInstances(new Set());
-      setSelectedInstanceFlowId(next.selectedInstanceFlowId);
-      setSelectedInstanceId(next.selectedInstanceId);
-      setSelectedFlowForDiagram(null);
-      closeChangeStageModal();
+      applyLocationState(next);
     };
 
     window.addEventListener('popstate', applyStateFromLocation);
@@ -318,22 +598,7 @@ const FlowLiteCockpit = () => {
       return;
     }
 
-    const nextSearch = buildLocationSearch({
-      activeView,
-      searchTerm,
-      statusFilter,
-      stageFilter,
-      errorMessageFilter,
-      showIncompleteOnly,
-      errorFlowFilter,
-      errorStageFilter,
-      errorMessageFilterErrors,
-      longRunningFlowFilter,
-      longRunningStatusFilter,
-      longRunningThreshold,
-      selectedInstanceFlowId,
-      selectedInstanceId,
-    });
+    const nextSearch = buildLocationSearch(currentLocationState);
     const nextUrl = `${window.location.pathname}${nextSearch}${window.location.hash}`;
     const currentUrl = `${window.location.pathname}${window.location.search}${window.location.hash}`;
 
@@ -362,31 +627,72 @@ const FlowLiteCockpit = () => {
     longRunningFlowFilter,
     longRunningStatusFilter,
     longRunningThreshold,
+    metricsFlowFilter,
+    metricsWindow,
+    auditFlowFilter,
+    auditTypeFilter,
+    auditActorFilter,
     selectedInstanceFlowId,
     selectedInstanceId,
+    tableLayouts,
   ]);
 
+  // Reloads the details when another instance is opened or after an action ran, not whenever the list changes.
   useEffect(() => {
     if (!selectedInstanceFlowId || !selectedInstanceId) {
       setSelectedInstance(null);
       setInstanceHistory([]);
+      setInstanceDiagram(null);
+      setInstancePendingEvents(null);
+      setInstanceNextTick(null);
+      setInstanceState(null);
       return;
     }
 
+    const instancePath = `/api/instances/${encodeURIComponent(selectedInstanceFlowId)}/${encodeURIComponent(selectedInstanceId)}`;
     void Promise.all([
-      apiGet<InstanceDto>(`/api/instances/${encodeURIComponent(selectedInstanceFlowId)}/${encodeURIComponent(selectedInstanceId)}`),
-      apiGet<HistoryEntryDto[]>(`/api/instances/${encodeURIComponent(selectedInstanceFlowId)}/${encodeURIComponent(selectedInstanceId)}/timeline`),
+      apiGet<InstanceDto>(instancePath),
+      apiGet<HistoryEntryDto[]>(`${instancePath}/timeline`),
+      // Without a highlighted diagram the modal falls back to the plain flow diagram.
+      apiGet<DiagramDto>(`${instancePath}/diagram`).catch(() => null),
+      apiGet<PendingEventsDto>(`${instancePath}/pending-events`).catch(() => null),
+      apiGet<NextTickDto>(`${instancePath}/next-tick`).catch(() => null),
+      // 404 when the flow registers no state renderer.
+      apiGet<InstanceStateDto>(`${instancePath}/state`).catch(() => null),
     ])
-      .then(([instance, history]) => {
+      .then(([instance, history, diagram, pendingEvents, nextTick, state]) => {
         setSelectedInstance(toUiInstance(instance));
         setInstanceHistory(history);
+        setInstanceDiagram(diagram?.diagram ?? null);
+        setInstancePendingEvents(pendingEvents);
+        setInstanceNextTick(nextTick);
+        setInstanceState(state);
       })
       .catch((error) => {
         console.error(error);
         setSelectedInstance(null);
         setInstanceHistory([]);
+        setInstanceDiagram(null);
+        setInstancePendingEvents(null);
+        setInstanceNextTick(null);
+        setInstanceState(null);
       });
-  }, [instances, selectedInstanceFlowId, selectedInstanceId]);
+  }, [bulkRefreshToken, selectedInstanceFlowId, selectedInstanceId]);
+
+  useEffect(() => {
+    if (!selectedFlowForDiagram || !flowHeatmapEnabled) {
+      setFlowHeatmapDiagram(null);
+      return;
+    }
+
+    // Refetched whenever flows refresh so the counts follow the live flow summary.
+    void apiGet<DiagramDto>(`/api/flows/${encodeURIComponent(selectedFlowForDiagram.flowId)}/heatmap`)
+      .then((heatmap) => setFlowHeatmapDiagram(heatmap.diagram))
+      .catch((error) => {
+        console.error(error);
+        setFlowHeatmapEnabled(false);
+      });
+  }, [flowHeatmapEnabled, flowsUpdatedAt, selectedFlowForDiagram]);
 
   useEffect(() => {
     const handleKeyDown = (event: KeyboardEvent) => {
@@ -402,6 +708,21 @@ const FlowLiteCockpit = () => {
         return;
       }
 
+      if (showSendEventModal) {
+        closeSendEventModal();
+        return;
+      }
+
+      if (showRescheduleTimerModal) {
+        closeRescheduleTimerModal();
+        return;
+      }
+
+      if (startInstanceFlow) {
+        setStartInstanceFlow(null);
+        return;
+      }
+
       if (selectedFlowForDiagram) {
         setSelectedFlowForDiagram(null);
         return;
@@ -416,46 +737,21 @@ const FlowLiteCockpit = () => {
     return () => {
       window.removeEventListener('keydown', handleKeyDown);
     };
-  }, [actionConfirmation, showChangeStageModal, selectedFlowForDiagram, selectedInstanceFlowId, selectedInstanceId]);
-
-  useEffect(() => {
-    if ((window as MermaidHostWindow).mermaid) {
-      setMermaidLoaded(true);
-      return;
-    }
-
-    const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js';
-    script.async = true;
-    script.onload = () => setMermaidLoaded(true);
-    script.onerror = () => console.error('Failed to load Mermaid.js');
-    document.body.appendChild(script);
-
-    return () => {
-      if (script.parentNode) script.parentNode.removeChild(script);
-    };
-  }, []);
-
-  useEffect(() => {
-    if (!mermaidLoaded) return;
-    (window as MermaidHostWindow).mermaid?.initialize({
-      startOnLoad: false,
-      theme: 'dark',
-    });
-  }, [mermaidLoaded]);
+  }, [actionConfirmation, showChangeStageModal, showSendEventModal, showRescheduleTimerModal, startInstanceFlow, selectedFlowForDiagram, selectedInstanceFlowId, selectedInstanceId]);
 
   useEffect(() => {
     setShowDiagram(false);
     setShowStackTrace(false);
     setExpandedHistoryErrors(new Set());
+    setExpandedHistoryDiffs(new Set());
   }, [selectedInstanceFlowId, selectedInstanceId]);
 
   useEffect(() => {
-    document.body.style.overflow = selectedInstanceFlowId || selectedInstanceId || selectedFlowForDiagram || showChangeStageModal || actionConfirmation ? 'hidden' : 'unset';
+    document.body.style.overflow = selectedInstanceFlowId || selectedInstanceId || selectedFlowForDiagram || startInstanceFlow || showChangeStageModal || showSendEventModal || showRescheduleTimerModal || actionConfirmation ? 'hidden' : 'unset';
     return () => {
       document.body.style.overflow = 'unset';
     };
-  }, [actionConfirmation, selectedInstanceFlowId, selectedInstanceId, selectedFlowForDiagram, showChangeStageModal]);
+  }, [actionConfirmation, selectedInstanceFlowId, selectedInstanceId, selectedFlowForDiagram, startInstanceFlow, showChangeStageModal, showSendEventModal, showRescheduleTimerModal]);
 
   useEffect(() => {
     setSelectedInstances(new Set());
@@ -476,14 +772,17 @@ const FlowLiteCockpit = () => {
   const longRunningInstances = useMemo(() => {
     const now = Date.now();
 
-    return instances
-      .map((instance) => ({
-        ...instance,
-        inactiveDuration: now - instance.updatedAt.getTime(),
-      }))
-      .sort((a, b) => b.inactiveDuration - a.inactiveDuration);
+    return instances.map((instance) => ({
+      ...instance,
+      inactiveDuration: now - instance.updatedAt.getTime(),
+    }));
   }, [instances]);
 
+  const canRun: CanRunAction = (action, flowId) => canRunAction(access, action, flowId);
+
+  // Instances are only selectable for bulk actions in flows where the user may run at least one of them.
+  const canSelectInFlow = (flowId: string) => Object.values(confirmationActions).some((action) => canRun(action, flowId));
+
   const toggleSelectInstance = (instanceId: string) => {
     const next = new Set(selectedInstances);
     if (next.has(instanceId)) next.delete(instanceId);
@@ -553,45 +852,79 @@ const FlowLiteCockpit = () => {
 
   const selectAllVisible = () => {
     const actionable = filteredInstances
-      .filter((instance) => isActionableStatus(instance.cockpitStatus))
+      .filter((instance) => isActionableStatus(instance.cockpitStatus) && canSelectInFlow(instance.flowId))
       .map((instance) => instance.id);
     setSelectedInstances(new Set(actionable));
   };
 
-  const deselectAll = () => setSelectedInstances(new Set());
-
-  const executeRetry = async (instanceIds: string[]) => {
-    const selected = instances.filter((instance) => instanceIds.includes(instance.id));
-    await Promise.all(
-      selected.map((instance) => {
-        const basePath = `/api/instances/${encodeURIComponent(instance.flowId)}/${encodeURIComponent(instance.id)}`;
-        if (instance.cockpitStatus === 'Error') return apiPost(`${basePath}/retry`);
-        if (instance.stage) return apiPost(`${basePath}/change-stage?stage=${encodeURIComponent(instance.stage)}`);
-        return Promise.resolve();
-      }),
-    );
+  const deselectAll = () => {
     setSelectedInstances(new Set());
-    await refreshData();
+    setInstancesMatchingSelected(false);
   };
 
-  const executeCancel = async (instanceIds: string[]) => {
-    const selected = instances.filter((instance) => instanceIds.includes(instance.id));
-    await Promise.all(
-      selected.map((instance) => apiPost(`/api/instances/${encodeURIComponent(instance.flowId)}/${encodeURIComponent(instance.id)}/cancel`)),
-    );
-    setSelectedInstances(new Set());
-    await refreshData();
+  // Keeps the confirmation dialog open on the started job so the operator can follow its progress and outcome.
+  const submitBulkAction = async (confirmation: ConfirmationActionState, target: BulkActionTarget) => {
+    try {
+      const job = await startBulkJob(confirmation.kind, target, confirmation);
+      setActionConfirmation({ ...confirmation, jobId: job.jobId, startError: undefined });
+    } catch (error) {
+      console.error(`Failed to start bulk ${confirmation.kind}`, error);
+      setActionConfirmation({ ...confirmation, startError: String(error) });
+    }
   };
 
-  const executeChangeStage = async (instanceIds: string[], stage: string) => {
-    const selected = instances.filter((instance) => instanceIds.includes(instance.id));
-    await Promise.all(
-      selected.map((instance) => apiPost(`/api/instances/${encodeURIComponent(instance.flowId)}/${encodeURIComponent(instance.id)}/change-stage?stage=${encodeURIComponent(stage)}`)),
-    );
+  // Runs an action on a single instance right away and closes the dialog, or reports why it failed.
+  const submitInstanceAction = async (confirmation: ConfirmationActionState, instance: UiInstance) => {
+    try {
+      await runInstanceAction(confirmation.kind, instance, confirmation);
+      closeActionConfirmation();
+    } catch (error) {
+      console.error(`Failed to ${confirmation.kind} instance ${instance.id}`, error);
+      setActionConfirmation({ ...confirmation, startError: String(error) });
+    }
+    setBulkRefreshToken((current) => current + 1);
+  };
 
-    closeChangeStageModal();
-    setSelectedInstances(new Set());
-    await refreshData();
+  // One instance (e.g. from its details) goes through the instance's own endpoint; selections of several instances
+  // and filter matches run as a bulk job.
+  const executeAction = async (confirmation: ConfirmationActionState) => {
+    const [instanceId] = confirmation.instanceIds;
+    const singleInstance = !confirmation.matching && confirmation.instanceIds.length === 1
+      ? instances.find((instance) => instance.id === instanceId) ?? (selectedInstance?.id === instanceId ? selectedInstance : null)
+      : null;
+
+    if (singleInstance) {
+      await submitInstanceAction(confirmation, singleInstance);
+    } else {
+      const target = confirmation.matching
+        ? { params: confirmation.matching.params }
+        : { instances: instances.filter((instance) => confirmation.instanceIds.includes(instance.id)) };
+      await submitBulkAction(confirmation, target);
+    }
+    if (confirmation.kind === 'change-stage') closeChangeStageModal();
+    if (confirmation.kind === 'send-event') closeSendEventModal();
+    if (confirmation.kind === 'reschedule-timer') closeRescheduleTimerModal();
+    deselectAll();
+  };
+
+  const retryFailedActions = () => {
+    if (!actionConfirmation || !actionJobResults) return;
+    const failed = actionJobResults
+      .filter((result) => result.outcome === 'Failed')
+      .map((result) => ({ flowId: result.flowId, id: result.flowInstanceId }));
+    if (failed.length === 0) return;
+
+    void submitBulkAction(
+      {
+        kind: actionConfirmation.kind,
+        instanceIds: failed.map((instance) => instance.id),
+        targetStage: actionConfirmation.targetStage,
+        event: actionConfirmation.event,
+        notBefore: actionConfirmation.notBefore,
+        reason: actionConfirmation.reason,
+      },
+      { instances: failed },
+    );
   };
 
   const handleRetry = (instanceIds: string[]) => {
@@ -602,29 +935,96 @@ const FlowLiteCockpit = () => {
     setActionConfirmation({ kind: 'cancel', instanceIds });
   };
 
-  const handleChangeStage = (instanceIds: string[]) => {
+  const handleChangeStage = (instanceIds: string[], matching?: MatchingSelection) => {
     closeActionConfirmation();
     setChangeStageTargetInstances(instanceIds);
+    setChangeStageMatching(matching ?? null);
     setShowChangeStageModal(true);
   };
 
+  const handleSendEvent = (instanceIds: string[], matching?: MatchingSelection) => {
+    closeActionConfirmation();
+    setSendEventTargetInstances(instanceIds);
+    setSendEventMatching(matching ?? null);
+    setShowSendEventModal(true);
+  };
+
+  const handleWakeUpTimer = (instanceIds: string[]) => {
+    setActionConfirmation({ kind: 'wake-up-timer', instanceIds });
+  };
+
+  // Starts from the instance's current wake-up when it is known, otherwise an hour from now.
+  const handleRescheduleTimer = (instanceIds: string[], currentWakeUpAt?: string | null) => {
+    closeActionConfirmation();
+    setRescheduleTimerTargetInstances(instanceIds);
+    setRescheduleTimerAt(formatDateTimeInput(currentWakeUpAt ? new Date(currentWakeUpAt) : new Date(Date.now() + 60 * 60 * 1000)));
+    setShowRescheduleTimerModal(true);
+  };
+
+  // Acts on every row matching the Instances filters, including rows that are not loaded yet.
+  const handleMatchingInstancesAction = (kind: ConfirmationActionKind) => {
+    const matching = { params: instanceFilterParams('instances').toString(), count: instancesTotalCount };
+    if (kind === 'change-stage') handleChangeStage([], matching);
+    else if (kind === 'send-event') handleSendEvent([], matching);
+    else setActionConfirmation({ kind, instanceIds: [], matching });
+  };
+
+  const handleErrorGroupAction = (kind: ConfirmationActionKind, group: ErrorGroupDto, fingerprint?: ErrorFingerprintGroupDto) => {
+    const params = instanceFilterParams('errors');
+    params.set('flowId', group.flowId);
+    if (group.stage) params.set('stage', group.stage);
+    if (fingerprint?.errorFingerprint) params.set('errorFingerprint', fingerprint.errorFingerprint);
+    const matching = { params: params.toString(), count: fingerprint?.count ?? group.count };
+    if (kind === 'change-stage') handleChangeStage([], matching);
+    else if (kind === 'send-event') handleSendEvent([], matching);
+    else setActionConfirmation({ kind, instanceIds: [], matching });
+  };
+
   const confirmChangeStage = () => {
     if (!newStage) return;
-    setActionConfirmation({ kind: 'change-stage', instanceIds: changeStageTargetInstances, targetStage: newStage });
+    setActionConfirmation({
+      kind: 'change-stage',
+      instanceIds: changeStageTargetInstances,
+      targetStage: newStage,
+      matching: changeStageMatching ?? undefined,
+    });
+  };
+
+  const confirmSendEvent = () => {
+    if (!eventToSend) return;
+    setActionConfirmation({
+      kind: 'send-event',
+      instanceIds: sendEventTargetInstances,
+      event: eventToSend,
+      matching: sendEventMatching ?? undefined,
+    });
+  };
+
+  const confirmRescheduleTimer = () => {
+    const notBefore = new Date(rescheduleTimerAt);
+    if (!rescheduleTimerAt || Number.isNaN(notBefore.getTime())) return;
+    setActionConfirmation({
+      kind: 'reschedule-timer',
+      instanceIds: rescheduleTimerTargetInstances,
+      notBefore: notBefore.toISOString(),
+    });
   };
 
   const confirmAction = async () => {
     if (!actionConfirmation) return;
+    if (actionConfirmation.kind === 'change-stage' && !actionConfirmation.targetStage) return;
+    if (actionConfirmation.kind === 'send-event' && !actionConfirmation.event) return;
+    if (actionConfirmation.kind === 'reschedule-timer' && !actionConfirmation.notBefore) return;
+    if (submittingActionRef.current) return;
 
-    if (actionConfirmation.kind === 'retry') {
-      await executeRetry(actionConfirmation.instanceIds);
-    } else if (actionConfirmation.kind === 'cancel') {
-      await executeCancel(actionConfirmation.instanceIds);
-    } else if (actionConfirmation.targetStage) {
-      await executeChangeStage(actionConfirmation.instanceIds, actionConfirmation.targetStage);
+    submittingActionRef.current = true;
+    setSubmittingAction(true);
+    try {
+      await executeAction(actionConfirmation);
+    } finally {
+      submittingActionRef.current = false;
+      setSubmittingAction(false);
     }
-
-    closeActionConfirmation();
   };
 
   const visibleHistory = instanceHistory;
@@ -633,19 +1033,24 @@ const FlowLiteCockpit = () => {
     ? flows.find((flow) => flow.flowId === selectedInstance.flowId) ?? null
     : null;
   const selectedLongRunningIds = longRunningInstances.filter((instance) => selectedInstances.has(instance.id)).map((instance) => instance.id);
+  // Offers only the events of the flows the selected instances belong to; a filter-based selection may span every flow.
+  const sendEventTargetFlowIds = new Set(
+    instances.filter((instance) => sendEventTargetInstances.includes(instance.id)).map((instance) => instance.flowId),
+  );
+  const sendEventFlows = sendEventTargetFlowIds.size > 0
+    ? flows.filter((flow) => sendEventTargetFlowIds.has(flow.flowId))
+    : flows;
+  const sendEventOptions = [...new Set(sendEventFlows.flatMap((flow) => flow.events))];
   const actionConfirmationInstances = actionConfirmation
     ? instances.filter((instance) => actionConfirmation.instanceIds.includes(instance.id))
     : [];
-  const actionConfirmationTitle = actionConfirmation?.kind === 'retry'
-    ? 'Are you sure you want to retry?'
-    : actionConfirmation?.kind === 'cancel'
-      ? 'Are you sure you want to cancel?'
-      : 'Are you sure you want to change stage?';
-  const actionConfirmationSummary = actionConfirmation?.kind === 'retry'
-    ? 'Retry restarts the processing of the current stage.'
-    : actionConfirmation?.kind === 'cancel'
-      ? 'Cancelling marks the selected instance(s) as cancelled and removes them from active processing.'
-      : `Changing stage moves the selected instance(s) to ${actionConfirmation?.targetStage ?? 'the selected stage'} and reprocesses them from there on the next tick.`;
+  const selectedLongRunningTimerIds = longRunningInstances
+    .filter((instance) => selectedInstances.has(instance.id) && instance.cockpitStatus === 'WaitingForTimer')
+    .map((instance) => instance.id);
+  const actionSubmitted = Boolean(actionConfirmation?.jobId || actionConfirmation?.startError);
+  const actionProgressTitle = `${actionConfirmation ? actionProgressLabels[actionConfirmation.kind] : ''} ${
+    actionJob && actionJob.status !== 'Running' ? 'finished' : actionConfirmation?.startError ? 'failed' : 'in progress'
+  }`;
 
   return (
     <div className="min-h-screen bg-zinc-950 text-zinc-100" style={{ fontFamily: '"IBM Plex Mono", monospace' }}>
@@ -655,7 +1060,9 @@ const FlowLiteCockpit = () => {
           <p className="text-sm text-zinc-500 mt-1">Workflow Engine Monitoring & Management</p>
           <p className="text-xs text-zinc-600 mt-1">
             flows: {stats.totalFlows} • instances: {stats.totalInstances} • errors: {stats.errorInstances}
+            {access?.user && <span data-testid="cockpit-user"> • signed in as {access.user}</span>}
           </p>
+          {engineHealth && <div className="mt-2"><EngineHealthStrip health={engineHealth} /></div>}
         </div>
       </header>
 
@@ -677,104 +1084,192 @@ const FlowLiteCockpit = () => {
                 {view === 'long-running' ? 'Long Inactive' : view.charAt(0).toUpperCase() + view.slice(1)}
               </button>
             ))}
+            <button
+              data-testid="saved-views-toggle"
+              onClick={() => updateSavedViewsPreferences({ ...savedViewsPreferences, sidebarOpen: !savedViewsPreferences.sidebarOpen })}
+              className={
+                'ml-auto flex items-center gap-1 px-1 py-3 text-sm font-medium transition-colors ' +
+                (savedViewsPreferences.sidebarOpen ? 'text-emerald-400' : 'text-zinc-500 hover:text-zinc-300')
+              }
+            >
+              <Bookmark size={14} />
+              Saved Views
+            </button>
           </div>
         </div>
       </div>
 
-      <div className="max-w-7xl mx-auto px-6 py-6">
-        {activeView === 'flows' && (
-          <FlowsView
-            flows={flows}
-            isLoading={loadingView === 'flows'}
-            onViewDiagram={setSelectedFlowForDiagram}
-            onOpenLongRunning={(flowId) => {
-              setLoadingView('long-running');
-              setActiveView('long-running');
-              setLongRunningFlowFilter(flowId);
-              setLongRunningStatusFilter('default');
-              setSelectedInstances(new Set());
-            }}
-            onOpenInstances={openInstancesView}
-            onOpenErrors={openErrorsView}
-          />
-        )}
-
-        {activeView === 'errors' && (
-          <ErrorsView
-            flows={flows}
-            isLoading={loadingView === 'errors'}
-            filteredErrorGroups={filteredErrorGroups}
-            instances={instances}
-            selectedInstances={selectedInstances}
-            errorFlowFilter={errorFlowFilter}
-            errorStageFilter={errorStageFilter}
-            errorMessageFilterErrors={errorMessageFilterErrors}
-            setErrorFlowFilter={setErrorFlowFilter}
-            setErrorStageFilter={setErrorStageFilter}
-            setErrorMessageFilterErrors={setErrorMessageFilterErrors}
-            clearErrorFilters={clearErrorFilters}
-            deselectAll={deselectAll}
-            toggleSelectInstance={toggleSelectInstance}
-            selectAllErrorsInGroup={selectAllErrorsInGroup}
-            deselectErrorsInGroup={deselectErrorsInGroup}
-            openSelectedInstance={openSelectedInstance}
-            handleRetry={handleRetry}
-            handleChangeStage={handleChangeStage}
-            handleCancel={handleCancel}
-            renderCopyButton={renderCopyButton}
-          />
-        )}
-
-        {activeView === 'long-running' && (
-          <LongRunningView
-            flows={flows}
-            isLoading={loadingView === 'long-running'}
-            totalCount={longRunningInstances.length}
-            longRunningFlowFilter={longRunningFlowFilter}
-            longRunningStatusFilter={longRunningStatusFilter}
-            longRunningThreshold={longRunningThreshold}
-            longRunningInstances={longRunningInstances}
-            selectedLongRunningIds={selectedLongRunningIds}
-            selectedInstances={selectedInstances}
-            setLongRunningFlowFilter={setLongRunningFlowFilter}
-            setLongRunningStatusFilter={setLongRunningStatusFilter}
-            setLongRunningThreshold={setLongRunningThreshold}
-            deselectAll={deselectAll}
-            toggleSelectInstance={toggleSelectInstance}
-            openSelectedInstance={openSelectedInstance}
-            handleRetry={handleRetry}
-            renderCopyButton={renderCopyButton}
-          />
-        )}
-
-        {activeView === 'instances' && (
-          <InstancesView
-            isLoading={loadingView === 'instances'}
-            totalCount={filteredInstances.length}
-            searchTerm={searchTerm}
-            statusFilter={statusFilter}
-            stageFilter={stageFilter}
-            errorMessageFilter={errorMessageFilter}
-            showIncompleteOnly={showIncompleteOnly}
-            selectedInstances={selectedInstances}
-            hasInstanceFiltersApplied={hasInstanceFiltersApplied}
-            filteredInstances={filteredInstances}
-            setSearchTerm={setSearchTerm}
-            setStatusFilter={setStatusFilter}
-            setStageFilter={setStageFilter}
-            setErrorMessageFilter={setErrorMessageFilter}
-            setShowIncompleteOnly={setShowIncompleteOnly}
-            selectAllVisible={selectAllVisible}
-            deselectAll={deselectAll}
-            clearInstanceFilters={clearInstanceFilters}
-            handleRetry={handleRetry}
-            handleChangeStage={handleChangeStage}
-            handleCancel={handleCancel}
-            toggleSelectInstance={toggleSelectInstance}
-            openSelectedInstance={openSelectedInstance}
-            renderCopyButton={renderCopyButton}
+      <div className="max-w-7xl mx-auto px-6 py-6 flex gap-6">
+        {savedViewsPreferences.sidebarOpen && (
+          <SavedViewsSidebar
+            views={savedViews}
+            teamAvailable={teamSavedViewsAvailable}
+            counts={savedViewCounts}
+            showCounts={savedViewsPreferences.showCounts}
+            currentSearch={savedViewSearch(currentLocationState)}
+            currentUser={access?.user ?? null}
+            onToggleCounts={() => updateSavedViewsPreferences({ ...savedViewsPreferences, showCounts: !savedViewsPreferences.showCounts })}
+            onApply={applySavedView}
+            onSave={(name, scope) => saveView(name, savedViewSearch(currentLocationState), scope)}
+            onDelete={deleteView}
           />
         )}
+        <div className="flex-1 min-w-0">
+          {activeView === 'flows' && (
+            <FlowsView
+              flows={flows}
+              isLoading={loadingView === 'flows'}
+              liveEnabled={liveFlowsEnabled}
+              liveConnectionState={liveFlowsConnectionState}
+              lastUpdatedAt={flowsUpdatedAt}
+              onToggleLive={() => setLiveFlowsEnabled(!liveFlowsEnabled)}
+              onRefresh={() => void refreshFlows()}
+              onViewDiagram={setSelectedFlowForDiagram}
+              onStartInstance={setStartInstanceFlow}
+              canRun={canRun}
+              onOpenLongRunning={(flowId) => {
+                setLoadingView('long-running');
+                setActiveView('long-running');
+                setLongRunningFlowFilter(flowId);
+                setLongRunningStatusFilter('default');
+                setSelectedInstances(new Set());
+              }}
+              onOpenInstances={openInstancesView}
+              onOpenErrors={openErrorsView}
+            />
+          )}
+
+          {activeView === 'errors' && (
+            <ErrorsView
+              flows={flows}
+              isLoading={loadingView === 'errors'}
+              layout={tableLayouts.errors}
+              onLayoutChange={(layout) => updateTableLayout('errors', layout)}
+              exportPath={(format, includeStackTrace) => instancesExportPath('errors', format, includeStackTrace)}
+              filteredErrorGroups={filteredErrorGroups}
+              instances={instances}
+              selectedInstances={selectedInstances}
+              errorFlowFilter={errorFlowFilter}
+              errorStageFilter={errorStageFilter}
+              errorMessageFilterErrors={errorMessageFilterErrors}
+              setErrorFlowFilter={setErrorFlowFilter}
+              setErrorStageFilter={setErrorStageFilter}
+              setErrorMessageFilterErrors={setErrorMessageFilterErrors}
+              clearErrorFilters={clearErrorFilters}
+              deselectAll={deselectAll}
+              toggleSelectInstance={toggleSelectInstance}
+              selectAllErrorsInGroup={selectAllErrorsInGroup}
+              deselectErrorsInGroup={deselectErrorsInGroup}
+              openSelectedInstance={openSelectedInstance}
+              handleRetry={handleRetry}
+              handleChangeStage={handleChangeStage}
+              handleCancel={handleCancel}
+              handleGroupAction={handleErrorGroupAction}
+              canRun={canRun}
+              canSelectInFlow={canSelectInFlow}
+              renderCopyButton={renderCopyButton}
+            />
+          )}
+
+          {activeView === 'long-running' && (
+            <LongRunningView
+              flows={flows}
+              isLoading={loadingView === 'long-running'}
+              layout={tableLayouts['long-running']}
+              onLayoutChange={(layout) => updateTableLayout('long-running', layout)}
+              exportPath={(format, includeStackTrace) => instancesExportPath('long-running', format, includeStackTrace)}
+              totalCount={longRunningInstances.length}
+              longRunningFlowFilter={longRunningFlowFilter}
+              longRunningStatusFilter={longRunningStatusFilter}
+              longRunningThreshold={longRunningThreshold}
+              longRunningInstances={longRunningInstances}
+              selectedLongRunningIds={selectedLongRunningIds}
+              selectedLongRunningTimerIds={selectedLongRunningTimerIds}
+              selectedInstances={selectedInstances}
+              setLongRunningFlowFilter={setLongRunningFlowFilter}
+              setLongRunningStatusFilter={setLongRunningStatusFilter}
+              setLongRunningThreshold={setLongRunningThreshold}
+              deselectAll={deselectAll}
+              toggleSelectInstance={toggleSelectInstance}
+              openSelectedInstance={openSelectedInstance}
+              handleRetry={handleRetry}
+              handleWakeUpTimer={handleWakeUpTimer}
+              handleRescheduleTimer={handleRescheduleTimer}
+              canRun={canRun}
+              canSelectInFlow={canSelectInFlow}
+              renderCopyButton={renderCopyButton}
+            />
+          )}
+
+          {activeView === 'instances' && (
+            <InstancesView
+              isLoading={loadingView === 'instances'}
+              layout={tableLayouts.instances}
+              onLayoutChange={(layout) => updateTableLayout('instances', layout)}
+              exportPath={(format, includeStackTrace) => instancesExportPath('instances', format, includeStackTrace)}
+              totalCount={instancesTotalCount}
+              hasMore={instancesNextCursor !== null}
+              isLoadingMore={loadingMoreInstances}
+              onLoadMore={() => void loadMoreInstances()}
+              flows={flows}
+              searchTerm={searchTerm}
+              statusFilter={statusFilter}
+              stageFilter={stageFilter}
+              errorMessageFilter={errorMessageFilter}
+              showIncompleteOnly={showIncompleteOnly}
+              selectedInstances={selectedInstances}
+              hasInstanceFiltersApplied={hasInstanceFiltersApplied}
+              filteredInstances={filteredInstances}
+              setSearchTerm={setSearchTerm}
+              setStatusFilter={setStatusFilter}
+              setStageFilter={setStageFilter}
+              setErrorMessageFilter={setErrorMessageFilter}
+              setShowIncompleteOnly={setShowIncompleteOnly}
+              selectAllVisible={selectAllVisible}
+              deselectAll={deselectAll}
+              clearInstanceFilters={clearInstanceFilters}
+              matchingSelected={instancesMatchingSelected}
+              selectAllMatching={() => setInstancesMatchingSelected(true)}
+              handleMatchingAction={handleMatchingInstancesAction}
+              handleRetry={handleRetry}
+              handleChangeStage={handleChangeStage}
+              handleSendEvent={handleSendEvent}
+              handleCancel={handleCancel}
+              canRun={canRun}
+              canSelectInFlow={canSelectInFlow}
+              toggleSelectInstance={toggleSelectInstance}
+              openSelectedInstance={openSelectedInstance}
+              renderCopyButton={renderCopyButton}
+            />
+          )}
+
+          {activeView === 'metrics' && (
+            <MetricsView
+              flows={flows}
+              isLoading={loadingView === 'metrics'}
+              analytics={flowAnalytics}
+              metricsFlowFilter={metricsFlowFilter}
+              metricsWindow={metricsWindow}
+              setMetricsFlowFilter={setMetricsFlowFilter}
+              setMetricsWindow={setMetricsWindow}
+            />
+          )}
+
+          {activeView === 'audit' && (
+            <AuditView
+              flows={flows}
+              isLoading={loadingView === 'audit'}
+              entries={auditEntries}
+              auditFlowFilter={auditFlowFilter}
+              auditTypeFilter={auditTypeFilter}
+              auditActorFilter={auditActorFilter}
+              setAuditFlowFilter={setAuditFlowFilter}
+              setAuditTypeFilter={setAuditTypeFilter}
+              setAuditActorFilter={setAuditActorFilter}
+              onOpenInstance={openInstanceById}
+            />
+          )}
+        </div>
       </div>
 
       {selectedInstance && (
@@ -783,13 +1278,21 @@ const FlowLiteCockpit = () => {
           visibleHistory={visibleHistory}
           latestErrorStackTrace={latestErrorStackTrace}
           flowForSelectedInstance={flowForSelectedInstance}
+          instanceDiagram={instanceDiagram}
+          pendingEvents={instancePendingEvents}
+          instanceState={instanceState}
+          nextTick={instanceNextTick}
           showDiagram={showDiagram}
           showStackTrace={showStackTrace}
           expandedHistoryErrors={expandedHistoryErrors}
-          mermaidLoaded={mermaidLoaded}
+          expandedHistoryDiffs={expandedHistoryDiffs}
           onClose={closeSelectedInstance}
+          canRun={canRun}
           onRetry={handleRetry}
           onChangeStage={handleChangeStage}
+          onSendEvent={handleSendEvent}
+          onWakeUpTimer={handleWakeUpTimer}
+          onRescheduleTimer={(instanceIds) => handleRescheduleTimer(instanceIds, instanceNextTick?.nextTick?.notBefore)}
           onCancel={handleCancel}
           onToggleDiagram={() => setShowDiagram(!showDiagram)}
           onToggleStackTrace={() => setShowStackTrace(!showStackTrace)}
@@ -799,27 +1302,41 @@ const FlowLiteCockpit = () => {
             else next.add(index);
             setExpandedHistoryErrors(next);
           }}
+          onToggleHistoryDiff={(index) => {
+            const next = new Set(expandedHistoryDiffs);
+            if (next.has(index)) next.delete(index);
+            else next.add(index);
+            setExpandedHistoryDiffs(next);
+          }}
           renderCopyButton={renderCopyButton}
         />
       )}
 
+      {startInstanceFlow?.initialStateSchema && (
+        <StartInstanceModal
+          flow={startInstanceFlow}
+          schema={startInstanceFlow.initialStateSchema}
+          onClose={() => setStartInstanceFlow(null)}
+          onStart={(initialState) => startFlowInstance(startInstanceFlow.flowId, initialState)}
+        />
+      )}
+
       {selectedFlowForDiagram && (
-        <div data-testid="flow-diagram-modal" className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4 overflow-hidden" onClick={() => setSelectedFlowForDiagram(null)}>
-          <div className="bg-zinc-900 border border-zinc-800 rounded-lg w-full max-w-5xl flex flex-col" style={{ maxHeight: 'calc(100vh - 2rem)' }} onClick={(event) => event.stopPropagation()}>
-            <div className="bg-zinc-900 border-b border-zinc-800 p-6 flex items-center justify-between flex-shrink-0">
-              <div>
-                <h3 data-testid="flow-diagram-title" className="text-lg font-bold text-zinc-50 font-mono">{selectedFlowForDiagram.flowId}</h3>
-                <p className="text-sm text-zinc-500 mt-1">Flow Diagram</p>
-              </div>
-              <button data-testid="flow-diagram-close" onClick={() => setSelectedFlowForDiagram(null)} className="p-2 hover:bg-zinc-800 rounded transition-colors"><X size={20} /></button>
-            </div>
-            <div className="p-6 overflow-y-auto flex-1 min-h-0">
-              <div className="bg-zinc-800/50 rounded-lg p-8 overflow-auto">
-                <MermaidDiagram diagram={selectedFlowForDiagram.diagram} id={`flow-${selectedFlowForDiagram.flowId}`} mermaidLoaded={mermaidLoaded} />
-              </div>
-            </div>
-          </div>
-        </div>
+        <FlowDiagramModal
+          flow={flows.find((flow) => flow.flowId === selectedFlowForDiagram.flowId) ?? selectedFlowForDiagram}
+          heatmapEnabled={flowHeatmapEnabled}
+          heatmapDiagram={flowHeatmapDiagram}
+          onToggleHeatmap={() => setFlowHeatmapEnabled(!flowHeatmapEnabled)}
+          onClose={() => setSelectedFlowForDiagram(null)}
+          onOpenInstances={(args) => {
+            setSelectedFlowForDiagram(null);
+            openInstancesView(args);
+          }}
+          onOpenErrors={(args) => {
+            setSelectedFlowForDiagram(null);
+            openErrorsView(args);
+          }}
+        />
       )}
 
       {showChangeStageModal && (
@@ -828,7 +1345,7 @@ const FlowLiteCockpit = () => {
             <div className="bg-zinc-900 border-b border-zinc-800 p-6 flex items-center justify-between">
               <div>
                 <h3 className="text-lg font-bold text-zinc-50">Change Stage</h3>
-                <p className="text-sm text-zinc-500 mt-1">{changeStageTargetInstances.length} instance(s) selected</p>
+                <p className="text-sm text-zinc-500 mt-1">{changeStageMatching?.count ?? changeStageTargetInstances.length} instance(s) selected</p>
               </div>
               <button data-testid="change-stage-close" onClick={closeChangeStageModal} className="p-2 hover:bg-zinc-800 rounded transition-colors"><X size={20} /></button>
             </div>
@@ -854,39 +1371,149 @@ const FlowLiteCockpit = () => {
         </div>
       )}
 
+      {showSendEventModal && (
+        <div data-testid="send-event-modal" className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={closeSendEventModal}>
+          <div className="bg-zinc-900 border border-zinc-800 rounded-lg w-full max-w-md" onClick={(event) => event.stopPropagation()}>
+            <div className="bg-zinc-900 border-b border-zinc-800 p-6 flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-bold text-zinc-50">Send Event</h3>
+                <p className="text-sm text-zinc-500 mt-1">{sendEventMatching?.count ?? sendEventTargetInstances.length} instance(s) selected</p>
+              </div>
+              <button data-testid="send-event-close" onClick={closeSendEventModal} className="p-2 hover:bg-zinc-800 rounded transition-colors"><X size={20} /></button>
+            </div>
+            <div className="p-6 space-y-4">
+              <div>
+                <label className="text-sm font-medium text-zinc-400 mb-2 block">Select Event</label>
+                <select data-testid="send-event-select" value={eventToSend} onChange={(event) => setEventToSend(event.target.value)} className="w-full bg-zinc-900 border border-zinc-800 rounded-lg px-4 py-3 text-sm focus:outline-none focus:border-blue-500">
+                  <option value="">Select an event...</option>
+                  {sendEventOptions.map((eventName) => (
+                    <option key={eventName} value={eventName}>{eventName}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="bg-amber-500/10 border border-amber-500/30 rounded-lg p-3">
+                <p className="text-xs text-amber-400">⚠️ The event is delivered as if an external system sent it. The instance(s) continue on the next tick if their current stage accepts it.</p>
+              </div>
+              <div className="flex gap-2 justify-end">
+                <button data-testid="send-event-cancel" onClick={closeSendEventModal} className="px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded transition-colors text-sm font-medium">Cancel</button>
+                <button data-testid="send-event-confirm" onClick={confirmSendEvent} disabled={!eventToSend} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-zinc-700 disabled:text-zinc-500 disabled:cursor-not-allowed rounded transition-colors text-sm font-medium flex items-center gap-2"><ChevronRight size={14} />Review Event</button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showRescheduleTimerModal && (
+        <div data-testid="reschedule-timer-modal" className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={closeRescheduleTimerModal}>
+          <div className="bg-zinc-900 border border-zinc-800 rounded-lg w-full max-w-md" onClick={(event) => event.stopPropagation()}>
+            <div className="bg-zinc-900 border-b border-zinc-800 p-6 flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-bold text-zinc-50">Reschedule Timer</h3>
+                <p className="text-sm text-zinc-500 mt-1">{rescheduleTimerTargetInstances.length} instance(s) selected</p>
+              </div>
+              <button data-testid="reschedule-timer-close" onClick={closeRescheduleTimerModal} className="p-2 hover:bg-zinc-800 rounded transition-colors"><X size={20} /></button>
+            </div>
+            <div className="p-6 space-y-4">
+              <div>
+                <label className="text-sm font-medium text-zinc-400 mb-2 block">Wake Up At (local time)</label>
+                <input
+                  data-testid="reschedule-timer-input"
+                  type="datetime-local"
+                  value={rescheduleTimerAt}
+                  onChange={(event) => setRescheduleTimerAt(event.target.value)}
+                  className="w-full bg-zinc-900 border border-zinc-800 rounded-lg px-4 py-3 text-sm focus:outline-none focus:border-blue-500"
+                />
+              </div>
+              <div className="bg-amber-500/10 border border-amber-500/30 rounded-lg p-3">
+                <p className="text-xs text-amber-400">⚠️ The new time replaces the wake-up computed by the flow's timer. A time in the past wakes the instance(s) up on the next poll.</p>
+              </div>
+              <div className="flex gap-2 justify-end">
+                <button data-testid="reschedule-timer-cancel" onClick={closeRescheduleTimerModal} className="px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded transition-colors text-sm font-medium">Cancel</button>
+                <button data-testid="reschedule-timer-confirm" onClick={confirmRescheduleTimer} disabled={!rescheduleTimerAt} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-zinc-700 disabled:text-zinc-500 disabled:cursor-not-allowed rounded transition-colors text-sm font-medium flex items-center gap-2"><CalendarClock size={14} />Review Reschedule</button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {actionConfirmation && (
         <div data-testid="action-confirmation-modal" className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={closeActionConfirmation}>
           <div className="bg-zinc-900 border border-zinc-800 rounded-lg w-full max-w-lg" onClick={(event) => event.stopPropagation()}>
             <div className="bg-zinc-900 border-b border-zinc-800 p-6 flex items-center justify-between">
               <div>
-                <h3 data-testid="action-confirmation-title" className="text-lg font-bold text-zinc-50">{actionConfirmationTitle}</h3>
-                <p className="text-sm text-zinc-500 mt-1">{actionConfirmation.instanceIds.length} instance(s) selected</p>
+                <h3 data-testid="action-confirmation-title" className="text-lg font-bold text-zinc-50">{actionSubmitted ? actionProgressTitle : actionConfirmationTitles[actionConfirmation.kind]}</h3>
+                <p className="text-sm text-zinc-500 mt-1">{actionConfirmation.matching?.count ?? actionConfirmation.instanceIds.length} instance(s) selected</p>
               </div>
               <button data-testid="action-confirmation-close" onClick={closeActionConfirmation} className="p-2 hover:bg-zinc-800 rounded transition-colors"><X size={20} /></button>
             </div>
-            <div className="p-6 space-y-4">
-              <div data-testid="action-confirmation-summary" className="bg-zinc-800/50 rounded-lg p-4 space-y-2">
-                <p className="text-sm text-zinc-300">{actionConfirmationSummary}</p>
-                {actionConfirmation.targetStage && (
-                  <p className="text-xs text-zinc-400">Target stage: <span className="font-mono text-zinc-200">{actionConfirmation.targetStage}</span></p>
-                )}
-                <div className="text-xs text-zinc-500">
-                  {actionConfirmationInstances.slice(0, 3).map((instance) => (
-                    <div key={instance.id} className="font-mono">{instance.id} ({instance.flowId})</div>
-                  ))}
-                  {actionConfirmationInstances.length > 3 && (
-                    <div>…and {actionConfirmationInstances.length - 3} more</div>
-                  )}
+            {actionSubmitted ? (
+              <div className="p-6 space-y-4">
+                {actionConfirmation.startError
+                  ? <p data-testid="action-confirmation-error" className="text-sm text-red-400">{actionConfirmation.startError}</p>
+                  : <BulkJobProgress job={actionJob} results={actionJobResults} onRetryFailed={retryFailedActions} />}
+                <div className="flex justify-end">
+                  <button data-testid="action-confirmation-done" onClick={closeActionConfirmation} className="px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded transition-colors text-sm font-medium">Close</button>
                 </div>
               </div>
-              <div className="flex gap-2 justify-end">
-                <button data-testid="action-confirmation-cancel" onClick={closeActionConfirmation} className="px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded transition-colors text-sm font-medium">Cancel</button>
-                <button data-testid="action-confirmation-confirm" onClick={() => void confirmAction()} className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 rounded transition-colors text-sm font-medium">Yes, continue</button>
+            ) : (
+              <div className="p-6 space-y-4">
+                <div data-testid="action-confirmation-summary" className="bg-zinc-800/50 rounded-lg p-4 space-y-2">
+                  <p className="text-sm text-zinc-300">{actionConfirmationSummary(actionConfirmation)}</p>
+                  {actionConfirmation.targetStage && (
+                    <p className="text-xs text-zinc-400">Target stage: <span className="font-mono text-zinc-200">{actionConfirmation.targetStage}</span></p>
+                  )}
+                  {actionConfirmation.event && (
+                    <p className="text-xs text-zinc-400">Event: <span className="font-mono text-zinc-200">{actionConfirmation.event}</span></p>
+                  )}
+                  {actionConfirmation.notBefore && (
+                    <p className="text-xs text-zinc-400">Wake up at: <span className="font-mono text-zinc-200">{formatDateTime(new Date(actionConfirmation.notBefore))}</span></p>
+                  )}
+                  {actionConfirmation.matching && (
+                    <p data-testid="action-confirmation-matching" className="text-xs text-zinc-400">
+                      Applies to every instance matching the current filters when the job starts, including rows not loaded in this page. Running, completed and cancelled instances are skipped.
+                    </p>
+                  )}
+                  <div className="text-xs text-zinc-500">
+                    {actionConfirmationInstances.slice(0, 3).map((instance) => (
+                      <div key={instance.id} className="font-mono">{instance.id} ({instance.flowId})</div>
+                    ))}
+                    {actionConfirmationInstances.length > 3 && (
+                      <div>…and {actionConfirmationInstances.length - 3} more</div>
+                    )}
+                  </div>
+                </div>
+                <div>
+                  <label htmlFor="action-confirmation-reason" className="text-sm font-medium text-zinc-400 mb-2 block">Reason (optional)</label>
+                  <textarea
+                    id="action-confirmation-reason"
+                    data-testid="action-confirmation-reason"
+                    value={actionConfirmation.reason ?? ''}
+                    onChange={(event) => setActionConfirmation({ ...actionConfirmation, reason: event.target.value })}
+                    maxLength={maxActionReasonLength}
+                    rows={2}
+                    placeholder="Recorded with your name in each instance's history and in the audit log"
+                    className="w-full bg-zinc-900 border border-zinc-800 rounded-lg px-4 py-3 text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+                <div className="flex gap-2 justify-end">
+                  <button data-testid="action-confirmation-cancel" onClick={closeActionConfirmation} className="px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded transition-colors text-sm font-medium">Cancel</button>
+                  <button
+                    data-testid="action-confirmation-confirm"
+                    onClick={() => void confirmAction()}
+                    disabled={submittingAction}
+                    className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 disabled:bg-zinc-700 disabled:text-zinc-500 disabled:cursor-not-allowed rounded transition-colors text-sm font-medium flex items-center gap-2"
+                  >
+                    {submittingAction && <RefreshCw size={14} className="animate-spin" />}
+                    {submittingAction ? 'Submitting…' : 'Yes, continue'}
+                  </button>
+                </div>
               </div>
-            </div>
+            )}
           </div>
         </div>
       )}
+
+      <BulkJobsPanel jobs={bulkJobs.filter((job) => job.jobId !== actionConfirmation?.jobId)} onDismiss={dismissBulkJob} />
     </div>
   );
 };
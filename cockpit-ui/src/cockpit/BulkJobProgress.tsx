@@ -0,0 +1,93 @@
+import { Download, RefreshCw } from 'lucide-react';
+import { bulkJobResultsCsvPath } from './bulkActions';
+import type { BulkItemOutcome, BulkItemResultDto, BulkJobDto } from './types';
+
+const outcomeClasses: Record<BulkItemOutcome, string> = {
+  Succeeded: 'text-emerald-400',
+  Skipped: 'text-amber-400',
+  Failed: 'text-red-400',
+};
+
+export const BulkJobProgress = ({
+  job,
+  results,
+  onRetryFailed,
+}: {
+  job: BulkJobDto | null;
+  results: BulkItemResultDto[] | null;
+  onRetryFailed: () => void;
+}) => {
+  if (!job) {
+    return <p data-testid="action-confirmation-starting" className="text-sm text-zinc-400">Starting…</p>;
+  }
+
+  const percent = job.totalCount > 0 ? Math.round((job.processedCount / job.totalCount) * 100) : job.status === 'Running' ? 0 : 100;
+  const failedResults = results?.filter((result) => result.outcome === 'Failed') ?? [];
+
+  return (
+    <div className="space-y-3">
+      <div
+        data-testid="action-confirmation-progress"
+        data-status={job.status}
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+        className="h-2 bg-zinc-800 rounded-full overflow-hidden"
+      >
+        <div
+          className={`h-full transition-all ${job.status === 'Failed' ? 'bg-red-500' : job.status === 'Running' ? 'bg-blue-500' : 'bg-emerald-500'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <p data-testid="action-confirmation-result-counts" className="text-xs text-zinc-400">
+        {job.status === 'Running' ? 'Processing' : 'Processed'} {job.processedCount} of {job.totalCount}
+        {' · '}<span className="text-emerald-400">{job.succeededCount} succeeded</span>
+        {' · '}<span className={job.skippedCount > 0 ? 'text-amber-400' : ''}>{job.skippedCount} skipped</span>
+        {' · '}<span className={job.failedCount > 0 ? 'text-red-400' : ''}>{job.failedCount} failed</span>
+      </p>
+      {job.errorMessage && <p className="text-xs text-red-400">{job.errorMessage}</p>}
+
+      {results && results.length > 0 && (
+        <div data-testid="action-confirmation-results" className="max-h-60 overflow-y-auto bg-zinc-800/50 rounded-lg divide-y divide-zinc-800">
+          {results.map((result) => (
+            <div
+              key={`${result.flowId}:${result.flowInstanceId}`}
+              data-testid={`action-result-${result.flowInstanceId}`}
+              data-outcome={result.outcome}
+              className="px-3 py-2 text-xs"
+            >
+              <div className="flex items-center justify-between gap-3">
+                <span className="font-mono text-zinc-300 truncate">{result.flowInstanceId} ({result.flowId})</span>
+                <span className={`shrink-0 font-medium ${outcomeClasses[result.outcome]}`}>{result.outcome}</span>
+              </div>
+              {result.message && <p className="mt-1 text-zinc-500 break-words">{result.message}</p>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {job.status !== 'Running' && (
+        <div className="flex gap-2">
+          {failedResults.length > 0 && (
+            <button
+              data-testid="action-confirmation-retry-failed"
+              onClick={onRetryFailed}
+              className="px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 rounded text-xs transition-colors flex items-center gap-1"
+            >
+              <RefreshCw size={12} /> Retry {failedResults.length} failed
+            </button>
+          )}
+          <a
+            data-testid="action-confirmation-download-csv"
+            href={bulkJobResultsCsvPath(job.jobId)}
+            download={`bulk-${job.jobId}.csv`}
+            className="px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 rounded text-xs transition-colors flex items-center gap-1"
+          >
+            <Download size={12} /> Download CSV
+          </a>
+        </div>
+      )}
+    </div>
+  );
+};
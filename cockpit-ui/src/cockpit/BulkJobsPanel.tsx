@@ -0,0 +1,63 @@
+import { AlertCircle, CheckCircle, Clock, X } from 'lucide-react';
+import type { BulkJobDto } from './types';
+import { formatDateTime } from './utils';
+
+const actionLabels: Record<BulkJobDto['action'], string> = {
+  Retry: 'Retry',
+  Cancel: 'Cancel',
+  ChangeStage: 'Change stage',
+  SendEvent: 'Send event',
+  WakeUpTimer: 'Wake now',
+  RescheduleTimer: 'Reschedule timer',
+};
+
+export const BulkJobsPanel = ({
+  jobs,
+  onDismiss,
+}: {
+  jobs: BulkJobDto[];
+  onDismiss: (jobId: string) => void;
+}) => {
+  if (jobs.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-40 w-96 space-y-2">
+      {jobs.map((job) => (
+        <div
+          key={job.jobId}
+          data-testid={`bulk-job-${job.jobId}`}
+          data-status={job.status}
+          className="bg-zinc-900 border border-zinc-700 rounded-lg shadow-lg p-4 text-sm"
+        >
+          <div className="flex items-start justify-between gap-3">
+            <div className="flex items-center gap-2 font-medium text-zinc-100">
+              {job.status === 'Running' && <Clock size={14} className="text-amber-400" />}
+              {job.status === 'Completed' && job.failedCount === 0 && <CheckCircle size={14} className="text-emerald-400" />}
+              {(job.status === 'Failed' || job.failedCount > 0) && <AlertCircle size={14} className="text-red-400" />}
+              <span>
+                {actionLabels[job.action]}
+                {job.targetStage && <span className="font-mono text-zinc-400"> → {job.targetStage}</span>}
+                {job.event && <span className="font-mono text-zinc-400"> {job.event}</span>}
+                {job.notBefore && <span className="font-mono text-zinc-400"> → {formatDateTime(new Date(job.notBefore))}</span>}
+              </span>
+            </div>
+            <button
+              data-testid={`bulk-job-dismiss-${job.jobId}`}
+              onClick={() => onDismiss(job.jobId)}
+              className="p-1 hover:bg-zinc-800 rounded transition-colors text-zinc-400"
+            >
+              <X size={14} />
+            </button>
+          </div>
+          <p data-testid={`bulk-job-counts-${job.jobId}`} className="mt-2 text-xs text-zinc-400">
+            {job.status === 'Running' ? 'Processing' : 'Processed'} {job.processedCount} of {job.totalCount}
+            {' · '}<span className="text-emerald-400">{job.succeededCount} succeeded</span>
+            {job.skippedCount > 0 && <>{' · '}<span className="text-amber-400">{job.skippedCount} skipped</span></>}
+            {' · '}<span className={job.failedCount > 0 ? 'text-red-400' : ''}>{job.failedCount} failed</span>
+          </p>
+          {job.errorMessage && <p className="mt-1 text-xs text-red-400">{job.errorMessage}</p>}
+        </div>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,35 @@
+import { Activity } from 'lucide-react';
+import type { EngineHealth } from './engineHealth';
+import { formatElapsedDuration } from './utils';
+
+const tickLagWarningSeconds = 30;
+const tickLagCriticalSeconds = 300;
+const saturationWarning = 0.8;
+
+type HealthLevel = 'ok' | 'warning' | 'critical';
+
+const levelClass = (level: HealthLevel) =>
+  level === 'critical' ? 'text-red-400' : level === 'warning' ? 'text-amber-400' : 'text-emerald-400';
+
+// Tick scheduler health from `/metrics`: how far behind due ticks are and how busy the tick workers are.
+export const EngineHealthStrip = ({ health }: { health: EngineHealth }) => {
+  const saturation = health.maxWorkers > 0 ? health.busyWorkers / health.maxWorkers : 0;
+  const lagLevel: HealthLevel = health.tickLagSeconds >= tickLagCriticalSeconds ? 'critical' : health.tickLagSeconds >= tickLagWarningSeconds ? 'warning' : 'ok';
+  const saturationLevel: HealthLevel = saturation >= 1 ? 'critical' : saturation >= saturationWarning ? 'warning' : 'ok';
+  const overallLevel: HealthLevel = [lagLevel, saturationLevel].includes('critical')
+    ? 'critical'
+    : [lagLevel, saturationLevel].includes('warning') ? 'warning' : 'ok';
+
+  return (
+    <div data-testid="engine-health" className="flex items-center gap-4 text-xs text-zinc-500">
+      <Activity size={12} className={levelClass(overallLevel)} />
+      <span data-testid="engine-health-tick-lag" data-level={lagLevel}>
+        tick lag: <span className={levelClass(lagLevel)}>{formatElapsedDuration(health.tickLagSeconds * 1000)}</span>
+        {health.tickBacklog > 0 && <span> ({health.tickBacklog} due)</span>}
+      </span>
+      <span data-testid="engine-health-workers" data-level={saturationLevel}>
+        workers: <span className={levelClass(saturationLevel)}>{health.busyWorkers}/{health.maxWorkers}</span> ({Math.round(saturation * 100)}%)
+      </span>
+    </div>
+  );
+};
@@ -0,0 +1,97 @@
+import { useEffect, useState } from 'react';
+import { Clock, Inbox } from 'lucide-react';
+import type { NextTickDto, PendingEventsDto } from './types';
+import { formatDateTime, formatElapsedDuration, shortClassName } from './utils';
+
+const WakeUpCountdown = ({ notBefore }: { notBefore: Date }) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const interval = window.setInterval(() => setNow(Date.now()), 1000);
+    return () => window.clearInterval(interval);
+  }, []);
+
+  const remainingMs = notBefore.getTime() - now;
+  return (
+    <span data-testid="instance-next-tick-countdown" className={remainingMs > 0 ? 'text-zinc-200' : 'text-amber-400'}>
+      {remainingMs > 0 ? `in ${formatElapsedDuration(remainingMs)}` : 'due now'}
+    </span>
+  );
+};
+
+// Shows what an instance is waiting on: unconsumed events in its mailbox and the next scheduled tick.
+export const InstanceMailboxPanel = ({
+  pendingEvents,
+  nextTick,
+}: {
+  pendingEvents: PendingEventsDto | null;
+  nextTick: NextTickDto | null;
+}) => {
+  if (!pendingEvents && !nextTick) return null;
+
+  const tick = nextTick?.nextTick ?? null;
+
+  return (
+    <div data-testid="instance-mailbox">
+      <h4 className="text-sm font-bold text-zinc-400 uppercase tracking-wide mb-3">Pending Events &amp; Wake-up</h4>
+      <div className="grid grid-cols-2 gap-4">
+        <div className="bg-zinc-800/50 rounded-lg p-4 space-y-3">
+          <div className="text-xs text-zinc-500 flex items-center gap-1"><Inbox size={12} /> Mailbox</div>
+          {pendingEvents && pendingEvents.events.length > 0 ? (
+            <ul data-testid="instance-pending-events" className="space-y-1">
+              {pendingEvents.events.map((event) => (
+                <li
+                  key={event.id}
+                  data-testid={`instance-pending-event-${event.id}`}
+                  data-accepted={event.acceptedByCurrentStage ? 'true' : 'false'}
+                  className="flex items-center justify-between gap-2 text-sm"
+                >
+                  <span className="font-mono text-zinc-300 truncate" title={event.type}>
+                    {shortClassName(event.type)}.{event.value}
+                  </span>
+                  {event.acceptedByCurrentStage
+                    ? <span className="shrink-0 text-xs text-emerald-400">accepted now</span>
+                    : <span className="shrink-0 text-xs text-zinc-500">not accepted in this stage</span>}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p data-testid="instance-pending-events-empty" className="text-sm text-zinc-500">No pending events</p>
+          )}
+          {pendingEvents && (
+            <div>
+              <div className="text-xs text-zinc-500 mb-1">Accepted by {pendingEvents.stage ?? 'current stage'}</div>
+              {pendingEvents.acceptedEvents.length > 0 ? (
+                <div data-testid="instance-accepted-events" className="flex flex-wrap gap-1">
+                  {pendingEvents.acceptedEvents.map((event) => (
+                    <span key={`${event.type}:${event.value}`} title={event.type} className="px-2 py-0.5 rounded bg-zinc-700 text-xs font-mono text-zinc-300">
+                      {event.value}
+                    </span>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-zinc-500">This stage does not wait for events</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-zinc-800/50 rounded-lg p-4 space-y-2">
+          <div className="text-xs text-zinc-500 flex items-center gap-1"><Clock size={12} /> Next wake-up</div>
+          {tick ? (
+            <div data-testid="instance-next-tick" className="space-y-1 text-sm">
+              <WakeUpCountdown notBefore={new Date(tick.notBefore)} />
+              <div className="text-xs text-zinc-500">{formatDateTime(new Date(tick.notBefore))}</div>
+              <div className="text-xs text-zinc-500">
+                {tick.retryAttempt != null ? `Automatic retry #${tick.retryAttempt}` : 'Timer'}
+                {tick.targetStage && <> of <span className="font-mono">{tick.targetStage}</span></>}
+              </div>
+            </div>
+          ) : (
+            <p data-testid="instance-next-tick-empty" className="text-sm text-zinc-500">No wake-up scheduled</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,105 @@
+import { useRef, useState } from 'react';
+import type { KeyboardEvent } from 'react';
+import { Search } from 'lucide-react';
+import { instanceSearchError, instanceSearchSuggestions } from './instanceSearch';
+import type { SearchSuggestion } from './instanceSearch';
+import type { FlowDto } from './types';
+
+export const InstanceSearchBox = ({
+  value,
+  flows,
+  onChange,
+}: {
+  value: string;
+  flows: FlowDto[];
+  onChange: (value: string) => void;
+}) => {
+  const inputRef = useRef<HTMLInputElement>(null);
+  const [cursor, setCursor] = useState<number | null>(null);
+  const [highlighted, setHighlighted] = useState(0);
+  const suggestions = cursor === null ? [] : instanceSearchSuggestions(value, cursor, flows);
+  const error = instanceSearchError(value);
+  const active = Math.min(highlighted, suggestions.length - 1);
+
+  const moveCursor = (input: HTMLInputElement) => {
+    setCursor(input.selectionStart ?? input.value.length);
+    setHighlighted(0);
+  };
+
+  const apply = (suggestion: SearchSuggestion) => {
+    onChange(suggestion.query);
+    setCursor(suggestion.cursor);
+    setHighlighted(0);
+    // The input re-renders with the new value first; the caret follows it on the next frame.
+    window.requestAnimationFrame(() => inputRef.current?.setSelectionRange(suggestion.cursor, suggestion.cursor));
+  };
+
+  const handleKeyDown = (event: KeyboardEvent<HTMLInputElement>) => {
+    if (suggestions.length === 0) return;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((active + step + suggestions.length) % suggestions.length);
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault();
+      apply(suggestions[active]);
+    } else if (event.key === 'Escape') {
+      setCursor(null);
+    }
+  };
+
+  return (
+    <div className="flex-1 relative">
+      <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-zinc-500" size={16} />
+      <input
+        ref={inputRef}
+        data-testid="instances-search"
+        type="text"
+        placeholder='Search by ID or business key, or e.g. flow:order status:Error -stage:Review updated<2h error~"timeout"'
+        value={value}
+        onChange={(event) => {
+          onChange(event.target.value);
+          moveCursor(event.target);
+        }}
+        onSelect={(event) => moveCursor(event.currentTarget)}
+        onFocus={(event) => moveCursor(event.currentTarget)}
+        onBlur={() => setCursor(null)}
+        onKeyDown={handleKeyDown}
+        aria-invalid={error !== null}
+        className={
+          'w-full bg-zinc-900 border rounded-lg pl-10 pr-4 py-2 text-sm focus:outline-none ' +
+          (error ? 'border-red-500/60 focus:border-red-500' : 'border-zinc-800 focus:border-emerald-500')
+        }
+      />
+      {error && (
+        <p data-testid="instance-search-error" className="absolute left-0 top-full mt-1 text-xs text-red-400">
+          {error}
+        </p>
+      )}
+      {suggestions.length > 0 && (
+        <ul
+          data-testid="instance-search-suggestions"
+          className="absolute left-0 right-0 top-full z-20 mt-1 max-h-64 overflow-auto rounded-lg border border-zinc-800 bg-zinc-900 py-1 shadow-lg"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li key={suggestion.label}>
+              <button
+                data-testid={`instance-search-suggestion-${index}`}
+                type="button"
+                // Keeps the focus in the input, so the blur does not close the list before the click lands.
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={() => apply(suggestion)}
+                className={
+                  'w-full px-3 py-1.5 text-left font-mono text-xs transition-colors ' +
+                  (index === active ? 'bg-emerald-500/10 text-emerald-400' : 'text-zinc-300 hover:bg-zinc-800')
+                }
+              >
+                {suggestion.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
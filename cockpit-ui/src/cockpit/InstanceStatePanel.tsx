@@ -0,0 +1,162 @@
+import { useState } from 'react';
+import { ChevronRight, Lock, Search } from 'lucide-react';
+import type { InstanceStateDto, JsonValue } from './types';
+
+// Objects and arrays deeper than this start collapsed; searching expands everything that matches.
+const initiallyExpandedDepth = 2;
+
+const childPath = (path: string, key: string, isArray: boolean) => {
+  if (isArray) return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+};
+
+const childEntries = (value: JsonValue): [string, JsonValue][] => {
+  if (Array.isArray(value)) return value.map((child, index) => [index.toString(), child]);
+  if (value !== null && typeof value === 'object') return Object.entries(value);
+  return [];
+};
+
+const isContainer = (value: JsonValue) => value !== null && typeof value === 'object';
+
+interface TreeContext {
+  query: string;
+  redactedPaths: Set<string>;
+  isExpanded: (path: string, depth: number) => boolean;
+  toggle: (path: string, depth: number) => void;
+}
+
+// Whether the key, a primitive value or anything below matches the lower-cased query.
+const subtreeMatches = (name: string, value: JsonValue, path: string, context: TreeContext): boolean => {
+  if (!context.query) return true;
+  if (name.toLowerCase().includes(context.query)) return true;
+  if (context.redactedPaths.has(path)) return false;
+  if (!isContainer(value)) return String(value).toLowerCase().includes(context.query);
+  return childEntries(value).some(([key, child]) => subtreeMatches(key, child, childPath(path, key, Array.isArray(value)), context));
+};
+
+const PrimitiveValue = ({ value }: { value: JsonValue }) => {
+  if (value === null) return <span className="text-zinc-500">null</span>;
+  if (typeof value === 'string') return <span className="text-emerald-300 break-all">"{value}"</span>;
+  if (typeof value === 'number') return <span className="text-sky-300">{value}</span>;
+  return <span className="text-violet-300">{String(value)}</span>;
+};
+
+const StateNode = ({
+  name,
+  value,
+  path,
+  depth,
+  isArrayItem,
+  context,
+}: {
+  name: string;
+  value: JsonValue;
+  path: string;
+  depth: number;
+  isArrayItem: boolean;
+  context: TreeContext;
+}) => {
+  const label = <span className={isArrayItem ? 'text-zinc-500' : 'text-zinc-300'}>{name}</span>;
+  const indent = { paddingLeft: `${depth * 16}px` };
+
+  if (context.redactedPaths.has(path)) {
+    return (
+      <div data-testid={`instance-state-redacted-${path}`} style={indent} className="flex items-center gap-2 py-0.5" title="Redacted on the server">
+        {label}
+        <span className="inline-flex items-center gap-1 rounded bg-zinc-700 px-1.5 text-zinc-400"><Lock size={10} /> redacted</span>
+      </div>
+    );
+  }
+
+  if (!isContainer(value)) {
+    return (
+      <div data-testid={`instance-state-value-${path}`} style={indent} className="flex items-start gap-2 py-0.5">
+        {label}
+        <PrimitiveValue value={value} />
+      </div>
+    );
+  }
+
+  const entries = childEntries(value);
+  const expanded = context.query !== '' || context.isExpanded(path, depth);
+  const summary = Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`;
+
+  return (
+    <div>
+      <button
+        data-testid={`instance-state-toggle-${path}`}
+        onClick={() => context.toggle(path, depth)}
+        style={indent}
+        className="flex items-center gap-1 py-0.5 text-left hover:text-zinc-100"
+      >
+        <ChevronRight size={12} className={'shrink-0 text-zinc-500 transition-transform ' + (expanded ? 'rotate-90' : '')} />
+        {label}
+        <span className="text-zinc-600">{summary}</span>
+      </button>
+      {expanded &&
+        entries
+          .map(([key, child]) => [key, child, childPath(path, key, Array.isArray(value))] as const)
+          .filter(([key, child, nextPath]) => subtreeMatches(key, child, nextPath, context))
+          .map(([key, child, nextPath]) => (
+            <StateNode key={key} name={key} value={child} path={nextPath} depth={depth + 1} isArrayItem={Array.isArray(value)} context={context} />
+          ))}
+    </div>
+  );
+};
+
+// The instance's domain state as rendered by the flow's state renderer, as a collapsible and searchable JSON tree.
+// Redacted fields arrive masked from the backend and are only marked here.
+export const InstanceStatePanel = ({ instanceState }: { instanceState: InstanceStateDto | null }) => {
+  const [open, setOpen] = useState(true);
+  const [search, setSearch] = useState('');
+  const [toggled, setToggled] = useState<Record<string, boolean>>({});
+
+  if (!instanceState) return null;
+
+  const context: TreeContext = {
+    query: search.trim().toLowerCase(),
+    redactedPaths: new Set(instanceState.redactedPaths),
+    isExpanded: (path, depth) => toggled[path] ?? depth < initiallyExpandedDepth,
+    toggle: (path, depth) => setToggled((current) => ({ ...current, [path]: !(current[path] ?? depth < initiallyExpandedDepth) })),
+  };
+  const entries = Object.entries(instanceState.state).filter(([key, value]) => subtreeMatches(key, value, key, context));
+
+  return (
+    <div data-testid="instance-state">
+      <div className="flex items-center justify-between gap-4 mb-3">
+        <button data-testid="instance-state-toggle" onClick={() => setOpen(!open)} className="flex items-center gap-2 text-sm font-bold text-zinc-400 uppercase tracking-wide hover:text-zinc-300 transition-colors">
+          <ChevronRight size={16} className={'transition-transform ' + (open ? 'rotate-90' : '')} /> Domain State
+        </button>
+        {open && instanceState.redactedPaths.length > 0 && (
+          <span data-testid="instance-state-redacted-count" className="flex items-center gap-1 text-xs text-zinc-500">
+            <Lock size={12} /> {instanceState.redactedPaths.length} redacted {instanceState.redactedPaths.length === 1 ? 'field' : 'fields'}
+          </span>
+        )}
+      </div>
+      {open && (
+        <div className="bg-zinc-800/50 rounded-lg p-4 space-y-3">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-zinc-500" size={14} />
+            <input
+              data-testid="instance-state-search"
+              type="text"
+              value={search}
+              onChange={(event) => setSearch(event.target.value)}
+              placeholder="Search keys and values..."
+              className="w-full bg-zinc-900 border border-zinc-800 rounded-lg pl-9 pr-3 py-1.5 text-xs focus:outline-none focus:border-emerald-500"
+            />
+          </div>
+          <div data-testid="instance-state-tree" className="max-h-96 overflow-auto font-mono text-xs">
+            {entries.length === 0 ? (
+              <p data-testid="instance-state-empty" className="text-zinc-500">{context.query ? 'No matching fields' : 'No state fields'}</p>
+            ) : (
+              entries.map(([key, value]) => (
+                <StateNode key={key} name={key} value={value} path={key} depth={0} isArrayItem={false} context={context} />
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,119 @@
+import { useEffect, useMemo, useState } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { statusLabel } from './badges';
+import { buildInstanceTimeline, type TimelineSegment } from './timeline';
+import type { CockpitStatus, HistoryEntryDto } from './types';
+import { formatDateTime, formatElapsedDuration, historyDetailsLabel } from './utils';
+
+const segmentColors: Record<CockpitStatus, string> = {
+  Running: 'bg-blue-500',
+  WaitingForTimer: 'bg-violet-500',
+  WaitingForEvent: 'bg-zinc-500',
+  PendingEngine: 'bg-amber-500',
+  Error: 'bg-red-500',
+  WaitingForRetry: 'bg-orange-500',
+  Completed: 'bg-emerald-500',
+  Cancelled: 'bg-zinc-600',
+};
+
+const legendStatuses: CockpitStatus[] = ['Running', 'WaitingForEvent', 'WaitingForTimer', 'PendingEngine', 'WaitingForRetry', 'Error'];
+
+const SegmentTooltip = ({ segment }: { segment: TimelineSegment }) => (
+  <div data-testid="instance-timeline-tooltip" className="mt-2 bg-zinc-950 border border-zinc-700 rounded-lg p-3 text-xs space-y-2">
+    <div className="flex items-center justify-between gap-4">
+      <span className="font-mono text-zinc-200">{segment.stage} · {statusLabel(segment.status)}{segment.isRetry ? ' · retry' : ''}</span>
+      <span className="text-zinc-400">
+        {formatElapsedDuration(segment.endMs - segment.startMs)}
+        {segment.isOngoing ? ' so far' : ''}
+      </span>
+    </div>
+    <ul className="space-y-1">
+      {segment.entries.map((entry, index) => (
+        <li key={index} className="flex gap-3 text-zinc-500">
+          <span className="whitespace-nowrap">{formatDateTime(new Date(entry.occurredAt))}</span>
+          <span className="font-mono text-zinc-300">{entry.type}</span>
+          <span className="break-words">{historyDetailsLabel(entry)}</span>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+// Gantt-style view of an instance's history: one lane per visited stage, with the time spent in each status.
+export const InstanceTimeline = ({
+  history,
+  pendingStatusByStage,
+}: {
+  history: HistoryEntryDto[];
+  pendingStatusByStage: Record<string, CockpitStatus>;
+}) => {
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const timeline = useMemo(() => buildInstanceTimeline(history, pendingStatusByStage, nowMs), [history, pendingStatusByStage, nowMs]);
+  const [hovered, setHovered] = useState<TimelineSegment | null>(null);
+  const isOngoing = timeline?.finishedAt === null;
+
+  // The open segment ends at "now", so keep it growing while the instance has not finished.
+  useEffect(() => {
+    if (!isOngoing) return;
+    const interval = window.setInterval(() => setNowMs(Date.now()), 1000);
+    return () => window.clearInterval(interval);
+  }, [isOngoing]);
+
+  if (!timeline || timeline.lanes.length === 0) return null;
+
+  const spanMs = Math.max(1, timeline.endMs - timeline.startMs);
+  const percentOf = (ms: number) => ((ms - timeline.startMs) / spanMs) * 100;
+
+  return (
+    <div data-testid="instance-timeline" className="bg-zinc-800/30 border border-zinc-800 rounded-lg p-4">
+      <div className="space-y-2">
+        {timeline.lanes.map((lane, laneIndex) => (
+          <div key={lane.stage} data-testid={`instance-timeline-lane-${laneIndex}`} className="flex items-center gap-3">
+            <div className="w-48 flex-shrink-0 flex items-center justify-between gap-2 text-xs">
+              <span className="font-mono text-zinc-300 truncate" title={lane.stage}>{lane.stage}</span>
+              <span data-testid={`instance-timeline-lane-duration-${laneIndex}`} className="text-zinc-500 whitespace-nowrap">{formatElapsedDuration(lane.totalMs)}</span>
+            </div>
+            <div className="relative flex-1 h-5 bg-zinc-900/60 rounded">
+              {lane.segments.map((segment, segmentIndex) => (
+                <div
+                  key={segmentIndex}
+                  data-testid={`instance-timeline-segment-${laneIndex}-${segmentIndex}`}
+                  data-status={segment.status}
+                  data-retry={segment.isRetry ? 'true' : 'false'}
+                  tabIndex={0}
+                  onMouseEnter={() => setHovered(segment)}
+                  onMouseLeave={() => setHovered(null)}
+                  onFocus={() => setHovered(segment)}
+                  onBlur={() => setHovered(null)}
+                  className={`absolute top-0 h-full rounded-sm ${segmentColors[segment.status]} ${segment.isOngoing ? 'opacity-70' : ''} ${hovered === segment ? 'ring-2 ring-zinc-100' : ''} focus:outline-none`}
+                  style={{ left: `${percentOf(segment.startMs)}%`, width: `max(3px, ${percentOf(segment.endMs) - percentOf(segment.startMs)}%)` }}
+                >
+                  {segment.isRetry && (
+                    <RefreshCw size={10} className="absolute -left-1 -top-1.5 text-orange-200 bg-zinc-900 rounded-full" />
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-between mt-2 ml-[12.75rem] text-xs text-zinc-500">
+        <span>{formatDateTime(new Date(timeline.startMs))}</span>
+        <span data-testid="instance-timeline-end">
+          {timeline.finishedAt ? `${timeline.finishedAt.status} · ` : 'now · '}
+          {formatDateTime(new Date(timeline.endMs))}
+        </span>
+      </div>
+
+      {hovered && <SegmentTooltip segment={hovered} />}
+
+      <div className="mt-3 flex flex-wrap gap-4 text-xs text-zinc-400">
+        {legendStatuses.map((status) => (
+          <span key={status} className="flex items-center gap-1"><span className={`w-3 h-3 rounded-sm ${segmentColors[status]}`} /> {statusLabel(status)}</span>
+        ))}
+        <span className="flex items-center gap-1"><RefreshCw size={12} className="text-orange-200" /> Retry</span>
+      </div>
+    </div>
+  );
+};
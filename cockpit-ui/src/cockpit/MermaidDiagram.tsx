@@ -1,49 +1,61 @@
-import { useEffect, useRef, useState } from 'react';
+import { type MouseEvent, useEffect, useRef, useState } from 'react';
+import { type DiagramRenderer, renderDiagram } from './mermaid';
 
-interface MermaidWindow extends Window {
-  mermaid?: {
-    initialize: (config: Record<string, unknown>) => void;
-    render: (id: string, diagram: string) => Promise<{ svg: string }>;
-  };
-}
+type RenderState = 'loading' | DiagramRenderer | 'error';
 
 export const MermaidDiagram = ({
   diagram,
   id,
-  mermaidLoaded,
+  onNodeClick,
 }: {
   diagram: string;
   id: string;
-  mermaidLoaded: boolean;
+  // Receives the Mermaid state id (the stage name) of a clicked node.
+  onNodeClick?: (nodeId: string) => void;
 }) => {
   const containerRef = useRef<HTMLDivElement | null>(null);
-  const [error, setError] = useState(false);
+  const [renderState, setRenderState] = useState<RenderState>('loading');
 
   useEffect(() => {
-    if (!mermaidLoaded || !containerRef.current || !diagram) return;
-
-    const renderDiagram = async () => {
-      const maybeMermaid = (window as MermaidWindow).mermaid;
-      if (!maybeMermaid) return;
-
-      try {
-        containerRef.current!.innerHTML = '';
-        const diagramId = `mermaid-${id}-${Date.now()}`;
-        const { svg } = await maybeMermaid.render(diagramId, diagram);
-        containerRef.current!.innerHTML = svg;
-        setError(false);
-      } catch (err) {
-        console.error('Mermaid rendering error:', err);
-        setError(true);
-        containerRef.current!.innerHTML = `<pre class="text-xs text-zinc-400 whitespace-pre-wrap">${diagram}</pre>`;
-      }
+    if (!diagram) return;
+
+    let cancelled = false;
+    setRenderState('loading');
+    renderDiagram(id, diagram)
+      .then(({ svg, renderer }) => {
+        if (cancelled || !containerRef.current) return;
+        containerRef.current.innerHTML = svg;
+        setRenderState(renderer);
+      })
+      .catch((err) => {
+        console.error('Diagram rendering error:', err);
+        if (!cancelled) setRenderState('error');
+      });
+
+    return () => {
+      cancelled = true;
     };
+  }, [diagram, id]);
+
+  const handleClick = (event: MouseEvent<HTMLDivElement>) => {
+    if (!onNodeClick) return;
+    const node = (event.target as Element).closest('g.node');
+    // Both renderers give state nodes ids like `mermaid-…-state-InformingCustomer-3`.
+    const match = node?.id.match(/(?:^|-)state-(.+?)-\d+$/);
+    if (match) onNodeClick(match[1]);
+  };
 
-    void renderDiagram();
-  }, [diagram, id, mermaidLoaded]);
-
-  if (!mermaidLoaded) return <div className="text-xs text-zinc-400 text-center py-4">Loading diagram renderer...</div>;
-  if (error) return <pre className="text-xs text-zinc-400 whitespace-pre-wrap">{diagram}</pre>;
-
-  return <div ref={containerRef} className="mermaid-diagram" />;
-};
\ No newline at end of file
+  if (renderState === 'error') return <pre className="text-xs text-zinc-400 whitespace-pre-wrap">{diagram}</pre>;
+
+  return (
+    <>
+      {renderState === 'loading' && <div className="text-xs text-zinc-400 text-center py-4">Loading diagram renderer...</div>}
+      <div
+        ref={containerRef}
+        data-renderer={renderState}
+        className={`mermaid-diagram${onNodeClick ? ' cursor-pointer' : ''}`}
+        onClick={handleClick}
+      />
+    </>
+  );
+};
@@ -0,0 +1,167 @@
+import { useState } from 'react';
+import { X } from 'lucide-react';
+import type { SavedViewCounts } from './savedViews';
+import type { SavedView, SavedViewScope } from './types';
+
+const scopeTitles: Record<SavedViewScope, string> = {
+  team: 'Team',
+  device: 'This device',
+};
+
+export const SavedViewsSidebar = ({
+  views,
+  teamAvailable,
+  counts,
+  showCounts,
+  currentSearch,
+  currentUser,
+  onToggleCounts,
+  onApply,
+  onSave,
+  onDelete,
+}: {
+  views: SavedView[];
+  teamAvailable: boolean;
+  counts: SavedViewCounts;
+  showCounts: boolean;
+  currentSearch: string;
+  currentUser: string | null;
+  onToggleCounts: () => void;
+  onApply: (view: SavedView) => void;
+  onSave: (name: string, scope: SavedViewScope) => Promise<void>;
+  onDelete: (view: SavedView) => Promise<void>;
+}) => {
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState<SavedViewScope>('team');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const scopes: SavedViewScope[] = teamAvailable ? ['team', 'device'] : ['device'];
+  const saveScope = teamAvailable ? scope : 'device';
+
+  const save = async () => {
+    if (!name.trim()) return;
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(name.trim(), saveScope);
+      setName('');
+    } catch (saveError) {
+      setError(String(saveError));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (view: SavedView) => {
+    setError(null);
+    try {
+      await onDelete(view);
+    } catch (deleteError) {
+      setError(String(deleteError));
+    }
+  };
+
+  // Team views can be removed by whoever saved them; views saved without a signed-in user by anyone.
+  const canDelete = (view: SavedView) => view.scope === 'device' || view.createdBy === null || view.createdBy === currentUser;
+
+  return (
+    <aside data-testid="saved-views" className="w-64 shrink-0 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-bold text-zinc-400 uppercase tracking-wide">Saved Views</h2>
+        <label className="flex items-center gap-1 text-xs text-zinc-500 cursor-pointer">
+          <input data-testid="saved-views-show-counts" type="checkbox" checked={showCounts} onChange={onToggleCounts} className="accent-emerald-500" />
+          Counts
+        </label>
+      </div>
+
+      <form
+        className="space-y-2"
+        onSubmit={(event) => {
+          event.preventDefault();
+          void save();
+        }}
+      >
+        <input
+          data-testid="saved-view-name"
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          maxLength={128}
+          placeholder="Name of the current view"
+          className="w-full bg-zinc-900 border border-zinc-800 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-emerald-500"
+        />
+        <div className="flex gap-2">
+          {teamAvailable && (
+            <select
+              data-testid="saved-view-scope"
+              value={saveScope}
+              onChange={(event) => setScope(event.target.value as SavedViewScope)}
+              className="flex-1 bg-zinc-900 border border-zinc-800 rounded-lg px-2 py-2 text-xs focus:outline-none focus:border-emerald-500"
+            >
+              {scopes.map((option) => (
+                <option key={option} value={option}>{scopeTitles[option]}</option>
+              ))}
+            </select>
+          )}
+          <button
+            data-testid="saved-view-save"
+            type="submit"
+            disabled={saving || !name.trim()}
+            className="flex-1 px-3 py-2 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 disabled:hover:bg-emerald-600 rounded-lg text-xs font-medium transition-colors"
+          >
+            {saving ? 'Saving…' : 'Save view'}
+          </button>
+        </div>
+        {error && <p data-testid="saved-views-error" className="text-xs text-red-400 break-words">{error}</p>}
+      </form>
+
+      {scopes.map((listScope) => {
+        const scopedViews = views.filter((view) => view.scope === listScope);
+        return (
+          <div key={listScope} data-testid={`saved-views-${listScope}`}>
+            <h3 className="text-xs font-medium text-zinc-500 mb-2">{scopeTitles[listScope]}</h3>
+            {scopedViews.length === 0 ? (
+              <p className="text-xs text-zinc-600">No saved views yet.</p>
+            ) : (
+              <ul className="space-y-1">
+                {scopedViews.map((view, index) => {
+                  const count = counts[`${view.scope}:${view.id}`];
+                  const isCurrent = view.search === currentSearch;
+                  return (
+                    <li key={view.id} className="group flex items-center gap-1">
+                      <button
+                        data-testid={`saved-view-${listScope}-${index}`}
+                        onClick={() => onApply(view)}
+                        title={view.createdBy ? `${view.name} (saved by ${view.createdBy})` : view.name}
+                        className={
+                          'flex-1 min-w-0 flex items-center justify-between gap-2 px-2 py-1.5 rounded text-left text-sm transition-colors ' +
+                          (isCurrent ? 'bg-emerald-500/10 text-emerald-400' : 'text-zinc-300 hover:bg-zinc-800')
+                        }
+                      >
+                        <span className="truncate">{view.name}</span>
+                        {showCounts && count !== undefined && (
+                          <span data-testid={`saved-view-count-${listScope}-${index}`} className="shrink-0 rounded-full bg-zinc-800 px-2 text-xs text-zinc-400">
+                            {count}
+                          </span>
+                        )}
+                      </button>
+                      {canDelete(view) && (
+                        <button
+                          data-testid={`saved-view-delete-${listScope}-${index}`}
+                          onClick={() => void remove(view)}
+                          title={`Delete ${view.name}`}
+                          className="p-1 rounded text-zinc-600 opacity-0 group-hover:opacity-100 focus:opacity-100 hover:text-zinc-300 hover:bg-zinc-800 transition-opacity"
+                        >
+                          <X size={12} />
+                        </button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+    </aside>
+  );
+};
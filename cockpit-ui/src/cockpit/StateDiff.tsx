@@ -0,0 +1,104 @@
+import { useState } from 'react';
+
+interface DiffRow {
+  path: string;
+  before: string | undefined;
+  after: string | undefined;
+}
+
+const parseSnapshot = (snapshot: string): unknown => {
+  try {
+    return JSON.parse(snapshot);
+  } catch {
+    return undefined;
+  }
+};
+
+// Leaf values of a JSON document by path (`customer.name`, `items[0].sku`); empty objects and arrays count as leaves.
+const flatten = (value: unknown, path: string, leaves: Map<string, string>) => {
+  if (Array.isArray(value) && value.length > 0) {
+    value.forEach((child, index) => flatten(child, `${path}[${index}]`, leaves));
+  } else if (value !== null && typeof value === 'object' && Object.keys(value).length > 0) {
+    Object.entries(value).forEach(([key, child]) => flatten(child, path ? `${path}.${key}` : key, leaves));
+  } else {
+    leaves.set(path || '(root)', JSON.stringify(value));
+  }
+  return leaves;
+};
+
+const diffRows = (before: unknown, after: unknown): DiffRow[] => {
+  const beforeLeaves = flatten(before, '', new Map());
+  const afterLeaves = flatten(after, '', new Map());
+  const paths = [...new Set([...beforeLeaves.keys(), ...afterLeaves.keys()])];
+  return paths.map((path) => ({ path, before: beforeLeaves.get(path), after: afterLeaves.get(path) }));
+};
+
+const cellClassName = (value: string | undefined, changed: boolean, side: 'before' | 'after') => {
+  if (value === undefined) return 'text-zinc-600 italic';
+  if (!changed) return 'text-zinc-400';
+  return side === 'before' ? 'bg-red-500/10 text-red-300' : 'bg-emerald-500/10 text-emerald-300';
+};
+
+// Side-by-side difference between the JSON snapshots of an instance's state before and after a stage action.
+// Only changed fields are listed until the unchanged ones are asked for; unparsable snapshots are shown as text.
+export const StateDiff = ({ before, after, testId }: { before: string; after: string; testId: string }) => {
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const parsedBefore = parseSnapshot(before);
+  const parsedAfter = parseSnapshot(after);
+
+  if (parsedBefore === undefined || parsedAfter === undefined) {
+    return (
+      <div data-testid={testId} className="grid grid-cols-2 gap-2">
+        <pre className="bg-zinc-900/50 rounded p-2 text-xs text-zinc-400 overflow-x-auto font-mono whitespace-pre-wrap break-all">{before}</pre>
+        <pre className="bg-zinc-900/50 rounded p-2 text-xs text-zinc-400 overflow-x-auto font-mono whitespace-pre-wrap break-all">{after}</pre>
+      </div>
+    );
+  }
+
+  const rows = diffRows(parsedBefore, parsedAfter);
+  const changedCount = rows.filter((row) => row.before !== row.after).length;
+  const visibleRows = showUnchanged ? rows : rows.filter((row) => row.before !== row.after);
+
+  return (
+    <div data-testid={testId} className="space-y-2">
+      <div className="overflow-x-auto rounded border border-zinc-800">
+        <table className="w-full font-mono text-xs">
+          <thead className="bg-zinc-800/50 text-left text-zinc-400">
+            <tr>
+              <th className="px-2 py-1 font-medium">Field</th>
+              <th className="px-2 py-1 font-medium">Before</th>
+              <th className="px-2 py-1 font-medium">After</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-zinc-800">
+            {visibleRows.length === 0 ? (
+              <tr>
+                <td colSpan={3} className="px-2 py-1 text-zinc-500">No fields changed</td>
+              </tr>
+            ) : (
+              visibleRows.map((row) => {
+                const changed = row.before !== row.after;
+                return (
+                  <tr key={row.path} data-testid={`${testId}-row-${row.path}`} data-changed={changed}>
+                    <td className="px-2 py-1 text-zinc-300 break-all">{row.path}</td>
+                    <td className={'px-2 py-1 break-all ' + cellClassName(row.before, changed, 'before')}>{row.before ?? 'absent'}</td>
+                    <td className={'px-2 py-1 break-all ' + cellClassName(row.after, changed, 'after')}>{row.after ?? 'absent'}</td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+      {rows.length > changedCount && (
+        <button
+          data-testid={`${testId}-unchanged-toggle`}
+          onClick={() => setShowUnchanged(!showUnchanged)}
+          className="text-xs text-zinc-500 hover:text-zinc-300 transition-colors"
+        >
+          {showUnchanged ? 'Hide unchanged fields' : `Show ${rows.length - changedCount} unchanged ${rows.length - changedCount === 1 ? 'field' : 'fields'}`}
+        </button>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,33 @@
+import type { PageDto } from './types';
+
+// Fetches a Cockpit API path, asking for JSON unless `init` sets its own Accept header; other headers in `init` are
+// kept. Throws with the status and the response text when the request fails.
+export async function apiFetch(path: string, init?: RequestInit): Promise<Response> {
+  const headers = new Headers(init?.headers);
+  if (!headers.has('Accept')) headers.set('Accept', 'application/json');
+  const response = await fetch(path, { ...init, headers });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`${response.status} ${response.statusText}: ${text}`);
+  }
+  return response;
+}
+
+export async function apiJson<T>(path: string, init?: RequestInit): Promise<T> {
+  const response = await apiFetch(path, init);
+  return (await response.json()) as T;
+}
+
+export const apiGet = <T,>(path: string) => apiJson<T>(path);
+
+// Paged endpoints report the total and the next cursor in headers; unpaged responses fall back to the body size.
+export async function apiGetPage<T>(path: string): Promise<PageDto<T>> {
+  const response = await apiFetch(path);
+  const items = (await response.json()) as T[];
+  const totalCount = Number.parseInt(response.headers.get('X-Total-Count') ?? '', 10);
+  return {
+    items,
+    totalCount: Number.isFinite(totalCount) ? totalCount : items.length,
+    nextCursor: response.headers.get('X-Next-Cursor'),
+  };
+}
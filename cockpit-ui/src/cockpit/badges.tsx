@@ -1,5 +1,7 @@
-import { AlertCircle, CheckCircle, Clock, Play, X } from 'lucide-react';
-import type { CockpitStatus } from './types';
+import { AlertCircle, CheckCircle, Clock, Pause, Play, Radio, RefreshCw, WifiOff, X } from 'lucide-react';
+import type { LiveConnectionState } from './liveUpdates';
+import type { CockpitStatus, UiInstance } from './types';
+import { formatDateTime } from './utils';
 
 const statusConfig: Record<CockpitStatus, { bg: string; text: string; label: string }> = {
   Running: { bg: 'bg-blue-500/20', text: 'text-blue-400', label: 'Running' },
@@ -8,9 +10,12 @@ const statusConfig: Record<CockpitStatus, { bg: string; text: string; label: str
   PendingEngine: { bg: 'bg-amber-500/20', text: 'text-amber-400', label: 'Pending engine' },
   Completed: { bg: 'bg-emerald-500/20', text: 'text-emerald-400', label: 'Completed' },
   Error: { bg: 'bg-red-500/20', text: 'text-red-400', label: 'Error' },
+  WaitingForRetry: { bg: 'bg-orange-500/20', text: 'text-orange-300', label: 'Waiting for retry' },
   Cancelled: { bg: 'bg-zinc-500/20', text: 'text-zinc-400', label: 'Cancelled' },
 };
 
+export const statusLabel = (status: CockpitStatus) => statusConfig[status].label;
+
 export const StatusBadge = ({ status }: { status: CockpitStatus }) => {
   const style = statusConfig[status];
 
@@ -21,7 +26,55 @@ export const StatusBadge = ({ status }: { status: CockpitStatus }) => {
       {status === 'Cancelled' && <X size={12} />}
       {status === 'PendingEngine' && <Clock size={12} />}
       {status === 'Running' && <Play size={12} />}
+      {status === 'WaitingForRetry' && <RefreshCw size={12} />}
+      {style.label}
+    </span>
+  );
+};
+
+// Explains how a failed instance will be handled: automatic retry (attempt and next retry time), operator retry, or fatal.
+export const RetryBadge = ({ instance }: { instance: UiInstance }) => {
+  if (!instance.failureDisposition) return null;
+
+  const attempts = instance.retryAttempt ? `${instance.retryAttempt}/${instance.maxRetryAttempts ?? '?'}` : null;
+  const label = instance.failureDisposition === 'AutoRetry'
+    ? `Auto retry ${attempts ?? ''}${instance.nextRetryAt ? ` · next at ${formatDateTime(instance.nextRetryAt)}` : ''}`
+    : instance.failureDisposition === 'Fatal'
+      ? 'Fatal'
+      : `User retriable${attempts ? ` · retries exhausted (${attempts})` : ''}`;
+  const style = instance.failureDisposition === 'AutoRetry'
+    ? 'bg-orange-500/20 text-orange-300'
+    : instance.failureDisposition === 'Fatal'
+      ? 'bg-red-900/40 text-red-300'
+      : 'bg-zinc-700 text-zinc-300';
+
+  return (
+    <span
+      data-testid={`retry-badge-${instance.id}`}
+      data-disposition={instance.failureDisposition}
+      className={`px-2 py-0.5 rounded text-xs font-mono ${style}`}
+    >
+      {label}
+    </span>
+  );
+};
+
+const liveConnectionConfig: Record<LiveConnectionState, { bg: string; text: string; label: string }> = {
+  live: { bg: 'bg-emerald-500/20', text: 'text-emerald-400', label: 'Live' },
+  reconnecting: { bg: 'bg-amber-500/20', text: 'text-amber-400', label: 'Reconnecting' },
+  offline: { bg: 'bg-red-500/20', text: 'text-red-400', label: 'Offline' },
+};
+
+export const LiveConnectionBadge = ({ enabled, state }: { enabled: boolean; state: LiveConnectionState }) => {
+  const style = enabled ? liveConnectionConfig[state] : { bg: 'bg-zinc-800', text: 'text-zinc-400', label: 'Paused' };
+
+  return (
+    <span data-testid="flows-live-status" className={`px-2 py-1 rounded text-xs font-mono ${style.bg} ${style.text} flex items-center gap-1`}>
+      {!enabled && <Pause size={12} />}
+      {enabled && state === 'live' && <Radio size={12} />}
+      {enabled && state === 'reconnecting' && <Clock size={12} />}
+      {enabled && state === 'offline' && <WifiOff size={12} />}
       {style.label}
     </span>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,137 @@
+import { useEffect, useRef, useState } from 'react';
+import { apiFetch, apiJson } from './api';
+import type { BulkItemResultDto, BulkJobDto, ConfirmationActionKind, ConfirmationActionState, UiInstance } from './types';
+
+const bulkPath = '/api/instances/bulk';
+const pollIntervalMs = 500;
+const maxVisibleJobs = 3;
+
+// Instances are sent with the status the operator saw, if known; the job skips those whose status has changed since.
+export type BulkActionTarget =
+  | { instances: (Pick<UiInstance, 'flowId' | 'id'> & Partial<Pick<UiInstance, 'cockpitStatus'>>)[] }
+  | { params: string };
+
+// Action parameters that are sent along with the targets; only the ones the action needs are set.
+export type BulkActionOptions = Pick<ConfirmationActionState, 'targetStage' | 'event' | 'notBefore' | 'reason'>;
+
+export const bulkJobResultsCsvPath = (jobId: string) => `${bulkPath}/jobs/${encodeURIComponent(jobId)}/results.csv`;
+
+// Runs an action on one instance through its own endpoint, which the backend serves also without a bulk job runner.
+export const runInstanceAction = async (
+  kind: ConfirmationActionKind,
+  instance: Pick<UiInstance, 'flowId' | 'id' | 'stage' | 'cockpitStatus'>,
+  { targetStage, event, notBefore, reason }: BulkActionOptions = {},
+) => {
+  const params = new URLSearchParams();
+  let action: string;
+  switch (kind) {
+    case 'retry':
+      // Like the bulk job, a retry of an instance that has not failed re-runs its current stage.
+      if (instance.cockpitStatus === 'Error' || instance.cockpitStatus === 'WaitingForRetry') {
+        action = 'retry';
+      } else {
+        action = 'rerun-stage';
+        params.set('stage', instance.stage);
+      }
+      break;
+    case 'change-stage':
+      action = 'change-stage';
+      params.set('stage', targetStage ?? '');
+      break;
+    case 'send-event':
+      action = 'events';
+      params.set('event', event ?? '');
+      break;
+    case 'wake-up-timer':
+      action = 'timer/wake-up';
+      break;
+    case 'reschedule-timer':
+      action = 'timer/reschedule';
+      params.set('notBefore', notBefore ?? '');
+      break;
+    default:
+      action = kind;
+  }
+  if (reason?.trim()) params.set('reason', reason.trim());
+
+  const basePath = `/api/instances/${encodeURIComponent(instance.flowId)}/${encodeURIComponent(instance.id)}`;
+  const query = params.toString();
+  await apiFetch(`${basePath}/${action}${query ? `?${query}` : ''}`, { method: 'POST' });
+};
+
+// Starts server-side bulk jobs and polls them until they finish; `onJobFinished` runs once per finished job.
+export const useBulkJobs = (onJobFinished: () => void) => {
+  const [jobs, setJobs] = useState<BulkJobDto[]>([]);
+  const onJobFinishedRef = useRef(onJobFinished);
+  const hasRunningJobs = jobs.some((job) => job.status === 'Running');
+
+  useEffect(() => {
+    onJobFinishedRef.current = onJobFinished;
+  }, [onJobFinished]);
+
+  useEffect(() => {
+    if (!hasRunningJobs) return;
+
+    const timeout = window.setTimeout(() => {
+      const running = jobs.filter((job) => job.status === 'Running');
+      void Promise.all(running.map((job) => apiJson<BulkJobDto>(`${bulkPath}/jobs/${encodeURIComponent(job.jobId)}`)))
+        .then((updates) => {
+          setJobs((current) => current.map((job) => updates.find((update) => update.jobId === job.jobId) ?? job));
+          updates.filter((update) => update.status !== 'Running').forEach(() => onJobFinishedRef.current());
+        })
+        .catch((error) => {
+          console.error('Failed to poll bulk jobs', error);
+          // The job is no longer known to the backend (e.g. restart); stop polling it.
+          setJobs((current) => current.map((job) => (job.status === 'Running' ? { ...job, status: 'Failed', errorMessage: String(error) } : job)));
+        });
+    }, pollIntervalMs);
+
+    return () => window.clearTimeout(timeout);
+  }, [jobs, hasRunningJobs]);
+
+  const startBulkJob = async (kind: ConfirmationActionKind, target: BulkActionTarget, { targetStage, event, notBefore, reason }: BulkActionOptions = {}) => {
+    const body = new URLSearchParams('params' in target ? target.params : '');
+    if ('instances' in target) {
+      target.instances.forEach((instance) =>
+        body.append('instance', `${instance.flowId}:${instance.id}${instance.cockpitStatus ? `@${instance.cockpitStatus}` : ''}`),
+      );
+    }
+    if (targetStage) body.set('targetStage', targetStage);
+    if (event) body.set('event', event);
+    if (notBefore) body.set('notBefore', notBefore);
+    if (reason?.trim()) body.set('reason', reason.trim());
+
+    const job = await apiJson<BulkJobDto>(`${bulkPath}/${kind}`, { method: 'POST', body });
+    setJobs((current) => [job, ...current].slice(0, maxVisibleJobs));
+    return job;
+  };
+
+  const dismissBulkJob = (jobId: string) => {
+    setJobs((current) => current.filter((job) => job.jobId !== jobId));
+  };
+
+  return { bulkJobs: jobs, startBulkJob, dismissBulkJob };
+};
+
+// Loads the per-instance outcome of a job once it has finished.
+export const useBulkJobResults = (job: BulkJobDto | null) => {
+  const [results, setResults] = useState<{ jobId: string; items: BulkItemResultDto[] } | null>(null);
+  const finishedJobId = job && job.status !== 'Running' ? job.jobId : null;
+
+  useEffect(() => {
+    if (!finishedJobId) return;
+
+    let cancelled = false;
+    apiJson<BulkItemResultDto[]>(`${bulkPath}/jobs/${encodeURIComponent(finishedJobId)}/results`)
+      .then((items) => {
+        if (!cancelled) setResults({ jobId: finishedJobId, items });
+      })
+      .catch((error) => console.error('Failed to load bulk job results', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [finishedJobId]);
+
+  return results?.jobId === finishedJobId ? results.items : null;
+};
@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react';
+
+const metricsPath = '/metrics';
+const pollingIntervalMs = 15_000;
+
+export interface EngineHealth {
+  // Age of the oldest due tick no worker has claimed yet; 0 when the backlog is empty.
+  tickLagSeconds: number;
+  tickBacklog: number;
+  busyWorkers: number;
+  maxWorkers: number;
+}
+
+interface MetricSample {
+  labels: Record<string, string>;
+  value: number;
+}
+
+// Reads the samples of an OpenMetrics text exposition, keyed by sample name; comments and `# EOF` are skipped.
+export const parseOpenMetrics = (text: string): Map<string, MetricSample[]> => {
+  const samples = new Map<string, MetricSample[]>();
+  const linePattern = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})?\s+(\S+)/;
+  const labelPattern = /([a-zA-Z_][a-zA-Z0-9_]*)="((?:[^"\\]|\\.)*)"/g;
+
+  text.split('\n').forEach((line) => {
+    if (line.startsWith('#')) return;
+    const match = linePattern.exec(line);
+    if (!match) return;
+    const labels: Record<string, string> = {};
+    for (const [, name, value] of (match[2] ?? '').matchAll(labelPattern)) {
+      labels[name] = value.replace(/\\n/g, '\n').replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+    }
+    const list = samples.get(match[1]) ?? [];
+    list.push({ labels, value: Number(match[3]) });
+    samples.set(match[1], list);
+  });
+
+  return samples;
+};
+
+const gaugeValue = (samples: Map<string, MetricSample[]>, name: string) => samples.get(name)?.[0]?.value ?? null;
+
+export const engineHealthOf = (text: string): EngineHealth | null => {
+  const samples = parseOpenMetrics(text);
+  const maxWorkers = gaugeValue(samples, 'flowlite_tick_workers_max');
+  if (maxWorkers === null) return null;
+
+  return {
+    tickLagSeconds: gaugeValue(samples, 'flowlite_tick_backlog_oldest_age_seconds') ?? 0,
+    tickBacklog: gaugeValue(samples, 'flowlite_tick_backlog') ?? 0,
+    busyWorkers: gaugeValue(samples, 'flowlite_tick_workers_busy') ?? 0,
+    maxWorkers,
+  };
+};
+
+// Polls the backend metrics for the tick scheduler gauges. Stays null when metrics are not exposed or carry no
+// scheduler gauges (e.g. another TickScheduler implementation), so the header can hide the strip.
+export const useEngineHealth = (): EngineHealth | null => {
+  const [health, setHealth] = useState<EngineHealth | null>(null);
+
+  useEffect(() => {
+    let interval: number | null = null;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch(metricsPath, { headers: { Accept: 'application/openmetrics-text, text/plain' } });
+        if (response.status === 404) {
+          if (interval !== null) window.clearInterval(interval);
+          interval = null;
+          return;
+        }
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        const next = engineHealthOf(await response.text());
+        if (!cancelled) setHealth(next);
+      } catch (error) {
+        console.error('Failed to load engine metrics', error);
+        if (!cancelled) setHealth(null);
+      }
+    };
+
+    void load();
+    interval = window.setInterval(() => void load(), pollingIntervalMs);
+
+    return () => {
+      cancelled = true;
+      if (interval !== null) window.clearInterval(interval);
+    };
+  }, []);
+
+  return health;
+};
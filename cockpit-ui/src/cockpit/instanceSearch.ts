@@ -0,0 +1,157 @@
+import { statusFilters } from './types';
+import type { CockpitStatus, FlowDto } from './types';
+
+// Client-side mirror of the backend `CockpitInstanceSearch` syntax, used to flag mistakes before the query is sent
+// and to suggest completions, e.g. `flow:order-confirmation status:Error -stage:InformingCustomer updated<2h error~"timeout"`.
+
+interface SearchToken {
+  text: string;
+  start: number;
+  end: number;
+}
+
+export interface SearchSuggestion {
+  label: string;
+  // The query with the suggestion applied and where the cursor goes afterwards.
+  query: string;
+  cursor: number;
+}
+
+const listFields = ['flow', 'stage', 'status'];
+const fieldTerm = /^(-?)([A-Za-z]+)([:~<>])(.*)$/s;
+const durationTerm = /^(\d+[dhms])+$/;
+const maxSuggestions = 8;
+
+const statuses = statusFilters.filter((status): status is CockpitStatus => status !== 'all');
+
+const fieldKeys = ['flow:', 'stage:', 'status:', 'error~', 'updated<', 'updated>', '-flow:', '-stage:', '-status:', '-error~'];
+
+const usage = (field: string) => {
+  if (field === 'error') return 'error~text';
+  if (field === 'updated') return 'updated<2h or updated>2h';
+  return `${field}:value`;
+};
+
+// Splits `value` at unquoted whitespace, keeping each term's position in the query; `null` for an unterminated quote.
+const tokenize = (value: string): SearchToken[] | null => {
+  const tokens: SearchToken[] = [];
+  let start = -1;
+  let quoted = false;
+  for (let index = 0; index < value.length; index += 1) {
+    const char = value[index];
+    if (char === '"') quoted = !quoted;
+    if (!quoted && /\s/.test(char)) {
+      if (start >= 0) tokens.push({ text: value.slice(start, index), start, end: index });
+      start = -1;
+    } else if (start < 0) {
+      start = index;
+    }
+  }
+  if (quoted) return null;
+  if (start >= 0) tokens.push({ text: value.slice(start), start, end: value.length });
+  return tokens;
+};
+
+const splitValues = (value: string) => {
+  const values: string[] = [];
+  let current = '';
+  let quoted = false;
+  for (const char of value) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current);
+  return values.map((part) => part.replace(/"/g, '').trim());
+};
+
+const quoteValue = (value: string) => (/[\s,"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value);
+
+// Returns why the backend would reject `query`, or null when it is valid.
+export const instanceSearchError = (query: string): string | null => {
+  const tokens = tokenize(query);
+  if (tokens === null) return 'Unterminated quote';
+
+  const seen = new Set<string>();
+  for (const { text } of tokens) {
+    const match = fieldTerm.exec(text);
+    if (!match) continue;
+    const [, negation, rawField, operator, rawValue] = match;
+    const field = rawField.toLowerCase();
+    const value = rawValue.replace(/"/g, '').trim();
+    if (!value) return `Missing value for ${rawField}${operator}`;
+
+    if (listFields.includes(field) && operator === ':') {
+      const values = splitValues(rawValue).filter((part) => part !== '');
+      if (values.length === 0) return `Missing value for ${rawField}${operator}`;
+      if (field === 'status') {
+        const unknown = values.find((status) => !statuses.some((candidate) => candidate.toLowerCase() === status.toLowerCase()));
+        if (unknown) return `Unknown status: ${unknown}`;
+      }
+    } else if (field === 'error' && operator === '~') {
+      const key = `${negation}error~`;
+      if (seen.has(key)) return `${key} can only be used once`;
+      seen.add(key);
+    } else if (field === 'updated' && (operator === '<' || operator === '>')) {
+      if (negation) return `updated${operator} cannot be negated`;
+      if (!durationTerm.test(value.toLowerCase())) return `Invalid duration: ${value} (use e.g. 30m, 2h or 1d)`;
+    } else if ([...listFields, 'error', 'updated'].includes(field)) {
+      return `Invalid operator in ${rawField}${operator}, use ${usage(field)}`;
+    } else {
+      return `Unknown search field: ${rawField}`;
+    }
+  }
+  return null;
+};
+
+// The stages to suggest: those of the flows the query is limited to, or of every flow.
+const stageCandidates = (tokens: SearchToken[], flows: FlowDto[]) => {
+  const flowIds = new Set(
+    tokens.flatMap(({ text }) => {
+      const match = fieldTerm.exec(text);
+      return match && !match[1] && match[2].toLowerCase() === 'flow' && match[3] === ':' ? splitValues(match[4]) : [];
+    }),
+  );
+  const scoped = flows.filter((flow) => flowIds.size === 0 || flowIds.has(flow.flowId));
+  return [...new Set(scoped.flatMap((flow) => flow.stages))].sort();
+};
+
+// Completions for the term under `cursor`: field names for a bare word, and flow ids, stages or statuses for the
+// value after `flow:`, `stage:` or `status:`.
+export const instanceSearchSuggestions = (query: string, cursor: number, flows: FlowDto[]): SearchSuggestion[] => {
+  const tokens = tokenize(query) ?? [];
+  const token = tokens.find(({ start, end }) => start <= cursor && cursor <= end) ?? { text: '', start: cursor, end: cursor };
+  const typed = token.text.slice(0, cursor - token.start);
+  const replace = (replacement: string) => ({
+    query: query.slice(0, token.start) + replacement + query.slice(token.end),
+    cursor: token.start + replacement.length,
+  });
+
+  const match = fieldTerm.exec(typed);
+  if (!match) {
+    if (!typed || typed.includes('"')) return [];
+    const prefix = typed.toLowerCase();
+    return fieldKeys
+      .filter((key) => key.startsWith(prefix) && key !== prefix && (prefix.startsWith('-') || !key.startsWith('-')))
+      .map((key) => ({ label: key, ...replace(key) }));
+  }
+
+  const [, negation, rawField, operator, rawValue] = match;
+  const field = rawField.toLowerCase();
+  if (!listFields.includes(field) || operator !== ':') return [];
+
+  const values = splitValues(rawValue);
+  const current = values.pop() ?? '';
+  const candidates =
+    field === 'flow' ? flows.map((flow) => flow.flowId).sort() : field === 'stage' ? stageCandidates(tokens, flows) : statuses;
+  const head = `${negation}${rawField}:${values.map(quoteValue).map((value) => `${value},`).join('')}`;
+
+  return candidates
+    .filter((candidate) => !values.includes(candidate) && candidate.toLowerCase().includes(current.toLowerCase()) && candidate !== current)
+    .slice(0, maxSuggestions)
+    .map((candidate) => ({ label: candidate, ...replace(head + quoteValue(candidate)) }));
+};
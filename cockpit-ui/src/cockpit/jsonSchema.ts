@@ -0,0 +1,93 @@
+import type { JsonSchema } from './types';
+
+const isPlainObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const matchesType = (value: unknown, type: NonNullable<JsonSchema['type']>) => {
+  switch (type) {
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+};
+
+const describePath = (path: string) => path || 'Initial state';
+
+// Validates `value` against the JSON Schema keywords Cockpit understands; returns one message per violation.
+export const validateJsonSchema = (value: unknown, schema: JsonSchema, path = ''): string[] => {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${describePath(path)} must be ${schema.type === 'object' || schema.type === 'array' ? 'an' : 'a'} ${schema.type}`];
+  }
+  if (schema.enum && !schema.enum.some((option) => option === value)) {
+    return [`${describePath(path)} must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`];
+  }
+
+  const errors: string[] = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${describePath(path)} must have at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${describePath(path)} must match ${schema.pattern}`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    const items = schema.items;
+    value.forEach((item, index) => errors.push(...validateJsonSchema(item, items, `${path}[${index}]`)));
+  }
+  if (isPlainObject(value)) {
+    const properties = schema.properties ?? {};
+    (schema.required ?? [])
+      .filter((key) => !(key in value))
+      .forEach((key) => errors.push(`${path ? `${path}.` : ''}${key} is required`));
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      const propertyPath = path ? `${path}.${key}` : key;
+      const propertySchema = properties[key];
+      if (propertySchema) {
+        errors.push(...validateJsonSchema(propertyValue, propertySchema, propertyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${propertyPath} is not allowed`);
+      }
+    });
+  }
+  return errors;
+};
+
+// Builds a starting value for the form: defaults where the schema has them, otherwise empty values of the right type.
+export const jsonSchemaTemplate = (schema: JsonSchema): unknown => {
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum && schema.enum.length > 0) return schema.enum[0];
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties ?? {}).map(([key, property]) => [key, jsonSchemaTemplate(property)]));
+    case 'array':
+      return [];
+    case 'string':
+      return '';
+    case 'number':
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+};
+
+// Parses the form text and validates it; a syntax error is reported as the only message.
+export const parseAndValidateJson = (text: string, schema: JsonSchema): { value: unknown; errors: string[] } => {
+  let value: unknown;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    return { value: undefined, errors: [`Invalid JSON: ${error instanceof Error ? error.message : String(error)}`] };
+  }
+  return { value, errors: validateJsonSchema(value, schema) };
+};
@@ -0,0 +1,86 @@
+import { useEffect, useRef, useState } from 'react';
+
+export type LiveConnectionState = 'live' | 'reconnecting' | 'offline';
+
+const flowsLivePath = '/api/flows/live';
+const invalidationDebounceMs = 300;
+const pollingIntervalMs = 10_000;
+const reopenDelayMs = 15_000;
+
+// Subscribes to backend flow invalidations while enabled. Falls back to polling whenever the stream is not live.
+export const useFlowsLiveUpdates = (enabled: boolean, onInvalidated: () => void): LiveConnectionState => {
+  const [connectionState, setConnectionState] = useState<LiveConnectionState>('reconnecting');
+  const onInvalidatedRef = useRef(onInvalidated);
+
+  useEffect(() => {
+    onInvalidatedRef.current = onInvalidated;
+  }, [onInvalidated]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let source: EventSource | null = null;
+    let hasConnected = false;
+    let debounceTimeout: number | null = null;
+    let pollingInterval: number | null = null;
+    let reopenTimeout: number | null = null;
+
+    const invalidate = () => {
+      if (debounceTimeout !== null) window.clearTimeout(debounceTimeout);
+      debounceTimeout = window.setTimeout(() => {
+        debounceTimeout = null;
+        onInvalidatedRef.current();
+      }, invalidationDebounceMs);
+    };
+
+    const startPolling = () => {
+      if (pollingInterval !== null) return;
+      pollingInterval = window.setInterval(() => onInvalidatedRef.current(), pollingIntervalMs);
+    };
+
+    const stopPolling = () => {
+      if (pollingInterval === null) return;
+      window.clearInterval(pollingInterval);
+      pollingInterval = null;
+    };
+
+    const open = () => {
+      reopenTimeout = null;
+      setConnectionState('reconnecting');
+      const current = new EventSource(flowsLivePath);
+      source = current;
+
+      current.onopen = () => {
+        setConnectionState('live');
+        stopPolling();
+        // Changes made while disconnected were never streamed, so resync once after a reconnect.
+        if (hasConnected) invalidate();
+        hasConnected = true;
+      };
+      current.addEventListener('flows-invalidated', invalidate);
+      current.onerror = () => {
+        startPolling();
+        if (current.readyState !== EventSource.CLOSED) {
+          setConnectionState('reconnecting');
+          return;
+        }
+
+        current.close();
+        source = null;
+        setConnectionState('offline');
+        reopenTimeout = window.setTimeout(open, reopenDelayMs);
+      };
+    };
+
+    open();
+
+    return () => {
+      source?.close();
+      stopPolling();
+      if (debounceTimeout !== null) window.clearTimeout(debounceTimeout);
+      if (reopenTimeout !== null) window.clearTimeout(reopenTimeout);
+    };
+  }, [enabled]);
+
+  return enabled ? connectionState : 'offline';
+};
@@ -1,14 +1,38 @@
+import {
+  formatTableColumns,
+  formatTableSort,
+  isDefaultTableLayout,
+  loadStoredTableLayouts,
+  parseTableColumns,
+  parseTableSort,
+} from './tableLayout';
 import {
   activeViews,
+  analyticsWindows,
+  auditTypeFilters,
   defaultLocationState,
   defaultLongRunningThreshold,
+  defaultLongRunningThresholdSeconds,
   longRunningStatusFilters,
   statusFilters,
   type ActiveView,
+  type AnalyticsWindow,
+  type AuditTypeFilter,
   type CockpitLocationState,
   type LongRunningStatusFilter,
   type StatusFilter,
+  type TableLayouts,
+  type TableView,
 } from './types';
+import { parseDurationToSeconds } from './utils';
+
+const tableLayoutParams: Record<TableView, { sort: string; columns: string }> = {
+  instances: { sort: 'sort', columns: 'cols' },
+  errors: { sort: 'errorSort', columns: 'errorCols' },
+  'long-running': { sort: 'lrSort', columns: 'lrCols' },
+};
+
+const isTableView = (view: ActiveView): view is TableView => view in tableLayoutParams;
 
 const isActiveView = (value: string | null): value is ActiveView =>
   value !== null && activeViews.includes(value as ActiveView);
@@ -19,6 +43,12 @@ const isStatusFilter = (value: string | null): value is StatusFilter =>
 const isLongRunningStatusFilter = (value: string | null): value is LongRunningStatusFilter =>
   value !== null && longRunningStatusFilters.includes(value as LongRunningStatusFilter);
 
+const isAuditTypeFilter = (value: string | null): value is AuditTypeFilter =>
+  value !== null && auditTypeFilters.includes(value as AuditTypeFilter);
+
+const isAnalyticsWindow = (value: string | null): value is AnalyticsWindow =>
+  value !== null && analyticsWindows.includes(value as AnalyticsWindow);
+
 const normalizeFilterValue = (value: string | null) => {
   const trimmed = value?.trim();
   return trimmed ? trimmed : 'all';
@@ -29,10 +59,22 @@ const normalizeLongRunningThreshold = (value: string | null) => {
   return trimmed ? trimmed : defaultLongRunningThreshold;
 };
 
-export const readLocationState = (): CockpitLocationState => {
-  const params = new URLSearchParams(window.location.search);
+// Layouts in the URL win over the ones saved in localStorage, so shared links render the sender's columns and sort.
+const readTableLayouts = (params: URLSearchParams): TableLayouts => {
+  const stored = loadStoredTableLayouts();
+  const readLayout = (view: TableView) => ({
+    sort: parseTableSort(params.get(tableLayoutParams[view].sort)) ?? stored[view].sort,
+    columns: parseTableColumns(view, params.get(tableLayoutParams[view].columns)) ?? stored[view].columns,
+  });
+  return { instances: readLayout('instances'), errors: readLayout('errors'), 'long-running': readLayout('long-running') };
+};
+
+export const readLocationState = (search: string = window.location.search): CockpitLocationState => {
+  const params = new URLSearchParams(search);
   const activeViewParam = params.get('tab');
   const statusFilterParam = params.get('status');
+  const metricsWindowParam = params.get('metricsWindow');
+  const auditTypeParam = params.get('auditType');
   const selectedInstanceFlowId = params.get('instanceFlowId')?.trim() || null;
   const selectedInstanceId = params.get('instanceId')?.trim() || null;
 
@@ -51,8 +93,14 @@ export const readLocationState = (): CockpitLocationState => {
       ? params.get('lrStatus') as LongRunningStatusFilter
       : defaultLocationState.longRunningStatusFilter,
     longRunningThreshold: normalizeLongRunningThreshold(params.get('lrThreshold')),
+    metricsFlowFilter: normalizeFilterValue(params.get('metricsFlow')),
+    metricsWindow: isAnalyticsWindow(metricsWindowParam) ? metricsWindowParam : defaultLocationState.metricsWindow,
+    auditFlowFilter: normalizeFilterValue(params.get('auditFlow')),
+    auditTypeFilter: isAuditTypeFilter(auditTypeParam) ? auditTypeParam : defaultLocationState.auditTypeFilter,
+    auditActorFilter: params.get('auditActor') ?? defaultLocationState.auditActorFilter,
     selectedInstanceFlowId: selectedInstanceFlowId && selectedInstanceId ? selectedInstanceFlowId : null,
     selectedInstanceId: selectedInstanceFlowId && selectedInstanceId ? selectedInstanceId : null,
+    tableLayouts: readTableLayouts(params),
   };
 };
 
@@ -73,9 +121,50 @@ export const buildLocationSearch = (state: CockpitLocationState) => {
   if (state.longRunningThreshold.trim() && state.longRunningThreshold.trim() !== defaultLongRunningThreshold) {
     params.set('lrThreshold', state.longRunningThreshold.trim());
   }
+  if (state.metricsFlowFilter !== 'all') params.set('metricsFlow', state.metricsFlowFilter);
+  if (state.metricsWindow !== defaultLocationState.metricsWindow) params.set('metricsWindow', state.metricsWindow);
+  if (state.auditFlowFilter !== 'all') params.set('auditFlow', state.auditFlowFilter);
+  if (state.auditTypeFilter !== 'all') params.set('auditType', state.auditTypeFilter);
+  if (state.auditActorFilter) params.set('auditActor', state.auditActorFilter);
   if (state.selectedInstanceFlowId && state.selectedInstanceId) params.set('instanceFlowId', state.selectedInstanceFlowId);
   if (state.selectedInstanceFlowId && state.selectedInstanceId) params.set('instanceId', state.selectedInstanceId);
+  if (isTableView(state.activeView) && !isDefaultTableLayout(state.activeView, state.tableLayouts[state.activeView])) {
+    const layout = state.tableLayouts[state.activeView];
+    params.set(tableLayoutParams[state.activeView].sort, formatTableSort(layout.sort));
+    params.set(tableLayoutParams[state.activeView].columns, formatTableColumns(layout.columns));
+  }
 
   const search = params.toString();
   return search ? `?${search}` : '';
-};
\ No newline at end of file
+};
+// The `/api/instances` filters behind a view, shared by its listing, bulk actions on all matching rows and saved view counts.
+export const buildInstanceFilterParams = (state: CockpitLocationState, view: ActiveView) => {
+  const params = new URLSearchParams();
+
+  if (view === 'errors') {
+    if (state.errorFlowFilter !== 'all') params.set('flowId', state.errorFlowFilter);
+    if (state.errorStageFilter !== 'all' && state.errorStageFilter.trim() !== '') params.set('stage', state.errorStageFilter.trim());
+    if (state.errorMessageFilterErrors.trim() !== '') params.set('errorMessage', state.errorMessageFilterErrors.trim());
+    params.set('bucket', 'error');
+  }
+
+  if (view === 'long-running') {
+    if (state.longRunningFlowFilter !== 'all') params.set('flowId', state.longRunningFlowFilter);
+    params.set('bucket', 'active');
+    params.set('cockpitStatus', state.longRunningStatusFilter);
+    params.set(
+      'longInactiveThresholdSeconds',
+      parseDurationToSeconds(state.longRunningThreshold, defaultLongRunningThresholdSeconds).toString(),
+    );
+  }
+
+  if (view === 'instances') {
+    if (state.searchTerm.trim() !== '') params.set('q', state.searchTerm.trim());
+    if (state.statusFilter !== 'all') params.set('status', state.statusFilter);
+    if (state.stageFilter !== 'all' && state.stageFilter.trim() !== '') params.set('stage', state.stageFilter.trim());
+    if (state.errorMessageFilter.trim() !== '') params.set('errorMessage', state.errorMessageFilter.trim());
+    if (state.showIncompleteOnly) params.set('incompleteOnly', 'true');
+  }
+
+  return params;
+};
@@ -0,0 +1,52 @@
+import type { Mermaid } from 'mermaid';
+
+const fallbackSvgPath = '/api/diagrams/svg';
+
+let mermaidModule: Promise<Mermaid> | null = null;
+
+// Mermaid is large, so it ships as its own chunk that is only fetched once a diagram is shown.
+const loadMermaid = (): Promise<Mermaid> => {
+  mermaidModule ??= import('mermaid')
+    .then(({ default: mermaid }) => {
+      mermaid.initialize({ startOnLoad: false, theme: 'dark' });
+      return mermaid;
+    })
+    .catch((error: unknown) => {
+      mermaidModule = null;
+      throw error;
+    });
+  return mermaidModule;
+};
+
+export type DiagramRenderer = 'mermaid' | 'server';
+
+export interface RenderedDiagram {
+  svg: string;
+  renderer: DiagramRenderer;
+}
+
+const renderWithMermaid = async (id: string, diagram: string): Promise<string> => {
+  const mermaid = await loadMermaid();
+  const { svg } = await mermaid.render(`mermaid-${id}-${Date.now()}`, diagram);
+  return svg;
+};
+
+const renderOnServer = async (diagram: string): Promise<string> => {
+  const response = await fetch(fallbackSvgPath, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain' },
+    body: diagram,
+  });
+  if (!response.ok) throw new Error(`Diagram fallback failed with ${response.status}`);
+  return response.text();
+};
+
+// Renders with the bundled Mermaid and falls back to the backend's SVG renderer where the chunk cannot load or run.
+export const renderDiagram = async (id: string, diagram: string): Promise<RenderedDiagram> => {
+  try {
+    return { svg: await renderWithMermaid(id, diagram), renderer: 'mermaid' };
+  } catch (error) {
+    console.warn('Mermaid rendering failed, using the server-side renderer', error);
+    return { svg: await renderOnServer(diagram), renderer: 'server' };
+  }
+};
@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import { Flame, X } from 'lucide-react';
+import { MermaidDiagram } from '../MermaidDiagram';
+import type { FlowDto, StatusFilter } from '../types';
+
+interface FlowDiagramModalProps {
+  flow: FlowDto;
+  heatmapEnabled: boolean;
+  // Diagram with per-stage counts and heat classes from the backend; null while loading or when the heatmap is off.
+  heatmapDiagram: string | null;
+  onToggleHeatmap: () => void;
+  onClose: () => void;
+  onOpenInstances: (args: { search?: string; status?: StatusFilter; stage?: string }) => void;
+  onOpenErrors: (args: { flow?: string; stage?: string }) => void;
+}
+
+export const FlowDiagramModal = ({
+  flow,
+  heatmapEnabled,
+  heatmapDiagram,
+  onToggleHeatmap,
+  onClose,
+  onOpenInstances,
+  onOpenErrors,
+}: FlowDiagramModalProps) => {
+  const [selectedStage, setSelectedStage] = useState<string | null>(null);
+  const showHeatmap = heatmapEnabled && heatmapDiagram !== null;
+  const selectedCounts = flow.stageBreakdown.find((entry) => entry.stage === selectedStage);
+
+  return (
+    <div data-testid="flow-diagram-modal" className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4 overflow-hidden" onClick={onClose}>
+      <div className="bg-zinc-900 border border-zinc-800 rounded-lg w-full max-w-5xl flex flex-col" style={{ maxHeight: 'calc(100vh - 2rem)' }} onClick={(event) => event.stopPropagation()}>
+        <div className="bg-zinc-900 border-b border-zinc-800 p-6 flex items-center justify-between flex-shrink-0">
+          <div>
+            <h3 data-testid="flow-diagram-title" className="text-lg font-bold text-zinc-50 font-mono">{flow.flowId}</h3>
+            <p className="text-sm text-zinc-500 mt-1">{heatmapEnabled ? 'Open instances per stage' : 'Flow Diagram'}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              data-testid="flow-diagram-heatmap-toggle"
+              aria-pressed={heatmapEnabled}
+              onClick={() => {
+                setSelectedStage(null);
+                onToggleHeatmap();
+              }}
+              className={
+                'px-3 py-1 rounded text-xs transition-colors flex items-center gap-1 ' +
+                (heatmapEnabled ? 'bg-orange-600 hover:bg-orange-700 text-white' : 'bg-zinc-800 hover:bg-zinc-700 text-zinc-300')
+              }
+            >
+              <Flame size={12} /> Heatmap {heatmapEnabled ? 'on' : 'off'}
+            </button>
+            <button data-testid="flow-diagram-close" onClick={onClose} className="p-2 hover:bg-zinc-800 rounded transition-colors"><X size={20} /></button>
+          </div>
+        </div>
+        <div className="p-6 overflow-y-auto flex-1 min-h-0 space-y-4">
+          <div data-testid="flow-diagram-canvas" data-heatmap={showHeatmap ? 'true' : 'false'} className="bg-zinc-800/50 rounded-lg p-8 overflow-auto">
+            {heatmapEnabled && heatmapDiagram === null ? (
+              <p className="text-xs text-zinc-400 text-center py-4">Loading heatmap…</p>
+            ) : (
+              <MermaidDiagram
+                diagram={showHeatmap ? heatmapDiagram : flow.diagram}
+                id={`flow-${flow.flowId}${showHeatmap ? '-heatmap' : ''}`}
+                onNodeClick={showHeatmap ? (nodeId) => setSelectedStage(flow.stages.includes(nodeId) ? nodeId : null) : undefined}
+              />
+            )}
+          </div>
+
+          {showHeatmap && (
+            selectedStage ? (
+              <div data-testid="flow-heatmap-stage" data-stage={selectedStage} className="flex items-center justify-between gap-4 bg-zinc-800/50 rounded-lg px-4 py-3">
+                <div className="text-sm">
+                  <span className="font-mono text-zinc-200">{selectedStage}</span>
+                  <span className="text-zinc-400"> · {selectedCounts?.totalCount ?? 0} open</span>
+                  {(selectedCounts?.errorCount ?? 0) > 0 && <span className="text-red-400"> · {selectedCounts?.errorCount} errors</span>}
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    data-testid="flow-heatmap-open-instances"
+                    onClick={() => onOpenInstances({ search: flow.flowId, status: 'all', stage: selectedStage })}
+                    className="px-3 py-1 bg-sky-500/20 hover:bg-sky-500/30 text-sky-300 rounded text-xs transition-colors"
+                  >
+                    Instances →
+                  </button>
+                  {(selectedCounts?.errorCount ?? 0) > 0 && (
+                    <button
+                      data-testid="flow-heatmap-open-errors"
+                      onClick={() => onOpenErrors({ flow: flow.flowId, stage: selectedStage })}
+                      className="px-3 py-1 bg-red-500/20 hover:bg-red-500/30 text-red-400 rounded text-xs transition-colors"
+                    >
+                      Errors →
+                    </button>
+                  )}
+                </div>
+              </div>
+            ) : (
+              <p className="text-xs text-zinc-500">Click a stage to open its instances or errors.</p>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
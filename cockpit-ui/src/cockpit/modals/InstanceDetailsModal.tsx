@@ -1,26 +1,43 @@
 import type { ReactNode } from 'react';
-import { ChevronRight, RefreshCw, X } from 'lucide-react';
+import { AlarmClock, CalendarClock, ChevronRight, RefreshCw, Send, X } from 'lucide-react';
+import { InstanceMailboxPanel } from '../InstanceMailboxPanel';
+import { InstanceStatePanel } from '../InstanceStatePanel';
+import { InstanceTimeline } from '../InstanceTimeline';
 import { MermaidDiagram } from '../MermaidDiagram';
-import { StatusBadge } from '../badges';
-import type { FlowDto, HistoryEntryDto, UiInstance } from '../types';
-import { formatDateTime, historyDetailsLabel, historyStageLabel } from '../utils';
+import { StateDiff } from '../StateDiff';
+import { RetryBadge, StatusBadge } from '../badges';
+import type { CanRunAction, CockpitStatus, FlowDto, HistoryEntryDto, InstanceStateDto, NextTickDto, PendingEventsDto, UiInstance } from '../types';
+import { formatDateTime, historyDetailsLabel, historyStageLabel, isActionableStatus, isErrorStatus } from '../utils';
+
+const noPendingStatuses: Record<string, CockpitStatus> = {};
 
 interface InstanceDetailsModalProps {
   selectedInstance: UiInstance;
   visibleHistory: HistoryEntryDto[];
   latestErrorStackTrace: string | null;
   flowForSelectedInstance: FlowDto | null;
+  // Flow diagram with this instance's current stage and visited path highlighted by the backend.
+  instanceDiagram: string | null;
+  pendingEvents: PendingEventsDto | null;
+  nextTick: NextTickDto | null;
+  // Null when the flow registers no state renderer.
+  instanceState: InstanceStateDto | null;
   showDiagram: boolean;
   showStackTrace: boolean;
   expandedHistoryErrors: Set<number>;
-  mermaidLoaded: boolean;
+  expandedHistoryDiffs: Set<number>;
   onClose: () => void;
+  canRun: CanRunAction;
   onRetry: (instanceIds: string[]) => void;
   onChangeStage: (instanceIds: string[]) => void;
+  onSendEvent: (instanceIds: string[]) => void;
+  onWakeUpTimer: (instanceIds: string[]) => void;
+  onRescheduleTimer: (instanceIds: string[]) => void;
   onCancel: (instanceIds: string[]) => void;
   onToggleDiagram: () => void;
   onToggleStackTrace: () => void;
   onToggleHistoryError: (index: number) => void;
+  onToggleHistoryDiff: (index: number) => void;
   renderCopyButton: (value: string, feedbackKey: string, testId: string) => ReactNode;
 }
 
@@ -29,17 +46,26 @@ export const InstanceDetailsModal = ({
   visibleHistory,
   latestErrorStackTrace,
   flowForSelectedInstance,
+  instanceDiagram,
+  pendingEvents,
+  nextTick,
+  instanceState,
   showDiagram,
   showStackTrace,
   expandedHistoryErrors,
-  mermaidLoaded,
+  expandedHistoryDiffs,
   onClose,
+  canRun,
   onRetry,
   onChangeStage,
+  onSendEvent,
+  onWakeUpTimer,
+  onRescheduleTimer,
   onCancel,
   onToggleDiagram,
   onToggleStackTrace,
   onToggleHistoryError,
+  onToggleHistoryDiff,
   renderCopyButton,
 }: InstanceDetailsModalProps) => (
   <div data-testid="instance-details-modal" className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4 overflow-hidden" onClick={onClose}>
@@ -47,19 +73,38 @@ export const InstanceDetailsModal = ({
       <div className="bg-zinc-900 border-b border-zinc-800 p-6 flex items-center justify-between flex-shrink-0">
         <div className="flex-1">
           <h3 data-testid="instance-details-title" className="text-lg font-bold text-zinc-50">Instance Details</h3>
+          {selectedInstance.businessKey && (
+            <div className="mt-1 flex items-center gap-2">
+              <p data-testid="instance-details-business-key" className="text-base font-mono font-medium text-zinc-200">{selectedInstance.businessKey}</p>
+              {renderCopyButton(selectedInstance.businessKey, `details-key-${selectedInstance.id}`, 'copy-instance-details-business-key')}
+            </div>
+          )}
           <div className="mt-1 flex items-center gap-2">
             <p className="text-sm text-zinc-500 font-mono">{selectedInstance.id}</p>
             {renderCopyButton(selectedInstance.id, `details-${selectedInstance.id}`, 'copy-instance-details-id')}
           </div>
         </div>
         <div className="flex items-center gap-2">
-          {selectedInstance.cockpitStatus === 'Error' && (
+          {isErrorStatus(selectedInstance.cockpitStatus) && canRun('Retry', selectedInstance.flowId) && (
             <button data-testid="instance-retry" onClick={() => onRetry([selectedInstance.id])} className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><RefreshCw size={14} />Retry</button>
           )}
-          {(selectedInstance.cockpitStatus === 'PendingEngine' || selectedInstance.cockpitStatus === 'WaitingForTimer' || selectedInstance.cockpitStatus === 'WaitingForEvent' || selectedInstance.cockpitStatus === 'Error') && (
+          {isActionableStatus(selectedInstance.cockpitStatus) && canRun('ChangeStage', selectedInstance.flowId) && (
             <button data-testid="instance-change-stage" onClick={() => onChangeStage([selectedInstance.id])} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><ChevronRight size={14} />Change Stage</button>
           )}
-          {(selectedInstance.cockpitStatus === 'PendingEngine' || selectedInstance.cockpitStatus === 'WaitingForTimer' || selectedInstance.cockpitStatus === 'WaitingForEvent' || selectedInstance.cockpitStatus === 'Error') && (
+          {selectedInstance.cockpitStatus === 'WaitingForEvent' && canRun('SendEvent', selectedInstance.flowId) && (
+            <button data-testid="instance-send-event" onClick={() => onSendEvent([selectedInstance.id])} className="px-4 py-2 bg-violet-600 hover:bg-violet-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><Send size={14} />Send Event</button>
+          )}
+          {selectedInstance.cockpitStatus === 'WaitingForTimer' && (
+            <>
+              {canRun('WakeUpTimer', selectedInstance.flowId) && (
+                <button data-testid="instance-wake-up-timer" onClick={() => onWakeUpTimer([selectedInstance.id])} className="px-4 py-2 bg-amber-600 hover:bg-amber-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><AlarmClock size={14} />Wake Now</button>
+              )}
+              {canRun('RescheduleTimer', selectedInstance.flowId) && (
+                <button data-testid="instance-reschedule-timer" onClick={() => onRescheduleTimer([selectedInstance.id])} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><CalendarClock size={14} />Reschedule</button>
+              )}
+            </>
+          )}
+          {isActionableStatus(selectedInstance.cockpitStatus) && canRun('Cancel', selectedInstance.flowId) && (
             <button data-testid="instance-cancel" onClick={() => onCancel([selectedInstance.id])} className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><X size={14} />Cancel</button>
           )}
           <button data-testid="instance-details-close" onClick={onClose} className="p-2 hover:bg-zinc-800 rounded transition-colors"><X size={20} /></button>
@@ -77,22 +122,43 @@ export const InstanceDetailsModal = ({
           </div>
         </div>
 
+        <InstanceMailboxPanel pendingEvents={pendingEvents} nextTick={nextTick} />
+
+        <InstanceStatePanel key={selectedInstance.id} instanceState={instanceState} />
+
         <div>
           <button data-testid="instance-flow-diagram-toggle" onClick={onToggleDiagram} className="flex items-center gap-2 text-sm font-bold text-zinc-400 uppercase tracking-wide mb-3 hover:text-zinc-300 transition-colors">
             <ChevronRight size={16} className={'transition-transform ' + (showDiagram ? 'rotate-90' : '')} /> Flow Diagram
           </button>
-          {showDiagram && flowForSelectedInstance && (
-            <div className="bg-zinc-800/50 rounded-lg p-6 overflow-auto max-h-96">
-              <MermaidDiagram diagram={flowForSelectedInstance.diagram} id={`instance-${selectedInstance.id}`} mermaidLoaded={mermaidLoaded} />
+          {showDiagram && (instanceDiagram || flowForSelectedInstance) && (
+            <div
+              data-testid="instance-flow-diagram"
+              data-highlighted={instanceDiagram ? 'true' : 'false'}
+              className="bg-zinc-800/50 rounded-lg p-6 overflow-auto max-h-96"
+            >
+              <MermaidDiagram
+                diagram={instanceDiagram ?? flowForSelectedInstance?.diagram ?? ''}
+                id={`instance-${selectedInstance.id}`}
+              />
+              {instanceDiagram && (
+                <div className="mt-4 flex flex-wrap gap-4 text-xs text-zinc-400">
+                  <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-emerald-900 border border-emerald-400" /> Visited</span>
+                  <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-zinc-600 opacity-40" /> Not reached</span>
+                  <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm border-2 border-blue-300 bg-blue-700" /> Current stage</span>
+                </div>
+              )}
             </div>
           )}
         </div>
 
-        {selectedInstance.cockpitStatus === 'Error' && (
+        {isErrorStatus(selectedInstance.cockpitStatus) && (
           <div>
             <h4 className="text-sm font-bold text-zinc-400 uppercase tracking-wide mb-3">Error Information</h4>
             <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 space-y-3">
               <div><div className="text-xs text-zinc-500 mb-2">Error Message</div><div className="text-sm text-zinc-300">{selectedInstance.errorMessage}</div></div>
+              {selectedInstance.failureDisposition && (
+                <div><div className="text-xs text-zinc-500 mb-2">Retry</div><RetryBadge instance={selectedInstance} /></div>
+              )}
               {latestErrorStackTrace && (
                 <div>
                   <button data-testid="instance-error-stacktrace-toggle" onClick={onToggleStackTrace} className="flex items-center gap-2 text-xs text-zinc-400 hover:text-zinc-300 transition-colors mb-2">
@@ -105,6 +171,13 @@ export const InstanceDetailsModal = ({
           </div>
         )}
 
+        {visibleHistory.length > 0 && (
+          <div>
+            <h4 data-testid="instance-timeline-title" className="text-sm font-bold text-zinc-400 uppercase tracking-wide mb-3">Timeline</h4>
+            <InstanceTimeline history={visibleHistory} pendingStatusByStage={flowForSelectedInstance?.pendingStatusByStage ?? noPendingStatuses} />
+          </div>
+        )}
+
         <div>
           <h4 data-testid="instance-event-history-title" className="text-sm font-bold text-zinc-400 uppercase tracking-wide mb-3">Event History</h4>
           <div className="overflow-hidden rounded-lg border border-zinc-800">
@@ -134,6 +207,12 @@ export const InstanceDetailsModal = ({
                       </td>
                       <td className="px-4 py-3">
                         <div data-testid={`instance-history-details-${index}`} className="text-xs text-zinc-500">{historyDetailsLabel(event)}</div>
+                        {(event.actor || event.reason) && (
+                          <div data-testid={`instance-history-intervention-${index}`} className="mt-1 text-xs text-zinc-400">
+                            by <span className="font-mono text-zinc-300">{event.actor ?? 'anonymous'}</span>
+                            {event.reason && <span className="block mt-0.5 italic text-zinc-400 break-words">“{event.reason}”</span>}
+                          </div>
+                        )}
                         {isErrorEvent && event.errorStackTrace && (
                           <div className="mt-2">
                             <button
@@ -146,6 +225,22 @@ export const InstanceDetailsModal = ({
                             {isExpanded && <pre data-testid={`instance-history-stacktrace-${index}`} className="bg-zinc-900/50 rounded p-2 text-xs text-zinc-400 overflow-x-auto font-mono mt-2">{event.errorStackTrace}</pre>}
                           </div>
                         )}
+                        {event.stateBefore != null && event.stateAfter != null && (
+                          <div className="mt-2">
+                            <button
+                              data-testid={`instance-history-state-diff-toggle-${index}`}
+                              onClick={() => onToggleHistoryDiff(index)}
+                              className="flex items-center gap-2 text-xs text-zinc-400 hover:text-zinc-300 transition-colors"
+                            >
+                              <ChevronRight size={12} className={'transition-transform ' + (expandedHistoryDiffs.has(index) ? 'rotate-90' : '')} /> State Changes
+                            </button>
+                            {expandedHistoryDiffs.has(index) && (
+                              <div className="mt-2">
+                                <StateDiff before={event.stateBefore} after={event.stateAfter} testId={`instance-history-state-diff-${index}`} />
+                              </div>
+                            )}
+                          </div>
+                        )}
                       </td>
                     </tr>
                   );
@@ -0,0 +1,81 @@
+import { useMemo, useState } from 'react';
+import { Play, X } from 'lucide-react';
+import { jsonSchemaTemplate, parseAndValidateJson } from '../jsonSchema';
+import type { FlowDto, JsonSchema } from '../types';
+
+interface StartInstanceModalProps {
+  flow: FlowDto;
+  schema: JsonSchema;
+  onClose: () => void;
+  // Starts the instance from the validated JSON; a rejection is shown in the form.
+  onStart: (initialState: unknown) => Promise<void>;
+}
+
+export const StartInstanceModal = ({ flow, schema, onClose, onStart }: StartInstanceModalProps) => {
+  const [text, setText] = useState(() => JSON.stringify(jsonSchemaTemplate(schema), null, 2));
+  const [isStarting, setIsStarting] = useState(false);
+  const [startError, setStartError] = useState<string | null>(null);
+  const { value, errors } = useMemo(() => parseAndValidateJson(text, schema), [schema, text]);
+
+  const start = async () => {
+    setIsStarting(true);
+    setStartError(null);
+    try {
+      await onStart(value);
+    } catch (error) {
+      setStartError(error instanceof Error ? error.message : String(error));
+      setIsStarting(false);
+    }
+  };
+
+  return (
+    <div data-testid="start-instance-modal" className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-zinc-900 border border-zinc-800 rounded-lg w-full max-w-xl" onClick={(event) => event.stopPropagation()}>
+        <div className="bg-zinc-900 border-b border-zinc-800 p-6 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-bold text-zinc-50">Start Instance</h3>
+            <p className="text-sm text-zinc-500 mt-1 font-mono">{flow.flowId}</p>
+          </div>
+          <button data-testid="start-instance-close" onClick={onClose} className="p-2 hover:bg-zinc-800 rounded transition-colors"><X size={20} /></button>
+        </div>
+        <div className="p-6 space-y-4">
+          <div>
+            <label className="text-sm font-medium text-zinc-400 mb-2 block">Initial State (JSON)</label>
+            <textarea
+              data-testid="start-instance-json"
+              value={text}
+              onChange={(event) => {
+                setText(event.target.value);
+                setStartError(null);
+              }}
+              spellCheck={false}
+              rows={12}
+              className="w-full bg-zinc-900 border border-zinc-800 rounded-lg px-4 py-3 text-xs font-mono focus:outline-none focus:border-blue-500"
+            />
+          </div>
+          {errors.length > 0 && (
+            <ul data-testid="start-instance-errors" className="bg-red-500/10 border border-red-500/30 rounded-lg p-3 text-xs text-red-400 space-y-1">
+              {errors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          )}
+          {startError && (
+            <p data-testid="start-instance-error" className="bg-red-500/10 border border-red-500/30 rounded-lg p-3 text-xs text-red-400 break-words">{startError}</p>
+          )}
+          <div className="flex gap-2 justify-end">
+            <button data-testid="start-instance-cancel" onClick={onClose} className="px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded transition-colors text-sm font-medium">Cancel</button>
+            <button
+              data-testid="start-instance-submit"
+              onClick={() => void start()}
+              disabled={errors.length > 0 || isStarting}
+              className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 disabled:bg-zinc-700 disabled:text-zinc-500 disabled:cursor-not-allowed rounded transition-colors text-sm font-medium flex items-center gap-2"
+            >
+              <Play size={14} />{isStarting ? 'Starting…' : 'Start Instance'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
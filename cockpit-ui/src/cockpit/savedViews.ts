@@ -0,0 +1,182 @@
+import { useEffect, useState } from 'react';
+import { apiFetch } from './api';
+import { buildInstanceFilterParams, buildLocationSearch, readLocationState } from './locationState';
+import type { CockpitLocationState, SavedView, SavedViewDto, SavedViewScope } from './types';
+
+const savedViewsStorageKey = 'flowlite.cockpit.savedViews';
+const savedViewsPreferencesStorageKey = 'flowlite.cockpit.savedViewsPreferences';
+const savedViewsPath = '/api/saved-views';
+const countIntervalMs = 60_000;
+
+export type SavedViewCounts = Record<string, number>;
+
+// The open instance is left out, so a saved view restores filters and layout but no details dialog.
+export const savedViewSearch = (state: CockpitLocationState) =>
+  buildLocationSearch({ ...state, selectedInstanceFlowId: null, selectedInstanceId: null });
+
+export const savedViewLocationState = (view: SavedViewDto) => readLocationState(view.search);
+
+// Views that list instances can show how many match; the other views have no instance count.
+const savedViewCountPath = (view: SavedViewDto) => {
+  const state = savedViewLocationState(view);
+  if (state.activeView !== 'instances' && state.activeView !== 'errors' && state.activeView !== 'long-running') return null;
+  const params = buildInstanceFilterParams(state, state.activeView);
+  params.set('limit', '1');
+  return `/api/instances?${params.toString()}`;
+};
+
+const loadDeviceSavedViews = (): SavedViewDto[] => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(savedViewsStorageKey) ?? '[]') as Partial<SavedViewDto>[];
+    return stored
+      .filter((view) => typeof view.id === 'string' && typeof view.name === 'string' && typeof view.search === 'string')
+      .map((view) => ({
+        id: view.id as string,
+        name: view.name as string,
+        search: view.search as string,
+        createdBy: null,
+        createdAt: view.createdAt ?? new Date(0).toISOString(),
+      }));
+  } catch {
+    return [];
+  }
+};
+
+const storeDeviceSavedViews = (views: SavedViewDto[]) => {
+  try {
+    window.localStorage.setItem(savedViewsStorageKey, JSON.stringify(views));
+  } catch (error) {
+    console.error('Failed to store saved views', error);
+  }
+};
+
+export interface SavedViewsPreferences {
+  sidebarOpen: boolean;
+  showCounts: boolean;
+}
+
+export const loadSavedViewsPreferences = (): SavedViewsPreferences => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(savedViewsPreferencesStorageKey) ?? '{}') as Partial<SavedViewsPreferences>;
+    return { sidebarOpen: stored.sidebarOpen === true, showCounts: stored.showCounts !== false };
+  } catch {
+    return { sidebarOpen: false, showCounts: true };
+  }
+};
+
+export const storeSavedViewsPreferences = (preferences: SavedViewsPreferences) => {
+  try {
+    window.localStorage.setItem(savedViewsPreferencesStorageKey, JSON.stringify(preferences));
+  } catch (error) {
+    console.error('Failed to store saved view preferences', error);
+  }
+};
+
+const byName = (left: SavedViewDto, right: SavedViewDto) => left.name.localeCompare(right.name);
+
+// Saved views of this browser (localStorage) and of the team (`/api/saved-views`). Team views stay unavailable
+// when the backend has no saved view store; saving under an existing name replaces that view in both stores.
+export const useSavedViews = () => {
+  const [deviceViews, setDeviceViews] = useState<SavedViewDto[]>(loadDeviceSavedViews);
+  const [teamViews, setTeamViews] = useState<SavedViewDto[] | null>(null);
+
+  const loadTeamViews = async () => {
+    const response = await fetch(savedViewsPath, { headers: { Accept: 'application/json' } });
+    if (response.status === 404) {
+      setTeamViews(null);
+      return;
+    }
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    setTeamViews((await response.json()) as SavedViewDto[]);
+  };
+
+  useEffect(() => {
+    loadTeamViews().catch((error) => console.error('Failed to load team saved views', error));
+  }, []);
+
+  const saveView = async (name: string, search: string, scope: SavedViewScope) => {
+    if (scope === 'team') {
+      await apiFetch(savedViewsPath, { method: 'POST', body: new URLSearchParams({ name, search }) });
+      await loadTeamViews();
+      return;
+    }
+
+    const existing = deviceViews.find((view) => view.name === name);
+    const saved: SavedViewDto = {
+      id: existing?.id ?? `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      search,
+      createdBy: null,
+      createdAt: new Date().toISOString(),
+    };
+    const next = [...deviceViews.filter((view) => view.name !== name), saved].sort(byName);
+    storeDeviceSavedViews(next);
+    setDeviceViews(next);
+  };
+
+  const deleteView = async (view: SavedView) => {
+    if (view.scope === 'team') {
+      await apiFetch(`${savedViewsPath}/${encodeURIComponent(view.id)}`, { method: 'DELETE' });
+      await loadTeamViews();
+      return;
+    }
+
+    const next = deviceViews.filter((candidate) => candidate.id !== view.id);
+    storeDeviceSavedViews(next);
+    setDeviceViews(next);
+  };
+
+  const views: SavedView[] = [
+    ...(teamViews ?? []).map((view) => ({ ...view, scope: 'team' as const })),
+    ...deviceViews.map((view) => ({ ...view, scope: 'device' as const })),
+  ];
+
+  return { views, teamAvailable: teamViews !== null, saveView, deleteView };
+};
+
+// Refreshes the matching instance count of every saved view in the background while `enabled`; views share a
+// request when they filter the same instances. Counts are keyed by `${scope}:${id}`.
+export const useSavedViewCounts = (views: SavedView[], enabled: boolean): SavedViewCounts => {
+  const [counts, setCounts] = useState<SavedViewCounts>({});
+  const countPaths = views.map((view) => [`${view.scope}:${view.id}`, savedViewCountPath(view)] as const);
+  const countPathsKey = JSON.stringify(countPaths);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    const pathsByKey = JSON.parse(countPathsKey) as [string, string | null][];
+
+    const load = async () => {
+      if (document.hidden) return;
+      const paths = [...new Set(pathsByKey.map(([, path]) => path).filter((path): path is string => path !== null))];
+      const totals = new Map<string, number>();
+      await Promise.all(
+        paths.map(async (path) => {
+          try {
+            const response = await apiFetch(path);
+            const totalCount = Number.parseInt(response.headers.get('X-Total-Count') ?? '', 10);
+            if (Number.isFinite(totalCount)) totals.set(path, totalCount);
+          } catch (error) {
+            console.error('Failed to count saved view instances', error);
+          }
+        }),
+      );
+      if (cancelled) return;
+      setCounts(
+        Object.fromEntries(
+          pathsByKey.flatMap(([key, path]) => (path !== null && totals.has(path) ? [[key, totals.get(path) as number]] : [])),
+        ),
+      );
+    };
+
+    void load();
+    const interval = window.setInterval(() => void load(), countIntervalMs);
+
+    return () => {
+      cancelled = true;
+      window.clearInterval(interval);
+    };
+  }, [countPathsKey, enabled]);
+
+  return enabled ? counts : {};
+};
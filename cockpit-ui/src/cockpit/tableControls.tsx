@@ -0,0 +1,176 @@
+import { useState } from 'react';
+import { ArrowDown, ArrowUp, ArrowUpDown, Columns3, Download } from 'lucide-react';
+import { columnSortDirection, isSortableColumn, nextColumnSort, tableColumnLabels } from './tableLayout';
+import { availableTableColumns, defaultTableLayouts, type ExportFormat, type ExportPath, type TableColumn, type TableLayout, type TableView } from './types';
+
+export const SortToggle = ({
+  column,
+  layout,
+  testIdPrefix,
+  onLayoutChange,
+}: {
+  column: TableColumn;
+  layout: TableLayout;
+  testIdPrefix: string;
+  onLayoutChange: (layout: TableLayout) => void;
+}) => {
+  const direction = columnSortDirection(column, layout.sort);
+
+  return (
+    <button
+      type="button"
+      data-testid={`${testIdPrefix}-sort-${column}`}
+      data-sort-direction={direction ?? 'none'}
+      onClick={() => onLayoutChange({ ...layout, sort: nextColumnSort(column, layout.sort) })}
+      className={`inline-flex items-center gap-1 font-medium hover:text-zinc-100 transition-colors ${direction ? 'text-zinc-100' : ''}`}
+    >
+      {tableColumnLabels[column]}
+      {direction === 'asc' && <ArrowUp size={12} />}
+      {direction === 'desc' && <ArrowDown size={12} />}
+      {direction === null && <ArrowUpDown size={12} className="opacity-40" />}
+    </button>
+  );
+};
+
+export const TableHeaderCell = ({
+  column,
+  layout,
+  testIdPrefix,
+  onLayoutChange,
+}: {
+  column: TableColumn;
+  layout: TableLayout;
+  testIdPrefix: string;
+  onLayoutChange: (layout: TableLayout) => void;
+}) => {
+  const direction = columnSortDirection(column, layout.sort);
+
+  return (
+    <th
+      className="px-4 py-3 font-medium"
+      aria-sort={direction === 'asc' ? 'ascending' : direction === 'desc' ? 'descending' : undefined}
+    >
+      {isSortableColumn(column)
+        ? <SortToggle column={column} layout={layout} testIdPrefix={testIdPrefix} onLayoutChange={onLayoutChange} />
+        : tableColumnLabels[column]}
+    </th>
+  );
+};
+
+export const ColumnPicker = ({
+  view,
+  layout,
+  testIdPrefix,
+  onLayoutChange,
+}: {
+  view: TableView;
+  layout: TableLayout;
+  testIdPrefix: string;
+  onLayoutChange: (layout: TableLayout) => void;
+}) => {
+  const [open, setOpen] = useState(false);
+  const visibleColumns = new Set(layout.columns);
+
+  const toggleColumn = (column: TableColumn) => {
+    const next = new Set(visibleColumns);
+    if (next.has(column)) next.delete(column);
+    else next.add(column);
+    onLayoutChange({ ...layout, columns: availableTableColumns[view].filter((candidate) => next.has(candidate)) });
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        data-testid={`${testIdPrefix}-column-picker`}
+        onClick={() => setOpen((current) => !current)}
+        className="px-3 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-sm transition-colors flex items-center gap-2"
+      >
+        <Columns3 size={14} /> Columns
+      </button>
+      {open && (
+        <div
+          data-testid={`${testIdPrefix}-column-picker-menu`}
+          className="absolute right-0 mt-2 w-56 bg-zinc-900 border border-zinc-700 rounded-lg shadow-lg p-2 z-20 space-y-1"
+        >
+          {availableTableColumns[view].map((column) => (
+            <label key={column} className="flex items-center gap-2 px-2 py-1 rounded text-sm text-zinc-300 hover:bg-zinc-800 cursor-pointer">
+              <input
+                data-testid={`${testIdPrefix}-column-toggle-${column}`}
+                type="checkbox"
+                checked={visibleColumns.has(column)}
+                onChange={() => toggleColumn(column)}
+                className="h-4 w-4 rounded border-zinc-600 bg-zinc-700"
+              />
+              {tableColumnLabels[column]}
+            </label>
+          ))}
+          <button
+            type="button"
+            data-testid={`${testIdPrefix}-column-reset`}
+            onClick={() => onLayoutChange(defaultTableLayouts[view])}
+            className="w-full mt-1 px-2 py-1 text-left text-xs text-zinc-500 hover:text-zinc-300 transition-colors"
+          >
+            Reset to default layout
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const exportFormats: ExportFormat[] = ['csv', 'json'];
+
+// Downloads every instance the view's filters match, not only the rows loaded so far.
+export const ExportMenu = ({
+  testIdPrefix,
+  exportPath,
+}: {
+  testIdPrefix: string;
+  exportPath: ExportPath;
+}) => {
+  const [open, setOpen] = useState(false);
+  const [includeStackTrace, setIncludeStackTrace] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        data-testid={`${testIdPrefix}-export`}
+        onClick={() => setOpen((current) => !current)}
+        className="px-3 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-sm transition-colors flex items-center gap-2"
+      >
+        <Download size={14} /> Export
+      </button>
+      {open && (
+        <div
+          data-testid={`${testIdPrefix}-export-menu`}
+          className="absolute right-0 mt-2 w-56 bg-zinc-900 border border-zinc-700 rounded-lg shadow-lg p-2 z-20 space-y-1"
+        >
+          {exportFormats.map((format) => (
+            <a
+              key={format}
+              data-testid={`${testIdPrefix}-export-${format}`}
+              href={exportPath(format, includeStackTrace)}
+              download={`flowlite-instances.${format}`}
+              onClick={() => setOpen(false)}
+              className="block px-2 py-1 rounded text-sm text-zinc-300 hover:bg-zinc-800 transition-colors"
+            >
+              Download {format.toUpperCase()}
+            </a>
+          ))}
+          <label className="flex items-center gap-2 px-2 py-1 rounded text-xs text-zinc-400 hover:bg-zinc-800 cursor-pointer">
+            <input
+              data-testid={`${testIdPrefix}-export-stack-traces`}
+              type="checkbox"
+              checked={includeStackTrace}
+              onChange={(event) => setIncludeStackTrace(event.target.checked)}
+              className="h-4 w-4 rounded border-zinc-600 bg-zinc-700"
+            />
+            Include stack traces
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,101 @@
+import {
+  availableTableColumns,
+  defaultTableLayouts,
+  sortFields,
+  type SortDirection,
+  type SortField,
+  type TableColumn,
+  type TableLayout,
+  type TableLayouts,
+  type TableSort,
+  type TableView,
+} from './types';
+
+const tableLayoutsStorageKey = 'flowlite.cockpit.tableLayouts';
+
+// Inactive duration is derived from the update time, so sorting it means sorting by update time in reverse.
+const columnSortFields: Partial<Record<TableColumn, { field: SortField; inverted: boolean }>> = {
+  businessKey: { field: 'businessKey', inverted: false },
+  flow: { field: 'flow', inverted: false },
+  stage: { field: 'stage', inverted: false },
+  status: { field: 'status', inverted: false },
+  updatedAt: { field: 'updatedAt', inverted: false },
+  inactiveDuration: { field: 'updatedAt', inverted: true },
+};
+
+const flipDirection = (direction: SortDirection): SortDirection => (direction === 'asc' ? 'desc' : 'asc');
+
+export const tableColumnLabels: Record<TableColumn, string> = {
+  businessKey: 'Business Key',
+  flow: 'Flow',
+  stage: 'Stage',
+  status: 'Status',
+  updatedAt: 'Updated',
+  inactiveDuration: 'Inactive Duration',
+  errorMessage: 'Error',
+};
+
+export const isSortableColumn = (column: TableColumn) => columnSortFields[column] !== undefined;
+
+// Direction as the user reads it in this column, or null when the table is sorted by another field.
+export const columnSortDirection = (column: TableColumn, sort: TableSort): SortDirection | null => {
+  const mapping = columnSortFields[column];
+  if (!mapping || mapping.field !== sort.field) return null;
+  return mapping.inverted ? flipDirection(sort.direction) : sort.direction;
+};
+
+// Clicking the sorted column flips it; any other column starts with newest/longest first for times and A-Z for text.
+export const nextColumnSort = (column: TableColumn, sort: TableSort): TableSort => {
+  const mapping = columnSortFields[column];
+  if (!mapping) return sort;
+  if (mapping.field === sort.field) return { field: sort.field, direction: flipDirection(sort.direction) };
+  if (mapping.field === 'updatedAt') return { field: 'updatedAt', direction: mapping.inverted ? 'asc' : 'desc' };
+  return { field: mapping.field, direction: 'asc' };
+};
+
+// Same `field,direction` format as the backend `sort` param.
+export const formatTableSort = (sort: TableSort) => `${sort.field},${sort.direction}`;
+
+export const parseTableSort = (value: string | null): TableSort | null => {
+  const [field, direction = 'asc', ...rest] = (value ?? '').split(',').map((part) => part.trim());
+  if (rest.length > 0 || !sortFields.includes(field as SortField)) return null;
+  if (direction !== 'asc' && direction !== 'desc') return null;
+  return { field: field as SortField, direction };
+};
+
+export const formatTableColumns = (columns: TableColumn[]) => columns.join(',');
+
+// Unknown or duplicate columns are dropped and the rest follow the view's display order.
+export const parseTableColumns = (view: TableView, value: string | null): TableColumn[] | null => {
+  if (value === null) return null;
+  const requested = new Set(value.split(',').map((part) => part.trim()));
+  return availableTableColumns[view].filter((column) => requested.has(column));
+};
+
+export const isDefaultTableLayout = (view: TableView, layout: TableLayout) =>
+  formatTableSort(layout.sort) === formatTableSort(defaultTableLayouts[view].sort) &&
+  formatTableColumns(layout.columns) === formatTableColumns(defaultTableLayouts[view].columns);
+
+export const loadStoredTableLayouts = (): TableLayouts => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(tableLayoutsStorageKey) ?? '{}') as Partial<Record<TableView, { sort?: string; columns?: string }>>;
+    const readLayout = (view: TableView): TableLayout => ({
+      sort: parseTableSort(stored[view]?.sort ?? null) ?? defaultTableLayouts[view].sort,
+      columns: parseTableColumns(view, stored[view]?.columns ?? null) ?? defaultTableLayouts[view].columns,
+    });
+    return { instances: readLayout('instances'), errors: readLayout('errors'), 'long-running': readLayout('long-running') };
+  } catch {
+    return defaultTableLayouts;
+  }
+};
+
+export const storeTableLayouts = (layouts: TableLayouts) => {
+  const serialized = Object.fromEntries(
+    Object.entries(layouts).map(([view, layout]) => [view, { sort: formatTableSort(layout.sort), columns: formatTableColumns(layout.columns) }]),
+  );
+  try {
+    window.localStorage.setItem(tableLayoutsStorageKey, JSON.stringify(serialized));
+  } catch (error) {
+    console.error('Failed to store table layouts', error);
+  }
+};
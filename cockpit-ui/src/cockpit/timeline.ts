@@ -0,0 +1,147 @@
+import type { CockpitStatus, HistoryEntryDto } from './types';
+
+// A stretch of time an instance spent in one stage with one status, and the history rows recorded during it.
+export interface TimelineSegment {
+  stage: string;
+  status: CockpitStatus;
+  startMs: number;
+  endMs: number;
+  // True when the segment is the instance's current state, so its end is "now" rather than a recorded change.
+  isOngoing: boolean;
+  // True when the segment starts a new attempt of the stage after an error, manual or automatic.
+  isRetry: boolean;
+  entries: HistoryEntryDto[];
+}
+
+export interface TimelineLane {
+  stage: string;
+  totalMs: number;
+  segments: TimelineSegment[];
+}
+
+export interface InstanceTimeline {
+  startMs: number;
+  endMs: number;
+  lanes: TimelineLane[];
+  // Set when the instance has completed or was cancelled.
+  finishedAt: { status: Extract<CockpitStatus, 'Completed' | 'Cancelled'>; atMs: number } | null;
+}
+
+const isTerminalStatus = (status: string | null) => status === 'Completed' || status === 'Cancelled';
+
+const toCockpitStatus = (
+  stage: string,
+  status: string | null,
+  lastError: HistoryEntryDto | null,
+  pendingStatusByStage: Record<string, CockpitStatus>,
+): CockpitStatus => {
+  switch (status) {
+    case 'Running':
+      return 'Running';
+    case 'Error':
+      return lastError?.failureDisposition === 'AutoRetry' && lastError.nextRetryAt ? 'WaitingForRetry' : 'Error';
+    case 'Completed':
+    case 'Cancelled':
+      return status;
+    default:
+      return pendingStatusByStage[stage] ?? 'PendingEngine';
+  }
+};
+
+// Replays the history (oldest first) into stage intervals: a new segment starts whenever the stage or the status
+// changes, and rows that change neither (events, timer moves) are attached to the segment they happened in.
+export const buildInstanceTimeline = (
+  history: HistoryEntryDto[],
+  pendingStatusByStage: Record<string, CockpitStatus>,
+  nowMs: number,
+): InstanceTimeline | null => {
+  const entries = [...history].sort((a, b) => Date.parse(a.occurredAt) - Date.parse(b.occurredAt));
+  if (entries.length === 0) return null;
+
+  const segments: TimelineSegment[] = [];
+  let stage: string | null = null;
+  let status: string | null = null;
+  let lastError: HistoryEntryDto | null = null;
+  let current = null as TimelineSegment | null;
+  let finishedAt: InstanceTimeline['finishedAt'] = null;
+
+  for (const entry of entries) {
+    const atMs = Date.parse(entry.occurredAt);
+    let nextStage: string | null = stage;
+    let nextStatus: string | null = status;
+
+    switch (entry.type) {
+      case 'Started':
+        nextStage = entry.stage ?? entry.toStage ?? stage;
+        nextStatus = entry.toStatus ?? 'Pending';
+        break;
+      case 'StageChanged':
+        nextStage = entry.toStage ?? stage;
+        break;
+      case 'ManualStageChanged':
+        nextStage = entry.toStage ?? stage;
+        nextStatus = entry.toStatus ?? status;
+        break;
+      case 'StatusChanged':
+      case 'Retried':
+      case 'Cancelled':
+      case 'Error':
+        nextStage = entry.stage ?? stage;
+        nextStatus = entry.toStatus ?? (entry.type === 'Error' ? 'Error' : entry.type === 'Cancelled' ? 'Cancelled' : status);
+        break;
+      default:
+        break;
+    }
+    if (entry.type === 'Error') lastError = entry;
+
+    if (current && nextStage === stage && nextStatus === status) {
+      current.entries.push(entry);
+      continue;
+    }
+
+    if (current) current.endMs = atMs;
+    const previous: TimelineSegment | null = current;
+    stage = nextStage;
+    status = nextStatus;
+
+    if (isTerminalStatus(status)) {
+      finishedAt = { status: status as 'Completed' | 'Cancelled', atMs };
+      if (previous) previous.entries.push(entry);
+      current = null;
+      continue;
+    }
+
+    if (stage === null) continue;
+    current = {
+      stage,
+      status: toCockpitStatus(stage, status, lastError, pendingStatusByStage),
+      startMs: atMs,
+      endMs: atMs,
+      isOngoing: false,
+      isRetry: entry.type === 'Retried' || (previous?.stage === stage && previous.status === 'WaitingForRetry'),
+      entries: [entry],
+    };
+    segments.push(current);
+  }
+
+  if (current) {
+    current.endMs = Math.max(current.startMs, nowMs);
+    current.isOngoing = true;
+  }
+
+  const lanes: TimelineLane[] = [];
+  for (const segment of segments) {
+    let lane = lanes.find((candidate) => candidate.stage === segment.stage);
+    if (!lane) {
+      lane = { stage: segment.stage, totalMs: 0, segments: [] };
+      lanes.push(lane);
+    }
+    lane.segments.push(segment);
+    lane.totalMs += segment.endMs - segment.startMs;
+  }
+
+  const startMs = Date.parse(entries[0].occurredAt);
+  const endMs = Math.max(startMs, finishedAt?.atMs ?? 0, ...segments.map((segment) => segment.endMs));
+
+  return { startMs, endMs, lanes, finishedAt };
+};
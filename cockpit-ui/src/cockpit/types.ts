@@ -1,21 +1,128 @@
-export type ConfirmationActionKind = 'retry' | 'cancel' | 'change-stage';
+export type ConfirmationActionKind = 'retry' | 'cancel' | 'change-stage' | 'send-event' | 'wake-up-timer' | 'reschedule-timer';
+
+export type CockpitRole = 'Viewer' | 'Operator' | 'Admin';
+export type CockpitAction = 'StartInstance' | 'Retry' | 'SendEvent' | 'WakeUpTimer' | 'RescheduleTimer' | 'Cancel' | 'ChangeStage';
+
+export interface FlowAccessDto {
+  flowId: string;
+  role: CockpitRole;
+  actions: CockpitAction[];
+}
+
+// Returned by `/api/me`: what the signed-in user may do in each flow.
+export interface UserAccessDto {
+  user: string | null;
+  flows: FlowAccessDto[];
+}
+
+// Whether the user may run `action`; without `flowId`, whether they may run it in at least one flow.
+export type CanRunAction = (action: CockpitAction, flowId?: string) => boolean;
+
+// Targets every instance matching `params` (the `/api/instances` filter set) instead of the selected IDs.
+export interface MatchingSelection {
+  params: string;
+  count: number;
+}
 
 export interface ConfirmationActionState {
   kind: ConfirmationActionKind;
   instanceIds: string[];
   targetStage?: string;
+  event?: string;
+  // ISO instant the timer wakes up at, for 'reschedule-timer'.
+  notBefore?: string;
+  // Optional free text recorded with the operator's name on each affected instance's history.
+  reason?: string;
+  matching?: MatchingSelection;
+  // Set once the action was submitted; the dialog then follows the job instead of asking for confirmation.
+  jobId?: string;
+  startError?: string;
+}
+
+export type ExportFormat = 'csv' | 'json';
+
+// Builds the `/api/instances/export` URL for the current filters of a view.
+export type ExportPath = (format: ExportFormat, includeStackTrace: boolean) => string;
+
+export type BulkJobStatus = 'Running' | 'Completed' | 'Failed';
+
+export interface BulkJobDto {
+  jobId: string;
+  action: Exclude<CockpitAction, 'StartInstance'>;
+  targetStage: string | null;
+  event: string | null;
+  notBefore: string | null;
+  actor: string | null;
+  reason: string | null;
+  status: BulkJobStatus;
+  totalCount: number;
+  processedCount: number;
+  succeededCount: number;
+  skippedCount: number;
+  failedCount: number;
+  startedAt: string;
+  finishedAt: string | null;
+  errorMessage: string | null;
+}
+
+export type BulkItemOutcome = 'Succeeded' | 'Skipped' | 'Failed';
+
+export interface BulkItemResultDto {
+  flowId: string;
+  flowInstanceId: string;
+  outcome: BulkItemOutcome;
+  message: string | null;
 }
 
-export type CockpitStatus = 'Running' | 'WaitingForTimer' | 'WaitingForEvent' | 'PendingEngine' | 'Error' | 'Completed' | 'Cancelled';
-export type HistoryEventType = 'Started' | 'EventAppended' | 'StatusChanged' | 'StageChanged' | 'Retried' | 'ManualStageChanged' | 'Cancelled' | 'Error';
-export type ActiveView = 'flows' | 'errors' | 'long-running' | 'instances';
+export type CockpitStatus = 'Running' | 'WaitingForTimer' | 'WaitingForEvent' | 'PendingEngine' | 'Error' | 'WaitingForRetry' | 'Completed' | 'Cancelled';
+export type FailureDisposition = 'AutoRetry' | 'UserRetriable' | 'Fatal';
+export type HistoryEventType = 'Started' | 'EventAppended' | 'StatusChanged' | 'StageChanged' | 'Retried' | 'ManualStageChanged' | 'Cancelled' | 'Error' | 'TimerWokenUp' | 'TimerRescheduled';
+export type ActiveView = 'flows' | 'errors' | 'long-running' | 'instances' | 'metrics' | 'audit';
+// Time windows offered by `GET /api/analytics`.
+export type AnalyticsWindow = '1h' | '24h' | '7d' | '30d';
 export type StatusFilter = 'all' | CockpitStatus;
+export type AuditTypeFilter = 'all' | Extract<HistoryEventType, 'Retried' | 'ManualStageChanged' | 'Cancelled' | 'EventAppended' | 'TimerWokenUp' | 'TimerRescheduled'>;
 export type LongRunningStatusFilter = 'default' | 'all' | Extract<CockpitStatus, 'Running' | 'WaitingForTimer' | 'WaitingForEvent' | 'PendingEngine'>;
+export type TableView = Exclude<ActiveView, 'flows' | 'metrics' | 'audit'>;
+export type TableColumn = 'businessKey' | 'flow' | 'stage' | 'status' | 'updatedAt' | 'inactiveDuration' | 'errorMessage';
+export type SortField = 'businessKey' | 'flow' | 'stage' | 'status' | 'updatedAt';
+export type SortDirection = 'asc' | 'desc';
+
+export interface TableSort {
+  field: SortField;
+  direction: SortDirection;
+}
+
+export interface TableLayout {
+  sort: TableSort;
+  columns: TableColumn[];
+}
+
+export type TableLayouts = Record<TableView, TableLayout>;
+
+// The subset of JSON Schema that the start-instance form validates against (see jsonSchema.ts).
+export interface JsonSchema {
+  type?: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null';
+  title?: string;
+  description?: string;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean;
+  items?: JsonSchema;
+  enum?: unknown[];
+  minLength?: number;
+  pattern?: string;
+  default?: unknown;
+}
 
 export interface FlowDto {
   flowId: string;
   diagram: string;
   stages: string[];
+  events: string[];
+  initialStateSchema: JsonSchema | null;
+  // How an instance pending in each stage is shown: waiting for a timer, for an event, or for the engine.
+  pendingStatusByStage: Record<string, CockpitStatus>;
   notCompletedCount: number;
   errorCount: number;
   activeCount: number;
@@ -34,13 +141,78 @@ export interface InstanceDto {
   stage: string | null;
   cockpitStatus: CockpitStatus;
   lastUpdatedAt: string;
+  businessKey?: string | null;
   lastErrorMessage: string | null;
+  lastErrorType?: string | null;
+  errorFingerprint?: string | null;
+  failureDisposition?: FailureDisposition | null;
+  retryAttempt?: number | null;
+  maxRetryAttempts?: number | null;
+  nextRetryAt?: string | null;
+}
+
+export interface DiagramDto {
+  diagram: string;
+}
+
+export interface EventTypeDto {
+  type: string;
+  value: string;
+}
+
+export interface PendingEventDto extends EventTypeDto {
+  id: string;
+  acceptedByCurrentStage: boolean;
 }
 
+export interface PendingEventsDto {
+  stage: string | null;
+  events: PendingEventDto[];
+  acceptedEvents: EventTypeDto[];
+}
+
+export type JsonValue = string | number | boolean | null | JsonValue[] | { [key: string]: JsonValue };
+
+// The domain state of an instance from its flow's state renderer; redacted values never reach the browser.
+export interface InstanceStateDto {
+  state: Record<string, JsonValue>;
+  redactedPaths: string[];
+}
+
+export interface NextTickDto {
+  stage: string | null;
+  nextTick: {
+    notBefore: string;
+    targetStage: string | null;
+    retryAttempt: number | null;
+  } | null;
+}
+
+export interface PageDto<T> {
+  items: T[];
+  totalCount: number;
+  nextCursor: string | null;
+}
+
+export interface ErrorFingerprintGroupDto {
+  flowId: string;
+  stage: string | null;
+  errorFingerprint: string | null;
+  errorType: string | null;
+  errorPattern: string | null;
+  count: number;
+  firstSeenAt: string;
+  lastSeenAt: string;
+}
+
+// One flow stage of the Errors tab, split into the fingerprint groups reported by the backend.
 export interface ErrorGroupDto {
   flowId: string;
   stage: string | null;
   count: number;
+  firstSeenAt: Date;
+  lastSeenAt: Date;
+  fingerprints: ErrorFingerprintGroupDto[];
 }
 
 export interface HistoryEntryDto {
@@ -55,6 +227,67 @@ export interface HistoryEntryDto {
   errorType?: string | null;
   errorMessage?: string | null;
   errorStackTrace?: string | null;
+  failureDisposition?: FailureDisposition | null;
+  retryAttempt?: number | null;
+  maxRetryAttempts?: number | null;
+  nextRetryAt?: string | null;
+  wakeUpAt?: string | null;
+  // Set on operator actions: who triggered them (null when anonymous) and why.
+  actor?: string | null;
+  reason?: string | null;
+  // JSON snapshots of the state around a stage action, on the StageChanged (or completing StatusChanged) entry of flows
+  // with a state snapshot serializer.
+  stateBefore?: string | null;
+  stateAfter?: string | null;
+}
+
+// How long instances stayed in a stage, over the visits that left it within the analytics window.
+export interface StageDwellDto {
+  stage: string;
+  visitCount: number;
+  p50Millis: number;
+  p95Millis: number;
+  maxMillis: number;
+}
+
+export interface ThroughputBucketDto {
+  startAt: string;
+  completedCount: number;
+  errorCount: number;
+}
+
+export interface FlowAnalyticsDto {
+  flowId: string;
+  window: AnalyticsWindow;
+  since: string;
+  until: string;
+  bucketSeconds: number;
+  stages: StageDwellDto[];
+  throughput: ThroughputBucketDto[];
+}
+
+// A history entry of an operator action, as listed by `GET /api/audit`.
+export interface AuditEntryDto extends HistoryEntryDto {
+  flowId: string;
+  flowInstanceId: string;
+  // The instance's current business key, when its flow has a business key extractor.
+  businessKey: string | null;
+}
+
+// A named set of Cockpit filters; `search` is the URL query string that restores them.
+export interface SavedViewDto {
+  id: string;
+  name: string;
+  search: string;
+  createdBy: string | null;
+  createdAt: string;
+}
+
+// Saved views kept in this browser or shared with the team through `/api/saved-views`.
+export type SavedViewScope = 'device' | 'team';
+
+export interface SavedView extends SavedViewDto {
+  scope: SavedViewScope;
 }
 
 export interface UiInstance {
@@ -64,7 +297,14 @@ export interface UiInstance {
   cockpitStatus: CockpitStatus;
   updatedAt: Date;
   createdAt: Date;
+  businessKey: string | null;
   errorMessage: string | null;
+  errorType: string | null;
+  errorFingerprint: string | null;
+  failureDisposition: FailureDisposition | null;
+  retryAttempt: number | null;
+  maxRetryAttempts: number | null;
+  nextRetryAt: Date | null;
 }
 
 export interface CockpitLocationState {
@@ -80,15 +320,51 @@ export interface CockpitLocationState {
   longRunningFlowFilter: string;
   longRunningStatusFilter: LongRunningStatusFilter;
   longRunningThreshold: string;
+  metricsFlowFilter: string;
+  metricsWindow: AnalyticsWindow;
+  auditFlowFilter: string;
+  auditTypeFilter: AuditTypeFilter;
+  auditActorFilter: string;
   selectedInstanceFlowId: string | null;
   selectedInstanceId: string | null;
+  tableLayouts: TableLayouts;
 }
 
-export const activeViews: ActiveView[] = ['flows', 'errors', 'long-running', 'instances'];
-export const statusFilters: StatusFilter[] = ['all', 'Running', 'WaitingForTimer', 'WaitingForEvent', 'PendingEngine', 'Error', 'Completed', 'Cancelled'];
+export const activeViews: ActiveView[] = ['flows', 'errors', 'long-running', 'instances', 'metrics', 'audit'];
+export const statusFilters: StatusFilter[] = ['all', 'Running', 'WaitingForTimer', 'WaitingForEvent', 'PendingEngine', 'Error', 'WaitingForRetry', 'Completed', 'Cancelled'];
 export const longRunningStatusFilters: LongRunningStatusFilter[] = ['default', 'all', 'Running', 'PendingEngine', 'WaitingForTimer', 'WaitingForEvent'];
+export const auditTypeFilters: AuditTypeFilter[] = ['all', 'Retried', 'ManualStageChanged', 'Cancelled', 'EventAppended', 'TimerWokenUp', 'TimerRescheduled'];
+export const analyticsWindows: AnalyticsWindow[] = ['1h', '24h', '7d', '30d'];
+export const defaultAnalyticsWindow: AnalyticsWindow = '24h';
 export const defaultLongRunningThreshold = '1h';
 export const defaultLongRunningThresholdSeconds = 60 * 60;
+export const instancesPageSize = 100;
+// The longest reason the backend accepts for an operator action.
+export const maxActionReasonLength = 1000;
+
+export const confirmationActions: Record<ConfirmationActionKind, CockpitAction> = {
+  retry: 'Retry',
+  cancel: 'Cancel',
+  'change-stage': 'ChangeStage',
+  'send-event': 'SendEvent',
+  'wake-up-timer': 'WakeUpTimer',
+  'reschedule-timer': 'RescheduleTimer',
+};
+
+export const sortFields: SortField[] = ['businessKey', 'flow', 'stage', 'status', 'updatedAt'];
+
+// Instance ID and the selection checkbox are always shown; these are the optional columns per view, in display order.
+export const availableTableColumns: Record<TableView, TableColumn[]> = {
+  instances: ['businessKey', 'flow', 'stage', 'status', 'updatedAt', 'errorMessage'],
+  errors: ['businessKey', 'errorMessage', 'updatedAt'],
+  'long-running': ['businessKey', 'flow', 'stage', 'status', 'inactiveDuration', 'updatedAt'],
+};
+
+export const defaultTableLayouts: TableLayouts = {
+  instances: { sort: { field: 'updatedAt', direction: 'desc' }, columns: ['businessKey', 'flow', 'stage', 'status', 'updatedAt'] },
+  errors: { sort: { field: 'updatedAt', direction: 'desc' }, columns: ['businessKey', 'errorMessage'] },
+  'long-running': { sort: { field: 'updatedAt', direction: 'asc' }, columns: ['businessKey', 'flow', 'stage', 'status', 'inactiveDuration'] },
+};
 
 export const defaultLocationState: CockpitLocationState = {
   activeView: 'flows',
@@ -103,8 +379,14 @@ export const defaultLocationState: CockpitLocationState = {
   longRunningFlowFilter: 'all',
   longRunningStatusFilter: 'default',
   longRunningThreshold: defaultLongRunningThreshold,
+  metricsFlowFilter: 'all',
+  metricsWindow: defaultAnalyticsWindow,
+  auditFlowFilter: 'all',
+  auditTypeFilter: 'all',
+  auditActorFilter: '',
   selectedInstanceFlowId: null,
   selectedInstanceId: null,
+  tableLayouts: defaultTableLayouts,
 };
 
 export const toUiInstance = (instance: InstanceDto): UiInstance => ({
@@ -114,5 +396,12 @@ export const toUiInstance = (instance: InstanceDto): UiInstance => ({
   cockpitStatus: instance.cockpitStatus,
   updatedAt: new Date(instance.lastUpdatedAt),
   createdAt: new Date(instance.lastUpdatedAt),
+  businessKey: instance.businessKey ?? null,
   errorMessage: instance.lastErrorMessage,
+  errorType: instance.lastErrorType ?? null,
+  errorFingerprint: instance.errorFingerprint ?? null,
+  failureDisposition: instance.failureDisposition ?? null,
+  retryAttempt: instance.retryAttempt ?? null,
+  maxRetryAttempts: instance.maxRetryAttempts ?? null,
+  nextRetryAt: instance.nextRetryAt ? new Date(instance.nextRetryAt) : null,
 });
\ No newline at end of file
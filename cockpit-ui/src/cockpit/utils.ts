@@ -1,4 +1,4 @@
-import type { CockpitStatus, HistoryEntryDto, LongRunningStatusFilter } from './types';
+import type { CockpitAction, CockpitStatus, HistoryEntryDto, LongRunningStatusFilter, UserAccessDto } from './types';
 
 const padDateTimePart = (value: number) => value.toString().padStart(2, '0');
 
@@ -33,6 +33,19 @@ const parseDurationToSecondsOrNull = (value: string | null) => {
 const isDefaultLongRunningStatus = (cockpitStatus: CockpitStatus) =>
   cockpitStatus === 'Running' || cockpitStatus === 'PendingEngine';
 
+// Instances waiting for an automatic retry are still failed and belong with the errors.
+export const isErrorStatus = (status: CockpitStatus) => status === 'Error' || status === 'WaitingForRetry';
+
+// Statuses that retry, change stage and cancel apply to.
+export const isActionableStatus = (status: CockpitStatus) =>
+  status === 'PendingEngine' || status === 'WaitingForTimer' || status === 'WaitingForEvent' || isErrorStatus(status);
+
+// Until `/api/me` has answered every action is offered; the backend rejects the ones the user may not run.
+export const canRunAction = (access: UserAccessDto | null, action: CockpitAction, flowId?: string) =>
+  access === null || access.flows.some((flow) => (flowId === undefined || flow.flowId === flowId) && flow.actions.includes(action));
+
+export const shortClassName = (className: string) => className.slice(className.lastIndexOf('.') + 1);
+
 export const parseDurationToSeconds = (value: string | null, fallback: number) =>
   parseDurationToSecondsOrNull(value) ?? fallback;
 
@@ -42,6 +55,10 @@ export const toTestIdFragment = (value: string | null) =>
 export const formatDateTime = (date: Date) =>
   `${date.getFullYear()}-${padDateTimePart(date.getMonth() + 1)}-${padDateTimePart(date.getDate())} ${padDateTimePart(date.getHours())}:${padDateTimePart(date.getMinutes())}:${padDateTimePart(date.getSeconds())} ${formatTimeZoneLabel(date)}`;
 
+// Value for an `<input type="datetime-local">`, in the browser's time zone.
+export const formatDateTimeInput = (date: Date) =>
+  `${date.getFullYear()}-${padDateTimePart(date.getMonth() + 1)}-${padDateTimePart(date.getDate())}T${padDateTimePart(date.getHours())}:${padDateTimePart(date.getMinutes())}`;
+
 export const formatElapsedDuration = (durationMs: number) => {
   const totalSeconds = Math.max(0, Math.floor(durationMs / 1000));
   const hours = Math.floor(totalSeconds / 3600);
@@ -100,6 +117,12 @@ export const historyDetailsLabel = (event: HistoryEntryDto) => {
       return [
         event.fromStatus || event.toStatus ? `status: ${event.fromStatus ?? '—'} → ${event.toStatus ?? '—'}` : null,
         event.errorMessage ? `error=${event.errorMessage}` : null,
+        event.failureDisposition ? `disposition=${event.failureDisposition}` : null,
+        event.nextRetryAt ? `auto retry ${event.retryAttempt ?? '?'}/${event.maxRetryAttempts ?? '?'} at ${formatDateTime(new Date(event.nextRetryAt))}` : null,
       ].filter(Boolean).join(' • ') || '—';
+    case 'TimerWokenUp':
+      return 'timer woken up manually';
+    case 'TimerRescheduled':
+      return event.wakeUpAt ? `timer rescheduled to ${formatDateTime(new Date(event.wakeUpAt))}` : 'timer rescheduled';
   }
 };
\ No newline at end of file
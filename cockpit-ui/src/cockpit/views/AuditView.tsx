@@ -0,0 +1,118 @@
+import { auditTypeFilters, type AuditEntryDto, type AuditTypeFilter, type FlowDto } from '../types';
+import { formatDateTime, historyDetailsLabel, historyStageLabel } from '../utils';
+
+export const AuditView = ({
+  flows,
+  isLoading,
+  entries,
+  auditFlowFilter,
+  auditTypeFilter,
+  auditActorFilter,
+  setAuditFlowFilter,
+  setAuditTypeFilter,
+  setAuditActorFilter,
+  onOpenInstance,
+}: {
+  flows: FlowDto[];
+  isLoading: boolean;
+  entries: AuditEntryDto[];
+  auditFlowFilter: string;
+  auditTypeFilter: AuditTypeFilter;
+  auditActorFilter: string;
+  setAuditFlowFilter: (value: string) => void;
+  setAuditTypeFilter: (value: AuditTypeFilter) => void;
+  setAuditActorFilter: (value: string) => void;
+  onOpenInstance: (flowId: string, flowInstanceId: string) => void;
+}) => (
+  <div className="space-y-4">
+    <div className="flex items-center justify-between mb-6">
+      <div>
+        <h2 data-testid="audit-heading" className="text-xl font-bold text-zinc-50">Audit Log</h2>
+        <p className="text-sm text-zinc-500 mt-1">Manual interventions across all flows, newest first, with the operator and the reason they gave.</p>
+      </div>
+      <div className="flex items-center gap-3">
+        <select
+          data-testid="audit-flow-filter"
+          value={auditFlowFilter}
+          onChange={(event) => setAuditFlowFilter(event.target.value)}
+          className="bg-zinc-900 border border-zinc-800 rounded-lg px-4 py-2 text-sm focus:outline-none focus:border-emerald-500"
+        >
+          <option value="all">All Flows</option>
+          {flows.map((flow) => (
+            <option key={flow.flowId} value={flow.flowId}>{flow.flowId}</option>
+          ))}
+        </select>
+        <select
+          data-testid="audit-type-filter"
+          value={auditTypeFilter}
+          onChange={(event) => setAuditTypeFilter(event.target.value as AuditTypeFilter)}
+          className="bg-zinc-900 border border-zinc-800 rounded-lg px-4 py-2 text-sm focus:outline-none focus:border-emerald-500"
+        >
+          {auditTypeFilters.map((type) => (
+            <option key={type} value={type}>{type === 'all' ? 'All Actions' : type}</option>
+          ))}
+        </select>
+        <input
+          data-testid="audit-actor-filter"
+          type="text"
+          placeholder="Operator…"
+          value={auditActorFilter}
+          onChange={(event) => setAuditActorFilter(event.target.value)}
+          className="w-40 bg-zinc-900 border border-zinc-800 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-emerald-500"
+        />
+      </div>
+    </div>
+
+    {isLoading ? (
+      <div className="bg-zinc-900 border border-zinc-800 rounded-lg p-12 text-center">
+        <p className="text-lg font-medium text-zinc-300 mb-2">Loading audit log…</p>
+        <p className="text-sm text-zinc-500">Waiting for the recorded operator actions from the backend.</p>
+      </div>
+    ) : entries.length === 0 ? (
+      <div data-testid="audit-empty" className="bg-zinc-900 border border-zinc-800 rounded-lg p-12 text-center">
+        <p className="text-lg font-medium text-zinc-300 mb-2">No manual interventions</p>
+        <p className="text-sm text-zinc-500">Retries, cancellations, stage changes, sent events and timer moves made from Cockpit show up here.</p>
+      </div>
+    ) : (
+      <div className="bg-zinc-900 border border-zinc-800 rounded-lg overflow-hidden">
+        <table className="w-full text-sm">
+          <thead className="bg-zinc-800/50 text-left text-zinc-400">
+            <tr>
+              <th className="px-4 py-3 font-medium">Timestamp</th>
+              <th className="px-4 py-3 font-medium">Action</th>
+              <th className="px-4 py-3 font-medium">Business Key</th>
+              <th className="px-4 py-3 font-medium">Instance</th>
+              <th className="px-4 py-3 font-medium">Details</th>
+              <th className="px-4 py-3 font-medium">Operator</th>
+              <th className="px-4 py-3 font-medium">Reason</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-zinc-800">
+            {entries.map((entry, index) => (
+              <tr
+                key={`${entry.flowInstanceId}:${entry.occurredAt}:${index}`}
+                data-testid={`audit-row-${index}`}
+                onClick={() => onOpenInstance(entry.flowId, entry.flowInstanceId)}
+                className="align-top hover:bg-zinc-800/30 cursor-pointer transition-colors"
+              >
+                <td className="px-4 py-3 text-xs text-zinc-500 whitespace-nowrap">{formatDateTime(new Date(entry.occurredAt))}</td>
+                <td data-testid={`audit-type-${index}`} className="px-4 py-3 font-mono text-xs text-zinc-300">{entry.type}</td>
+                <td data-testid={`audit-business-key-${index}`} className="px-4 py-3 font-mono text-xs text-zinc-300">{entry.businessKey ?? '—'}</td>
+                <td className="px-4 py-3">
+                  <div className="font-mono text-xs text-zinc-300">{entry.flowId}</div>
+                  <div className="font-mono text-xs text-zinc-500">{entry.flowInstanceId}</div>
+                </td>
+                <td className="px-4 py-3 text-xs text-zinc-500">
+                  {historyStageLabel(entry) && <div className="font-mono text-zinc-400">{historyStageLabel(entry)}</div>}
+                  <div>{historyDetailsLabel(entry)}</div>
+                </td>
+                <td data-testid={`audit-actor-${index}`} className="px-4 py-3 font-mono text-xs text-zinc-300">{entry.actor ?? <span className="text-zinc-600">anonymous</span>}</td>
+                <td data-testid={`audit-reason-${index}`} className="px-4 py-3 text-xs text-zinc-400 break-words max-w-xs">{entry.reason ?? <span className="text-zinc-600">—</span>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
@@ -1,11 +1,63 @@
 import type { ReactNode } from 'react';
 import { CheckCircle, ChevronRight, RefreshCw, X } from 'lucide-react';
-import type { ErrorGroupDto, FlowDto, UiInstance } from '../types';
-import { toTestIdFragment } from '../utils';
+import { ColumnPicker, ExportMenu, SortToggle } from '../tableControls';
+import type { CanRunAction, ConfirmationActionKind, ErrorFingerprintGroupDto, ErrorGroupDto, ExportPath, FlowDto, TableLayout, UiInstance } from '../types';
+import { RetryBadge } from '../badges';
+import { formatDateTime, isErrorStatus, shortClassName, toTestIdFragment } from '../utils';
+
+const groupByFlow = (groups: ErrorGroupDto[]) => {
+  const byFlow = new Map<string, ErrorGroupDto[]>();
+  groups.forEach((group) => byFlow.set(group.flowId, [...(byFlow.get(group.flowId) ?? []), group]));
+  return Array.from(byFlow.entries());
+};
+
+const SeenRange = ({ firstSeenAt, lastSeenAt }: { firstSeenAt: Date; lastSeenAt: Date }) => (
+  <p className="text-xs text-zinc-500 mt-1">
+    First seen {formatDateTime(firstSeenAt)} · Last seen {formatDateTime(lastSeenAt)}
+  </p>
+);
+
+const GroupActionButtons = ({
+  flowId,
+  testIdSuffix,
+  testIdPrefix = 'error-group',
+  canRun,
+  onAction,
+}: {
+  flowId: string;
+  testIdSuffix: string;
+  testIdPrefix?: string;
+  canRun: CanRunAction;
+  onAction: (kind: ConfirmationActionKind) => void;
+}) => (
+  <>
+    {canRun('Retry', flowId) && (
+      <button
+        data-testid={`${testIdPrefix}-retry-all-${testIdSuffix}`}
+        onClick={() => onAction('retry')}
+        className="px-3 py-1 bg-emerald-600/80 hover:bg-emerald-600 rounded text-xs transition-colors flex items-center gap-1"
+      >
+        <RefreshCw size={12} /> Retry all
+      </button>
+    )}
+    {canRun('Cancel', flowId) && (
+      <button
+        data-testid={`${testIdPrefix}-cancel-all-${testIdSuffix}`}
+        onClick={() => onAction('cancel')}
+        className="px-3 py-1 bg-red-600/80 hover:bg-red-600 rounded text-xs transition-colors flex items-center gap-1"
+      >
+        <X size={12} /> Cancel all
+      </button>
+    )}
+  </>
+);
 
 export const ErrorsView = ({
   flows,
   isLoading,
+  layout,
+  onLayoutChange,
+  exportPath,
   filteredErrorGroups,
   instances,
   selectedInstances,
@@ -24,10 +76,16 @@ export const ErrorsView = ({
   handleRetry,
   handleChangeStage,
   handleCancel,
+  handleGroupAction,
+  canRun,
+  canSelectInFlow,
   renderCopyButton,
 }: {
   flows: FlowDto[];
   isLoading: boolean;
+  layout: TableLayout;
+  onLayoutChange: (layout: TableLayout) => void;
+  exportPath: ExportPath;
   filteredErrorGroups: ErrorGroupDto[];
   instances: UiInstance[];
   selectedInstances: Set<string>;
@@ -46,6 +104,9 @@ export const ErrorsView = ({
   handleRetry: (instanceIds: string[]) => void;
   handleChangeStage: (instanceIds: string[]) => void;
   handleCancel: (instanceIds: string[]) => void;
+  handleGroupAction: (kind: ConfirmationActionKind, group: ErrorGroupDto, fingerprint?: ErrorFingerprintGroupDto) => void;
+  canRun: CanRunAction;
+  canSelectInFlow: (flowId: string) => boolean;
   renderCopyButton: (value: string, feedbackKey: string, testId: string) => ReactNode;
 }) => (
   <div className="space-y-4">
@@ -84,6 +145,13 @@ export const ErrorsView = ({
       >
         Clear Filters
       </button>
+      <ColumnPicker view="errors" layout={layout} testIdPrefix="errors" onLayoutChange={onLayoutChange} />
+      <ExportMenu testIdPrefix="errors" exportPath={exportPath} />
+    </div>
+
+    <div className="flex items-center gap-2 -mt-2 mb-2 text-xs text-zinc-400">
+      <span>Instances within each group sorted by</span>
+      <SortToggle column="updatedAt" layout={layout} testIdPrefix="errors" onLayoutChange={onLayoutChange} />
     </div>
 
     {isLoading ? (
@@ -97,27 +165,33 @@ export const ErrorsView = ({
       <div data-testid="errors-selection-bar" className="flex items-center justify-between p-4 bg-emerald-500/10 border border-emerald-500/30 rounded-lg mb-4">
         <span className="text-sm text-emerald-400">{selectedInstances.size} error(s) selected</span>
         <div className="flex gap-2">
-          <button
-            data-testid="errors-retry-selected"
-            onClick={() => handleRetry(Array.from(selectedInstances))}
-            className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 rounded transition-colors text-sm font-medium flex items-center gap-2"
-          >
-            <RefreshCw size={14} /> Retry Selected ({selectedInstances.size})
-          </button>
-          <button
-            data-testid="errors-change-stage-selected"
-            onClick={() => handleChangeStage(Array.from(selectedInstances))}
-            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded transition-colors text-sm font-medium flex items-center gap-2"
-          >
-            <ChevronRight size={14} /> Change Stage ({selectedInstances.size})
-          </button>
-          <button
-            data-testid="errors-cancel-selected"
-            onClick={() => handleCancel(Array.from(selectedInstances))}
-            className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors text-sm font-medium flex items-center gap-2"
-          >
-            <X size={14} /> Cancel Selected ({selectedInstances.size})
-          </button>
+          {canRun('Retry') && (
+            <button
+              data-testid="errors-retry-selected"
+              onClick={() => handleRetry(Array.from(selectedInstances))}
+              className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 rounded transition-colors text-sm font-medium flex items-center gap-2"
+            >
+              <RefreshCw size={14} /> Retry Selected ({selectedInstances.size})
+            </button>
+          )}
+          {canRun('ChangeStage') && (
+            <button
+              data-testid="errors-change-stage-selected"
+              onClick={() => handleChangeStage(Array.from(selectedInstances))}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded transition-colors text-sm font-medium flex items-center gap-2"
+            >
+              <ChevronRight size={14} /> Change Stage ({selectedInstances.size})
+            </button>
+          )}
+          {canRun('Cancel') && (
+            <button
+              data-testid="errors-cancel-selected"
+              onClick={() => handleCancel(Array.from(selectedInstances))}
+              className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors text-sm font-medium flex items-center gap-2"
+            >
+              <X size={14} /> Cancel Selected ({selectedInstances.size})
+            </button>
+          )}
           <button
             data-testid="errors-deselect-selected"
             onClick={deselectAll}
@@ -135,69 +209,143 @@ export const ErrorsView = ({
         <p className="text-lg font-medium text-zinc-300 mb-2">No errors match filters</p>
       </div>
     ) : (
-      filteredErrorGroups.map((group, index) => {
-        const groupInstances = instances.filter(
-          (instance) => instance.flowId === group.flowId && instance.stage === (group.stage ?? '') && instance.cockpitStatus === 'Error',
-        );
-        const groupTestIdSuffix = `${group.flowId}-${toTestIdFragment(group.stage)}`;
-
-        return (
-          <div key={index} data-testid={`error-group-${group.flowId}-${toTestIdFragment(group.stage)}`} className="bg-zinc-900 border border-red-900/30 rounded-lg p-6">
-            <div className="flex items-start justify-between mb-4">
-              <div>
-                <h3 className="text-lg font-bold text-zinc-50 font-mono">{group.flowId}</h3>
-                <p className="text-sm text-zinc-500 mt-1">Stage: <span className="font-mono">{group.stage}</span></p>
-              </div>
-              <div className="flex items-center gap-2">
-                <button
-                  data-testid={`error-group-select-all-${groupTestIdSuffix}`}
-                  onClick={() => selectAllErrorsInGroup(groupInstances.map((instance) => instance.id))}
-                  className="px-3 py-1 bg-zinc-800 hover:bg-zinc-700 rounded text-xs transition-colors"
-                >
-                  Select All
-                </button>
-                <button
-                  data-testid={`error-group-deselect-all-${groupTestIdSuffix}`}
-                  onClick={() => deselectErrorsInGroup(groupInstances.map((instance) => instance.id))}
-                  className="px-3 py-1 bg-zinc-800 hover:bg-zinc-700 rounded text-xs transition-colors"
-                >
-                  Deselect All
-                </button>
-                <div className="px-3 py-1 bg-red-500/20 text-red-400 rounded text-xs font-mono">{group.count} errors</div>
-              </div>
+      groupByFlow(filteredErrorGroups).map(([flowId, flowGroups]) => (
+        <div key={flowId} data-testid={`error-flow-${flowId}`} className="space-y-3">
+          <div className="flex items-center gap-3">
+            <h3 className="text-lg font-bold text-zinc-50 font-mono">{flowId}</h3>
+            <div className="px-2 py-0.5 bg-red-500/20 text-red-400 rounded text-xs font-mono">
+              {flowGroups.reduce((total, group) => total + group.count, 0)} errors
             </div>
+          </div>
+          {flowGroups.map((group) => {
+            const groupInstances = instances.filter(
+              (instance) => instance.flowId === group.flowId && instance.stage === (group.stage ?? '') && isErrorStatus(instance.cockpitStatus),
+            );
+            const groupTestIdSuffix = `${group.flowId}-${toTestIdFragment(group.stage)}`;
 
-            <div className="space-y-2 mt-4">
-              {groupInstances.map((instance) => (
-                <div
-                  key={instance.id}
-                  data-testid={`error-instance-${instance.id}`}
-                  className="bg-zinc-800/50 rounded p-3 hover:bg-zinc-800 transition-colors cursor-pointer"
-                  onClick={() => openSelectedInstance(instance)}
-                >
-                  <div className="flex items-start gap-3">
-                    <input
-                      data-testid={`error-instance-checkbox-${instance.id}`}
-                      type="checkbox"
-                      checked={selectedInstances.has(instance.id)}
-                      onChange={() => toggleSelectInstance(instance.id)}
-                      onClick={(event) => event.stopPropagation()}
-                      className="w-4 h-4 rounded border-zinc-600 bg-zinc-700 mt-1 flex-shrink-0"
-                    />
-                    <div className="flex-1 min-w-0 space-y-1">
-                      <div className="flex items-center gap-2">
-                        <div className="text-sm font-mono text-zinc-300">{instance.id}</div>
-                        {renderCopyButton(instance.id, `error-${instance.id}`, `copy-error-instance-id-${instance.id}`)}
-                      </div>
-                      <div className="text-xs text-red-400 mt-1">{instance.errorMessage}</div>
-                    </div>
+            return (
+              <div key={groupTestIdSuffix} data-testid={`error-group-${groupTestIdSuffix}`} className="bg-zinc-900 border border-red-900/30 rounded-lg p-6">
+                <div className="flex items-start justify-between mb-4">
+                  <div>
+                    <p className="text-sm text-zinc-300">Stage: <span className="font-mono">{group.stage}</span></p>
+                    <SeenRange firstSeenAt={group.firstSeenAt} lastSeenAt={group.lastSeenAt} />
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {canSelectInFlow(group.flowId) && (
+                      <>
+                        <button
+                          data-testid={`error-group-select-all-${groupTestIdSuffix}`}
+                          onClick={() => selectAllErrorsInGroup(groupInstances.map((instance) => instance.id))}
+                          className="px-3 py-1 bg-zinc-800 hover:bg-zinc-700 rounded text-xs transition-colors"
+                        >
+                          Select All
+                        </button>
+                        <button
+                          data-testid={`error-group-deselect-all-${groupTestIdSuffix}`}
+                          onClick={() => deselectErrorsInGroup(groupInstances.map((instance) => instance.id))}
+                          className="px-3 py-1 bg-zinc-800 hover:bg-zinc-700 rounded text-xs transition-colors"
+                        >
+                          Deselect All
+                        </button>
+                      </>
+                    )}
+                    <GroupActionButtons flowId={group.flowId} testIdSuffix={groupTestIdSuffix} canRun={canRun} onAction={(kind) => handleGroupAction(kind, group)} />
+                    <div className="px-3 py-1 bg-red-500/20 text-red-400 rounded text-xs font-mono">{group.count} errors</div>
                   </div>
                 </div>
-              ))}
-            </div>
-          </div>
-        );
-      })
+
+                <div className="space-y-4 mt-4">
+                  {group.fingerprints.map((fingerprint) => {
+                    const fingerprintInstances = groupInstances.filter((instance) => instance.errorFingerprint === fingerprint.errorFingerprint);
+                    const fingerprintTestIdSuffix = `${groupTestIdSuffix}-${fingerprint.errorFingerprint ?? 'none'}`;
+
+                    return (
+                      <div
+                        key={fingerprintTestIdSuffix}
+                        data-testid={`error-fingerprint-${fingerprintTestIdSuffix}`}
+                        data-fingerprint={fingerprint.errorFingerprint ?? ''}
+                        className="border-l-2 border-red-900/50 pl-4"
+                      >
+                        <div className="flex items-start justify-between gap-3 mb-2">
+                          <div className="min-w-0">
+                            {fingerprint.errorType && (
+                              <p className="text-xs font-mono text-zinc-400 truncate" title={fingerprint.errorType}>
+                                {shortClassName(fingerprint.errorType)}
+                              </p>
+                            )}
+                            <p data-testid={`error-fingerprint-pattern-${fingerprintTestIdSuffix}`} className="text-sm text-red-300 break-words">
+                              {fingerprint.errorPattern ?? 'No error message'}
+                            </p>
+                            <SeenRange firstSeenAt={new Date(fingerprint.firstSeenAt)} lastSeenAt={new Date(fingerprint.lastSeenAt)} />
+                          </div>
+                          <div className="flex items-center gap-2 shrink-0">
+                            {fingerprint.errorFingerprint && group.fingerprints.length > 1 && (
+                              <GroupActionButtons
+                                flowId={group.flowId}
+                                testIdSuffix={fingerprintTestIdSuffix}
+                                testIdPrefix="error-fingerprint"
+                                canRun={canRun}
+                                onAction={(kind) => handleGroupAction(kind, group, fingerprint)}
+                              />
+                            )}
+                            <div data-testid={`error-fingerprint-count-${fingerprintTestIdSuffix}`} className="px-2 py-0.5 bg-zinc-800 text-zinc-300 rounded text-xs font-mono">
+                              {fingerprint.count}
+                            </div>
+                          </div>
+                        </div>
+
+                        <div className="space-y-2">
+                          {fingerprintInstances.map((instance) => (
+                            <div
+                              key={instance.id}
+                              data-testid={`error-instance-${instance.id}`}
+                              className="bg-zinc-800/50 rounded p-3 hover:bg-zinc-800 transition-colors cursor-pointer"
+                              onClick={() => openSelectedInstance(instance)}
+                            >
+                              <div className="flex items-start gap-3">
+                                {canSelectInFlow(instance.flowId) && (
+                                  <input
+                                    data-testid={`error-instance-checkbox-${instance.id}`}
+                                    type="checkbox"
+                                    checked={selectedInstances.has(instance.id)}
+                                    onChange={() => toggleSelectInstance(instance.id)}
+                                    onClick={(event) => event.stopPropagation()}
+                                    className="w-4 h-4 rounded border-zinc-600 bg-zinc-700 mt-1 flex-shrink-0"
+                                  />
+                                )}
+                                <div className="flex-1 min-w-0 space-y-1">
+                                  <div className="flex items-center gap-2">
+                                    {layout.columns.includes('businessKey') && instance.businessKey && (
+                                      <div data-testid={`error-instance-business-key-${instance.id}`} className="text-sm font-mono font-medium text-zinc-100">
+                                        {instance.businessKey}
+                                      </div>
+                                    )}
+                                    <div className="text-sm font-mono text-zinc-300">{instance.id}</div>
+                                    {renderCopyButton(instance.id, `error-${instance.id}`, `copy-error-instance-id-${instance.id}`)}
+                                    <RetryBadge instance={instance} />
+                                  </div>
+                                  {layout.columns.includes('errorMessage') && (
+                                    <div className="text-xs text-red-400 mt-1">{instance.errorMessage}</div>
+                                  )}
+                                  {layout.columns.includes('updatedAt') && (
+                                    <div data-testid={`error-instance-updated-${instance.id}`} className="text-xs text-zinc-500">
+                                      Updated {formatDateTime(instance.updatedAt)}
+                                    </div>
+                                  )}
+                                </div>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      ))
     )}
       </>
     )}
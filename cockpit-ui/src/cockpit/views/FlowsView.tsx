@@ -1,23 +1,67 @@
-import type { FlowDto, StatusFilter } from '../types';
-import { toTestIdFragment } from '../utils';
+import { Play, RefreshCw } from 'lucide-react';
+import { LiveConnectionBadge } from '../badges';
+import type { LiveConnectionState } from '../liveUpdates';
+import type { CanRunAction, FlowDto, StatusFilter } from '../types';
+import { formatDateTime, toTestIdFragment } from '../utils';
 
 export const FlowsView = ({
   flows,
   isLoading,
+  liveEnabled,
+  liveConnectionState,
+  lastUpdatedAt,
+  onToggleLive,
+  onRefresh,
   onViewDiagram,
+  onStartInstance,
+  canRun,
   onOpenLongRunning,
   onOpenInstances,
   onOpenErrors,
 }: {
   flows: FlowDto[];
   isLoading: boolean;
+  liveEnabled: boolean;
+  liveConnectionState: LiveConnectionState;
+  lastUpdatedAt: Date | null;
+  onToggleLive: () => void;
+  onRefresh: () => void;
   onViewDiagram: (flow: FlowDto) => void;
+  onStartInstance: (flow: FlowDto) => void;
+  canRun: CanRunAction;
   onOpenLongRunning: (flowId: string) => void;
   onOpenInstances: (args: { search?: string; status?: StatusFilter; stage?: string; errorMessage?: string; incompleteOnly?: boolean }) => void;
   onOpenErrors: (args: { flow?: string; stage?: string; errorMessage?: string }) => void;
 }) => (
   <div className="space-y-4">
-    <h2 data-testid="flows-heading" className="text-xl font-bold text-zinc-50 mb-4">Flow Definitions</h2>
+    <div className="flex items-center justify-between gap-4 mb-4">
+      <h2 data-testid="flows-heading" className="text-xl font-bold text-zinc-50">Flow Definitions</h2>
+      <div className="flex items-center gap-2">
+        {lastUpdatedAt && (
+          <span data-testid="flows-last-updated" className="text-xs text-zinc-500">Updated {formatDateTime(lastUpdatedAt)}</span>
+        )}
+        <LiveConnectionBadge enabled={liveEnabled} state={liveConnectionState} />
+        <button
+          data-testid="flows-live-toggle"
+          aria-pressed={liveEnabled}
+          onClick={onToggleLive}
+          className={
+            'px-3 py-1 rounded text-xs transition-colors ' +
+            (liveEnabled ? 'bg-emerald-600 hover:bg-emerald-700 text-white' : 'bg-zinc-800 hover:bg-zinc-700 text-zinc-300')
+          }
+        >
+          Live {liveEnabled ? 'on' : 'off'}
+        </button>
+        <button
+          data-testid="flows-refresh"
+          onClick={onRefresh}
+          className="px-3 py-1 bg-zinc-800 hover:bg-zinc-700 rounded text-xs transition-colors flex items-center gap-1"
+        >
+          <RefreshCw size={12} />
+          Refresh now
+        </button>
+      </div>
+    </div>
     {isLoading ? (
       <div data-testid="flows-loading" className="bg-zinc-900 border border-zinc-800 rounded-lg p-12 text-center">
         <p className="text-lg font-medium text-zinc-300 mb-2">Loading flows…</p>
@@ -40,6 +84,15 @@ export const FlowsView = ({
             >
               View Diagram
             </button>
+            {flow.initialStateSchema && canRun('StartInstance', flow.flowId) && (
+              <button
+                data-testid={`flow-start-instance-${flow.flowId}`}
+                onClick={() => onStartInstance(flow)}
+                className="px-3 py-1 bg-emerald-500/20 hover:bg-emerald-500/30 text-emerald-300 rounded text-xs transition-colors flex items-center gap-1"
+              >
+                <Play size={12} /> Start instance
+              </button>
+            )}
             {flow.longRunningCount > 0 && (
               <button
                 data-testid={`flow-long-running-${flow.flowId}`}
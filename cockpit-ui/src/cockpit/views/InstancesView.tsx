@@ -1,12 +1,154 @@
 import type { ReactNode } from 'react';
-import { ChevronRight, Database, RefreshCw, Search, X } from 'lucide-react';
+import { ChevronRight, Database, RefreshCw, Send, X } from 'lucide-react';
+import { InstanceSearchBox } from '../InstanceSearchBox';
 import { StatusBadge } from '../badges';
-import type { StatusFilter, UiInstance } from '../types';
-import { formatDateTime } from '../utils';
+import { ColumnPicker, ExportMenu, TableHeaderCell } from '../tableControls';
+import type { CanRunAction, ConfirmationActionKind, ExportPath, FlowDto, StatusFilter, TableColumn, TableLayout, UiInstance } from '../types';
+import { formatDateTime, isActionableStatus } from '../utils';
+import { useVirtualRows } from '../virtualRows';
+
+const rowHeight = 53;
+const tableViewportHeight = 640;
+const loadMoreThresholdRows = 20;
+
+const InstanceCell = ({ column, instance }: { column: TableColumn; instance: UiInstance }) => {
+  switch (column) {
+    case 'businessKey':
+      return <td data-testid={`instance-business-key-${instance.id}`} className="px-4 py-3 font-mono text-xs text-zinc-300">{instance.businessKey ?? '—'}</td>;
+    case 'flow':
+      return <td data-testid="instance-flow-id" className="px-4 py-3 font-mono text-xs text-zinc-300">{instance.flowId}</td>;
+    case 'stage':
+      return <td data-testid={`instance-stage-${instance.id}`} className="px-4 py-3 font-mono text-xs text-zinc-400">{instance.stage || '—'}</td>;
+    case 'status':
+      return <td data-testid={`instance-status-${instance.id}`} className="px-4 py-3"><StatusBadge status={instance.cockpitStatus} /></td>;
+    case 'updatedAt':
+      return <td data-testid={`instance-updated-${instance.id}`} className="px-4 py-3 text-xs text-zinc-500">{formatDateTime(instance.updatedAt)}</td>;
+    case 'errorMessage':
+      return (
+        <td data-testid={`instance-error-${instance.id}`} className="px-4 py-3 text-xs text-red-400 max-w-xs truncate" title={instance.errorMessage ?? undefined}>
+          {instance.errorMessage ?? '—'}
+        </td>
+      );
+    default:
+      return null;
+  }
+};
+
+const InstancesTable = ({
+  instances,
+  layout,
+  onLayoutChange,
+  selectedInstances,
+  hasMore,
+  isLoadingMore,
+  onLoadMore,
+  canSelectInFlow,
+  toggleSelectInstance,
+  openSelectedInstance,
+  renderCopyButton,
+}: {
+  instances: UiInstance[];
+  layout: TableLayout;
+  onLayoutChange: (layout: TableLayout) => void;
+  selectedInstances: Set<string>;
+  hasMore: boolean;
+  isLoadingMore: boolean;
+  onLoadMore: () => void;
+  canSelectInFlow: (flowId: string) => boolean;
+  toggleSelectInstance: (instanceId: string) => void;
+  openSelectedInstance: (instance: UiInstance) => void;
+  renderCopyButton: (value: string, feedbackKey: string, testId: string) => ReactNode;
+}) => {
+  const { start, end, paddingTop, paddingBottom, onScroll } = useVirtualRows({
+    rowCount: instances.length,
+    rowHeight,
+    viewportHeight: tableViewportHeight,
+  });
+
+  return (
+    <div
+      data-testid="instances-table-viewport"
+      className="bg-zinc-900 border border-zinc-800 rounded-lg overflow-y-auto"
+      style={{ maxHeight: tableViewportHeight }}
+      onScroll={(event) => {
+        onScroll(event);
+        const target = event.currentTarget;
+        const nearEnd = target.scrollHeight - target.scrollTop - target.clientHeight < rowHeight * loadMoreThresholdRows;
+        if (nearEnd && hasMore && !isLoadingMore) onLoadMore();
+      }}
+    >
+      <table className="w-full text-sm">
+        <thead className="bg-zinc-800 sticky top-0 z-10">
+          <tr className="text-left text-zinc-400">
+            <th className="px-4 py-3 font-medium w-12"></th>
+            <th className="px-4 py-3 font-medium">Instance ID</th>
+            {layout.columns.map((column) => (
+              <TableHeaderCell key={column} column={column} layout={layout} testIdPrefix="instances" onLayoutChange={onLayoutChange} />
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-zinc-800">
+          {paddingTop > 0 && <tr aria-hidden="true" style={{ height: paddingTop }} />}
+          {instances.slice(start, end).map((instance) => (
+            <tr
+              key={instance.id}
+              data-testid="instances-row"
+              data-instance-id={instance.id}
+              className="hover:bg-zinc-800/30 transition-colors cursor-pointer whitespace-nowrap"
+              style={{ height: rowHeight }}
+              onClick={() => openSelectedInstance(instance)}
+            >
+              <td className="px-4 py-3" onClick={(event) => event.stopPropagation()}>
+                {isActionableStatus(instance.cockpitStatus) && canSelectInFlow(instance.flowId) && (
+                  <input
+                    data-testid={`instances-checkbox-${instance.id}`}
+                    type="checkbox"
+                    checked={selectedInstances.has(instance.id)}
+                    onChange={() => toggleSelectInstance(instance.id)}
+                    className="w-4 h-4 rounded border-zinc-600 bg-zinc-700"
+                  />
+                )}
+              </td>
+              <td className="px-4 py-3 font-mono text-xs text-zinc-300">
+                <div className="flex items-center gap-2">
+                  <span>{instance.id}</span>
+                  {renderCopyButton(instance.id, `instances-${instance.id}`, `copy-instance-list-id-${instance.id}`)}
+                </div>
+              </td>
+              {layout.columns.map((column) => (
+                <InstanceCell key={column} column={column} instance={instance} />
+              ))}
+            </tr>
+          ))}
+          {paddingBottom > 0 && <tr aria-hidden="true" style={{ height: paddingBottom }} />}
+        </tbody>
+      </table>
+      {hasMore && (
+        <div className="p-3 text-center border-t border-zinc-800">
+          <button
+            data-testid="instances-load-more"
+            onClick={onLoadMore}
+            disabled={isLoadingMore}
+            className="px-3 py-2 bg-zinc-800 hover:bg-zinc-700 disabled:text-zinc-500 rounded-lg text-sm transition-colors"
+          >
+            {isLoadingMore ? 'Loading more…' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
 
 export const InstancesView = ({
   isLoading,
+  layout,
+  onLayoutChange,
+  exportPath,
   totalCount,
+  hasMore,
+  isLoadingMore,
+  onLoadMore,
+  flows,
   searchTerm,
   statusFilter,
   stageFilter,
@@ -23,15 +165,28 @@ export const InstancesView = ({
   selectAllVisible,
   deselectAll,
   clearInstanceFilters,
+  matchingSelected,
+  selectAllMatching,
+  handleMatchingAction,
   handleRetry,
   handleChangeStage,
+  handleSendEvent,
   handleCancel,
+  canRun,
+  canSelectInFlow,
   toggleSelectInstance,
   openSelectedInstance,
   renderCopyButton,
 }: {
   isLoading: boolean;
+  layout: TableLayout;
+  onLayoutChange: (layout: TableLayout) => void;
+  exportPath: ExportPath;
   totalCount: number;
+  hasMore: boolean;
+  isLoadingMore: boolean;
+  onLoadMore: () => void;
+  flows: FlowDto[];
   searchTerm: string;
   statusFilter: StatusFilter;
   stageFilter: string;
@@ -48,26 +203,22 @@ export const InstancesView = ({
   selectAllVisible: () => void;
   deselectAll: () => void;
   clearInstanceFilters: () => void;
+  matchingSelected: boolean;
+  selectAllMatching: () => void;
+  handleMatchingAction: (kind: ConfirmationActionKind) => void;
   handleRetry: (instanceIds: string[]) => void;
   handleChangeStage: (instanceIds: string[]) => void;
+  handleSendEvent: (instanceIds: string[]) => void;
   handleCancel: (instanceIds: string[]) => void;
+  canRun: CanRunAction;
+  canSelectInFlow: (flowId: string) => boolean;
   toggleSelectInstance: (instanceId: string) => void;
   openSelectedInstance: (instance: UiInstance) => void;
   renderCopyButton: (value: string, feedbackKey: string, testId: string) => ReactNode;
 }) => (
   <div className="space-y-4">
     <div className="flex items-center gap-4 mb-6">
-      <div className="flex-1 relative">
-        <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-zinc-500" size={16} />
-        <input
-          data-testid="instances-search"
-          type="text"
-          placeholder="Search by instance ID or flow ID..."
-          value={searchTerm}
-          onChange={(event) => setSearchTerm(event.target.value)}
-          className="w-full bg-zinc-900 border border-zinc-800 rounded-lg pl-10 pr-4 py-2 text-sm focus:outline-none focus:border-emerald-500"
-        />
-      </div>
+      <InstanceSearchBox value={searchTerm} flows={flows} onChange={setSearchTerm} />
       <select
         data-testid="instances-status-filter"
         value={statusFilter}
@@ -80,6 +231,7 @@ export const InstancesView = ({
         <option value="WaitingForEvent">Waiting for event</option>
         <option value="PendingEngine">Pending engine</option>
         <option value="Error">Error</option>
+        <option value="WaitingForRetry">Waiting for retry</option>
         <option value="Completed">Completed</option>
         <option value="Cancelled">Cancelled</option>
       </select>
@@ -115,11 +267,13 @@ export const InstancesView = ({
       <button data-testid="instances-select-all" onClick={selectAllVisible} className="px-3 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-sm transition-colors">Select All Actionable</button>
       <button data-testid="instances-deselect" onClick={deselectAll} className="px-3 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-sm transition-colors">Deselect</button>
       <button data-testid="instances-clear-filters" onClick={clearInstanceFilters} className="px-3 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-sm transition-colors">Clear Filters</button>
+      <ColumnPicker view="instances" layout={layout} testIdPrefix="instances" onLayoutChange={onLayoutChange} />
+      {hasInstanceFiltersApplied && <ExportMenu testIdPrefix="instances" exportPath={exportPath} />}
     </div>
 
     {hasInstanceFiltersApplied && !isLoading && (
       <p data-testid="instances-result-count" className="text-xs text-zinc-500 -mt-2 mb-2">
-        returned by backend: {totalCount}
+        loaded {filteredInstances.length} of {totalCount} returned by backend
       </p>
     )}
 
@@ -136,63 +290,43 @@ export const InstancesView = ({
       </div>
     ) : (
       <>
-    {selectedInstances.size > 0 && (
+    {(selectedInstances.size > 0 || matchingSelected) && (
       <div data-testid="instances-selection-bar" className="flex items-center justify-between p-4 bg-emerald-500/10 border border-emerald-500/30 rounded-lg mb-4">
-        <span className="text-sm text-emerald-400">{selectedInstances.size} instance(s) selected</span>
+        <div className="flex items-center gap-3 text-sm text-emerald-400">
+          {matchingSelected ? (
+            <span data-testid="instances-matching-selected">All {totalCount} matching instance(s) selected</span>
+          ) : (
+            <>
+              <span>{selectedInstances.size} instance(s) selected</span>
+              {totalCount > selectedInstances.size && (
+                <button data-testid="instances-select-all-matching" onClick={selectAllMatching} className="underline hover:text-emerald-300 transition-colors">
+                  Select all {totalCount} matching
+                </button>
+              )}
+            </>
+          )}
+        </div>
         <div className="flex gap-2">
-          <button data-testid="instances-retry-selected" onClick={() => handleRetry(Array.from(selectedInstances))} className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><RefreshCw size={14} />Retry</button>
-          <button data-testid="instances-change-stage-selected" onClick={() => handleChangeStage(Array.from(selectedInstances))} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><ChevronRight size={14} />Change Stage</button>
-          <button data-testid="instances-cancel-selected" onClick={() => handleCancel(Array.from(selectedInstances))} className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><X size={14} />Cancel</button>
+          {canRun('Retry') && <button data-testid="instances-retry-selected" onClick={() => (matchingSelected ? handleMatchingAction('retry') : handleRetry(Array.from(selectedInstances)))} className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><RefreshCw size={14} />Retry</button>}
+          {canRun('ChangeStage') && <button data-testid="instances-change-stage-selected" onClick={() => (matchingSelected ? handleMatchingAction('change-stage') : handleChangeStage(Array.from(selectedInstances)))} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><ChevronRight size={14} />Change Stage</button>}
+          {canRun('SendEvent') && <button data-testid="instances-send-event-selected" onClick={() => (matchingSelected ? handleMatchingAction('send-event') : handleSendEvent(Array.from(selectedInstances)))} className="px-4 py-2 bg-violet-600 hover:bg-violet-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><Send size={14} />Send Event</button>}
+          {canRun('Cancel') && <button data-testid="instances-cancel-selected" onClick={() => (matchingSelected ? handleMatchingAction('cancel') : handleCancel(Array.from(selectedInstances)))} className="px-4 py-2 bg-red-600 hover:bg-red-700 rounded transition-colors text-sm font-medium flex items-center gap-2"><X size={14} />Cancel</button>}
         </div>
       </div>
     )}
-      <div className="bg-zinc-900 border border-zinc-800 rounded-lg overflow-hidden">
-        <table className="w-full text-sm">
-          <thead className="bg-zinc-800/50">
-            <tr className="text-left text-zinc-400">
-              <th className="px-4 py-3 font-medium w-12"></th>
-              <th className="px-4 py-3 font-medium">Instance ID</th>
-              <th className="px-4 py-3 font-medium">Flow</th>
-              <th className="px-4 py-3 font-medium">Stage</th>
-              <th className="px-4 py-3 font-medium">Status</th>
-              <th className="px-4 py-3 font-medium">Updated</th>
-            </tr>
-          </thead>
-          <tbody className="divide-y divide-zinc-800">
-            {filteredInstances.map((instance) => (
-              <tr
-                key={instance.id}
-                data-testid="instances-row"
-                data-instance-id={instance.id}
-                className="hover:bg-zinc-800/30 transition-colors cursor-pointer"
-                onClick={() => openSelectedInstance(instance)}
-              >
-                <td className="px-4 py-3" onClick={(event) => event.stopPropagation()}>
-                  {(instance.cockpitStatus === 'PendingEngine' || instance.cockpitStatus === 'WaitingForTimer' || instance.cockpitStatus === 'WaitingForEvent' || instance.cockpitStatus === 'Error') && (
-                    <input
-                      data-testid={`instances-checkbox-${instance.id}`}
-                      type="checkbox"
-                      checked={selectedInstances.has(instance.id)}
-                      onChange={() => toggleSelectInstance(instance.id)}
-                      className="w-4 h-4 rounded border-zinc-600 bg-zinc-700"
-                    />
-                  )}
-                </td>
-                <td className="px-4 py-3 font-mono text-xs text-zinc-300">
-                  <div className="flex items-center gap-2">
-                    <span>{instance.id}</span>
-                    {renderCopyButton(instance.id, `instances-${instance.id}`, `copy-instance-list-id-${instance.id}`)}
-                  </div>
-                </td>
-                <td data-testid="instance-flow-id" className="px-4 py-3 font-mono text-xs text-zinc-300">{instance.flowId}</td>
-                <td data-testid={`instance-stage-${instance.id}`} className="px-4 py-3 font-mono text-xs text-zinc-400">{instance.stage || '—'}</td>
-                <td data-testid={`instance-status-${instance.id}`} className="px-4 py-3"><StatusBadge status={instance.cockpitStatus} /></td>
-                <td className="px-4 py-3 text-xs text-zinc-500">{formatDateTime(instance.updatedAt)}</td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
+      <InstancesTable
+        instances={filteredInstances}
+        layout={layout}
+        onLayoutChange={onLayoutChange}
+        selectedInstances={selectedInstances}
+        hasMore={hasMore}
+        isLoadingMore={isLoadingMore}
+        onLoadMore={onLoadMore}
+        canSelectInFlow={canSelectInFlow}
+        toggleSelectInstance={toggleSelectInstance}
+        openSelectedInstance={openSelectedInstance}
+        renderCopyButton={renderCopyButton}
+      />
       </>
     )}
   </div>
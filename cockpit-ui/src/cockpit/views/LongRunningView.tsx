@@ -1,20 +1,44 @@
 import type { ReactNode } from 'react';
-import { CheckCircle, RefreshCw } from 'lucide-react';
+import { AlarmClock, CalendarClock, CheckCircle, RefreshCw } from 'lucide-react';
 import { StatusBadge } from '../badges';
-import type { FlowDto, LongRunningStatusFilter, UiInstance } from '../types';
-import { formatElapsedDuration } from '../utils';
+import { ColumnPicker, ExportMenu, TableHeaderCell } from '../tableControls';
+import type { CanRunAction, ExportPath, FlowDto, LongRunningStatusFilter, TableColumn, TableLayout, UiInstance } from '../types';
+import { formatDateTime, formatElapsedDuration } from '../utils';
 
 type LongRunningInstance = UiInstance & { inactiveDuration: number };
 
+const LongRunningCell = ({ column, instance }: { column: TableColumn; instance: LongRunningInstance }) => {
+  switch (column) {
+    case 'businessKey':
+      return <td className="px-4 py-3 font-mono text-xs text-zinc-300">{instance.businessKey ?? '—'}</td>;
+    case 'flow':
+      return <td className="px-4 py-3 font-mono text-xs text-zinc-300">{instance.flowId}</td>;
+    case 'stage':
+      return <td className="px-4 py-3 font-mono text-xs text-zinc-400">{instance.stage}</td>;
+    case 'status':
+      return <td className="px-4 py-3"><div data-testid={`long-running-status-${instance.id}`}><StatusBadge status={instance.cockpitStatus} /></div></td>;
+    case 'inactiveDuration':
+      return <td className="px-4 py-3"><span className="px-2 py-1 rounded text-xs font-mono bg-amber-500/20 text-amber-400">{formatElapsedDuration(instance.inactiveDuration)}</span></td>;
+    case 'updatedAt':
+      return <td className="px-4 py-3 text-xs text-zinc-500">{formatDateTime(instance.updatedAt)}</td>;
+    default:
+      return null;
+  }
+};
+
 export const LongRunningView = ({
   flows,
   isLoading,
+  layout,
+  onLayoutChange,
+  exportPath,
   totalCount,
   longRunningFlowFilter,
   longRunningStatusFilter,
   longRunningThreshold,
   longRunningInstances,
   selectedLongRunningIds,
+  selectedLongRunningTimerIds,
   selectedInstances,
   setLongRunningFlowFilter,
   setLongRunningStatusFilter,
@@ -23,16 +47,25 @@ export const LongRunningView = ({
   toggleSelectInstance,
   openSelectedInstance,
   handleRetry,
+  handleWakeUpTimer,
+  handleRescheduleTimer,
+  canRun,
+  canSelectInFlow,
   renderCopyButton,
 }: {
   flows: FlowDto[];
   isLoading: boolean;
+  layout: TableLayout;
+  onLayoutChange: (layout: TableLayout) => void;
+  exportPath: ExportPath;
   totalCount: number;
   longRunningFlowFilter: string;
   longRunningStatusFilter: LongRunningStatusFilter;
   longRunningThreshold: string;
   longRunningInstances: LongRunningInstance[];
   selectedLongRunningIds: string[];
+  // The selected instances that wait in a timer stage; only these can be woken up or rescheduled.
+  selectedLongRunningTimerIds: string[];
   selectedInstances: Set<string>;
   setLongRunningFlowFilter: (value: string) => void;
   setLongRunningStatusFilter: (value: LongRunningStatusFilter) => void;
@@ -41,6 +74,10 @@ export const LongRunningView = ({
   toggleSelectInstance: (instanceId: string) => void;
   openSelectedInstance: (instance: UiInstance) => void;
   handleRetry: (instanceIds: string[]) => void;
+  handleWakeUpTimer: (instanceIds: string[]) => void;
+  handleRescheduleTimer: (instanceIds: string[]) => void;
+  canRun: CanRunAction;
+  canSelectInFlow: (flowId: string) => boolean;
   renderCopyButton: (value: string, feedbackKey: string, testId: string) => ReactNode;
 }) => (
   <div className="space-y-4">
@@ -83,6 +120,8 @@ export const LongRunningView = ({
           className="w-28 bg-zinc-900 border border-zinc-800 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-emerald-500"
         />
         <span className="text-xs text-zinc-500">Examples: 30s, 1m, 1h 30m</span>
+        <ColumnPicker view="long-running" layout={layout} testIdPrefix="long-running" onLayoutChange={onLayoutChange} />
+        <ExportMenu testIdPrefix="long-running" exportPath={exportPath} />
       </div>
     </div>
 
@@ -103,13 +142,37 @@ export const LongRunningView = ({
       <div data-testid="long-running-selection-bar" className="flex items-center justify-between p-4 bg-emerald-500/10 border border-emerald-500/30 rounded-lg mb-4">
         <span className="text-sm text-emerald-400">{selectedLongRunningIds.length} long inactive instance(s) selected</span>
         <div className="flex gap-2">
-          <button
-            data-testid="long-running-retry-selected"
-            onClick={() => handleRetry(selectedLongRunningIds)}
-            className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 rounded transition-colors text-sm font-medium flex items-center gap-2"
-          >
-            <RefreshCw size={14} /> Retry Selected ({selectedLongRunningIds.length})
-          </button>
+          {canRun('Retry') && (
+            <button
+              data-testid="long-running-retry-selected"
+              onClick={() => handleRetry(selectedLongRunningIds)}
+              className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 rounded transition-colors text-sm font-medium flex items-center gap-2"
+            >
+              <RefreshCw size={14} /> Retry Selected ({selectedLongRunningIds.length})
+            </button>
+          )}
+          {selectedLongRunningTimerIds.length > 0 && (
+            <>
+              {canRun('WakeUpTimer') && (
+                <button
+                  data-testid="long-running-wake-up-timer-selected"
+                  onClick={() => handleWakeUpTimer(selectedLongRunningTimerIds)}
+                  className="px-4 py-2 bg-amber-600 hover:bg-amber-700 rounded transition-colors text-sm font-medium flex items-center gap-2"
+                >
+                  <AlarmClock size={14} /> Wake Now ({selectedLongRunningTimerIds.length})
+                </button>
+              )}
+              {canRun('RescheduleTimer') && (
+                <button
+                  data-testid="long-running-reschedule-timer-selected"
+                  onClick={() => handleRescheduleTimer(selectedLongRunningTimerIds)}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded transition-colors text-sm font-medium flex items-center gap-2"
+                >
+                  <CalendarClock size={14} /> Reschedule ({selectedLongRunningTimerIds.length})
+                </button>
+              )}
+            </>
+          )}
           <button
             data-testid="long-running-deselect-selected"
             onClick={deselectAll}
@@ -133,10 +196,9 @@ export const LongRunningView = ({
             <tr className="text-left text-zinc-400">
               <th className="px-4 py-3 font-medium w-12"></th>
               <th className="px-4 py-3 font-medium">Instance ID</th>
-              <th className="px-4 py-3 font-medium">Flow</th>
-              <th className="px-4 py-3 font-medium">Stage</th>
-              <th className="px-4 py-3 font-medium">Status</th>
-              <th className="px-4 py-3 font-medium">Inactive Duration</th>
+              {layout.columns.map((column) => (
+                <TableHeaderCell key={column} column={column} layout={layout} testIdPrefix="long-running" onLayoutChange={onLayoutChange} />
+              ))}
             </tr>
           </thead>
           <tbody className="divide-y divide-zinc-800">
@@ -148,13 +210,15 @@ export const LongRunningView = ({
                 onClick={() => openSelectedInstance(instance)}
               >
                 <td className="px-4 py-3" onClick={(event) => event.stopPropagation()}>
-                  <input
-                    data-testid={`long-running-checkbox-${instance.id}`}
-                    type="checkbox"
-                    checked={selectedInstances.has(instance.id)}
-                    onChange={() => toggleSelectInstance(instance.id)}
-                    className="w-4 h-4 rounded border-zinc-600 bg-zinc-700"
-                  />
+                  {canSelectInFlow(instance.flowId) && (
+                    <input
+                      data-testid={`long-running-checkbox-${instance.id}`}
+                      type="checkbox"
+                      checked={selectedInstances.has(instance.id)}
+                      onChange={() => toggleSelectInstance(instance.id)}
+                      className="w-4 h-4 rounded border-zinc-600 bg-zinc-700"
+                    />
+                  )}
                 </td>
                 <td className="px-4 py-3 font-mono text-xs text-zinc-300">
                   <div className="flex items-center gap-2">
@@ -162,10 +226,9 @@ export const LongRunningView = ({
                     {renderCopyButton(instance.id, `long-running-${instance.id}`, `copy-long-running-instance-id-${instance.id}`)}
                   </div>
                 </td>
-                <td className="px-4 py-3 font-mono text-xs text-zinc-300">{instance.flowId}</td>
-                <td className="px-4 py-3 font-mono text-xs text-zinc-400">{instance.stage}</td>
-                <td className="px-4 py-3"><div data-testid={`long-running-status-${instance.id}`}><StatusBadge status={instance.cockpitStatus} /></div></td>
-                <td className="px-4 py-3"><span className="px-2 py-1 rounded text-xs font-mono bg-amber-500/20 text-amber-400">{formatElapsedDuration(instance.inactiveDuration)}</span></td>
+                {layout.columns.map((column) => (
+                  <LongRunningCell key={column} column={column} instance={instance} />
+                ))}
               </tr>
             ))}
           </tbody>
@@ -0,0 +1,163 @@
+import { analyticsWindows, type AnalyticsWindow, type FlowAnalyticsDto, type FlowDto } from '../types';
+import { formatDateTime, formatElapsedDuration } from '../utils';
+
+const analyticsWindowLabels: Record<AnalyticsWindow, string> = {
+  '1h': 'Last hour',
+  '24h': 'Last 24 hours',
+  '7d': 'Last 7 days',
+  '30d': 'Last 30 days',
+};
+
+const StageDwellTable = ({ analytics }: { analytics: FlowAnalyticsDto }) => {
+  const longest = Math.max(1, ...analytics.stages.map((stage) => stage.maxMillis));
+
+  if (analytics.stages.length === 0) {
+    return <p className="text-sm text-zinc-500">No instance left a stage in this window.</p>;
+  }
+
+  return (
+    <table className="w-full text-sm">
+      <thead className="text-left text-zinc-400">
+        <tr>
+          <th className="py-2 pr-4 font-medium">Stage</th>
+          <th className="py-2 pr-4 font-medium text-right">Visits</th>
+          <th className="py-2 pr-4 font-medium text-right">p50</th>
+          <th className="py-2 pr-4 font-medium text-right">p95</th>
+          <th className="py-2 pr-4 font-medium text-right">Max</th>
+          <th className="py-2 font-medium w-1/3" />
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-zinc-800">
+        {analytics.stages.map((stage) => (
+          <tr key={stage.stage} data-testid={`metrics-dwell-${analytics.flowId}-${stage.stage}`}>
+            <td className="py-2 pr-4 font-mono text-xs text-zinc-300">{stage.stage}</td>
+            <td className="py-2 pr-4 text-right text-xs text-zinc-400">{stage.visitCount}</td>
+            <td data-testid={`metrics-dwell-p50-${analytics.flowId}-${stage.stage}`} className="py-2 pr-4 text-right text-xs text-zinc-300">{formatElapsedDuration(stage.p50Millis)}</td>
+            <td className="py-2 pr-4 text-right text-xs text-zinc-300">{formatElapsedDuration(stage.p95Millis)}</td>
+            <td className="py-2 pr-4 text-right text-xs text-zinc-500">{formatElapsedDuration(stage.maxMillis)}</td>
+            <td className="py-2">
+              <div className="relative h-3 bg-zinc-800 rounded" title={`p50 ${formatElapsedDuration(stage.p50Millis)} · p95 ${formatElapsedDuration(stage.p95Millis)} · max ${formatElapsedDuration(stage.maxMillis)}`}>
+                <div className="absolute inset-y-0 left-0 bg-zinc-600 rounded" style={{ width: `${(stage.maxMillis / longest) * 100}%` }} />
+                <div className="absolute inset-y-0 left-0 bg-blue-500/60 rounded" style={{ width: `${(stage.p95Millis / longest) * 100}%` }} />
+                <div className="absolute inset-y-0 left-0 bg-blue-400 rounded" style={{ width: `${(stage.p50Millis / longest) * 100}%` }} />
+              </div>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const ThroughputChart = ({ analytics }: { analytics: FlowAnalyticsDto }) => {
+  const highest = Math.max(1, ...analytics.throughput.map((bucket) => bucket.completedCount + bucket.errorCount));
+
+  return (
+    <div>
+      <div data-testid={`metrics-throughput-${analytics.flowId}`} className="flex items-end gap-px h-32 bg-zinc-800/30 rounded p-1">
+        {analytics.throughput.map((bucket) => (
+          <div
+            key={bucket.startAt}
+            className="flex-1 flex flex-col justify-end h-full hover:bg-zinc-700/40"
+            title={`${formatDateTime(new Date(bucket.startAt))} · ${bucket.completedCount} completed · ${bucket.errorCount} errors`}
+          >
+            {bucket.errorCount > 0 && <div className="bg-red-500" style={{ height: `${(bucket.errorCount / highest) * 100}%` }} />}
+            {bucket.completedCount > 0 && <div className="bg-emerald-500" style={{ height: `${(bucket.completedCount / highest) * 100}%` }} />}
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between mt-1 text-xs text-zinc-500">
+        <span>{formatDateTime(new Date(analytics.since))}</span>
+        <span>per {formatElapsedDuration(analytics.bucketSeconds * 1000)}</span>
+        <span>{formatDateTime(new Date(analytics.until))}</span>
+      </div>
+    </div>
+  );
+};
+
+export const MetricsView = ({
+  flows,
+  isLoading,
+  analytics,
+  metricsFlowFilter,
+  metricsWindow,
+  setMetricsFlowFilter,
+  setMetricsWindow,
+}: {
+  flows: FlowDto[];
+  isLoading: boolean;
+  analytics: FlowAnalyticsDto[];
+  metricsFlowFilter: string;
+  metricsWindow: AnalyticsWindow;
+  setMetricsFlowFilter: (value: string) => void;
+  setMetricsWindow: (value: AnalyticsWindow) => void;
+}) => (
+  <div className="space-y-4">
+    <div className="flex items-center justify-between mb-6">
+      <div>
+        <h2 data-testid="metrics-heading" className="text-xl font-bold text-zinc-50">Metrics</h2>
+        <p className="text-sm text-zinc-500 mt-1">How long instances stay in each stage and how many complete or fail over time, from the flow history.</p>
+      </div>
+      <div className="flex items-center gap-3">
+        <select
+          data-testid="metrics-flow-filter"
+          value={metricsFlowFilter}
+          onChange={(event) => setMetricsFlowFilter(event.target.value)}
+          className="bg-zinc-900 border border-zinc-800 rounded-lg px-4 py-2 text-sm focus:outline-none focus:border-emerald-500"
+        >
+          <option value="all">All Flows</option>
+          {flows.map((flow) => (
+            <option key={flow.flowId} value={flow.flowId}>{flow.flowId}</option>
+          ))}
+        </select>
+        <select
+          data-testid="metrics-window"
+          value={metricsWindow}
+          onChange={(event) => setMetricsWindow(event.target.value as AnalyticsWindow)}
+          className="bg-zinc-900 border border-zinc-800 rounded-lg px-4 py-2 text-sm focus:outline-none focus:border-emerald-500"
+        >
+          {analyticsWindows.map((option) => (
+            <option key={option} value={option}>{analyticsWindowLabels[option]}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+
+    {isLoading ? (
+      <div className="bg-zinc-900 border border-zinc-800 rounded-lg p-12 text-center">
+        <p className="text-lg font-medium text-zinc-300 mb-2">Loading metrics…</p>
+        <p className="text-sm text-zinc-500">Waiting for the stage and throughput analytics from the backend.</p>
+      </div>
+    ) : analytics.length === 0 ? (
+      <div data-testid="metrics-empty" className="bg-zinc-900 border border-zinc-800 rounded-lg p-12 text-center">
+        <p className="text-lg font-medium text-zinc-300 mb-2">No flows to analyze</p>
+        <p className="text-sm text-zinc-500">Metrics appear here for every registered flow.</p>
+      </div>
+    ) : (
+      analytics.map((flowAnalytics) => {
+        const completed = flowAnalytics.throughput.reduce((sum, bucket) => sum + bucket.completedCount, 0);
+        const errors = flowAnalytics.throughput.reduce((sum, bucket) => sum + bucket.errorCount, 0);
+
+        return (
+          <div key={flowAnalytics.flowId} data-testid={`metrics-flow-${flowAnalytics.flowId}`} className="bg-zinc-900 border border-zinc-800 rounded-lg p-6 space-y-6">
+            <div className="flex items-center justify-between">
+              <h3 className="text-lg font-bold text-zinc-50 font-mono">{flowAnalytics.flowId}</h3>
+              <div className="flex gap-4 text-xs">
+                <span data-testid={`metrics-completed-${flowAnalytics.flowId}`} className="text-emerald-400">{completed} completed</span>
+                <span data-testid={`metrics-errors-${flowAnalytics.flowId}`} className="text-red-400">{errors} errors</span>
+              </div>
+            </div>
+            <div>
+              <h4 className="text-sm font-bold text-zinc-400 uppercase tracking-wide mb-3">Stage Dwell Time</h4>
+              <StageDwellTable analytics={flowAnalytics} />
+            </div>
+            <div>
+              <h4 className="text-sm font-bold text-zinc-400 uppercase tracking-wide mb-3">Completions and Errors</h4>
+              <ThroughputChart analytics={flowAnalytics} />
+            </div>
+          </div>
+        );
+      })
+    )}
+  </div>
+);
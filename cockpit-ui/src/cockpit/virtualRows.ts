@@ -0,0 +1,26 @@
+import { useState, type UIEvent } from 'react';
+
+// Windowing for fixed-height table rows: only rows near the visible viewport are rendered.
+export const useVirtualRows = ({
+  rowCount,
+  rowHeight,
+  viewportHeight,
+  overscan = 10,
+}: {
+  rowCount: number;
+  rowHeight: number;
+  viewportHeight: number;
+  overscan?: number;
+}) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(rowCount, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+  return {
+    start,
+    end,
+    paddingTop: start * rowHeight,
+    paddingBottom: (rowCount - end) * rowHeight,
+    onScroll: (event: UIEvent<HTMLElement>) => setScrollTop(event.currentTarget.scrollTop),
+  };
+};
@@ -2,38 +2,140 @@ package io.flowlite
 
 import io.github.oshai.kotlinlogging.KotlinLogging
 import java.time.Clock
+import java.time.Duration
+import java.time.Instant
+import java.time.temporal.ChronoUnit
 import java.util.UUID
+import kotlin.math.pow
+
+/**
+ * What the engine should do after a stage failed. Produced by an application-supplied [FailureClassifier].
+ */
+sealed interface FailureDirective {
+    /**
+     * Retry the failed stage automatically after [delay], growing by [backoffMultiplier] per attempt and capped at
+     * [maxDelay]. Once [maxAttempts] retries are used up the instance stays in `Error` as user-retriable.
+     */
+    data class AutoRetry(
+        val delay: Duration,
+        val maxAttempts: Int,
+        val backoffMultiplier: Double = 2.0,
+        val maxDelay: Duration? = null,
+    ) : FailureDirective {
+        init {
+            require(maxAttempts > 0) { "maxAttempts must be positive" }
+            require(backoffMultiplier >= 1.0) { "backoffMultiplier must be at least 1" }
+        }
+
+        /** Delay before retry number [attempt] (1-based). */
+        fun delayFor(attempt: Int): Duration {
+            val millis = delay.toMillis() * backoffMultiplier.pow((attempt - 1).coerceAtLeast(0))
+            val backedOff = Duration.ofMillis(millis.toLong().coerceAtLeast(0))
+            return maxDelay?.let { minOf(it, backedOff) } ?: backedOff
+        }
+    }
+
+    /** Stay in `Error` until an operator retries or changes the stage. This is the behavior without a classifier. */
+    data object UserRetriable : FailureDirective
+
+    /** Stay in `Error`; retrying is pointless and needs escalation. */
+    data object Fatal : FailureDirective
+}
+
+/**
+ * Decides how a stage failure is handled. [attempt] is 1 for the first failure of a stage and grows with each
+ * automatic retry of that stage.
+ */
+fun interface FailureClassifier<in T : Any> {
+    fun classify(context: ActionContext, stage: Stage, state: T, error: Exception, attempt: Int): FailureDirective
+}
+
+/**
+ * Derives the business identifier of an instance from its state, e.g. an order number or an employee's email.
+ * Cockpit shows it next to the instance id and searches it; null means the instance has none (yet).
+ */
+fun interface BusinessKeyExtractor<in T : Any> {
+    fun extract(state: T): String?
+}
+
+/**
+ * Serializes the state of an instance to JSON text, e.g. `objectMapper.writeValueAsString(state)`. The engine stores
+ * the state before and after each stage action that returns a new state on the entry that records the step: the
+ * `StageChanged` entry, or the `StatusChanged` entry that completes the instance after a final stage's action. Cockpit
+ * shows the difference in the instance history, masking the redacted keys of the flow's `CockpitStateRenderer`.
+ * Snapshots are stored as returned, except that those longer than 64K characters are truncated.
+ */
+fun interface StateSnapshotSerializer<in T : Any> {
+    fun serialize(state: T): String
+}
 
 class Engine(
     private val eventStore: EventStore,
     private val tickScheduler: TickScheduler,
     private val historyStore: HistoryStore = NoopHistoryStore,
     private val clock: Clock = Clock.systemUTC(),
+    metrics: FlowLiteMetrics? = null,
 ) {
     private companion object {
         private val log = KotlinLogging.logger {}
+        private const val MAX_STATE_SNAPSHOT_LENGTH = 65_536
+        private const val STATE_SNAPSHOT_TRUNCATED = "…[truncated]"
     }
 
+    private val ticksProcessed = metrics?.counter("flowlite_ticks_processed", "Ticks handed to the engine.", "flow_id")
+    private val tickLag = metrics?.histogram("flowlite_tick_lag_seconds", "Time between a tick becoming due and the engine handling it.", "flow_id")
+    private val actionDuration = metrics?.histogram("flowlite_action_duration_seconds", "Duration of stage actions.", "flow_id", "stage")
+    private val stageErrors = metrics?.counter("flowlite_stage_errors", "Stage failures that put an instance into Error.", "flow_id", "stage")
+
     init {
         tickScheduler.setTickHandler(::processTick)
     }
 
     private val flows = mutableMapOf<String, Flow<Any, Stage, Event>>()
     private val persisters = mutableMapOf<String, StatePersister<Any>>()
+    private val failureClassifiers = mutableMapOf<String, FailureClassifier<Any>>()
+    private val businessKeyExtractors = mutableMapOf<String, BusinessKeyExtractor<Any>>()
+    private val stateSnapshotSerializers = mutableMapOf<String, StateSnapshotSerializer<Any>>()
 
     @Suppress("UNCHECKED_CAST")
     fun <T : Any, S, E : Event> registerFlow(
         flowId: String,
         flow: Flow<T, S, E>,
         statePersister: StatePersister<T>,
+        failureClassifier: FailureClassifier<T>? = null,
+        businessKeyExtractor: BusinessKeyExtractor<T>? = null,
+        stateSnapshotSerializer: StateSnapshotSerializer<T>? = null,
     ) where S : Enum<S>, S : Stage {
         log.info { "registerFlow(flowId=$flowId)" }
         flows[flowId] = flow as Flow<Any, Stage, Event>
         persisters[flowId] = statePersister as StatePersister<Any>
+        if (failureClassifier != null) {
+            failureClassifiers[flowId] = failureClassifier as FailureClassifier<Any>
+        } else {
+            failureClassifiers.remove(flowId)
+        }
+        if (businessKeyExtractor != null) {
+            businessKeyExtractors[flowId] = businessKeyExtractor as BusinessKeyExtractor<Any>
+        } else {
+            businessKeyExtractors.remove(flowId)
+        }
+        if (stateSnapshotSerializer != null) {
+            stateSnapshotSerializers[flowId] = stateSnapshotSerializer as StateSnapshotSerializer<Any>
+        } else {
+            stateSnapshotSerializers.remove(flowId)
+        }
     }
 
     fun registeredFlows(): Map<String, Flow<Any, Stage, Event>> = flows.toMap()
 
+    /** Events appended for this instance that no stage has consumed yet. */
+    fun pendingEvents(flowId: String, flowInstanceId: UUID): List<PendingEventRecord> =
+        eventStore.pendingEvents(flowId, flowInstanceId)
+
+    /** The earliest tick scheduled to wake this instance up in [stage] (a timer or an automatic retry), if any. */
+    fun scheduledTick(flowId: String, flowInstanceId: UUID, stage: String): ScheduledTick? =
+        tickScheduler.findScheduledTick(flowId, flowInstanceId, stage)
+
     @Suppress("UNCHECKED_CAST")
     fun <T : Any> startInstance(flowId: String, initialState: T): UUID {
         val flowInstanceId = UUID.randomUUID()
@@ -48,7 +150,7 @@ class Engine(
             stageStatus = StageStatus.Pending,
         )
         persister.save(data as InstanceData<Any>)
-        historyStore.recordStarted(flowId, data as InstanceData<Any>)
+        historyStore.recordStarted(flowId, data as InstanceData<Any>, businessKeyOf(flowId, initialState))
         enqueueTick(flowId, flowInstanceId)
         return flowInstanceId
     }
@@ -65,16 +167,25 @@ class Engine(
         return flowInstanceId
     }
 
-    fun sendEvent(flowId: String, flowInstanceId: UUID, event: Event) {
+    fun sendEvent(flowId: String, flowInstanceId: UUID, event: Event, intervention: Intervention? = null) {
         requireNotNull(flows[flowId]) { "Flow '$flowId' not registered" }
         requireNotNull(persisters[flowId]) { "Persister for flow '$flowId' not registered" }
         log.info { "sendEvent(flowId=$flowId, flowInstanceId=$flowInstanceId, event=$event)" }
         eventStore.append(flowId, flowInstanceId, event)
-        historyStore.recordEventAppended(flowId, flowInstanceId, event)
+        historyStore.recordEventAppended(flowId, flowInstanceId, event, intervention)
         enqueueTick(flowId, flowInstanceId)
     }
 
-    fun retry(flowId: String, flowInstanceId: UUID) {
+    /** Sends the event named [eventName], resolved against the events [flowId] declares (enum constant names). */
+    fun sendEvent(flowId: String, flowInstanceId: UUID, eventName: String, intervention: Intervention? = null) {
+        val flow = requireNotNull(flows[flowId]) { "Flow '$flowId' not registered" }
+        val event = flow.declaredEvents().firstOrNull { historyValueOf(it) == eventName }
+            ?: error("Event '$eventName' not found in flow '$flowId'")
+        sendEvent(flowId, flowInstanceId, event, intervention)
+    }
+
+    /** Operator actions take an optional [Intervention] that is recorded on their history entry. */
+    fun retry(flowId: String, flowInstanceId: UUID, intervention: Intervention? = null) {
         val persister = requireNotNull(persisters[flowId]) { "Persister for flow '$flowId' not registered" }
         val current = persister.load(flowInstanceId)
         log.info { "retry(flowId=$flowId, flowInstanceId=$flowInstanceId) currentStatus=${current.stageStatus} currentStage=${current.stage}" }
@@ -83,11 +194,11 @@ class Engine(
         }
         val reset = current.copy(stageStatus = StageStatus.Pending)
         val saved = persister.save(reset)
-        historyStore.recordRetried(flowId, saved)
+        historyStore.recordRetried(flowId, saved, intervention)
         enqueueTick(flowId, flowInstanceId)
     }
 
-    fun cancel(flowId: String, flowInstanceId: UUID) {
+    fun cancel(flowId: String, flowInstanceId: UUID, intervention: Intervention? = null) {
         requireNotNull(flows[flowId]) { "Flow '$flowId' not registered" }
         val persister = requireNotNull(persisters[flowId]) { "Persister for flow '$flowId' not registered" }
         val current = persister.load(flowInstanceId)
@@ -96,10 +207,10 @@ class Engine(
 
         val cancelled = current.copy(stageStatus = StageStatus.Cancelled)
         persister.save(cancelled)
-        historyStore.recordCancelled(flowId, current, from = current.stageStatus)
+        historyStore.recordCancelled(flowId, current, from = current.stageStatus, intervention = intervention)
     }
 
-    fun changeStage(flowId: String, flowInstanceId: UUID, targetStage: String) {
+    fun changeStage(flowId: String, flowInstanceId: UUID, targetStage: String, intervention: Intervention? = null) {
         val flow = requireNotNull(flows[flowId]) { "Flow '$flowId' not registered" }
         val persister = requireNotNull(persisters[flowId]) { "Persister for flow '$flowId' not registered" }
 
@@ -122,12 +233,30 @@ class Engine(
                 toStage = resolvedTarget,
                 fromStatus = before.stageStatus,
                 toStatus = StageStatus.Pending,
+                intervention = intervention,
             )
         }
 
         enqueueTick(flowId, flowInstanceId)
     }
 
+    /** Releases an instance waiting in a timer stage now instead of at its scheduled wake-up. */
+    fun wakeUpTimer(flowId: String, flowInstanceId: UUID, intervention: Intervention? = null) {
+        val current = loadWaitingTimer(flowId, flowInstanceId)
+        val now = clock.instant()
+        log.info { "wakeUpTimer(flowId=$flowId, flowInstanceId=$flowInstanceId) currentStage=${current.stage}" }
+        historyStore.recordTimerWokenUp(flowId, current, wakeUpAt = now, intervention = intervention)
+        moveTimerTick(flowId, current, now)
+    }
+
+    /** Moves the wake-up of an instance waiting in a timer stage to [notBefore], earlier or later than the timer computed. */
+    fun rescheduleTimer(flowId: String, flowInstanceId: UUID, notBefore: Instant, intervention: Intervention? = null) {
+        val current = loadWaitingTimer(flowId, flowInstanceId)
+        log.info { "rescheduleTimer(flowId=$flowId, flowInstanceId=$flowInstanceId, notBefore=$notBefore) currentStage=${current.stage}" }
+        historyStore.recordTimerRescheduled(flowId, current, wakeUpAt = notBefore, intervention = intervention)
+        moveTimerTick(flowId, current, notBefore)
+    }
+
     fun getStatus(flowId: String, flowInstanceId: UUID): Pair<Stage, StageStatus> {
         requireNotNull(flows[flowId]) { "Flow '$flowId' not registered" }
         val persister = requireNotNull(persisters[flowId]) { "Persister for flow '$flowId' not registered" }
@@ -136,6 +265,12 @@ class Engine(
         return pd.stage to pd.stageStatus
     }
 
+    /** The state of the instance as its flow's [StatePersister] loads it. */
+    fun instanceState(flowId: String, flowInstanceId: UUID): Any {
+        val persister = requireNotNull(persisters[flowId]) { "Persister for flow '$flowId' not registered" }
+        return persister.load(flowInstanceId).state
+    }
+
     // --- Internal processing ---
 
     private fun <T : Any> resolveInitialStage(flow: Flow<T, Stage, Event>, state: T): Stage {
@@ -152,16 +287,47 @@ class Engine(
         return stage ?: nested?.let { resolveConditionInitialStage(it, state) }
     }
 
+    private fun loadWaitingTimer(flowId: String, flowInstanceId: UUID): InstanceData<Any> {
+        val flow = requireNotNull(flows[flowId]) { "Flow '$flowId' not registered" }
+        val persister = requireNotNull(persisters[flowId]) { "Persister for flow '$flowId' not registered" }
+        val current = persister.load(flowInstanceId)
+        if (flow.stages[current.stage]?.timer == null || current.stageStatus != StageStatus.Pending) {
+            error("Cannot move the timer of $flowId/$flowInstanceId because it is not waiting for a timer (stage ${current.stage}, status ${current.stageStatus})")
+        }
+        return current
+    }
+
+    // Without a tick to move (lost, or a scheduler that cannot move ticks) a new timer tick is scheduled instead;
+    // whichever timer tick for the stage is due first releases it and the other one is then ignored as stale.
+    private fun moveTimerTick(flowId: String, data: InstanceData<Any>, notBefore: Instant) {
+        val stageKey = historyValueOf(data.stage)
+        if (!tickScheduler.rescheduleTick(flowId, data.flowInstanceId, stageKey, notBefore)) {
+            enqueueTick(flowId, data.flowInstanceId, notBefore = notBefore, targetStage = stageKey)
+        }
+    }
+
     private fun enqueueTick(
         flowId: String,
         flowInstanceId: UUID,
-        notBefore: java.time.Instant = clock.instant(),
+        notBefore: Instant = clock.instant(),
         targetStage: String? = null,
+        retryAttempt: Int? = null,
     ) {
-        tickScheduler.scheduleTick(flowId, flowInstanceId, notBefore, targetStage)
+        tickScheduler.scheduleTick(flowId, flowInstanceId, notBefore, targetStage, retryAttempt)
+    }
+
+    // Only the retry scheduled by the latest failure may claim an instance in ERROR; a retry tick left over from an
+    // earlier failure (e.g. the stage failed again after an operator retried it) would otherwise retry it too early.
+    // Times are compared in milliseconds as tick schedulers and history stores keep them at different precisions.
+    private fun isStaleRetryTick(tick: ScheduledTick): Boolean {
+        val latestError = historyStore.latestError(tick.flowId, tick.flowInstanceId) ?: return false
+        return latestError.retryAttempt != tick.retryAttempt ||
+            latestError.nextRetryAt?.truncatedTo(ChronoUnit.MILLIS) != tick.notBefore.truncatedTo(ChronoUnit.MILLIS)
     }
 
     private fun processTick(tick: ScheduledTick) {
+        ticksProcessed?.inc(tick.flowId)
+        tickLag?.observe(Duration.between(tick.notBefore, clock.instant()).toMillis().coerceAtLeast(0) / 1000.0, tick.flowId)
         val flow = requireNotNull(flows[tick.flowId]) { "Flow '${tick.flowId}' not registered" }
         val persister = requireNotNull(persisters[tick.flowId]) { "Persister for flow '${tick.flowId}' not registered" }
 
@@ -178,8 +344,18 @@ class Engine(
 
         when (loaded.stageStatus) {
             StageStatus.Error -> {
-                log.info { "Tick when ${tick.flowId}/${tick.flowInstanceId} is in ERROR at stage ${loaded.stage}; awaiting retry" }
-                return
+                if (tick.retryAttempt == null) {
+                    log.info { "Tick when ${tick.flowId}/${tick.flowInstanceId} is in ERROR at stage ${loaded.stage}; awaiting retry" }
+                    return
+                }
+                if (isStaleRetryTick(tick)) {
+                    log.info {
+                        "Ignoring stale retry tick ${tick.retryAttempt} for ${tick.flowId}/${tick.flowInstanceId}: it does not match the latest failure"
+                    }
+                    return
+                }
+                log.info { "Auto retry ${tick.retryAttempt} for ${tick.flowId}/${tick.flowInstanceId} at stage ${loaded.stage}" }
+                claimAndProcess(tick, flow, persister, loaded)
             }
             StageStatus.Completed -> {
                 log.info { "Tick when ${tick.flowId}/${tick.flowInstanceId} already COMPLETED" }
@@ -195,22 +371,29 @@ class Engine(
                 log.info { "Tick when ${tick.flowId}/${tick.flowInstanceId} is RUNNING at stage ${loaded.stage}; ignoring" }
                 return
             }
-            StageStatus.Pending -> {
-                val claimed = persister.tryTransitionStageStatus(
-                    flowInstanceId = tick.flowInstanceId,
-                    expectedStage = loaded.stage,
-                    expectedStageStatus = StageStatus.Pending,
-                    newStageStatus = StageStatus.Running,
-                )
-                if (!claimed) {
-                    // Someone else advanced/claimed; tick is a duplicate.
-                    return
-                }
-                historyStore.recordStatusChanged(tick.flowId, loaded, from = StageStatus.Pending, to = StageStatus.Running)
-                val running = persister.load(tick.flowInstanceId)
-                processTickLoop(tick.flowId, flow, persister, running, tick)
-            }
+            StageStatus.Pending -> claimAndProcess(tick, flow, persister, loaded)
+        }
+    }
+
+    private fun claimAndProcess(
+        tick: ScheduledTick,
+        flow: Flow<Any, Stage, Event>,
+        persister: StatePersister<Any>,
+        loaded: InstanceData<Any>,
+    ) {
+        val claimed = persister.tryTransitionStageStatus(
+            flowInstanceId = tick.flowInstanceId,
+            expectedStage = loaded.stage,
+            expectedStageStatus = loaded.stageStatus,
+            newStageStatus = StageStatus.Running,
+        )
+        if (!claimed) {
+            // Someone else advanced/claimed; tick is a duplicate.
+            return
         }
+        historyStore.recordStatusChanged(tick.flowId, loaded, from = loaded.stageStatus, to = StageStatus.Running)
+        val running = persister.load(tick.flowInstanceId)
+        processTickLoop(tick.flowId, flow, persister, running, tick)
     }
 
     private fun processTickLoop(
@@ -237,7 +420,7 @@ class Engine(
                     val stageKey = historyValueOf(data.stage)
                     val now = clock.instant()
                     val existingTick = tickScheduler.findScheduledTick(flowId, flowInstanceId, stageKey)
-                    val isDueTimerTick = tick.targetStage == stageKey && !tick.notBefore.isAfter(now)
+                    val isDueTimerTick = tick.targetStage == stageKey && tick.retryAttempt == null && !tick.notBefore.isAfter(now)
 
                     when {
                         isDueTimerTick -> Unit
@@ -282,7 +465,7 @@ class Engine(
                     val from = data.stage
                     val before = data
                     data = persister.save(data.copy(stage = nextStage))
-                    historyStore.recordStageChanged(flowId, before, from = from, to = nextStage)
+                    historyStore.recordStageChanged(flowId, before, from = from, to = nextStage, businessKey = businessKeyOf(flowId, data.state))
                     log.debug { "Timer advanced $from -> $nextStage ($flowId/$flowInstanceId)" }
                     continue
                 }
@@ -306,12 +489,25 @@ class Engine(
                 }
 
                 if (def.action != null) {
-                    val result = def.action(ActionContext(flowId = flowId, flowInstanceId = flowInstanceId, now = clock.instant()), data.state)
+                    val context = ActionContext(flowId = flowId, flowInstanceId = flowInstanceId, now = clock.instant())
+                    val actionStartedAt = System.nanoTime()
+                    val result = try {
+                        def.action(context, data.state)
+                    } finally {
+                        actionDuration?.observe((System.nanoTime() - actionStartedAt) / 1_000_000_000.0, flowId, historyValueOf(data.stage))
+                    }
                     val newState = result ?: data.state
 
                     if (def.isTerminal()) {
                         persister.save(data.copy(state = newState, stageStatus = StageStatus.Completed))
-                        historyStore.recordStatusChanged(flowId, data, from = StageStatus.Running, to = StageStatus.Completed)
+                        historyStore.recordStatusChanged(
+                            flowId,
+                            data,
+                            from = StageStatus.Running,
+                            to = StageStatus.Completed,
+                            stateBefore = result?.let { snapshotOf(flowId, data.state) },
+                            stateAfter = result?.let { snapshotOf(flowId, newState) },
+                        )
                         log.info { "Stage ${def.stage} completed after action ($flowId/$flowInstanceId)" }
                         return
                     }
@@ -327,7 +523,15 @@ class Engine(
                     val from = data.stage
                     val before = data
                     data = persister.save(data.copy(state = newState, stage = nextStage))
-                    historyStore.recordStageChanged(flowId, before, from = from, to = nextStage)
+                    historyStore.recordStageChanged(
+                        flowId,
+                        before,
+                        from = from,
+                        to = nextStage,
+                        businessKey = businessKeyOf(flowId, newState),
+                        stateBefore = result?.let { snapshotOf(flowId, before.state) },
+                        stateAfter = result?.let { snapshotOf(flowId, newState) },
+                    )
                     log.debug { "Action advanced $from -> $nextStage ($flowId/$flowInstanceId)" }
                     continue
                 }
@@ -338,7 +542,7 @@ class Engine(
                         ?: error("Condition did not resolve to a stage from ${data.stage}")
                     val before = data
                     data = persister.save(data.copy(stage = target))
-                    historyStore.recordStageChanged(flowId, before, from = from, to = target)
+                    historyStore.recordStageChanged(flowId, before, from = from, to = target, businessKey = businessKeyOf(flowId, data.state))
                     log.debug { "Condition transition $from -> $target ($flowId/$flowInstanceId)" }
                     continue
                 }
@@ -347,7 +551,7 @@ class Engine(
                     val from = data.stage
                     val before = data
                     data = persister.save(data.copy(stage = ns))
-                    historyStore.recordStageChanged(flowId, before, from = from, to = ns)
+                    historyStore.recordStageChanged(flowId, before, from = from, to = ns, businessKey = businessKeyOf(flowId, data.state))
                     log.debug { "Automatic transition $from -> $ns ($flowId/$flowInstanceId)" }
                     continue
                 }
@@ -362,13 +566,58 @@ class Engine(
                 error("Stage ${data.stage} has no transitions but is not terminal")
             } catch (ex: Exception) {
                 log.error(ex) { "Failure in $flowId/$flowInstanceId at stage ${data.stage}" }
+                stageErrors?.inc(flowId, historyValueOf(data.stage))
+                val failure = resolveFailure(flowId, data, ex, tick)
                 persister.save(data.copy(stageStatus = StageStatus.Error))
-                historyStore.recordError(flowId, data, ex)
+                historyStore.recordError(flowId, data, ex, failure)
+                failure.nextRetryAt?.let { retryAt ->
+                    enqueueTick(
+                        flowId = flowId,
+                        flowInstanceId = flowInstanceId,
+                        notBefore = retryAt,
+                        targetStage = historyValueOf(data.stage),
+                        retryAttempt = failure.retryAttempt,
+                    )
+                }
                 throw ex
             }
         }
     }
 
+    private fun resolveFailure(
+        flowId: String,
+        data: InstanceData<Any>,
+        ex: Exception,
+        tick: ScheduledTick,
+    ): FailureInfo {
+        val stageKey = historyValueOf(data.stage)
+        val previousRetries = tick.retryAttempt?.takeIf { tick.targetStage == stageKey } ?: 0
+        val attempt = previousRetries + 1
+        val classifier = failureClassifiers[flowId]
+            ?: return FailureInfo(FailureDisposition.UserRetriable, retryAttempt = previousRetries.takeIf { it > 0 })
+        val now = clock.instant()
+        val directive = try {
+            classifier.classify(ActionContext(flowId = flowId, flowInstanceId = data.flowInstanceId, now = now), data.stage, data.state, ex, attempt)
+        } catch (classifierError: Exception) {
+            log.error(classifierError) { "Failure classifier failed for $flowId/${data.flowInstanceId}; treating failure as user-retriable" }
+            FailureDirective.UserRetriable
+        }
+
+        return when (directive) {
+            is FailureDirective.AutoRetry ->
+                if (attempt <= directive.maxAttempts) {
+                    val retryAt = now.plus(directive.delayFor(attempt))
+                    log.info { "Auto retry $attempt/${directive.maxAttempts} for $flowId/${data.flowInstanceId} scheduled at $retryAt" }
+                    FailureInfo(FailureDisposition.AutoRetry, attempt, directive.maxAttempts, retryAt)
+                } else {
+                    log.info { "Auto retries exhausted for $flowId/${data.flowInstanceId} after ${directive.maxAttempts} attempts" }
+                    FailureInfo(FailureDisposition.UserRetriable, previousRetries, directive.maxAttempts)
+                }
+            FailureDirective.UserRetriable -> FailureInfo(FailureDisposition.UserRetriable, previousRetries.takeIf { it > 0 })
+            FailureDirective.Fatal -> FailureInfo(FailureDisposition.Fatal, previousRetries.takeIf { it > 0 })
+        }
+    }
+
     private fun tryConsumeEventAndAdvance(
         flowId: String,
         def: StageDefinition<Any, Stage, Event>,
@@ -386,10 +635,40 @@ class Engine(
         val next = data.copy(stage = targetStage)
         val saved = persister.save(next)
         eventStore.delete(stored.id)
-        historyStore.recordStageChanged(flowId, data, from = from, to = targetStage, event = stored.event)
+        historyStore.recordStageChanged(
+            flowId,
+            data,
+            from = from,
+            to = targetStage,
+            event = stored.event,
+            businessKey = businessKeyOf(flowId, saved.state),
+        )
         return saved
     }
 
+    // Like history recording, the business key is best-effort: a failing extractor must not fail the instance.
+    private fun businessKeyOf(flowId: String, state: Any): String? {
+        val extractor = businessKeyExtractors[flowId] ?: return null
+        return try {
+            extractor.extract(state)?.trim()?.takeIf { it.isNotEmpty() }
+        } catch (e: Exception) {
+            log.warn(e) { "Business key extractor failed for flow $flowId" }
+            null
+        }
+    }
+
+    // Best-effort as well: a failing serializer only leaves the step without a state diff.
+    private fun snapshotOf(flowId: String, state: Any): String? {
+        val serializer = stateSnapshotSerializers[flowId] ?: return null
+        return try {
+            val snapshot = serializer.serialize(state)
+            if (snapshot.length > MAX_STATE_SNAPSHOT_LENGTH) snapshot.take(MAX_STATE_SNAPSHOT_LENGTH) + STATE_SNAPSHOT_TRUNCATED else snapshot
+        } catch (e: Exception) {
+            log.warn(e) { "State snapshot serializer failed for flow $flowId" }
+            null
+        }
+    }
+
     private fun StageDefinition<*, *, *>.isTerminal(): Boolean =
         nextStage == null && conditionHandler == null && eventHandlers.isEmpty()
 }
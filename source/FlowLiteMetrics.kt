@@ -0,0 +1,203 @@
+package io.flowlite
+
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.atomic.DoubleAdder
+import kotlin.math.abs
+
+/**
+ * In-memory metrics registry written out in the OpenMetrics text format.
+ *
+ * Pass the same instance to [Engine], `SpringDataJdbcTickScheduler`, `CockpitService` and `cockpitRouter`; the
+ * router serves everything registered here at `GET /metrics`. Registering a metric name again returns the existing
+ * counter or histogram (and replaces a gauge's collector), so components can be recreated against one registry.
+ */
+class FlowLiteMetrics {
+    private val families = ConcurrentHashMap<String, MetricFamily>()
+
+    // Values read by perScrape readers during the write running on this thread.
+    private val scrapeValues = ThreadLocal<MutableMap<Any, Any?>>()
+
+    fun counter(name: String, help: String, vararg labelNames: String): Counter =
+        register(name) { Counter(name, help, labelNames.toList()) }
+
+    fun histogram(
+        name: String,
+        help: String,
+        vararg labelNames: String,
+        buckets: List<Double> = DEFAULT_BUCKETS,
+    ): Histogram = register(name) { Histogram(name, help, labelNames.toList(), buckets.sorted()) }
+
+    /** A gauge whose samples are read from [collect] (label values to value) every time the metrics are written. */
+    fun gauge(name: String, help: String, vararg labelNames: String, collect: () -> Map<List<String>, Double>) {
+        families[name] = Gauge(name, help, labelNames.toList(), collect)
+    }
+
+    /**
+     * Wraps [read] so that it runs at most once per write of the metrics, for gauges that derive their samples from
+     * one expensive read (such as a query). Outside a write, every call runs [read].
+     */
+    fun <T> perScrape(read: () -> T): () -> T {
+        val key = Any()
+        return {
+            val values = scrapeValues.get()
+            @Suppress("UNCHECKED_CAST")
+            when {
+                values == null -> read()
+                key in values -> values[key] as T
+                else -> read().also { values[key] = it }
+            }
+        }
+    }
+
+    /** Writes every metric family, ordered by name, followed by the `# EOF` terminator. */
+    fun writeOpenMetrics(out: Appendable) {
+        scrapeValues.set(HashMap())
+        try {
+            families.values.sortedBy { it.name }.forEach { family ->
+                out.append("# TYPE ").append(family.name).append(' ').append(family.type).append('\n')
+                out.append("# HELP ").append(family.name).append(' ').append(escape(family.help)).append('\n')
+                family.writeSamples(out)
+            }
+            out.append("# EOF\n")
+        } finally {
+            scrapeValues.remove()
+        }
+    }
+
+    fun scrape(): String = buildString { writeOpenMetrics(this) }
+
+    private inline fun <reified M : MetricFamily> register(name: String, crossinline create: () -> M): M {
+        val family = families.computeIfAbsent(name) { create() }
+        require(family is M) { "Metric '$name' is already registered as a ${family.type}" }
+        return family
+    }
+
+    companion object {
+        const val CONTENT_TYPE = "application/openmetrics-text; version=1.0.0; charset=utf-8"
+
+        /** Histogram buckets in seconds, from 5 ms to 5 minutes. */
+        val DEFAULT_BUCKETS = listOf(0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1.0, 2.5, 5.0, 10.0, 30.0, 60.0, 300.0)
+    }
+}
+
+sealed class MetricFamily(
+    val name: String,
+    val help: String,
+    val labelNames: List<String>,
+) {
+    abstract val type: String
+
+    internal abstract fun writeSamples(out: Appendable)
+
+    protected fun labelKey(labelValues: Array<out String>): List<String> {
+        require(labelValues.size == labelNames.size) { "Metric '$name' expects labels $labelNames but got ${labelValues.toList()}" }
+        return labelValues.toList()
+    }
+
+    protected fun Appendable.sample(suffix: String, labelValues: List<String>, value: String, extraLabel: Pair<String, String>? = null) {
+        append(name).append(suffix)
+        val labels = labelNames.zip(labelValues) + listOfNotNull(extraLabel)
+        if (labels.isNotEmpty()) {
+            append(labels.joinToString(",", "{", "}") { (label, labelValue) -> "$label=\"${escape(labelValue)}\"" })
+        }
+        append(' ').append(value).append('\n')
+    }
+}
+
+class Counter internal constructor(name: String, help: String, labelNames: List<String>) : MetricFamily(name, help, labelNames) {
+    private val values = ConcurrentHashMap<List<String>, DoubleAdder>()
+
+    override val type = "counter"
+
+    fun inc(vararg labelValues: String, amount: Double = 1.0) {
+        require(amount >= 0) { "Counter '$name' cannot decrease" }
+        values.computeIfAbsent(labelKey(labelValues)) { DoubleAdder() }.add(amount)
+    }
+
+    fun value(vararg labelValues: String): Double = values[labelKey(labelValues)]?.sum() ?: 0.0
+
+    override fun writeSamples(out: Appendable) {
+        values.entries.sortedBy { it.key.joinToString("\u0000") }.forEach { (labelValues, value) ->
+            out.sample("_total", labelValues, formatValue(value.sum()))
+        }
+    }
+}
+
+class Histogram internal constructor(
+    name: String,
+    help: String,
+    labelNames: List<String>,
+    private val buckets: List<Double>,
+) : MetricFamily(name, help, labelNames) {
+    private class Series(bucketCount: Int) {
+        val bucketCounts = LongArray(bucketCount)
+        var count = 0L
+        var sum = 0.0
+    }
+
+    private val series = ConcurrentHashMap<List<String>, Series>()
+
+    override val type = "histogram"
+
+    fun observe(value: Double, vararg labelValues: String) {
+        val target = series.computeIfAbsent(labelKey(labelValues)) { Series(buckets.size) }
+        synchronized(target) {
+            buckets.forEachIndexed { index, bound -> if (value <= bound) target.bucketCounts[index]++ }
+            target.count++
+            target.sum += value
+        }
+    }
+
+    /** Runs [block] and observes how long it took in seconds, also when it throws. */
+    fun <T> time(vararg labelValues: String, block: () -> T): T {
+        val startedAt = System.nanoTime()
+        try {
+            return block()
+        } finally {
+            observe((System.nanoTime() - startedAt) / 1_000_000_000.0, *labelValues)
+        }
+    }
+
+    fun count(vararg labelValues: String): Long = series[labelKey(labelValues)]?.let { synchronized(it) { it.count } } ?: 0L
+
+    override fun writeSamples(out: Appendable) {
+        series.entries.sortedBy { it.key.joinToString("\u0000") }.forEach { (labelValues, target) ->
+            synchronized(target) {
+                buckets.forEachIndexed { index, bound ->
+                    out.sample("_bucket", labelValues, target.bucketCounts[index].toString(), "le" to formatValue(bound))
+                }
+                out.sample("_bucket", labelValues, target.count.toString(), "le" to "+Inf")
+                out.sample("_count", labelValues, target.count.toString())
+                out.sample("_sum", labelValues, formatValue(target.sum))
+            }
+        }
+    }
+}
+
+private class Gauge(
+    name: String,
+    help: String,
+    labelNames: List<String>,
+    private val collect: () -> Map<List<String>, Double>,
+) : MetricFamily(name, help, labelNames) {
+    override val type = "gauge"
+
+    override fun writeSamples(out: Appendable) {
+        collect().entries.sortedBy { it.key.joinToString("\u0000") }.forEach { (labelValues, value) ->
+            require(labelValues.size == labelNames.size) { "Gauge '$name' expects labels $labelNames but got $labelValues" }
+            out.sample("", labelValues, formatValue(value))
+        }
+    }
+}
+
+private fun formatValue(value: Double): String =
+    when {
+        value.isNaN() -> "NaN"
+        value == Double.POSITIVE_INFINITY -> "+Inf"
+        value == Double.NEGATIVE_INFINITY -> "-Inf"
+        value == Math.rint(value) && abs(value) < 1e15 -> value.toLong().toString()
+        else -> value.toString()
+    }
+
+private fun escape(value: String): String =
+    value.replace("\\", "\\\\").replace("\"", "\\\"").replace("\n", "\\n")
@@ -1,14 +1,80 @@
 package io.flowlite
 
+/**
+ * Where a single instance has been, used to highlight it on the flow diagram. Stage names are the values recorded in
+ * history (enum names).
+ */
+data class MermaidInstancePath(
+    val currentStage: String?,
+    val currentStyle: MermaidStageStyle,
+    /** Stage moves in the order they happened. */
+    val transitions: List<MermaidTransition>,
+)
+
+/**
+ * One stage move of an instance. [from] is null when the instance started in [to]; [manual] moves (e.g. Cockpit
+ * "change stage") bypass the flow's conditions, so no choice branch is marked for them.
+ */
+data class MermaidTransition(
+    val from: String?,
+    val to: String,
+    val manual: Boolean = false,
+)
+
+/** Style of the current stage on an instance diagram; [className] is the `classDef` the generator emits for it. */
+enum class MermaidStageStyle(val className: String, internal val style: String) {
+    Active("currentActive", "fill:#1d4ed8,stroke:#93c5fd,color:#fff,stroke-width:3px"),
+    Waiting("currentWaiting", "fill:#b45309,stroke:#fcd34d,color:#fff,stroke-width:3px"),
+    Error("currentError", "fill:#b91c1c,stroke:#fca5a5,color:#fff,stroke-width:3px"),
+    Completed("currentCompleted", "fill:#047857,stroke:#6ee7b7,color:#fff,stroke-width:3px"),
+    Cancelled("currentCancelled", "fill:#52525b,stroke:#d4d4d8,color:#fff,stroke-width:3px"),
+}
+
+/** Live instance counts of one stage, shown by the heatmap mode of [MermaidGenerator.generateDiagram]. */
+data class MermaidStageHeat(
+    val totalCount: Int,
+    val errorCount: Int,
+)
+
 /**
  * Generates Mermaid diagram representation of a Flow.
+ *
+ * Node ids are stable: stages use their name and choice nodes `if_<description>` (suffixed `_2`, `_3`, ... for
+ * repeated descriptions), so an instance diagram can be styled with `classDef`/`class` statements.
  */
 class MermaidGenerator {
+    companion object {
+        const val VISITED_CLASS = "visited"
+        const val NOT_VISITED_CLASS = "notVisited"
+        private const val VISITED_STYLE = "fill:#064e3b,stroke:#34d399,color:#ecfdf5"
+        private const val NOT_VISITED_STYLE = "opacity:0.35"
+
+        /** Heatmap classes from `heat0` (no instances) to `heat4` (the busiest stage of the flow). */
+        const val HEAT_CLASS_PREFIX = "heat"
+        private val HEAT_STYLES = listOf(
+            "fill:#27272a,stroke:#52525b,color:#a1a1aa",
+            "fill:#0c4a6e,stroke:#38bdf8,color:#f0f9ff",
+            "fill:#854d0e,stroke:#facc15,color:#fefce8",
+            "fill:#9a3412,stroke:#fb923c,color:#fff7ed",
+            "fill:#991b1b,stroke:#f87171,color:#fef2f2",
+        )
+    }
 
     private val conditionNodeNames = mutableMapOf<ConditionHandler<*, *>, String>()
     private val conditionNameCounts = mutableMapOf<String, Int>()
 
-    fun <T : Any, S : Stage, E : Event> generateDiagram(flow: Flow<T, S, E>): String {
+    /**
+     * Generates the diagram of [flow]. With a [path], stages and choice nodes the instance went through get the
+     * [VISITED_CLASS] class, the current stage gets the class of its [MermaidStageStyle], and all other nodes
+     * [NOT_VISITED_CLASS]. With a [heatmap] (keyed by stage name), every stage shows its counts and gets a
+     * [HEAT_CLASS_PREFIX] class scaled to the busiest stage.
+     */
+    @Synchronized
+    fun <T : Any, S : Stage, E : Event> generateDiagram(
+        flow: Flow<T, S, E>,
+        path: MermaidInstancePath? = null,
+        heatmap: Map<String, MermaidStageHeat>? = null,
+    ): String {
         conditionNodeNames.clear()
         conditionNameCounts.clear()
         val sb = StringBuilder()
@@ -40,9 +106,97 @@ class MermaidGenerator {
                 sb.append("    $stage --> [*]\n")
             }
         }
-        
+
+        path?.let { appendInstancePath(flow, it, sb) }
+        heatmap?.let { appendHeatmap(flow, it, sb) }
+
         return sb.toString()
     }
+
+    private fun <T : Any, S : Stage, E : Event> appendInstancePath(
+        flow: Flow<T, S, E>,
+        path: MermaidInstancePath,
+        sb: StringBuilder,
+    ) {
+        val stagesByName = flow.stages.keys.associateBy { historyValueOf(it) }
+        val visitedNodes = linkedSetOf<String>()
+
+        path.transitions.forEach { transition ->
+            val to = stagesByName[transition.to] ?: return@forEach
+            val from = transition.from?.let { stagesByName[it] }
+            from?.let { visitedNodes += it.toString() }
+            visitedNodes += to.toString()
+            if (transition.manual) return@forEach
+
+            val conditions = when {
+                transition.from == null -> listOfNotNull(flow.initialCondition)
+                from == null -> emptyList()
+                else -> outgoingConditions(flow, from)
+            }
+            conditions.forEach { condition -> choicePath(condition, to)?.let { visitedNodes += it } }
+        }
+
+        val currentNode = path.currentStage?.let { stagesByName[it] }?.toString()
+        currentNode?.let { visitedNodes -= it }
+        val notVisitedNodes = (flow.stages.keys.map { it.toString() } + conditionNodeNames.values)
+            .filter { it !in visitedNodes && it != currentNode }
+
+        sb.append("    classDef $VISITED_CLASS $VISITED_STYLE\n")
+        sb.append("    classDef $NOT_VISITED_CLASS $NOT_VISITED_STYLE\n")
+        sb.append("    classDef ${path.currentStyle.className} ${path.currentStyle.style}\n")
+        if (visitedNodes.isNotEmpty()) sb.append("    class ${visitedNodes.joinToString(",")} $VISITED_CLASS\n")
+        if (notVisitedNodes.isNotEmpty()) sb.append("    class ${notVisitedNodes.joinToString(",")} $NOT_VISITED_CLASS\n")
+        currentNode?.let { sb.append("    class $it ${path.currentStyle.className}\n") }
+    }
+
+    private fun <T : Any, S : Stage, E : Event> appendHeatmap(
+        flow: Flow<T, S, E>,
+        heatmap: Map<String, MermaidStageHeat>,
+        sb: StringBuilder,
+    ) {
+        val heatByStage = flow.stages.keys.associateWith { heatmap[historyValueOf(it)] ?: MermaidStageHeat(totalCount = 0, errorCount = 0) }
+        heatByStage.forEach { (stage, heat) ->
+            val errors = if (heat.errorCount > 0) ", ${heat.errorCount} err" else ""
+            sb.append("    $stage: ${heat.totalCount} open$errors\n")
+        }
+
+        val maxTotal = heatByStage.values.maxOfOrNull { it.totalCount } ?: 0
+        val stagesByLevel = heatByStage.entries.groupBy({ (_, heat) -> heatLevel(heat.totalCount, maxTotal) }, { it.key })
+
+        HEAT_STYLES.forEachIndexed { level, style -> sb.append("    classDef $HEAT_CLASS_PREFIX$level $style\n") }
+        stagesByLevel.toSortedMap().forEach { (level, stages) ->
+            sb.append("    class ${stages.joinToString(",")} $HEAT_CLASS_PREFIX$level\n")
+        }
+    }
+
+    private fun heatLevel(totalCount: Int, maxTotal: Int): Int {
+        if (totalCount <= 0 || maxTotal <= 0) return 0
+        val levels = HEAT_STYLES.size - 1
+        return ((totalCount * levels + maxTotal - 1) / maxTotal).coerceIn(1, levels)
+    }
+
+    /** Conditions evaluated when leaving [stage]: its condition handler and conditions reached through events. */
+    private fun <T : Any, S : Stage, E : Event> outgoingConditions(flow: Flow<T, S, E>, stage: S): List<ConditionHandler<T, S>> {
+        val definition = flow.stages[stage] ?: return emptyList()
+        return listOfNotNull(definition.conditionHandler) + definition.eventHandlers.values.mapNotNull { it.targetCondition }
+    }
+
+    /** Choice node ids from [condition] down to [target], or null when no branch of [condition] leads to [target]. */
+    private fun <T : Any, S : Stage> choicePath(condition: ConditionHandler<T, S>, target: S): List<String>? {
+        val branches = listOf(
+            condition.trueStage to condition.trueCondition,
+            condition.falseStage to condition.falseCondition,
+        )
+        val taken = branches.mapNotNull { (stage, nested) ->
+            when {
+                stage != null -> emptyList<String>().takeIf { stage == target }
+                nested != null -> choicePath(nested, target)
+                else -> null
+            }
+        }
+        if (taken.isEmpty()) return null
+        return listOf(generateConditionNodeName(condition)) + taken.flatten()
+    }
     
     /**
      * Add all choice nodes for conditions in the flow
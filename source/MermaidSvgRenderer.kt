@@ -0,0 +1,259 @@
+package io.flowlite
+
+import java.util.Locale
+
+/**
+ * Renders the `stateDiagram-v2` subset emitted by [MermaidGenerator] as a standalone SVG.
+ *
+ * It is the offline fallback for environments where the Mermaid JavaScript bundle cannot run. The layout is a plain
+ * top-down layering (cycles are drawn as loops on the right), so it is readable but does not look like Mermaid's.
+ * Stage and choice nodes are rendered as `<g class="node ..." id="state-<id>-0">`, with `classDef`/`class` styles applied.
+ */
+class MermaidSvgRenderer {
+    fun render(diagram: String): String {
+        val graph = parseDiagram(diagram)
+        val ranks = rankNodes(graph)
+        val layout = layout(graph, ranks)
+        return drawSvg(graph, ranks, layout)
+    }
+}
+
+private const val START_NODE = "[*]start"
+private const val END_NODE = "[*]end"
+
+private const val CHAR_WIDTH = 7.0
+private const val LINE_HEIGHT = 16.0
+private const val PADDING = 10.0
+private const val MIN_STAGE_WIDTH = 80.0
+private const val CHOICE_SIZE = 28.0
+private const val TERMINAL_SIZE = 20.0
+private const val HORIZONTAL_GAP = 40.0
+private const val VERTICAL_GAP = 56.0
+private const val LOOP_SPACE = 80.0
+private const val MARGIN = 24.0
+
+private const val DEFAULT_FILL = "#27272a"
+private const val DEFAULT_STROKE = "#71717a"
+private const val DEFAULT_TEXT = "#e4e4e7"
+private const val EDGE_COLOR = "#a1a1aa"
+
+private val choiceLine = Regex("""^state (\S+) <<choice>>$""")
+private val classDefLine = Regex("""^classDef (\S+) (.+)$""")
+private val classLine = Regex("""^class (\S+) (\S+)$""")
+private val edgeLine = Regex("""^(\S+) --> (\S+?)(?::\s*(.*))?$""")
+private val descriptionLine = Regex("""^(\S+?):\s*(.*)$""")
+
+private class DiagramGraph {
+    val nodes = linkedMapOf<String, DiagramNode>()
+    val edges = mutableListOf<DiagramEdge>()
+    val classStyles = mutableMapOf<String, Map<String, String>>()
+
+    fun node(id: String): DiagramNode = nodes.getOrPut(id) { DiagramNode(id) }
+}
+
+private class DiagramNode(val id: String) {
+    var choice = false
+    val descriptions = mutableListOf<String>()
+    val classes = mutableListOf<String>()
+
+    val terminal: Boolean get() = id == START_NODE || id == END_NODE
+
+    val width: Double
+        get() = when {
+            terminal -> TERMINAL_SIZE
+            choice -> CHOICE_SIZE
+            else -> (textLines.maxOf { it.length } * CHAR_WIDTH + 2 * PADDING).coerceAtLeast(MIN_STAGE_WIDTH)
+        }
+
+    val height: Double
+        get() = when {
+            terminal -> TERMINAL_SIZE
+            choice -> CHOICE_SIZE
+            else -> textLines.size * LINE_HEIGHT + 2 * PADDING
+        }
+
+    val textLines: List<String> get() = listOf(id) + descriptions
+}
+
+private data class DiagramEdge(val from: String, val to: String, val label: String?)
+
+private data class NodeBox(val x: Double, val y: Double, val width: Double, val height: Double) {
+    val centerX get() = x + width / 2
+    val centerY get() = y + height / 2
+}
+
+private data class DiagramLayout(val boxes: Map<String, NodeBox>, val width: Double, val height: Double)
+
+private fun parseDiagram(diagram: String): DiagramGraph {
+    val graph = DiagramGraph()
+    diagram.lineSequence()
+        .map { it.trim() }
+        .filter { it.isNotEmpty() && !it.startsWith("stateDiagram") }
+        .forEach { line ->
+            choiceLine.matchEntire(line)?.let { match ->
+                graph.node(match.groupValues[1]).choice = true
+                return@forEach
+            }
+            classDefLine.matchEntire(line)?.let { match ->
+                graph.classStyles[match.groupValues[1]] = parseStyle(match.groupValues[2])
+                return@forEach
+            }
+            classLine.matchEntire(line)?.let { match ->
+                match.groupValues[1].split(",").forEach { graph.node(it).classes += match.groupValues[2] }
+                return@forEach
+            }
+            edgeLine.matchEntire(line)?.let { match ->
+                val from = match.groupValues[1].let { if (it == "[*]") START_NODE else it }
+                val to = match.groupValues[2].let { if (it == "[*]") END_NODE else it }
+                graph.node(from)
+                graph.node(to)
+                graph.edges += DiagramEdge(from, to, match.groups[3]?.value?.takeIf { it.isNotBlank() })
+                return@forEach
+            }
+            descriptionLine.matchEntire(line)?.let { match ->
+                graph.node(match.groupValues[1]).descriptions += match.groupValues[2]
+            }
+        }
+    return graph
+}
+
+private fun parseStyle(style: String): Map<String, String> =
+    style.split(",").mapNotNull { part ->
+        val (key, value) = part.split(":", limit = 2).takeIf { it.size == 2 } ?: return@mapNotNull null
+        key.trim() to value.trim()
+    }.toMap()
+
+/** Longest-path layering over the diagram without its back edges; the end node always gets the last layer. */
+private fun rankNodes(graph: DiagramGraph): Map<String, Int> {
+    val outgoing = graph.edges.groupBy({ it.from }, { it.to })
+    val incoming = mutableMapOf<String, MutableList<String>>()
+    // true while the node is on the DFS stack, false once all of its successors are done
+    val visiting = mutableMapOf<String, Boolean>()
+
+    fun visit(node: String) {
+        visiting[node] = true
+        outgoing[node].orEmpty().forEach { next ->
+            if (visiting[next] == true) return@forEach
+            incoming.getOrPut(next) { mutableListOf() } += node
+            if (next !in visiting) visit(next)
+        }
+        visiting[node] = false
+    }
+
+    (listOf(START_NODE) + graph.nodes.keys).filter { it in graph.nodes && it !in visiting }.forEach { visit(it) }
+
+    val ranks = mutableMapOf<String, Int>()
+    fun rank(node: String): Int =
+        ranks[node] ?: (incoming[node].orEmpty().maxOfOrNull { rank(it) + 1 } ?: 0).also { ranks[node] = it }
+
+    graph.nodes.keys.forEach { rank(it) }
+    if (END_NODE in ranks) {
+        ranks[END_NODE] = (ranks.filterKeys { it != END_NODE }.values.maxOrNull() ?: 0) + 1
+    }
+    return ranks
+}
+
+private fun layout(graph: DiagramGraph, ranks: Map<String, Int>): DiagramLayout {
+    val rows = graph.nodes.values.groupBy { ranks.getValue(it.id) }.toSortedMap()
+    val rowWidths = rows.mapValues { (_, nodes) -> nodes.sumOf { it.width } + HORIZONTAL_GAP * (nodes.size - 1) }
+    val contentWidth = rowWidths.values.maxOrNull() ?: 0.0
+    val boxes = mutableMapOf<String, NodeBox>()
+
+    var y = MARGIN
+    rows.forEach { (rank, nodes) ->
+        val rowHeight = nodes.maxOf { it.height }
+        var x = MARGIN + (contentWidth - rowWidths.getValue(rank)) / 2
+        nodes.forEach { node ->
+            boxes[node.id] = NodeBox(x, y + (rowHeight - node.height) / 2, node.width, node.height)
+            x += node.width + HORIZONTAL_GAP
+        }
+        y += rowHeight + VERTICAL_GAP
+    }
+
+    val height = if (rows.isEmpty()) 2 * MARGIN else y - VERTICAL_GAP + MARGIN
+    return DiagramLayout(boxes, contentWidth + 2 * MARGIN + LOOP_SPACE, height)
+}
+
+private fun drawSvg(graph: DiagramGraph, ranks: Map<String, Int>, layout: DiagramLayout): String = buildString {
+    append("""<svg xmlns="http://www.w3.org/2000/svg" class="flowlite-diagram" width="${n(layout.width)}" height="${n(layout.height)}" """)
+    append("""viewBox="0 0 ${n(layout.width)} ${n(layout.height)}" font-family="sans-serif" font-size="12">""")
+    append("""<defs><marker id="flowlite-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">""")
+    append("""<path d="M 0 0 L 10 5 L 0 10 z" fill="$EDGE_COLOR"/></marker></defs>""")
+
+    graph.edges.forEach { edge ->
+        val from = layout.boxes.getValue(edge.from)
+        val to = layout.boxes.getValue(edge.to)
+        if (ranks.getValue(edge.to) > ranks.getValue(edge.from)) {
+            val x1 = from.centerX
+            val y1 = from.y + from.height
+            val x2 = to.centerX
+            val y2 = to.y
+            append("""<path class="edge" d="M ${n(x1)} ${n(y1)} L ${n(x2)} ${n(y2)}" stroke="$EDGE_COLOR" fill="none" marker-end="url(#flowlite-arrow)"/>""")
+            edge.label?.let { appendLabel(it, (x1 + x2) / 2 + 4, (y1 + y2) / 2, "start") }
+        } else {
+            // Cycles loop around the right side instead of crossing the layers.
+            val x1 = from.x + from.width
+            val x2 = to.x + to.width
+            val loopX = maxOf(x1, x2) + LOOP_SPACE / 2
+            append("""<path class="edge" d="M ${n(x1)} ${n(from.centerY)} C ${n(loopX)} ${n(from.centerY)}, ${n(loopX)} ${n(to.centerY)}, ${n(x2)} ${n(to.centerY)}" """)
+            append("""stroke="$EDGE_COLOR" fill="none" marker-end="url(#flowlite-arrow)"/>""")
+            edge.label?.let { appendLabel(it, loopX - 8, (from.centerY + to.centerY) / 2, "end") }
+        }
+    }
+
+    graph.nodes.values.forEach { node -> appendNode(node, layout.boxes.getValue(node.id), graph.classStyles) }
+    append("</svg>")
+}
+
+private fun StringBuilder.appendLabel(label: String, x: Double, y: Double, anchor: String) {
+    append("""<text x="${n(x)}" y="${n(y)}" text-anchor="$anchor" fill="$EDGE_COLOR" font-size="11">${escapeXml(label)}</text>""")
+}
+
+private fun StringBuilder.appendNode(node: DiagramNode, box: NodeBox, classStyles: Map<String, Map<String, String>>) {
+    when (node.id) {
+        START_NODE -> {
+            append("""<circle cx="${n(box.centerX)}" cy="${n(box.centerY)}" r="${n(box.width / 2)}" fill="$DEFAULT_TEXT"/>""")
+            return
+        }
+        END_NODE -> {
+            append("""<circle cx="${n(box.centerX)}" cy="${n(box.centerY)}" r="${n(box.width / 2)}" fill="none" stroke="$DEFAULT_TEXT"/>""")
+            append("""<circle cx="${n(box.centerX)}" cy="${n(box.centerY)}" r="${n(box.width / 2 - 4)}" fill="$DEFAULT_TEXT"/>""")
+            return
+        }
+    }
+
+    val style = node.classes.fold(emptyMap<String, String>()) { merged, className -> merged + classStyles[className].orEmpty() }
+    val fill = escapeXml(style["fill"] ?: DEFAULT_FILL)
+    val stroke = escapeXml(style["stroke"] ?: DEFAULT_STROKE)
+    val strokeWidth = escapeXml(style["stroke-width"]?.removeSuffix("px") ?: "1")
+    val textColor = escapeXml(style["color"] ?: DEFAULT_TEXT)
+    val opacity = style["opacity"]?.let { """ opacity="${escapeXml(it)}"""" } ?: ""
+    val classes = (listOf("node") + node.classes).joinToString(" ") { escapeXml(it) }
+
+    append("""<g class="$classes" id="state-${escapeXml(node.id)}-0"$opacity>""")
+    if (node.choice) {
+        append("<title>${escapeXml(node.id)}</title>")
+        val points = listOf(
+            box.centerX to box.y,
+            box.x + box.width to box.centerY,
+            box.centerX to box.y + box.height,
+            box.x to box.centerY,
+        ).joinToString(" ") { (x, y) -> "${n(x)},${n(y)}" }
+        append("""<polygon points="$points" fill="$fill" stroke="$stroke" stroke-width="$strokeWidth"/>""")
+    } else {
+        append("""<rect x="${n(box.x)}" y="${n(box.y)}" width="${n(box.width)}" height="${n(box.height)}" rx="6" """)
+        append("""fill="$fill" stroke="$stroke" stroke-width="$strokeWidth"/>""")
+        node.textLines.forEachIndexed { index, line ->
+            val weight = if (index == 0) """ font-weight="bold"""" else ""
+            val y = box.y + PADDING + (index + 1) * LINE_HEIGHT - 4
+            append("""<text x="${n(box.centerX)}" y="${n(y)}" text-anchor="middle" fill="$textColor"$weight>${escapeXml(line)}</text>""")
+        }
+    }
+    append("</g>")
+}
+
+private fun n(value: Double): String =
+    if (value == Math.floor(value)) value.toLong().toString() else String.format(Locale.ROOT, "%.1f", value)
+
+private fun escapeXml(value: String): String =
+    value.replace("&", "&amp;").replace("<", "&lt;").replace(">", "&gt;").replace("\"", "&quot;")
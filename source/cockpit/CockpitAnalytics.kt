@@ -0,0 +1,138 @@
+package io.flowlite.cockpit
+
+import io.flowlite.FlowLiteStageTransitionRow
+import io.flowlite.HistoryEntryType
+import io.flowlite.StageStatus
+import java.time.Duration
+import java.time.Instant
+import java.util.UUID
+import kotlin.math.ceil
+
+/** The time window of the Cockpit analytics and the size of its throughput buckets. */
+enum class CockpitAnalyticsWindow(val param: String, val duration: Duration, val bucket: Duration) {
+    LastHour("1h", Duration.ofHours(1), Duration.ofMinutes(5)),
+    LastDay("24h", Duration.ofDays(1), Duration.ofHours(1)),
+    LastWeek("7d", Duration.ofDays(7), Duration.ofHours(6)),
+    LastMonth("30d", Duration.ofDays(30), Duration.ofDays(1)),
+    ;
+
+    companion object {
+        fun fromParam(value: String): CockpitAnalyticsWindow? = entries.firstOrNull { it.param == value }
+    }
+}
+
+/** How long instances stayed in [stage], over the visits that left it within the window. */
+data class CockpitStageDwellDto(
+    val stage: String,
+    val visitCount: Int,
+    val p50Millis: Long,
+    val p95Millis: Long,
+    val maxMillis: Long,
+)
+
+data class CockpitThroughputBucketDto(
+    val startAt: Instant,
+    val completedCount: Int,
+    val errorCount: Int,
+)
+
+data class CockpitFlowAnalyticsDto(
+    val flowId: String,
+    val window: String,
+    val since: Instant,
+    val until: Instant,
+    val bucketSeconds: Long,
+    val stages: List<CockpitStageDwellDto>,
+    val throughput: List<CockpitThroughputBucketDto>,
+)
+
+/**
+ * Replays [rows] (ordered by instance, oldest first) into stage visits and counts completions and errors; the rows are
+ * read once, one instance at a time, so they can come straight from a database cursor.
+ *
+ * A visit starts when an instance is started in or moved to a stage and ends when it moves on, completes or is
+ * cancelled; visits still in progress are not counted. [stages] gives the order of the dwell rows, stages that are
+ * no longer declared by the flow follow in name order.
+ */
+internal fun computeFlowAnalytics(
+    flowId: String,
+    stages: List<String>,
+    window: CockpitAnalyticsWindow,
+    now: Instant,
+    rows: Sequence<FlowLiteStageTransitionRow>,
+): CockpitFlowAnalyticsDto {
+    val since = now.minus(window.duration)
+    val bucketCount = (window.duration.toMillis() / window.bucket.toMillis()).toInt()
+    val completedCounts = IntArray(bucketCount)
+    val errorCounts = IntArray(bucketCount)
+    val dwellsByStage = mutableMapOf<String, MutableList<Long>>()
+
+    fun inWindow(at: Instant) = !at.isBefore(since) && !at.isAfter(now)
+    fun bucketOf(at: Instant) = (Duration.between(since, at).toMillis() / window.bucket.toMillis()).toInt().coerceAtMost(bucketCount - 1)
+
+    var instanceId: UUID? = null
+    var stage: String? = null
+    var enteredAt: Instant? = null
+
+    fun leaveStage(at: Instant) {
+        val visited = stage ?: return
+        val from = enteredAt ?: return
+        if (inWindow(at)) dwellsByStage.getOrPut(visited) { mutableListOf() }.add(Duration.between(from, at).toMillis())
+        stage = null
+        enteredAt = null
+    }
+
+    rows.forEach { row ->
+        if (row.flowInstanceId != instanceId) {
+            instanceId = row.flowInstanceId
+            stage = null
+            enteredAt = null
+        }
+        when (row.type) {
+            HistoryEntryType.Started.name -> {
+                stage = row.stage
+                enteredAt = row.occurredAt
+            }
+            HistoryEntryType.StageChanged.name, HistoryEntryType.ManualStageChanged.name -> {
+                leaveStage(row.occurredAt)
+                stage = row.toStage
+                enteredAt = row.occurredAt
+            }
+            HistoryEntryType.StatusChanged.name, HistoryEntryType.Cancelled.name -> {
+                if (row.toStatus == StageStatus.Completed.name || row.toStatus == StageStatus.Cancelled.name) leaveStage(row.occurredAt)
+                if (row.toStatus == StageStatus.Completed.name && inWindow(row.occurredAt)) completedCounts[bucketOf(row.occurredAt)]++
+            }
+            HistoryEntryType.Error.name -> if (inWindow(row.occurredAt)) errorCounts[bucketOf(row.occurredAt)]++
+        }
+    }
+
+    val stageOrder = stages + (dwellsByStage.keys - stages.toSet()).sorted()
+
+    return CockpitFlowAnalyticsDto(
+        flowId = flowId,
+        window = window.param,
+        since = since,
+        until = now,
+        bucketSeconds = window.bucket.seconds,
+        stages = stageOrder.mapNotNull { stage ->
+            val dwells = dwellsByStage[stage]?.sorted() ?: return@mapNotNull null
+            CockpitStageDwellDto(
+                stage = stage,
+                visitCount = dwells.size,
+                p50Millis = dwells.percentile(0.5),
+                p95Millis = dwells.percentile(0.95),
+                maxMillis = dwells.last(),
+            )
+        },
+        throughput = (0 until bucketCount).map { index ->
+            CockpitThroughputBucketDto(
+                startAt = since.plus(window.bucket.multipliedBy(index.toLong())),
+                completedCount = completedCounts[index],
+                errorCount = errorCounts[index],
+            )
+        },
+    )
+}
+
+/** Nearest-rank percentile of a sorted, non-empty list. */
+private fun List<Long>.percentile(fraction: Double): Long = this[(ceil(fraction * size).toInt() - 1).coerceIn(0, size - 1)]
@@ -0,0 +1,54 @@
+package io.flowlite.cockpit
+
+/** What a Cockpit user may do; each role includes the ones before it. */
+enum class CockpitRole {
+    /** Read-only access to flows, instances, history and the audit log. */
+    Viewer,
+
+    /** May start instances, retry them, send events and move timers. */
+    Operator,
+
+    /** May also cancel instances and move them to another stage. */
+    Admin,
+}
+
+/** The Cockpit actions that change instances, with the least role allowed to run them. */
+enum class CockpitAction(val requiredRole: CockpitRole) {
+    StartInstance(CockpitRole.Operator),
+    Retry(CockpitRole.Operator),
+    SendEvent(CockpitRole.Operator),
+    WakeUpTimer(CockpitRole.Operator),
+    RescheduleTimer(CockpitRole.Operator),
+    Cancel(CockpitRole.Admin),
+    ChangeStage(CockpitRole.Admin),
+}
+
+/**
+ * Decides the [CockpitRole] of a Cockpit user for one flow.
+ *
+ * [user] is the name of the authenticated principal, null when the request is not authenticated. It is the
+ * same name that is recorded as the actor of manual actions, so bulk jobs are authorized per instance with it
+ * after the request has finished.
+ */
+fun interface CockpitAuthorizer {
+    fun role(user: String?, flowId: String): CockpitRole
+
+    companion object {
+        /** Everyone is [CockpitRole.Admin] of every flow; the default, as Cockpit had no access control before. */
+        val allowAll = CockpitAuthorizer { _, _ -> CockpitRole.Admin }
+    }
+}
+
+class CockpitAccessDeniedException(message: String) : RuntimeException(message)
+
+data class CockpitFlowAccessDto(
+    val flowId: String,
+    val role: CockpitRole,
+    val actions: List<CockpitAction>,
+)
+
+/** Returned by `GET /api/me` so Cockpit can hide the actions the user may not run. */
+data class CockpitUserDto(
+    val user: String?,
+    val flows: List<CockpitFlowAccessDto>,
+)
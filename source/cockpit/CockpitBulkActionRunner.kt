@@ -0,0 +1,317 @@
+package io.flowlite.cockpit
+
+import io.flowlite.Intervention
+import io.github.oshai.kotlinlogging.KotlinLogging
+import java.time.Duration
+import java.time.Instant
+import java.util.UUID
+import java.util.concurrent.ConcurrentLinkedQueue
+import java.util.concurrent.Executors
+import java.util.concurrent.atomic.AtomicInteger
+
+enum class CockpitBulkAction(val param: String, val action: CockpitAction) {
+    Retry("retry", CockpitAction.Retry),
+    Cancel("cancel", CockpitAction.Cancel),
+    ChangeStage("change-stage", CockpitAction.ChangeStage),
+    SendEvent("send-event", CockpitAction.SendEvent),
+    WakeUpTimer("wake-up-timer", CockpitAction.WakeUpTimer),
+    RescheduleTimer("reschedule-timer", CockpitAction.RescheduleTimer),
+    ;
+
+    companion object {
+        fun fromParam(value: String): CockpitBulkAction? = entries.firstOrNull { it.param == value }
+    }
+}
+
+enum class CockpitBulkJobStatus {
+    Running,
+    Completed,
+    Failed,
+}
+
+enum class CockpitBulkItemOutcome {
+    Succeeded,
+    Skipped,
+    Failed,
+}
+
+data class CockpitInstanceRef(
+    val flowId: String,
+    val flowInstanceId: UUID,
+)
+
+data class CockpitBulkJobDto(
+    val jobId: UUID,
+    val action: CockpitBulkAction,
+    val targetStage: String?,
+    val event: String?,
+    val notBefore: Instant?,
+    /** Who started the job; recorded on the history entry of every instance it changes, together with [reason]. */
+    val actor: String?,
+    val reason: String?,
+    val status: CockpitBulkJobStatus,
+    val totalCount: Int,
+    val processedCount: Int,
+    val succeededCount: Int,
+    val skippedCount: Int,
+    val failedCount: Int,
+    val startedAt: Instant,
+    val finishedAt: Instant?,
+    val errorMessage: String?,
+)
+
+data class CockpitBulkItemResultDto(
+    val flowId: String,
+    val flowInstanceId: UUID,
+    val outcome: CockpitBulkItemOutcome,
+    val message: String?,
+)
+
+/**
+ * Runs Cockpit retry/cancel/change-stage/send-event/timer actions for many instances on a background thread.
+ *
+ * Targets are resolved once when the job starts, then processed in batches of [batchSize]. Each instance is re-read
+ * right before the action; if its status differs from the one the operator confirmed the action against it is skipped.
+ * That is the status sent with an explicit instance, otherwise the one read when the job starts. Instances that are
+ * running, completed or cancelled are skipped as well, as in the Cockpit UI only actionable instances can be acted on.
+ * A failure for one instance is recorded and does not stop the job. Jobs and their per-instance results live in memory
+ * only; the oldest finished jobs are forgotten beyond [maxRetainedJobs].
+ */
+class CockpitBulkActionRunner(
+    private val service: CockpitService,
+    private val batchSize: Int = 100,
+    private val maxRetainedJobs: Int = 50,
+) : AutoCloseable {
+    private companion object {
+        private val log = KotlinLogging.logger {}
+    }
+
+    private val jobs = LinkedHashMap<UUID, BulkJob>()
+    private val executor = Executors.newSingleThreadExecutor { runnable ->
+        Thread(runnable, "flowlite-cockpit-bulk-actions").apply { isDaemon = true }
+    }
+
+    /** Applies [action] to every instance matching [query] at the time the job starts. */
+    fun start(
+        action: CockpitBulkAction,
+        query: CockpitInstanceQuery,
+        targetStage: String? = null,
+        event: String? = null,
+        notBefore: Instant? = null,
+        intervention: Intervention? = null,
+    ): CockpitBulkJobDto =
+        submit(action, targetStage, event, notBefore, intervention) { resolveTargets(query) }
+
+    /**
+     * Applies [action] to the given instances; instances that no longer exist are counted as failed. [expectedStatuses]
+     * holds the status the operator saw each instance in, where known.
+     */
+    fun start(
+        action: CockpitBulkAction,
+        instances: List<CockpitInstanceRef>,
+        targetStage: String? = null,
+        event: String? = null,
+        notBefore: Instant? = null,
+        intervention: Intervention? = null,
+        expectedStatuses: Map<CockpitInstanceRef, CockpitStatus> = emptyMap(),
+    ): CockpitBulkJobDto =
+        submit(action, targetStage, event, notBefore, intervention) {
+            instances.distinct().map { ref ->
+                BulkTarget(ref, expectedStatuses[ref] ?: service.instance(ref.flowId, ref.flowInstanceId)?.cockpitStatus)
+            }
+        }
+
+    fun job(jobId: UUID): CockpitBulkJobDto? = synchronized(jobs) { jobs[jobId] }?.toDto()
+
+    /** Per-instance outcomes recorded so far, in processing order. */
+    fun results(jobId: UUID): List<CockpitBulkItemResultDto>? = synchronized(jobs) { jobs[jobId] }?.results?.toList()
+
+    fun resultsCsv(jobId: UUID): String? =
+        results(jobId)?.let { results ->
+            buildString {
+                appendLine("flowId,flowInstanceId,outcome,message")
+                results.forEach { result ->
+                    appendLine(
+                        listOf(result.flowId, result.flowInstanceId.toString(), result.outcome.name, result.message.orEmpty())
+                            .joinToString(",") { csvField(it) },
+                    )
+                }
+            }
+        }
+
+    override fun close() {
+        executor.shutdownNow()
+    }
+
+    private fun submit(
+        action: CockpitBulkAction,
+        targetStage: String?,
+        event: String?,
+        notBefore: Instant?,
+        intervention: Intervention?,
+        targets: () -> List<BulkTarget>,
+    ): CockpitBulkJobDto {
+        require(action != CockpitBulkAction.ChangeStage || !targetStage.isNullOrBlank()) { "change-stage requires a target stage" }
+        require(action != CockpitBulkAction.SendEvent || !event.isNullOrBlank()) { "send-event requires an event" }
+        require(action != CockpitBulkAction.RescheduleTimer || notBefore != null) { "reschedule-timer requires a wake-up time" }
+        val job = BulkJob(UUID.randomUUID(), action, targetStage, event, notBefore, intervention, Instant.now())
+        synchronized(jobs) {
+            jobs[job.jobId] = job
+            evictFinishedJobs()
+        }
+        log.info { "cockpit bulk ${action.param} started jobId=${job.jobId} targetStage=${targetStage ?: "-"} event=${event ?: "-"} notBefore=${notBefore ?: "-"} actor=${intervention?.actor ?: "-"}" }
+        executor.execute { run(job, targets) }
+        return job.toDto()
+    }
+
+    private fun run(job: BulkJob, targets: () -> List<BulkTarget>) {
+        val startedAt = System.nanoTime()
+        try {
+            val resolved = targets()
+            job.totalCount = resolved.size
+            resolved.chunked(batchSize.coerceAtLeast(1)).forEachIndexed { index, batch ->
+                batch.forEach { target -> apply(job, target) }
+                log.info {
+                    "cockpit bulk ${job.action.param} batch jobId=${job.jobId} batch=${index + 1} processed=${job.processed.get()}/${job.totalCount} skipped=${job.skipped.get()} failed=${job.failed.get()}"
+                }
+            }
+            job.finish(CockpitBulkJobStatus.Completed)
+            log.info {
+                "cockpit bulk ${job.action.param} completed jobId=${job.jobId} total=${job.totalCount} succeeded=${job.succeeded.get()} skipped=${job.skipped.get()} failed=${job.failed.get()} durationMs=${elapsedMillis(startedAt)}"
+            }
+        } catch (e: Exception) {
+            job.errorMessage = e.message ?: e::class.simpleName
+            job.finish(CockpitBulkJobStatus.Failed)
+            log.error(e) { "cockpit bulk ${job.action.param} failed jobId=${job.jobId} durationMs=${elapsedMillis(startedAt)}" }
+        }
+    }
+
+    private fun apply(job: BulkJob, target: BulkTarget) {
+        try {
+            val expectedStatus = target.expectedStatus ?: error("Instance not found")
+            val instance = service.instance(target.ref.flowId, target.ref.flowInstanceId) ?: error("Instance not found")
+            if (instance.cockpitStatus != expectedStatus) {
+                job.record(target.ref, CockpitBulkItemOutcome.Skipped, "Status changed from $expectedStatus to ${instance.cockpitStatus}")
+                return
+            }
+            if (!instance.cockpitStatus.isActionable) {
+                job.record(target.ref, CockpitBulkItemOutcome.Skipped, "Not actionable (status ${instance.cockpitStatus})")
+                return
+            }
+            when (job.action) {
+                // Same semantics as the Cockpit retry button: errors are retried, waiting instances are re-kicked in place.
+                CockpitBulkAction.Retry -> when {
+                    instance.cockpitStatus == CockpitStatus.Error || instance.cockpitStatus == CockpitStatus.WaitingForRetry -> service.retry(instance.flowId, instance.flowInstanceId, job.intervention)
+                    instance.stage != null -> service.rerunStage(instance.flowId, instance.flowInstanceId, instance.stage, job.intervention)
+                    else -> error("Instance has no stage to retry")
+                }
+                CockpitBulkAction.Cancel -> service.cancel(instance.flowId, instance.flowInstanceId, job.intervention)
+                CockpitBulkAction.ChangeStage -> service.changeStage(instance.flowId, instance.flowInstanceId, requireNotNull(job.targetStage), job.intervention)
+                CockpitBulkAction.SendEvent -> {
+                    if (instance.cockpitStatus != CockpitStatus.WaitingForEvent) {
+                        job.record(target.ref, CockpitBulkItemOutcome.Skipped, "Not waiting for an event (status ${instance.cockpitStatus})")
+                        return
+                    }
+                    val event = requireNotNull(job.event)
+                    check(service.sendEvent(instance.flowId, instance.flowInstanceId, event, job.intervention)) { "Flow ${instance.flowId} does not declare event $event" }
+                }
+                CockpitBulkAction.WakeUpTimer, CockpitBulkAction.RescheduleTimer -> {
+                    if (instance.cockpitStatus != CockpitStatus.WaitingForTimer) {
+                        job.record(target.ref, CockpitBulkItemOutcome.Skipped, "Not waiting for a timer (status ${instance.cockpitStatus})")
+                        return
+                    }
+                    if (job.action == CockpitBulkAction.WakeUpTimer) {
+                        service.wakeUpTimer(instance.flowId, instance.flowInstanceId, job.intervention)
+                    } else {
+                        service.rescheduleTimer(instance.flowId, instance.flowInstanceId, requireNotNull(job.notBefore), job.intervention)
+                    }
+                }
+            }
+            job.record(target.ref, CockpitBulkItemOutcome.Succeeded, null)
+        } catch (e: Exception) {
+            job.record(target.ref, CockpitBulkItemOutcome.Failed, e.message ?: e::class.simpleName)
+            log.warn(e) {
+                "cockpit bulk ${job.action.param} item failed jobId=${job.jobId} flowId=${target.ref.flowId} flowInstanceId=${target.ref.flowInstanceId}"
+            }
+        }
+    }
+
+    private fun resolveTargets(query: CockpitInstanceQuery): List<BulkTarget> {
+        val targets = mutableListOf<BulkTarget>()
+        service.forEachInstancePage(query) { items ->
+            targets += items.map { BulkTarget(CockpitInstanceRef(it.flowId, it.flowInstanceId), it.cockpitStatus) }
+        }
+        return targets
+    }
+
+    private fun evictFinishedJobs() {
+        val iterator = jobs.values.iterator()
+        while (jobs.size > maxRetainedJobs && iterator.hasNext()) {
+            if (iterator.next().finishedAt != null) iterator.remove()
+        }
+    }
+
+    private fun elapsedMillis(startedAt: Long): Long = Duration.ofNanos(System.nanoTime() - startedAt).toMillis()
+
+    /** [expectedStatus] is null when the instance did not exist when the job started. */
+    private class BulkTarget(
+        val ref: CockpitInstanceRef,
+        val expectedStatus: CockpitStatus?,
+    )
+
+    private class BulkJob(
+        val jobId: UUID,
+        val action: CockpitBulkAction,
+        val targetStage: String?,
+        val event: String?,
+        val notBefore: Instant?,
+        val intervention: Intervention?,
+        val startedAt: Instant,
+    ) {
+        val processed = AtomicInteger()
+        val succeeded = AtomicInteger()
+        val skipped = AtomicInteger()
+        val failed = AtomicInteger()
+        val results = ConcurrentLinkedQueue<CockpitBulkItemResultDto>()
+
+        @Volatile var totalCount: Int = 0
+        @Volatile var status: CockpitBulkJobStatus = CockpitBulkJobStatus.Running
+        @Volatile var finishedAt: Instant? = null
+        @Volatile var errorMessage: String? = null
+
+        fun record(ref: CockpitInstanceRef, outcome: CockpitBulkItemOutcome, message: String?) {
+            results += CockpitBulkItemResultDto(ref.flowId, ref.flowInstanceId, outcome, message)
+            when (outcome) {
+                CockpitBulkItemOutcome.Succeeded -> succeeded.incrementAndGet()
+                CockpitBulkItemOutcome.Skipped -> skipped.incrementAndGet()
+                CockpitBulkItemOutcome.Failed -> failed.incrementAndGet()
+            }
+            processed.incrementAndGet()
+        }
+
+        fun finish(finalStatus: CockpitBulkJobStatus) {
+            finishedAt = Instant.now()
+            status = finalStatus
+        }
+
+        fun toDto() =
+            CockpitBulkJobDto(
+                jobId = jobId,
+                action = action,
+                targetStage = targetStage,
+                event = event,
+                notBefore = notBefore,
+                actor = intervention?.actor,
+                reason = intervention?.reason,
+                status = status,
+                totalCount = totalCount,
+                processedCount = processed.get(),
+                succeededCount = succeeded.get(),
+                skippedCount = skipped.get(),
+                failedCount = failed.get(),
+                startedAt = startedAt,
+                finishedAt = finishedAt,
+                errorMessage = errorMessage,
+            )
+    }
+}
@@ -0,0 +1,114 @@
+package io.flowlite.cockpit
+
+import java.io.Writer
+
+enum class CockpitExportFormat(val param: String) {
+    Csv("csv"),
+    Json("json"),
+    ;
+
+    companion object {
+        fun fromParam(value: String): CockpitExportFormat? = entries.firstOrNull { it.param == value }
+    }
+}
+
+/** One exported instance; [lastErrorStackTrace] is only read when the export asks for stack traces. */
+data class CockpitInstanceExportRow(
+    val instance: CockpitInstanceDto,
+    val lastErrorStackTrace: String? = null,
+)
+
+/**
+ * Writes exported instances to [out] as CSV (with a header line) or as a JSON array, one row at a time, so that
+ * large exports are streamed instead of being built in memory. Call [write] for every row, then [finish].
+ */
+class CockpitInstanceExportWriter(
+    private val out: Writer,
+    private val format: CockpitExportFormat,
+    private val includeStackTrace: Boolean,
+) {
+    private var rowCount = 0
+
+    private val columns = buildList {
+        add("flowId")
+        add("flowInstanceId")
+        add("businessKey")
+        add("stage")
+        add("cockpitStatus")
+        add("lastUpdatedAt")
+        add("lastErrorType")
+        add("lastErrorMessage")
+        add("errorFingerprint")
+        add("failureDisposition")
+        add("retryAttempt")
+        add("maxRetryAttempts")
+        add("nextRetryAt")
+        if (includeStackTrace) add("lastErrorStackTrace")
+    }
+
+    fun write(row: CockpitInstanceExportRow) {
+        val values = row.values()
+        when (format) {
+            CockpitExportFormat.Csv -> {
+                if (rowCount == 0) out.appendLine(columns.joinToString(","))
+                out.appendLine(values.joinToString(",") { csvField(it?.toString().orEmpty()) })
+            }
+            CockpitExportFormat.Json -> {
+                out.append(if (rowCount == 0) "[\n" else ",\n")
+                out.append(columns.zip(values).joinToString(",", "{", "}") { (name, value) -> "${jsonValue(name)}:${jsonValue(value)}" })
+            }
+        }
+        rowCount++
+    }
+
+    fun finish() {
+        when (format) {
+            CockpitExportFormat.Csv -> if (rowCount == 0) out.appendLine(columns.joinToString(","))
+            CockpitExportFormat.Json -> out.append(if (rowCount == 0) "[]\n" else "\n]\n")
+        }
+        out.flush()
+    }
+
+    private fun CockpitInstanceExportRow.values(): List<Any?> =
+        buildList {
+            add(instance.flowId)
+            add(instance.flowInstanceId)
+            add(instance.businessKey)
+            add(instance.stage)
+            add(instance.cockpitStatus)
+            add(instance.lastUpdatedAt)
+            add(instance.lastErrorType)
+            add(instance.lastErrorMessage)
+            add(instance.errorFingerprint)
+            add(instance.failureDisposition)
+            add(instance.retryAttempt)
+            add(instance.maxRetryAttempts)
+            add(instance.nextRetryAt)
+            if (includeStackTrace) add(lastErrorStackTrace)
+        }
+
+    private fun jsonValue(value: Any?): String =
+        when (value) {
+            null -> "null"
+            is Number, is Boolean -> value.toString()
+            else -> buildString {
+                append('"')
+                value.toString().forEach { char ->
+                    when {
+                        char == '"' -> append("\\\"")
+                        char == '\\' -> append("\\\\")
+                        char == '\n' -> append("\\n")
+                        char == '\r' -> append("\\r")
+                        char == '\t' -> append("\\t")
+                        char < ' ' -> append("\\u%04x".format(char.code))
+                        else -> append(char)
+                    }
+                }
+                append('"')
+            }
+        }
+}
+
+/** Quotes a CSV field when it contains a separator, a quote or a line break. */
+internal fun csvField(value: String): String =
+    if (value.any { it == ',' || it == '"' || it == '\n' || it == '\r' }) "\"${value.replace("\"", "\"\"")}\"" else value
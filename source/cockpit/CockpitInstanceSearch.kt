@@ -0,0 +1,179 @@
+package io.flowlite.cockpit
+
+import java.time.Duration
+
+/** Thrown for a malformed instance search query; `GET /api/instances` and the bulk endpoints answer it with 400. */
+class CockpitInstanceSearchException(message: String) : IllegalArgumentException(message)
+
+/** The values of one search field: instances match one of [included] (when any) and none of [excluded]. */
+data class CockpitSearchValues(
+    val included: Set<String> = emptySet(),
+    val excluded: Set<String> = emptySet(),
+) {
+    /** `in` or `notIn` for the summary query, null when the field is not filtered. */
+    internal val sqlMode: String?
+        get() = when {
+            included.isNotEmpty() -> "in"
+            excluded.isNotEmpty() -> "notIn"
+            else -> null
+        }
+
+    /** The values for [sqlMode]; an empty string (never a flow, stage or status) when every included value is excluded. */
+    internal val sqlValues: Collection<String>?
+        get() = when {
+            included.isNotEmpty() -> (included - excluded).ifEmpty { setOf("") }
+            excluded.isNotEmpty() -> excluded
+            else -> null
+        }
+
+    fun describe() = (included.sorted() + excluded.sorted().map { "-$it" }).joinToString(",").ifEmpty { "-" }
+}
+
+/**
+ * The query of the instance search box, e.g.
+ * `flow:order-confirmation status:Error,WaitingForEvent -stage:InformingCustomer updated<2h error~"timeout"`.
+ *
+ * - `flow:`, `stage:` and `status:` take comma-separated values of which any may match; `-` in front excludes them.
+ * - `error~text` matches instances whose last error message contains the text, `-error~text` the ones whose last
+ *   error does not (or that have none).
+ * - `updated<2h` matches instances updated within the last 2 hours, `updated>2h` the ones not updated for longer;
+ *   durations combine `d`, `h`, `m` and `s` (`1h30m`).
+ * - Values with spaces are quoted (`error~"connection reset"`). Other words are matched against flow and instance
+ *   ids and business keys, like a plain search.
+ */
+data class CockpitInstanceSearch(
+    val text: String? = null,
+    val flows: CockpitSearchValues = CockpitSearchValues(),
+    val stages: CockpitSearchValues = CockpitSearchValues(),
+    val statuses: CockpitSearchValues = CockpitSearchValues(),
+    val errorMessage: String? = null,
+    val excludedErrorMessage: String? = null,
+    val updatedWithin: Duration? = null,
+    val notUpdatedFor: Duration? = null,
+) {
+    companion object {
+        private val fieldTerm = Regex("""^(-?)([A-Za-z]+)([:~<>])(.*)$""", RegexOption.DOT_MATCHES_ALL)
+        private val durationPart = Regex("""(\d+)([dhms])""")
+
+        fun parse(query: String): CockpitInstanceSearch {
+            val words = mutableListOf<String>()
+            val included = mutableMapOf<String, MutableSet<String>>()
+            val excluded = mutableMapOf<String, MutableSet<String>>()
+            var errorMessage: String? = null
+            var excludedErrorMessage: String? = null
+            var updatedWithin: Duration? = null
+            var notUpdatedFor: Duration? = null
+
+            splitOutsideQuotes(query) { it.isWhitespace() }.forEach { term ->
+                val match = fieldTerm.matchEntire(term)
+                if (match == null) {
+                    words += unquote(term)
+                    return@forEach
+                }
+                val (negation, rawField, operator, rawValue) = match.destructured
+                val field = rawField.lowercase()
+                val negated = negation.isNotEmpty()
+                val value = unquote(rawValue).trim()
+                if (value.isEmpty()) throw CockpitInstanceSearchException("Missing value for $rawField$operator")
+
+                when {
+                    field in listOf("flow", "stage", "status") && operator == ":" -> {
+                        val values = splitOutsideQuotes(rawValue) { it == ',' }.map { unquote(it).trim() }.filter { it.isNotEmpty() }
+                        if (values.isEmpty()) throw CockpitInstanceSearchException("Missing value for $rawField$operator")
+                        val normalized = if (field == "status") values.map { parseStatus(it) } else values
+                        (if (negated) excluded else included).getOrPut(field) { mutableSetOf() } += normalized
+                    }
+                    field == "error" && operator == "~" -> {
+                        if (negated) {
+                            if (excludedErrorMessage != null) throw CockpitInstanceSearchException("-error~ can only be used once")
+                            excludedErrorMessage = value
+                        } else {
+                            if (errorMessage != null) throw CockpitInstanceSearchException("error~ can only be used once")
+                            errorMessage = value
+                        }
+                    }
+                    field == "updated" && (operator == "<" || operator == ">") -> {
+                        if (negated) throw CockpitInstanceSearchException("updated$operator cannot be negated")
+                        val duration = parseDuration(value)
+                        if (operator == "<") {
+                            updatedWithin = listOfNotNull(updatedWithin, duration).min()
+                        } else {
+                            notUpdatedFor = listOfNotNull(notUpdatedFor, duration).max()
+                        }
+                    }
+                    field in listOf("flow", "stage", "status", "error", "updated") ->
+                        throw CockpitInstanceSearchException("Invalid operator in $rawField$operator, use ${usage(field)}")
+                    else -> throw CockpitInstanceSearchException("Unknown search field: $rawField")
+                }
+            }
+
+            fun values(field: String) = CockpitSearchValues(included[field].orEmpty(), excluded[field].orEmpty())
+
+            return CockpitInstanceSearch(
+                text = words.joinToString(" ").trim().ifEmpty { null },
+                flows = values("flow"),
+                stages = values("stage"),
+                statuses = values("status"),
+                errorMessage = errorMessage,
+                excludedErrorMessage = excludedErrorMessage,
+                updatedWithin = updatedWithin,
+                notUpdatedFor = notUpdatedFor,
+            )
+        }
+
+        private fun usage(field: String) =
+            when (field) {
+                "error" -> "error~text"
+                "updated" -> "updated<2h or updated>2h"
+                else -> "$field:value"
+            }
+
+        private fun parseStatus(value: String): String =
+            CockpitStatus.entries.firstOrNull { it.name.equals(value, ignoreCase = true) }?.name
+                ?: throw CockpitInstanceSearchException("Unknown status: $value")
+
+        private fun parseDuration(value: String): Duration {
+            val normalized = value.lowercase()
+            val parts = durationPart.findAll(normalized).toList()
+            if (parts.isEmpty() || parts.joinToString("") { it.value } != normalized) {
+                throw CockpitInstanceSearchException("Invalid duration: $value (use e.g. 30m, 2h or 1d)")
+            }
+            return parts.fold(Duration.ZERO) { total, part ->
+                val amount = part.groupValues[1].toLong()
+                total.plus(
+                    when (part.groupValues[2]) {
+                        "d" -> Duration.ofDays(amount)
+                        "h" -> Duration.ofHours(amount)
+                        "m" -> Duration.ofMinutes(amount)
+                        else -> Duration.ofSeconds(amount)
+                    },
+                )
+            }
+        }
+
+        /** Splits [value] at the characters matching [isDelimiter] that are not inside double quotes, dropping empty parts. */
+        private fun splitOutsideQuotes(value: String, isDelimiter: (Char) -> Boolean): List<String> {
+            val parts = mutableListOf<String>()
+            val current = StringBuilder()
+            var quoted = false
+            value.forEach { char ->
+                when {
+                    char == '"' -> {
+                        quoted = !quoted
+                        current.append(char)
+                    }
+                    !quoted && isDelimiter(char) -> {
+                        if (current.isNotEmpty()) parts += current.toString()
+                        current.clear()
+                    }
+                    else -> current.append(char)
+                }
+            }
+            if (quoted) throw CockpitInstanceSearchException("Unterminated quote in: $value")
+            if (current.isNotEmpty()) parts += current.toString()
+            return parts
+        }
+
+        private fun unquote(value: String) = value.replace("\"", "")
+    }
+}
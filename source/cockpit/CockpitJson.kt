@@ -0,0 +1,172 @@
+package io.flowlite.cockpit
+
+import java.math.BigDecimal
+
+/**
+ * Minimal JSON reading and writing for the state snapshots Cockpit redacts; Cockpit does not depend on a JSON library
+ * of its own. Objects read as [Map]s in document order, arrays as [List]s and numbers as [BigDecimal]s.
+ */
+internal object CockpitJson {
+    /** Throws [IllegalArgumentException] when [text] is not a single JSON value. */
+    fun parse(text: String): Any? = Reader(text).readDocument()
+
+    fun write(value: Any?): String = buildString { appendValue(value) }
+
+    private fun StringBuilder.appendValue(value: Any?) {
+        when (value) {
+            null -> append("null")
+            is String -> appendString(value)
+            is BigDecimal -> append(value.toPlainString())
+            is Number, is Boolean -> append(value.toString())
+            is Map<*, *> -> {
+                append('{')
+                value.entries.forEachIndexed { index, (key, child) ->
+                    if (index > 0) append(',')
+                    appendString(key.toString())
+                    append(':')
+                    appendValue(child)
+                }
+                append('}')
+            }
+            is List<*> -> {
+                append('[')
+                value.forEachIndexed { index, child ->
+                    if (index > 0) append(',')
+                    appendValue(child)
+                }
+                append(']')
+            }
+            else -> throw IllegalArgumentException("Cannot write ${value::class.qualifiedName} as JSON")
+        }
+    }
+
+    private fun StringBuilder.appendString(value: String) {
+        append('"')
+        value.forEach { char ->
+            when {
+                char == '"' -> append("\\\"")
+                char == '\\' -> append("\\\\")
+                char == '\n' -> append("\\n")
+                char == '\r' -> append("\\r")
+                char == '\t' -> append("\\t")
+                char < ' ' -> append("\\u%04x".format(char.code))
+                else -> append(char)
+            }
+        }
+        append('"')
+    }
+
+    private class Reader(private val text: String) {
+        private var position = 0
+
+        fun readDocument(): Any? {
+            val value = readValue()
+            skipWhitespace()
+            require(position == text.length) { "Unexpected content at $position" }
+            return value
+        }
+
+        private fun readValue(): Any? {
+            skipWhitespace()
+            return when (text.getOrNull(position)) {
+                '{' -> readObject()
+                '[' -> readArray()
+                '"' -> readString()
+                't' -> readLiteral("true", true)
+                'f' -> readLiteral("false", false)
+                'n' -> readLiteral("null", null)
+                else -> readNumber()
+            }
+        }
+
+        private fun readObject(): Map<String, Any?> {
+            position++
+            val result = LinkedHashMap<String, Any?>()
+            skipWhitespace()
+            if (text.getOrNull(position) == '}') {
+                position++
+                return result
+            }
+            while (true) {
+                skipWhitespace()
+                require(text.getOrNull(position) == '"') { "Expected a key at $position" }
+                val key = readString()
+                skipWhitespace()
+                require(next() == ':') { "Expected ':' at ${position - 1}" }
+                result[key] = readValue()
+                skipWhitespace()
+                when (next()) {
+                    ',' -> continue
+                    '}' -> return result
+                    else -> throw IllegalArgumentException("Expected ',' or '}' at ${position - 1}")
+                }
+            }
+        }
+
+        private fun readArray(): List<Any?> {
+            position++
+            val result = mutableListOf<Any?>()
+            skipWhitespace()
+            if (text.getOrNull(position) == ']') {
+                position++
+                return result
+            }
+            while (true) {
+                result += readValue()
+                skipWhitespace()
+                when (next()) {
+                    ',' -> continue
+                    ']' -> return result
+                    else -> throw IllegalArgumentException("Expected ',' or ']' at ${position - 1}")
+                }
+            }
+        }
+
+        private fun readString(): String {
+            position++
+            val result = StringBuilder()
+            while (true) {
+                when (val char = next()) {
+                    '"' -> return result.toString()
+                    '\\' -> when (val escaped = next()) {
+                        '"', '\\', '/' -> result.append(escaped)
+                        'b' -> result.append('\b')
+                        'f' -> result.append('\u000C')
+                        'n' -> result.append('\n')
+                        'r' -> result.append('\r')
+                        't' -> result.append('\t')
+                        'u' -> {
+                            require(position + 4 <= text.length) { "Unexpected end of JSON" }
+                            result.append(text.substring(position, position + 4).toInt(16).toChar())
+                            position += 4
+                        }
+                        else -> throw IllegalArgumentException("Invalid escape at ${position - 1}")
+                    }
+                    else -> result.append(char)
+                }
+            }
+        }
+
+        private fun readLiteral(literal: String, value: Any?): Any? {
+            require(text.startsWith(literal, position)) { "Invalid JSON value at $position" }
+            position += literal.length
+            return value
+        }
+
+        private fun readNumber(): BigDecimal {
+            val start = position
+            while (position < text.length && text[position] in "+-0123456789.eE") position++
+            return text.substring(start, position).toBigDecimalOrNull()
+                ?: throw IllegalArgumentException("Invalid JSON value at $start")
+        }
+
+        private fun next(): Char {
+            require(position < text.length) { "Unexpected end of JSON" }
+            return text[position++]
+        }
+
+        private fun skipWhitespace() {
+            while (position < text.length && text[position].isWhitespace()) position++
+        }
+    }
+}
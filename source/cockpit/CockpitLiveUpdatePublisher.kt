@@ -0,0 +1,133 @@
+package io.flowlite.cockpit
+
+import io.github.oshai.kotlinlogging.KotlinLogging
+import java.time.Duration
+import java.time.Instant
+import java.util.concurrent.CopyOnWriteArraySet
+import java.util.concurrent.Executors
+import java.util.concurrent.RejectedExecutionException
+import java.util.concurrent.TimeUnit
+import org.springframework.web.servlet.function.ServerResponse
+
+private const val FLOWS_INVALIDATED_EVENT = "flows-invalidated"
+
+data class CockpitFlowsInvalidated(
+    val flowIds: List<String>,
+    val occurredAt: Instant,
+) {
+    val type: String = FLOWS_INVALIDATED_EVENT
+}
+
+interface CockpitLiveUpdateSubscriber {
+    fun onFlowsInvalidated(update: CockpitFlowsInvalidated)
+
+    fun onHeartbeat() {}
+}
+
+/**
+ * In-memory broadcaster of Cockpit invalidation messages.
+ *
+ * Messages only say that something changed; clients refetch the REST snapshot endpoints.
+ * Only subscribers connected to this JVM are notified.
+ *
+ * Messages are sent from the publisher's own thread, so a slow client never holds up the engine thread that
+ * appended the history entry. Invalidations arriving within [coalesceWindow] are sent as one message naming
+ * every flow that changed.
+ */
+class CockpitLiveUpdatePublisher(
+    heartbeatInterval: Duration = Duration.ofSeconds(20),
+    private val coalesceWindow: Duration = Duration.ofMillis(250),
+) : AutoCloseable {
+    private companion object {
+        private val log = KotlinLogging.logger {}
+    }
+
+    private val subscribers = CopyOnWriteArraySet<CockpitLiveUpdateSubscriber>()
+    private val executor = Executors.newSingleThreadScheduledExecutor { runnable ->
+        Thread(runnable, "flowlite-cockpit-live").apply { isDaemon = true }
+    }
+
+    // Latest change per flow id not yet sent; guarded by itself.
+    private val pendingFlows = LinkedHashMap<String, Instant>()
+    private var flushScheduled = false
+
+    init {
+        val intervalMs = heartbeatInterval.toMillis().coerceAtLeast(1)
+        executor.scheduleAtFixedRate(::sendHeartbeats, intervalMs, intervalMs, TimeUnit.MILLISECONDS)
+    }
+
+    fun subscribe(subscriber: CockpitLiveUpdateSubscriber): AutoCloseable {
+        subscribers += subscriber
+        return AutoCloseable { subscribers -= subscriber }
+    }
+
+    fun subscribe(sse: ServerResponse.SseBuilder) {
+        val subscriber = SseSubscriber(sse)
+        subscribers += subscriber
+        sse.onComplete { subscribers -= subscriber }
+        sse.onTimeout { subscribers -= subscriber }
+        sse.onError { subscribers -= subscriber }
+        // Flushes the response headers so the browser reports the stream as open right away.
+        deliver(subscriber) { it.onHeartbeat() }
+    }
+
+    fun publishFlowsInvalidated(flowId: String, occurredAt: Instant) {
+        if (subscribers.isEmpty()) return
+        synchronized(pendingFlows) {
+            pendingFlows.merge(flowId, occurredAt) { previous, next -> maxOf(previous, next) }
+            if (flushScheduled) return
+            flushScheduled = true
+        }
+        try {
+            executor.schedule(::sendPendingFlows, coalesceWindow.toMillis(), TimeUnit.MILLISECONDS)
+        } catch (_: RejectedExecutionException) {
+            // Closed; nobody is listening any more.
+        }
+    }
+
+    internal fun subscriberCount(): Int = subscribers.size
+
+    override fun close() {
+        executor.shutdownNow()
+        subscribers.clear()
+    }
+
+    private fun sendPendingFlows() {
+        val flows = synchronized(pendingFlows) {
+            flushScheduled = false
+            pendingFlows.toMap().also { pendingFlows.clear() }
+        }
+        if (flows.isEmpty()) return
+        val update = CockpitFlowsInvalidated(flowIds = flows.keys.toList(), occurredAt = flows.values.max())
+        subscribers.forEach { subscriber -> deliver(subscriber) { it.onFlowsInvalidated(update) } }
+    }
+
+    private fun sendHeartbeats() {
+        subscribers.forEach { subscriber -> deliver(subscriber) { it.onHeartbeat() } }
+    }
+
+    private fun deliver(subscriber: CockpitLiveUpdateSubscriber, action: (CockpitLiveUpdateSubscriber) -> Unit) {
+        try {
+            action(subscriber)
+        } catch (e: Exception) {
+            subscribers -= subscriber
+            log.debug(e) { "cockpit live subscriber dropped after failed delivery" }
+        }
+    }
+
+    private class SseSubscriber(
+        private val sse: ServerResponse.SseBuilder,
+    ) : CockpitLiveUpdateSubscriber {
+        @Synchronized
+        override fun onFlowsInvalidated(update: CockpitFlowsInvalidated) {
+            sse.event(FLOWS_INVALIDATED_EVENT)
+            sse.data(update)
+        }
+
+        @Synchronized
+        override fun onHeartbeat() {
+            sse.comment("heartbeat")
+            sse.send()
+        }
+    }
+}
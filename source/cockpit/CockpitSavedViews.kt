@@ -0,0 +1,102 @@
+package io.flowlite.cockpit
+
+import io.github.oshai.kotlinlogging.KotlinLogging
+import java.time.Clock
+import java.time.Instant
+import java.util.UUID
+import org.springframework.data.annotation.Id
+import org.springframework.data.annotation.Version
+import org.springframework.data.jdbc.repository.query.Query
+import org.springframework.data.relational.core.mapping.Table
+import org.springframework.data.repository.CrudRepository
+
+/** A named Cockpit view shared with the team; [search] is the Cockpit URL query string that restores its filters. */
+data class CockpitSavedViewDto(
+    val id: UUID,
+    val name: String,
+    val search: String,
+    val createdBy: String?,
+    val createdAt: Instant,
+)
+
+@Table("FLOWLITE_SAVED_VIEW")
+data class FlowLiteSavedViewRow(
+    @Id
+    val id: UUID,
+    val name: String,
+    val search: String,
+    val createdBy: String? = null,
+    val createdAt: Instant,
+    @Version
+    var version: Long? = null, // Only so Spring Data JDBC treats the aggregate as "new" with an assigned (non-null) id.
+)
+
+interface FlowLiteSavedViewRepository : CrudRepository<FlowLiteSavedViewRow, UUID> {
+    @Query("select * from flowlite_saved_view order by name")
+    fun findAllOrderedByName(): List<FlowLiteSavedViewRow>
+
+    @Query("select * from flowlite_saved_view where name = :name")
+    fun findByName(name: String): FlowLiteSavedViewRow?
+}
+
+/**
+ * Server-side store of the Cockpit saved views, served at `/api/saved-views` when passed to `cockpitRouter`.
+ *
+ * Names are unique: saving a view under an existing name replaces its search and keeps who saved it first and when.
+ * A view can only be replaced or deleted by the user who saved it; views saved without authentication belong to
+ * nobody and can only be changed by admins.
+ */
+class CockpitSavedViewStore(
+    private val repo: FlowLiteSavedViewRepository,
+    private val clock: Clock = Clock.systemUTC(),
+) {
+    private companion object {
+        private val log = KotlinLogging.logger {}
+    }
+
+    fun list(): List<CockpitSavedViewDto> = repo.findAllOrderedByName().map { it.toDto() }
+
+    /** [isAdmin] is whether [user] is an admin of Cockpit, who may replace the views that belong to nobody. */
+    fun save(name: String, search: String, user: String?, isAdmin: Boolean = false): CockpitSavedViewDto {
+        val existing = repo.findByName(name)
+        existing?.let { authorize(it, user, isAdmin) }
+        val saved = repo.save(
+            existing?.copy(search = search)
+                ?: FlowLiteSavedViewRow(
+                    id = UUID.randomUUID(),
+                    name = name,
+                    search = search,
+                    createdBy = user,
+                    createdAt = Instant.now(clock),
+                ),
+        )
+        log.info { "cockpit saved view ${if (existing == null) "created" else "replaced"} name=$name user=${user ?: "-"}" }
+        return saved.toDto()
+    }
+
+    /** Returns false when there is no view with [id]. [isAdmin] is as for [save]. */
+    fun delete(id: UUID, user: String?, isAdmin: Boolean = false): Boolean {
+        val existing = repo.findById(id).orElse(null) ?: return false
+        authorize(existing, user, isAdmin)
+        repo.delete(existing)
+        log.info { "cockpit saved view deleted name=${existing.name} user=${user ?: "-"}" }
+        return true
+    }
+
+    private fun authorize(view: FlowLiteSavedViewRow, user: String?, isAdmin: Boolean) {
+        if (view.createdBy == null && isAdmin) return
+        if (view.createdBy != null && view.createdBy == user) return
+        val owner = view.createdBy ?: "an anonymous user"
+        log.warn { "cockpit saved view change denied name=${view.name} owner=${view.createdBy ?: "-"} user=${user ?: "-"}" }
+        throw CockpitAccessDeniedException("${user ?: "Anonymous user"} may not change the saved view ${view.name} of $owner")
+    }
+
+    private fun FlowLiteSavedViewRow.toDto() =
+        CockpitSavedViewDto(
+            id = id,
+            name = name,
+            search = search,
+            createdBy = createdBy,
+            createdAt = createdAt,
+        )
+}
@@ -0,0 +1,72 @@
+package io.flowlite.cockpit
+
+/**
+ * Lets Cockpit show the domain state of a flow's instances in the instance details.
+ *
+ * [render] turns the state loaded by the flow's `StatePersister` into JSON values: maps, lists, strings, numbers,
+ * booleans and null (e.g. `objectMapper.convertValue(state, Map::class.java)`). Values under one of the
+ * [redactedKeys], compared case-insensitively at any depth, are replaced by [REDACTED] before the state is returned,
+ * so they never leave the server. Any other value, such as a data class whose fields could hold a redacted key, is
+ * rejected with an [IllegalArgumentException] instead of being serialized as is. The same keys are masked in the
+ * state snapshots of the instance history (see `StateSnapshotSerializer`).
+ */
+class CockpitStateRenderer<T : Any>(
+    val render: (T) -> Map<String, Any?>,
+    redactedKeys: Set<String> = emptySet(),
+) {
+    private val redactedKeys = redactedKeys.map { it.lowercase() }.toSet()
+
+    companion object {
+        const val REDACTED = "[redacted]"
+    }
+
+    internal fun renderRedacted(state: T): CockpitInstanceStateDto {
+        val redactedPaths = mutableListOf<String>()
+        @Suppress("UNCHECKED_CAST")
+        val redacted = redact(render(state), "", redactedPaths) as Map<String, Any?>
+        return CockpitInstanceStateDto(state = redacted, redactedPaths = redactedPaths)
+    }
+
+    /**
+     * Masks the [redactedKeys] in a JSON state snapshot. A snapshot that cannot be parsed, e.g. a truncated one, cannot
+     * be checked for them and is withheld (null).
+     */
+    internal fun redactSnapshot(snapshot: String): String? {
+        if (redactedKeys.isEmpty()) return snapshot
+        val parsed = try {
+            CockpitJson.parse(snapshot)
+        } catch (e: IllegalArgumentException) {
+            return null
+        }
+        return CockpitJson.write(redact(parsed, "", mutableListOf()))
+    }
+
+    private fun redact(value: Any?, path: String, redactedPaths: MutableList<String>): Any? =
+        when (value) {
+            is Map<*, *> -> value.entries.associate { (key, child) ->
+                val name = key.toString()
+                val childPath = if (path.isEmpty()) name else "$path.$name"
+                if (name.lowercase() in redactedKeys) {
+                    redactedPaths += childPath
+                    name to REDACTED
+                } else {
+                    name to redact(child, childPath, redactedPaths)
+                }
+            }
+            is Collection<*> -> value.mapIndexed { index, child -> redact(child, "$path[$index]", redactedPaths) }
+            is Array<*> -> value.mapIndexed { index, child -> redact(child, "$path[$index]", redactedPaths) }
+            null, is String, is Number, is Boolean -> value
+            is Enum<*> -> value.name
+            else -> throw IllegalArgumentException(
+                "State renderer returned ${value::class.qualifiedName} at ${path.ifEmpty { "the root" }}; " +
+                    "render maps, lists, strings, numbers, booleans and null only",
+            )
+        }
+}
+
+/** Returned by `GET /api/instances/{flowId}/{flowInstanceId}/state`. */
+data class CockpitInstanceStateDto(
+    val state: Map<String, Any?>,
+    /** Paths such as `customer.email` or `contacts[0].phone` whose values were replaced by [CockpitStateRenderer.REDACTED]. */
+    val redactedPaths: List<String>,
+)
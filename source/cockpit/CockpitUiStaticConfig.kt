@@ -2,6 +2,8 @@ package io.flowlite.cockpit
 
 import java.nio.file.Path
 import java.nio.file.Paths
+import java.time.Duration
+import org.springframework.http.CacheControl
 import org.springframework.core.io.Resource
 import org.springframework.web.servlet.config.annotation.ResourceHandlerRegistry
 import org.springframework.web.servlet.config.annotation.ViewControllerRegistry
@@ -21,8 +23,10 @@ class CockpitUiStaticConfig(
         registry.addResourceHandler("/", "/index.html", "/vite.svg")
             .addResourceLocations(distLocation)
 
+        // Vite hashes asset names, so chunks such as the lazily loaded Mermaid bundle can be cached indefinitely.
         registry.addResourceHandler("/assets/**")
             .addResourceLocations(distLocation)
+            .setCacheControl(CacheControl.maxAge(Duration.ofDays(365)).cachePublic().immutable())
             .resourceChain(false)
             .addResolver(AssetsPathResourceResolver())
     }
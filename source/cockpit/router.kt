@@ -1,12 +1,71 @@
 package io.flowlite.cockpit
 
+import io.flowlite.FlowLiteMetrics
+import io.flowlite.HistoryEntryType
+import io.flowlite.Intervention
+import java.time.Duration
+import java.net.URI
+import java.time.Instant
 import java.util.UUID
+import org.springframework.core.ParameterizedTypeReference
+import org.springframework.http.HttpHeaders
 import org.springframework.http.HttpStatus
+import org.springframework.http.MediaType
+import org.springframework.http.converter.HttpMessageNotReadableException
+import org.springframework.web.servlet.function.RouterFunctions
+import org.springframework.web.servlet.function.ServerRequest
 import org.springframework.web.servlet.function.ServerResponse
 import org.springframework.web.servlet.function.router
 
-fun cockpitRouter(service: CockpitService) =
+private val liveStreamTimeout = Duration.ofMinutes(30)
+private const val TOTAL_COUNT_HEADER = "X-Total-Count"
+private const val NEXT_CURSOR_HEADER = "X-Next-Cursor"
+private const val MAX_DIAGRAM_LENGTH = 100_000
+private const val MAX_REASON_LENGTH = 1000
+private const val REASON_TOO_LONG = "Reason must be at most $MAX_REASON_LENGTH characters"
+private const val MAX_SAVED_VIEW_NAME_LENGTH = 128
+private const val MAX_SAVED_VIEW_SEARCH_LENGTH = 4000
+private val svgMediaType = MediaType.valueOf("image/svg+xml")
+private val openMetricsMediaType = MediaType.parseMediaType(FlowLiteMetrics.CONTENT_TYPE)
+private val initialStateType = object : ParameterizedTypeReference<Map<String, Any?>>() {}
+
+fun cockpitRouter(
+    service: CockpitService,
+    liveUpdates: CockpitLiveUpdatePublisher? = null,
+    bulkActions: CockpitBulkActionRunner? = null,
+    metrics: FlowLiteMetrics? = null,
+    savedViews: CockpitSavedViewStore? = null,
+) =
     router {
+        if (metrics != null) {
+            val requestDuration = metrics.histogram(
+                "flowlite_cockpit_request_duration_seconds",
+                "Cockpit API request latency.",
+                "method",
+                "route",
+                "status",
+            )
+
+            GET("/metrics") {
+                ServerResponse.ok().contentType(openMetricsMediaType).body(metrics.scrape())
+            }
+
+            filter { request, next ->
+                val startedAt = System.nanoTime()
+                var status = "error"
+                try {
+                    next(request).also { status = it.statusCode().value().toString() }
+                } finally {
+                    val route = request.attribute(RouterFunctions.MATCHING_PATTERN_ATTRIBUTE).map { it.toString() }.orElse("unmatched")
+                    requestDuration.observe((System.nanoTime() - startedAt) / 1_000_000_000.0, request.method().name(), route, status)
+                }
+            }
+        }
+
+        GET("/api/me") { request ->
+            ServerResponse.ok().body(service.access(request.user()))
+        }
+
         GET("/api/flows") { request ->
             val longRunningThresholdSeconds = request.param("longRunningThresholdSeconds").orElse(null)
                 ?.toLongOrNull()
@@ -16,53 +75,302 @@ fun cockpitRouter(service: CockpitService) =
             ServerResponse.ok().body(service.listFlows(longRunningThresholdSeconds = longRunningThresholdSeconds))
         }
 
+        if (liveUpdates != null) {
+            GET("/api/flows/live") {
+                ServerResponse.sse({ sse -> liveUpdates.subscribe(sse) }, liveStreamTimeout)
+            }
+        }
+
+        POST("/api/flows/{flowId}/instances") { request ->
+            val flowId = request.pathVariable("flowId")
+            val initialState = try {
+                request.body(initialStateType)
+            } catch (_: HttpMessageNotReadableException) {
+                return@POST ServerResponse.badRequest().body("Initial state must be a JSON object")
+            }
+            val flowInstanceId = try {
+                service.startInstance(flowId, initialState, request.user())
+            } catch (e: IllegalArgumentException) {
+                return@POST ServerResponse.badRequest().body("Invalid initial state: ${e.message}")
+            } ?: return@POST ServerResponse.notFound().build()
+
+            ServerResponse.created(URI.create("/api/instances/$flowId/$flowInstanceId"))
+                .body(CockpitInstanceRef(flowId, flowInstanceId))
+        }
+
+        GET("/api/flows/{flowId}/heatmap") { request ->
+            val heatmap = service.flowHeatmap(request.pathVariable("flowId"))
+                ?: return@GET ServerResponse.notFound().build()
+
+            ServerResponse.ok().body(heatmap)
+        }
+
+        POST("/api/diagrams/svg") { request ->
+            val diagram = request.body(String::class.java)
+            if (diagram.isBlank() || diagram.length > MAX_DIAGRAM_LENGTH) {
+                return@POST ServerResponse.badRequest().body("Diagram must be 1 to $MAX_DIAGRAM_LENGTH characters")
+            }
+
+            ServerResponse.ok().contentType(svgMediaType).body(service.renderDiagramSvg(diagram))
+        }
+
         GET("/api/instances") { request ->
-            val flowId = request.param("flowId").orElse(null)
-            val bucket = request.param("bucket")
+            val query = request.instanceQuery()
+            val groupBy = request.param("groupBy")
                 .map { it.trim() }
                 .filter { it.isNotEmpty() }
-                .map { it.replaceFirstChar { ch -> ch.uppercaseChar() } }
-                .map { CockpitInstanceBucket.valueOf(it) }
                 .orElse(null)
-            val status = request.param("status")
+            if (groupBy != null) {
+                if (groupBy != "fingerprint") return@GET ServerResponse.badRequest().body("Invalid groupBy: $groupBy")
+                return@GET ServerResponse.ok().body(service.listErrorGroups(query))
+            }
+            val limit = request.param("limit")
                 .map { it.trim() }
                 .filter { it.isNotEmpty() }
-                .map { CockpitStatus.valueOf(it) }
                 .orElse(null)
-            val searchTerm = request.param("q").orElse(null)
-            val stage = request.param("stage")
+                ?.let { it.toIntOrNull() ?: return@GET ServerResponse.badRequest().body("Invalid limit: $it") }
+            val sort = request.param("sort")
                 .map { it.trim() }
-                .filter { it.isNotEmpty() && it != "all" }
+                .filter { it.isNotEmpty() }
                 .orElse(null)
-            val errorMessage = request.param("errorMessage")
+                ?.let { CockpitInstanceSort.parse(it) ?: return@GET ServerResponse.badRequest().body("Invalid sort: $it") }
+
+            if (limit == null) {
+                return@GET ServerResponse.ok().body(
+                    service.listInstances(
+                        flowId = query.flowId,
+                        bucket = query.bucket,
+                        status = query.status,
+                        searchTerm = query.searchTerm,
+                        stage = query.stage,
+                        errorMessage = query.errorMessage,
+                        errorFingerprint = query.errorFingerprint,
+                        showIncompleteOnly = query.showIncompleteOnly,
+                        cockpitStatusFilter = query.cockpitStatusFilter,
+                        longInactiveThresholdSeconds = query.longInactiveThresholdSeconds,
+                        sort = sort,
+                    ),
+                )
+            }
+
+            val cursor = request.param("cursor")
                 .map { it.trim() }
                 .filter { it.isNotEmpty() }
                 .orElse(null)
-            val showIncompleteOnly = request.param("incompleteOnly")
-                .map { it.trim().lowercase() }
-                .map { it == "1" || it == "true" || it == "yes" }
-                .orElse(false)
-            val cockpitStatusFilter = request.param("cockpitStatus")
+                ?.let { CockpitInstanceCursor.decode(it) ?: return@GET ServerResponse.badRequest().body("Invalid cursor: $it") }
+            val page = service.listInstancePage(
+                flowId = query.flowId,
+                bucket = query.bucket,
+                status = query.status,
+                searchTerm = query.searchTerm,
+                stage = query.stage,
+                errorMessage = query.errorMessage,
+                errorFingerprint = query.errorFingerprint,
+                showIncompleteOnly = query.showIncompleteOnly,
+                cockpitStatusFilter = query.cockpitStatusFilter,
+                longInactiveThresholdSeconds = query.longInactiveThresholdSeconds,
+                limit = limit,
+                cursor = cursor,
+                sort = sort ?: CockpitInstanceSort.Default,
+            )
+
+            ServerResponse.ok()
+                .header(TOTAL_COUNT_HEADER, page.totalCount.toString())
+                .apply { page.nextCursor?.let { header(NEXT_CURSOR_HEADER, it.encode()) } }
+                .body(page.items)
+        }
+
+        GET("/api/instances/export") { request ->
+            val format = request.param("format")
+                .map { it.trim() }
+                .filter { it.isNotEmpty() }
+                .orElse(CockpitExportFormat.Csv.param)
+                .let { CockpitExportFormat.fromParam(it) ?: return@GET ServerResponse.badRequest().body("Invalid format: $it") }
+            val sort = request.param("sort")
                 .map { it.trim() }
                 .filter { it.isNotEmpty() }
                 .orElse(null)
-            val longInactiveThresholdSeconds = request.param("longInactiveThresholdSeconds")
+                ?.let { CockpitInstanceSort.parse(it) ?: return@GET ServerResponse.badRequest().body("Invalid sort: $it") }
+            val includeStackTrace = request.param("includeStackTrace").map { it.trim().toBoolean() }.orElse(false)
+            val query = request.instanceQuery()
+            val contentType = when (format) {
+                CockpitExportFormat.Csv -> MediaType("text", "csv", Charsets.UTF_8)
+                CockpitExportFormat.Json -> MediaType(MediaType.APPLICATION_JSON, Charsets.UTF_8)
+            }
+
+            ServerResponse.ok()
+                .contentType(contentType)
+                .header(HttpHeaders.CONTENT_DISPOSITION, "attachment; filename=\"flowlite-instances.${format.param}\"")
+                .build { _, response ->
+                    val writer = CockpitInstanceExportWriter(response.outputStream.bufferedWriter(Charsets.UTF_8), format, includeStackTrace)
+                    service.exportInstances(query, sort ?: CockpitInstanceSort.Default, includeStackTrace) { writer.write(it) }
+                    writer.finish()
+                    null
+                }
+        }
+
+        if (bulkActions != null) {
+            POST("/api/instances/bulk/{action}") { request ->
+                val action = CockpitBulkAction.fromParam(request.pathVariable("action"))
+                    ?: return@POST ServerResponse.notFound().build()
+                val targetStage = request.param("targetStage")
+                    .map { it.trim() }
+                    .filter { it.isNotEmpty() }
+                    .orElse(null)
+                if (action == CockpitBulkAction.ChangeStage && targetStage == null) {
+                    return@POST ServerResponse.badRequest().body("Missing required parameter: targetStage")
+                }
+                val event = request.param("event")
+                    .map { it.trim() }
+                    .filter { it.isNotEmpty() }
+                    .orElse(null)
+                if (action == CockpitBulkAction.SendEvent && event == null) {
+                    return@POST ServerResponse.badRequest().body("Missing required parameter: event")
+                }
+                val notBefore = request.param("notBefore")
+                    .map { it.trim() }
+                    .filter { it.isNotEmpty() }
+                    .orElse(null)
+                    ?.let { parseInstant(it) ?: return@POST ServerResponse.badRequest().body("Invalid notBefore: $it") }
+                if (action == CockpitBulkAction.RescheduleTimer && notBefore == null) {
+                    return@POST ServerResponse.badRequest().body("Missing required parameter: notBefore")
+                }
+                val expectedStatuses = request.params()["instance"].orEmpty().map {
+                    parseExpectedInstance(it) ?: return@POST ServerResponse.badRequest().body("Invalid instance: $it")
+                }
+                val instances = expectedStatuses.map { it.first }
+                val intervention = request.intervention()
+                    ?: return@POST ServerResponse.badRequest().body(REASON_TOO_LONG)
+                val user = intervention.actor
+
+                val job = if (instances.isNotEmpty()) {
+                    instances.map { it.flowId }.distinct().forEach { service.authorize(user, it, action.action) }
+                    bulkActions.start(
+                        action = action,
+                        instances = instances,
+                        targetStage = targetStage,
+                        event = event,
+                        notBefore = notBefore,
+                        intervention = intervention,
+                        expectedStatuses = expectedStatuses.mapNotNull { (ref, status) -> status?.let { ref to it } }.toMap(),
+                    )
+                } else {
+                    val query = request.instanceQuery()
+                    // An unfiltered query would touch every instance of every flow.
+                    if (query == CockpitInstanceQuery()) {
+                        return@POST ServerResponse.badRequest().body("Bulk actions require at least one filter or instance")
+                    }
+                    // Without a flow filter each instance is authorized when the job reaches it.
+                    if (query.flowId != null) {
+                        service.authorize(user, query.flowId, action.action)
+                    } else if (service.access(user).flows.none { action.action in it.actions }) {
+                        return@POST ServerResponse.status(HttpStatus.FORBIDDEN).body("${user ?: "Anonymous user"} may not ${action.action.name} instances")
+                    }
+                    bulkActions.start(action, query, targetStage, event, notBefore, intervention)
+                }
+                ServerResponse.accepted().body(job)
+            }
+
+            GET("/api/instances/bulk/jobs/{jobId}") { request ->
+                val jobId = UUID.fromString(request.pathVariable("jobId"))
+                val job = bulkActions.job(jobId)
+                    ?: return@GET ServerResponse.notFound().build()
+
+                ServerResponse.ok().body(job)
+            }
+
+            GET("/api/instances/bulk/jobs/{jobId}/results") { request ->
+                val jobId = UUID.fromString(request.pathVariable("jobId"))
+                val results = bulkActions.results(jobId)
+                    ?: return@GET ServerResponse.notFound().build()
+
+                ServerResponse.ok().body(results)
+            }
+
+            GET("/api/instances/bulk/jobs/{jobId}/results.csv") { request ->
+                val jobId = UUID.fromString(request.pathVariable("jobId"))
+                val csv = bulkActions.resultsCsv(jobId)
+                    ?: return@GET ServerResponse.notFound().build()
+
+                ServerResponse.ok()
+                    .contentType(MediaType("text", "csv", Charsets.UTF_8))
+                    .header(HttpHeaders.CONTENT_DISPOSITION, "attachment; filename=\"bulk-$jobId.csv\"")
+                    .body(csv)
+            }
+        }
+
+        if (savedViews != null) {
+            GET("/api/saved-views") {
+                ServerResponse.ok().body(savedViews.list())
+            }
+
+            POST("/api/saved-views") { request ->
+                val name = request.param("name")
+                    .map { it.trim() }
+                    .filter { it.isNotEmpty() }
+                    .orElse(null)
+                    ?: return@POST ServerResponse.badRequest().body("Missing required parameter: name")
+                if (name.length > MAX_SAVED_VIEW_NAME_LENGTH) {
+                    return@POST ServerResponse.badRequest().body("Name must be at most $MAX_SAVED_VIEW_NAME_LENGTH characters")
+                }
+                val search = request.param("search").map { it.trim() }.orElse("")
+                if (search.length > MAX_SAVED_VIEW_SEARCH_LENGTH) {
+                    return@POST ServerResponse.badRequest().body("Search must be at most $MAX_SAVED_VIEW_SEARCH_LENGTH characters")
+                }
+
+                val user = request.user()
+                ServerResponse.ok().body(savedViews.save(name, search, user, service.isAdmin(user)))
+            }
+
+            DELETE("/api/saved-views/{id}") { request ->
+                val id = runCatching { UUID.fromString(request.pathVariable("id")) }.getOrNull()
+                    ?: return@DELETE ServerResponse.notFound().build()
+                val user = request.user()
+                if (!savedViews.delete(id, user, service.isAdmin(user))) return@DELETE ServerResponse.notFound().build()
+
+                ServerResponse.status(HttpStatus.NO_CONTENT).build()
+            }
+        }
+
+        GET("/api/analytics") { request ->
+            val window = request.param("window")
+                .map { it.trim() }
+                .filter { it.isNotEmpty() }
+                .orElse(CockpitAnalyticsWindow.LastDay.param)
+                .let { value -> CockpitAnalyticsWindow.fromParam(value) ?: return@GET ServerResponse.badRequest().body("Invalid window: $value") }
+
+            ServerResponse.ok().body(
+                service.flowAnalytics(
+                    window = window,
+                    flowId = request.param("flowId").map { it.trim() }.filter { it.isNotEmpty() }.orElse(null),
+                ),
+            )
+        }
+
+        GET("/api/audit") { request ->
+            val type = request.param("type")
                 .map { it.trim() }
                 .filter { it.isNotEmpty() }
-                .map { it.toLongOrNull() }
                 .orElse(null)
+                ?.let { value -> HistoryEntryType.entries.firstOrNull { it.name == value } ?: return@GET ServerResponse.badRequest().body("Invalid type: $value") }
+            val since = request.param("since")
+                .map { it.trim() }
+                .filter { it.isNotEmpty() }
+                .orElse(null)
+                ?.let { parseInstant(it) ?: return@GET ServerResponse.badRequest().body("Invalid since: $it") }
+            val limit = request.param("limit")
+                .map { it.trim() }
+                .filter { it.isNotEmpty() }
+                .orElse(null)
+                ?.let { it.toIntOrNull() ?: return@GET ServerResponse.badRequest().body("Invalid limit: $it") }
 
             ServerResponse.ok().body(
-                service.listInstances(
-                    flowId = flowId,
-                    bucket = bucket,
-                    status = status,
-                    searchTerm = searchTerm,
-                    stage = stage,
-                    errorMessage = errorMessage,
-                    showIncompleteOnly = showIncompleteOnly,
-                    cockpitStatusFilter = cockpitStatusFilter,
-                    longInactiveThresholdSeconds = longInactiveThresholdSeconds,
+                service.listInterventions(
+                    flowId = request.param("flowId").map { it.trim() }.filter { it.isNotEmpty() }.orElse(null),
+                    type = type,
+                    actor = request.param("actor").orElse(null),
+                    occurredAfter = since,
+                    limit = limit,
                 ),
             )
         }
@@ -76,6 +384,42 @@ fun cockpitRouter(service: CockpitService) =
             ServerResponse.ok().body(instance)
         }
 
+        GET("/api/instances/{flowId}/{flowInstanceId}/diagram") { request ->
+            val flowId = request.pathVariable("flowId")
+            val flowInstanceId = UUID.fromString(request.pathVariable("flowInstanceId"))
+            val diagram = service.instanceDiagram(flowId, flowInstanceId)
+                ?: return@GET ServerResponse.notFound().build()
+
+            ServerResponse.ok().body(diagram)
+        }
+
+        GET("/api/instances/{flowId}/{flowInstanceId}/pending-events") { request ->
+            val flowId = request.pathVariable("flowId")
+            val flowInstanceId = UUID.fromString(request.pathVariable("flowInstanceId"))
+            val pendingEvents = service.pendingEvents(flowId, flowInstanceId)
+                ?: return@GET ServerResponse.notFound().build()
+
+            ServerResponse.ok().body(pendingEvents)
+        }
+
+        GET("/api/instances/{flowId}/{flowInstanceId}/state") { request ->
+            val flowId = request.pathVariable("flowId")
+            val flowInstanceId = UUID.fromString(request.pathVariable("flowInstanceId"))
+            val state = service.instanceState(flowId, flowInstanceId)
+                ?: return@GET ServerResponse.notFound().build()
+
+            ServerResponse.ok().body(state)
+        }
+
+        GET("/api/instances/{flowId}/{flowInstanceId}/next-tick") { request ->
+            val flowId = request.pathVariable("flowId")
+            val flowInstanceId = UUID.fromString(request.pathVariable("flowInstanceId"))
+            val nextTick = service.nextTick(flowId, flowInstanceId)
+                ?: return@GET ServerResponse.notFound().build()
+
+            ServerResponse.ok().body(nextTick)
+        }
+
         GET("/api/instances/{flowId}/{flowInstanceId}/timeline") { request ->
             val flowId = request.pathVariable("flowId")
             val flowInstanceId = UUID.fromString(request.pathVariable("flowInstanceId"))
@@ -85,14 +429,68 @@ fun cockpitRouter(service: CockpitService) =
         POST("/api/instances/{flowId}/{flowInstanceId}/retry") { request ->
             val flowId = request.pathVariable("flowId")
             val flowInstanceId = UUID.fromString(request.pathVariable("flowInstanceId"))
-            service.retry(flowId, flowInstanceId)
+            val intervention = request.intervention()
+                ?: return@POST ServerResponse.badRequest().body(REASON_TOO_LONG)
+            service.retry(flowId, flowInstanceId, intervention)
+            ServerResponse.status(HttpStatus.NO_CONTENT).build()
+        }
+
+        POST("/api/instances/{flowId}/{flowInstanceId}/rerun-stage") { request ->
+            val flowId = request.pathVariable("flowId")
+            val flowInstanceId = UUID.fromString(request.pathVariable("flowInstanceId"))
+            val stage = request.param("stage").orElse(null)
+                ?: return@POST ServerResponse.badRequest().body("Missing required query parameter: stage")
+            val intervention = request.intervention()
+                ?: return@POST ServerResponse.badRequest().body(REASON_TOO_LONG)
+
+            service.rerunStage(flowId, flowInstanceId, stage, intervention)
             ServerResponse.status(HttpStatus.NO_CONTENT).build()
         }
 
         POST("/api/instances/{flowId}/{flowInstanceId}/cancel") { request ->
             val flowId = request.pathVariable("flowId")
             val flowInstanceId = UUID.fromString(request.pathVariable("flowInstanceId"))
-            service.cancel(flowId, flowInstanceId)
+            val intervention = request.intervention()
+                ?: return@POST ServerResponse.badRequest().body(REASON_TOO_LONG)
+            service.cancel(flowId, flowInstanceId, intervention)
+            ServerResponse.status(HttpStatus.NO_CONTENT).build()
+        }
+
+        POST("/api/instances/{flowId}/{flowInstanceId}/events") { request ->
+            val flowId = request.pathVariable("flowId")
+            val flowInstanceId = UUID.fromString(request.pathVariable("flowInstanceId"))
+            val event = request.param("event").orElse(null)
+                ?: return@POST ServerResponse.badRequest().body("Missing required query parameter: event")
+
+            val intervention = request.intervention()
+                ?: return@POST ServerResponse.badRequest().body(REASON_TOO_LONG)
+
+            if (!service.sendEvent(flowId, flowInstanceId, event, intervention)) {
+                return@POST ServerResponse.badRequest().body("Unknown event for flow $flowId: $event")
+            }
+            ServerResponse.status(HttpStatus.NO_CONTENT).build()
+        }
+
+        POST("/api/instances/{flowId}/{flowInstanceId}/timer/wake-up") { request ->
+            val flowId = request.pathVariable("flowId")
+            val flowInstanceId = UUID.fromString(request.pathVariable("flowInstanceId"))
+            val intervention = request.intervention()
+                ?: return@POST ServerResponse.badRequest().body(REASON_TOO_LONG)
+            service.wakeUpTimer(flowId, flowInstanceId, intervention)
+            ServerResponse.status(HttpStatus.NO_CONTENT).build()
+        }
+
+        POST("/api/instances/{flowId}/{flowInstanceId}/timer/reschedule") { request ->
+            val flowId = request.pathVariable("flowId")
+            val flowInstanceId = UUID.fromString(request.pathVariable("flowInstanceId"))
+            val value = request.param("notBefore").orElse(null)
+                ?: return@POST ServerResponse.badRequest().body("Missing required query parameter: notBefore")
+            val notBefore = parseInstant(value)
+                ?: return@POST ServerResponse.badRequest().body("Invalid notBefore: $value")
+            val intervention = request.intervention()
+                ?: return@POST ServerResponse.badRequest().body(REASON_TOO_LONG)
+
+            service.rescheduleTimer(flowId, flowInstanceId, notBefore, intervention)
             ServerResponse.status(HttpStatus.NO_CONTENT).build()
         }
 
@@ -101,8 +499,93 @@ fun cockpitRouter(service: CockpitService) =
             val flowInstanceId = UUID.fromString(request.pathVariable("flowInstanceId"))
             val stage = request.param("stage").orElse(null)
                 ?: return@POST ServerResponse.badRequest().body("Missing required query parameter: stage")
+            val intervention = request.intervention()
+                ?: return@POST ServerResponse.badRequest().body(REASON_TOO_LONG)
 
-            service.changeStage(flowId, flowInstanceId, stage)
+            service.changeStage(flowId, flowInstanceId, stage, intervention)
             ServerResponse.status(HttpStatus.NO_CONTENT).build()
         }
+
+        onError<CockpitAccessDeniedException> { error, _ ->
+            ServerResponse.status(HttpStatus.FORBIDDEN).body(error.message.orEmpty())
+        }
+
+        onError<CockpitInstanceSearchException> { error, _ ->
+            ServerResponse.badRequest().body("Invalid search: ${error.message}")
+        }
     }
+
+/**
+ * Reads the filter params shared by `GET /api/instances` and the bulk endpoints (query string or form body). A
+ * malformed `q` is rejected here, before an export starts streaming or a bulk job starts in the background.
+ */
+private fun ServerRequest.instanceQuery(): CockpitInstanceQuery =
+    CockpitInstanceQuery(
+        flowId = param("flowId").orElse(null),
+        bucket = param("bucket")
+            .map { it.trim() }
+            .filter { it.isNotEmpty() }
+            .map { it.replaceFirstChar { ch -> ch.uppercaseChar() } }
+            .map { CockpitInstanceBucket.valueOf(it) }
+            .orElse(null),
+        status = param("status")
+            .map { it.trim() }
+            .filter { it.isNotEmpty() }
+            .map { CockpitStatus.valueOf(it) }
+            .orElse(null),
+        searchTerm = param("q").orElse(null),
+        stage = param("stage")
+            .map { it.trim() }
+            .filter { it.isNotEmpty() && it != "all" }
+            .orElse(null),
+        errorMessage = param("errorMessage")
+            .map { it.trim() }
+            .filter { it.isNotEmpty() }
+            .orElse(null),
+        errorFingerprint = param("errorFingerprint")
+            .map { it.trim() }
+            .filter { it.isNotEmpty() }
+            .orElse(null),
+        showIncompleteOnly = param("incompleteOnly")
+            .map { it.trim().lowercase() }
+            .map { it == "1" || it == "true" || it == "yes" }
+            .orElse(false),
+        cockpitStatusFilter = param("cockpitStatus")
+            .map { it.trim() }
+            .filter { it.isNotEmpty() }
+            .orElse(null),
+        longInactiveThresholdSeconds = param("longInactiveThresholdSeconds")
+            .map { it.trim() }
+            .filter { it.isNotEmpty() }
+            .map { it.toLongOrNull() }
+            .orElse(null),
+    ).also { query -> query.searchTerm?.let { CockpitInstanceSearch.parse(it) } }
+
+/**
+ * The authenticated user (e.g. the Spring Security principal) and the optional `reason` param of an operator action;
+ * null when the reason is too long.
+ */
+private fun ServerRequest.intervention(): Intervention? {
+    val reason = param("reason")
+        .map { it.trim() }
+        .filter { it.isNotEmpty() }
+        .orElse(null)
+    if (reason != null && reason.length > MAX_REASON_LENGTH) return null
+    return Intervention(actor = user(), reason = reason)
+}
+
+/** Name of the authenticated principal, e.g. the Spring Security user; null without authentication. */
+private fun ServerRequest.user(): String? = principal().map { it.name }.orElse(null)
+
+/** Parses `flowId:flowInstanceId`, optionally followed by `@status`, the status the operator saw the instance in. */
+private fun parseExpectedInstance(value: String): Pair<CockpitInstanceRef, CockpitStatus?>? {
+    val flowId = value.substringBeforeLast(':', missingDelimiterValue = "")
+    val idAndStatus = value.substringAfterLast(':')
+    val flowInstanceId = runCatching { UUID.fromString(idAndStatus.substringBefore('@')) }.getOrNull()
+    val status = idAndStatus.substringAfter('@', missingDelimiterValue = "").takeIf { it.isNotEmpty() }
+        ?.let { name -> CockpitStatus.entries.firstOrNull { it.name == name } ?: return null }
+    return if (flowId.isNotEmpty() && flowInstanceId != null) CockpitInstanceRef(flowId, flowInstanceId) to status else null
+}
+
+/** Parses an ISO-8601 instant such as `2026-03-04T08:00:00Z`. */
+private fun parseInstant(value: String): Instant? = runCatching { Instant.parse(value.trim()) }.getOrNull()
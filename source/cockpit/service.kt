@@ -2,21 +2,36 @@ package io.flowlite.cockpit
 
 import io.flowlite.Engine
 import io.flowlite.Event
+import io.flowlite.FailureDisposition
 import io.flowlite.Flow
+import io.flowlite.FlowLiteErrorGroupRow
 import io.flowlite.FlowLiteHistoryRepository
 import io.flowlite.FlowLiteHistoryRow
 import io.flowlite.FlowLiteFlowStageBreakdownRow
 import io.flowlite.FlowLiteFlowSummaryAggregateRow
 import io.flowlite.FlowLiteInstanceSummaryRepository
 import io.flowlite.FlowLiteInstanceSummaryRow
+import io.flowlite.FlowLiteMetrics
+import io.flowlite.HistoryEntryType
+import io.flowlite.Intervention
 import io.flowlite.MermaidGenerator
+import io.flowlite.MermaidInstancePath
+import io.flowlite.MermaidStageHeat
+import io.flowlite.MermaidStageStyle
+import io.flowlite.MermaidSvgRenderer
+import io.flowlite.MermaidTransition
+import io.flowlite.PendingEventRecord
 import io.flowlite.Stage
 import io.flowlite.StageDefinition
 import io.flowlite.StageStatus
 import io.flowlite.historyValueOf
+import io.flowlite.declaredEvents
+import io.flowlite.eventTypeOf
+import io.flowlite.normalizeErrorMessage
 import io.github.oshai.kotlinlogging.KotlinLogging
 import java.time.Duration
 import java.time.Instant
+import java.util.Base64
 import java.util.UUID
 
 data class CockpitFlowStageDto(
@@ -29,6 +44,12 @@ data class CockpitFlowDto(
     val flowId: String,
     val diagram: String,
     val stages: List<String>,
+    /** Event names that can be sent to instances of this flow. */
+    val events: List<String>,
+    /** JSON Schema of the initial state; null when instances of this flow cannot be started from Cockpit. */
+    val initialStateSchema: Map<String, Any?>? = null,
+    /** How an instance pending in each stage is shown: waiting for a timer, for an event, or for the engine. */
+    val pendingStatusByStage: Map<String, CockpitStatus> = emptyMap(),
     val notCompletedCount: Int,
     val errorCount: Int,
     val activeCount: Int,
@@ -37,15 +58,158 @@ data class CockpitFlowDto(
     val stageBreakdown: List<CockpitFlowStageDto>,
 )
 
+/** An operator action from history, with the current business key of its instance. */
+data class CockpitAuditEntryDto(
+    val occurredAt: Instant,
+    val flowId: String,
+    val flowInstanceId: UUID,
+    val businessKey: String?,
+    val type: HistoryEntryType,
+    val stage: String?,
+    val fromStage: String?,
+    val toStage: String?,
+    val fromStatus: String?,
+    val toStatus: String?,
+    val event: String?,
+    val wakeUpAt: Instant?,
+    val actor: String?,
+    val reason: String?,
+)
+
 data class CockpitInstanceDto(
     val flowId: String,
     val flowInstanceId: UUID,
     val stage: String?,
     val cockpitStatus: CockpitStatus,
     val lastUpdatedAt: Instant,
+    /** Set when the flow was registered with a `BusinessKeyExtractor`, e.g. an order number. */
+    val businessKey: String? = null,
     val lastErrorMessage: String? = null,
+    val lastErrorType: String? = null,
+    /** Shared by instances whose last error has the same type and message once ids and numbers are masked. */
+    val errorFingerprint: String? = null,
+    val failureDisposition: FailureDisposition? = null,
+    /** Automatic retries of the failed stage so far, out of [maxRetryAttempts]. */
+    val retryAttempt: Int? = null,
+    val maxRetryAttempts: Int? = null,
+    /** Set while [cockpitStatus] is [CockpitStatus.WaitingForRetry]. */
+    val nextRetryAt: Instant? = null,
+)
+
+/** Error instances of one flow stage that failed the same way, as returned by `GET /api/instances?groupBy=fingerprint`. */
+data class CockpitErrorGroupDto(
+    val flowId: String,
+    val stage: String?,
+    val errorFingerprint: String?,
+    val errorType: String?,
+    /** The last error message with ids, numbers and UUIDs masked, e.g. `HTTP <n> from <id>`. */
+    val errorPattern: String?,
+    val count: Int,
+    val firstSeenAt: Instant,
+    val lastSeenAt: Instant,
+)
+
+data class CockpitDiagramDto(
+    val diagram: String,
+)
+
+/** An event type a stage reacts to, in the same `type`/`value` form as stored pending events. */
+data class CockpitEventTypeDto(
+    val type: String,
+    val value: String,
+)
+
+data class CockpitPendingEventDto(
+    val id: UUID,
+    val type: String,
+    val value: String,
+    /** Whether the instance's current stage has an event handler for this event. */
+    val acceptedByCurrentStage: Boolean,
+)
+
+data class CockpitPendingEventsDto(
+    val stage: String?,
+    val events: List<CockpitPendingEventDto>,
+    /** Events the current stage's event handlers accept, whether or not one is pending. */
+    val acceptedEvents: List<CockpitEventTypeDto>,
+)
+
+data class CockpitScheduledTickDto(
+    val notBefore: Instant,
+    val targetStage: String?,
+    /** Set when the tick is an automatic retry of the failed stage rather than a timer. */
+    val retryAttempt: Int?,
+)
+
+data class CockpitNextTickDto(
+    val stage: String?,
+    val nextTick: CockpitScheduledTickDto?,
+)
+
+data class CockpitInstancePage(
+    val items: List<CockpitInstanceDto>,
+    val totalCount: Long,
+    val nextCursor: CockpitInstanceCursor?,
 )
 
+/**
+ * Position after the last row of a page. [sortKey] is that row's value of the sorted column, null when the column is
+ * empty or the page is sorted by update time; the cursor is only meaningful together with the same [CockpitInstanceSort].
+ */
+data class CockpitInstanceCursor(
+    val updatedAt: Instant,
+    val flowInstanceId: UUID,
+    val sortKey: String? = null,
+) {
+    fun encode(): String =
+        Base64.getUrlEncoder().withoutPadding()
+            .encodeToString(listOfNotNull(updatedAt, flowInstanceId, sortKey).joinToString("|").toByteArray())
+
+    companion object {
+        fun decode(value: String): CockpitInstanceCursor? = runCatching {
+            val parts = String(Base64.getUrlDecoder().decode(value)).split("|", limit = 3)
+            CockpitInstanceCursor(
+                updatedAt = Instant.parse(parts[0]),
+                flowInstanceId = UUID.fromString(parts[1]),
+                sortKey = parts.getOrNull(2),
+            )
+        }.getOrNull()
+    }
+}
+
+enum class CockpitInstanceSortField(val param: String) {
+    Flow("flow"),
+    Stage("stage"),
+    Status("status"),
+    UpdatedAt("updatedAt"),
+    BusinessKey("businessKey"),
+}
+
+/** Rows with equal sort values fall back to most recently updated first, then flow instance id. */
+data class CockpitInstanceSort(
+    val field: CockpitInstanceSortField,
+    val descending: Boolean,
+) {
+    fun encode(): String = "${field.param},${if (descending) "desc" else "asc"}"
+
+    companion object {
+        val Default = CockpitInstanceSort(CockpitInstanceSortField.UpdatedAt, descending = true)
+
+        /** Parses `field` or `field,asc|desc`, e.g. `stage,asc`; returns null for unknown fields or directions. */
+        fun parse(value: String): CockpitInstanceSort? {
+            val parts = value.split(",").map { it.trim() }
+            if (parts.size > 2) return null
+            val field = CockpitInstanceSortField.entries.firstOrNull { it.param.equals(parts[0], ignoreCase = true) } ?: return null
+            val descending = when (parts.getOrNull(1)?.lowercase()) {
+                null, "asc" -> false
+                "desc" -> true
+                else -> return null
+            }
+            return CockpitInstanceSort(field, descending)
+        }
+    }
+}
+
 enum class CockpitInstanceBucket {
     Active,
     Error,
@@ -58,13 +222,96 @@ enum class CockpitStatus {
     WaitingForEvent,
     PendingEngine,
     Error,
+    WaitingForRetry,
     Completed,
     Cancelled,
+    ;
+
+    /** Whether operator actions apply to instances in this status; mirrors `isActionableStatus` in the Cockpit UI. */
+    val isActionable: Boolean
+        get() = this == PendingEngine || this == WaitingForTimer || this == WaitingForEvent || this == Error || this == WaitingForRetry
+}
+
+/** The filter set accepted by `GET /api/instances` and the bulk action endpoints. */
+data class CockpitInstanceQuery(
+    val flowId: String? = null,
+    val bucket: CockpitInstanceBucket? = null,
+    val status: CockpitStatus? = null,
+    /** A [CockpitInstanceSearch] query; plain words match flow and instance ids and business keys. */
+    val searchTerm: String? = null,
+    val stage: String? = null,
+    val errorMessage: String? = null,
+    val errorFingerprint: String? = null,
+    val showIncompleteOnly: Boolean = false,
+    val cockpitStatusFilter: String? = null,
+    val longInactiveThresholdSeconds: Long? = null,
+)
+
+private data class InstanceSummaryFilter(
+    val flowId: String?,
+    val bucket: CockpitInstanceBucket?,
+    val status: CockpitStatus?,
+    val searchTerm: String?,
+    val searchFlowInstanceId: UUID?,
+    val stage: String?,
+    val errorMessage: String?,
+    val errorFingerprint: String?,
+    val showIncompleteOnly: Boolean,
+    val cockpitStatusFilter: String?,
+    val longInactiveThresholdSeconds: Long?,
+    val query: String?,
+    val search: CockpitInstanceSearch,
+    val updatedBefore: Instant?,
+    val updatedAfter: Instant?,
+    val sort: CockpitInstanceSort?,
+) {
+    /** Rows sharing a sort key stay newest first unless the sort itself is on `updatedAt`. */
+    val updatedDescending: Boolean
+        get() = sort == null || sort.field != CockpitInstanceSortField.UpdatedAt || sort.descending
+
+    fun describe() =
+        "flowId=${flowId ?: "-"} bucket=${bucket?.name ?: "-"} status=${status?.name ?: "-"} query=${query ?: "-"} stage=${stage ?: "-"} errorMessage=${errorMessage ?: "-"} errorFingerprint=${errorFingerprint ?: "-"} incompleteOnly=$showIncompleteOnly cockpitStatus=${cockpitStatusFilter ?: "-"} longInactiveThresholdSeconds=${longInactiveThresholdSeconds ?: "-"} sort=${sort?.encode() ?: "-"}"
 }
 
+private fun FlowLiteInstanceSummaryRow.sortKey(field: CockpitInstanceSortField): String? =
+    when (field) {
+        CockpitInstanceSortField.Flow -> flowId
+        CockpitInstanceSortField.Stage -> stage
+        CockpitInstanceSortField.Status -> cockpitStatus
+        CockpitInstanceSortField.UpdatedAt -> null
+        CockpitInstanceSortField.BusinessKey -> businessKey
+    }
+
+/** The keyset page query of [sort]; each has a static `order by` so that it can be served from an index. */
+private fun FlowLiteInstanceSummaryRepository.pageQuery(sort: CockpitInstanceSort) =
+    when (sort.field) {
+        CockpitInstanceSortField.UpdatedAt ->
+            if (sort.descending) this::findSummaryPageByUpdatedAtDesc else this::findSummaryPageByUpdatedAtAsc
+        CockpitInstanceSortField.Flow ->
+            if (sort.descending) this::findSummaryPageByFlowDesc else this::findSummaryPageByFlowAsc
+        CockpitInstanceSortField.Stage ->
+            if (sort.descending) this::findSummaryPageByStageDesc else this::findSummaryPageByStageAsc
+        CockpitInstanceSortField.Status ->
+            if (sort.descending) this::findSummaryPageByStatusDesc else this::findSummaryPageByStatusAsc
+        CockpitInstanceSortField.BusinessKey ->
+            if (sort.descending) this::findSummaryPageByBusinessKeyDesc else this::findSummaryPageByBusinessKeyAsc
+    }
+
+/**
+ * Lets Cockpit start instances of a flow from an initial state entered as JSON.
+ *
+ * [schema] is a JSON Schema (as parsed JSON, e.g. nested maps and lists) that Cockpit validates the form against.
+ * [read] builds the flow state from the submitted JSON object and throws [IllegalArgumentException] when it is invalid.
+ */
+class CockpitInitialState<T : Any>(
+    val schema: Map<String, Any?>,
+    val read: (Map<String, Any?>) -> T,
+)
+
 private data class RegisteredFlowMetadata(
     val diagram: String,
     val stages: List<String>,
+    val events: List<String>,
     val stageDefinitions: Map<String, StageDefinition<Any, Stage, Event>>,
 )
 
@@ -73,9 +320,29 @@ class CockpitService(
     private val mermaid: MermaidGenerator,
     private val historyRepo: FlowLiteHistoryRepository,
     private val summaryRepo: FlowLiteInstanceSummaryRepository,
+    private val initialStates: Map<String, CockpitInitialState<*>> = emptyMap(),
+    private val stateRenderers: Map<String, CockpitStateRenderer<*>> = emptyMap(),
+    private val authorizer: CockpitAuthorizer = CockpitAuthorizer.allowAll,
+    metrics: FlowLiteMetrics? = null,
 ) {
     private companion object {
         private val log = KotlinLogging.logger {}
+        private const val MAX_INSTANCE_PAGE_SIZE = 500
+        private const val DEFAULT_AUDIT_LIMIT = 200
+        private const val MAX_AUDIT_LIMIT = 1000
+    }
+
+    private val svgRenderer = MermaidSvgRenderer()
+
+    init {
+        metrics?.gauge("flowlite_instances", "Instances per flow and Cockpit status.", "flow_id", "status") {
+            try {
+                summaryRepo.findStatusCounts().associate { listOf(it.flowId, it.cockpitStatus) to it.instanceCount.toDouble() }
+            } catch (e: Exception) {
+                log.error(e) { "cockpit instance status metrics failed" }
+                emptyMap()
+            }
+        }
     }
 
     private val flowMetadataById by lazy {
@@ -83,6 +350,7 @@ class CockpitService(
             RegisteredFlowMetadata(
                 diagram = mermaid.generateDiagram(flow),
                 stages = flow.stages.keys.map { historyValueOf(it) },
+                events = flow.declaredEvents().map { historyValueOf(it) },
                 stageDefinitions = flow.stages.entries.associate { (stage, definition) -> historyValueOf(stage) to definition },
             )
         }
@@ -107,6 +375,11 @@ class CockpitService(
                     flowId = flowId,
                     diagram = metadata.diagram,
                     stages = metadata.stages,
+                    events = metadata.events,
+                    initialStateSchema = initialStates[flowId]?.schema,
+                    pendingStatusByStage = metadata.stages.associateWith { stage ->
+                        classifyCockpitStatus(metadata.stageDefinitions, stage, StageStatus.Pending) ?: CockpitStatus.PendingEngine
+                    },
                     notCompletedCount = counts?.notCompletedCount ?: 0,
                     errorCount = counts?.errorCount ?: 0,
                     activeCount = counts?.activeCount ?: 0,
@@ -127,6 +400,45 @@ class CockpitService(
         }
     }
 
+    /** The flow diagram as a heatmap of its incomplete instances per stage; null for unknown flows. */
+    fun flowHeatmap(flowId: String): CockpitDiagramDto? {
+        val startedAt = System.nanoTime()
+        try {
+            val result = engine.registeredFlows()[flowId]?.let { flow ->
+                val heatmap = summaryRepo.findIncompleteStageBreakdown()
+                    .filter { it.flowId == flowId }
+                    .associate { it.stage to MermaidStageHeat(totalCount = it.totalCount, errorCount = it.errorCount) }
+                CockpitDiagramDto(diagram = mermaid.generateDiagram(flow, heatmap = heatmap))
+            }
+            log.info {
+                "cockpit flowHeatmap flowId=$flowId found=${result != null} durationMs=${elapsedMillis(startedAt)}"
+            }
+            return result
+        } catch (e: Exception) {
+            log.error(e) {
+                "cockpit flowHeatmap failed flowId=$flowId durationMs=${elapsedMillis(startedAt)}"
+            }
+            throw e
+        }
+    }
+
+    /** Server-side SVG of a diagram returned by the other endpoints, for clients that cannot run Mermaid. */
+    fun renderDiagramSvg(diagram: String): String {
+        val startedAt = System.nanoTime()
+        try {
+            val svg = svgRenderer.render(diagram)
+            log.info {
+                "cockpit renderDiagramSvg diagramLength=${diagram.length} svgLength=${svg.length} durationMs=${elapsedMillis(startedAt)}"
+            }
+            return svg
+        } catch (e: Exception) {
+            log.error(e) {
+                "cockpit renderDiagramSvg failed diagramLength=${diagram.length} durationMs=${elapsedMillis(startedAt)}"
+            }
+            throw e
+        }
+    }
+
     fun listInstances(
         flowId: String? = null,
         bucket: CockpitInstanceBucket? = null,
@@ -134,42 +446,302 @@ class CockpitService(
         searchTerm: String? = null,
         stage: String? = null,
         errorMessage: String? = null,
+        errorFingerprint: String? = null,
         showIncompleteOnly: Boolean = false,
         cockpitStatusFilter: String? = null,
         longInactiveThresholdSeconds: Long? = null,
+        sort: CockpitInstanceSort? = null,
     ): List<CockpitInstanceDto> {
         val startedAt = System.nanoTime()
-        val now = Instant.now()
-        val longInactiveThreshold = longInactiveThresholdSeconds
-            ?.coerceAtLeast(1)
-            ?.let(Duration::ofSeconds)
-        val normalizedSearchTerm = searchTerm?.trim()?.takeIf { it.isNotEmpty() }?.lowercase()
-        val exactFlowInstanceId = normalizedSearchTerm?.let { runCatching { UUID.fromString(it) }.getOrNull() }
-        val normalizedStage = stage?.trim()?.takeIf { it.isNotEmpty() }
-        val normalizedErrorMessage = errorMessage?.trim()?.takeIf { it.isNotEmpty() }?.lowercase()
-        val normalizedCockpitStatusFilter = cockpitStatusFilter?.trim()?.takeIf { it.isNotEmpty() && it != "all" }
-        val updatedBefore = longInactiveThreshold?.let { now.minus(it) }
+        val filter = instanceSummaryFilter(
+            flowId = flowId,
+            bucket = bucket,
+            status = status,
+            searchTerm = searchTerm,
+            stage = stage,
+            errorMessage = errorMessage,
+            errorFingerprint = errorFingerprint,
+            showIncompleteOnly = showIncompleteOnly,
+            cockpitStatusFilter = cockpitStatusFilter,
+            longInactiveThresholdSeconds = longInactiveThresholdSeconds,
+            sort = sort,
+        )
 
         try {
             val result = summaryRepo.findFilteredSummaries(
-                flowId = flowId,
-                bucket = bucket?.name,
-                status = status?.name,
-                searchPattern = normalizedSearchTerm?.let { "%$it%" },
-                searchFlowInstanceId = exactFlowInstanceId,
-                stage = normalizedStage,
-                errorMessagePattern = normalizedErrorMessage?.let { "%$it%" },
-                showIncompleteOnly = showIncompleteOnly,
-                cockpitStatusFilter = normalizedCockpitStatusFilter,
-                updatedBefore = updatedBefore,
+                flowId = filter.flowId,
+                bucket = filter.bucket?.name,
+                status = filter.status?.name,
+                searchPattern = filter.searchTerm?.let { "%$it%" },
+                searchFlowInstanceId = filter.searchFlowInstanceId,
+                stage = filter.stage,
+                errorMessagePattern = filter.errorMessage?.let { "%$it%" },
+                errorFingerprint = filter.errorFingerprint,
+                showIncompleteOnly = filter.showIncompleteOnly,
+                cockpitStatusFilter = filter.cockpitStatusFilter,
+                updatedBefore = filter.updatedBefore,
+                updatedAfter = filter.updatedAfter,
+                searchFlowMode = filter.search.flows.sqlMode,
+                searchFlowIds = filter.search.flows.sqlValues,
+                searchStageMode = filter.search.stages.sqlMode,
+                searchStages = filter.search.stages.sqlValues,
+                searchStatusMode = filter.search.statuses.sqlMode,
+                searchStatuses = filter.search.statuses.sqlValues,
+                searchErrorPattern = filter.search.errorMessage?.let { "%${it.lowercase()}%" },
+                excludedErrorPattern = filter.search.excludedErrorMessage?.let { "%${it.lowercase()}%" },
+                sortField = filter.sort?.field?.param,
+                sortDescending = filter.sort?.descending ?: false,
+                updatedDescending = filter.updatedDescending,
             ).map { row -> row.toDto() }
             log.info {
-                "cockpit listInstances flowId=${flowId ?: "-"} bucket=${bucket?.name ?: "-"} status=${status?.name ?: "-"} search=${normalizedSearchTerm ?: "-"} stage=${normalizedStage ?: "-"} errorMessage=${normalizedErrorMessage ?: "-"} incompleteOnly=$showIncompleteOnly cockpitStatus=${normalizedCockpitStatusFilter ?: "-"} longInactiveThresholdSeconds=${longInactiveThresholdSeconds ?: "-"} returned=${result.size} durationMs=${elapsedMillis(startedAt)}"
+                "cockpit listInstances ${filter.describe()} returned=${result.size} durationMs=${elapsedMillis(startedAt)}"
+            }
+            return result
+        } catch (e: Exception) {
+            log.error(e) {
+                "cockpit listInstances failed ${filter.describe()} durationMs=${elapsedMillis(startedAt)}"
+            }
+            throw e
+        }
+    }
+
+    /**
+     * Same filters as [listInstances], but returns one keyset page ordered by [sort] (most recently updated first by default).
+     * Pass [CockpitInstancePage.nextCursor] back as [cursor], together with the same [sort], to fetch the following page.
+     */
+    fun listInstancePage(
+        flowId: String? = null,
+        bucket: CockpitInstanceBucket? = null,
+        status: CockpitStatus? = null,
+        searchTerm: String? = null,
+        stage: String? = null,
+        errorMessage: String? = null,
+        errorFingerprint: String? = null,
+        showIncompleteOnly: Boolean = false,
+        cockpitStatusFilter: String? = null,
+        longInactiveThresholdSeconds: Long? = null,
+        limit: Int,
+        cursor: CockpitInstanceCursor? = null,
+        sort: CockpitInstanceSort = CockpitInstanceSort.Default,
+    ): CockpitInstancePage {
+        val startedAt = System.nanoTime()
+        val pageSize = limit.coerceIn(1, MAX_INSTANCE_PAGE_SIZE)
+        val filter = instanceSummaryFilter(
+            flowId = flowId,
+            bucket = bucket,
+            status = status,
+            searchTerm = searchTerm,
+            stage = stage,
+            errorMessage = errorMessage,
+            errorFingerprint = errorFingerprint,
+            showIncompleteOnly = showIncompleteOnly,
+            cockpitStatusFilter = cockpitStatusFilter,
+            longInactiveThresholdSeconds = longInactiveThresholdSeconds,
+            sort = sort,
+        )
+
+        try {
+            val (items, nextCursor) = readInstancePage(filter, pageSize, cursor, sort)
+            val totalCount = summaryRepo.countFilteredSummaries(
+                flowId = filter.flowId,
+                bucket = filter.bucket?.name,
+                status = filter.status?.name,
+                searchPattern = filter.searchTerm?.let { "%$it%" },
+                searchFlowInstanceId = filter.searchFlowInstanceId,
+                stage = filter.stage,
+                errorMessagePattern = filter.errorMessage?.let { "%$it%" },
+                errorFingerprint = filter.errorFingerprint,
+                showIncompleteOnly = filter.showIncompleteOnly,
+                cockpitStatusFilter = filter.cockpitStatusFilter,
+                updatedBefore = filter.updatedBefore,
+                updatedAfter = filter.updatedAfter,
+                searchFlowMode = filter.search.flows.sqlMode,
+                searchFlowIds = filter.search.flows.sqlValues,
+                searchStageMode = filter.search.stages.sqlMode,
+                searchStages = filter.search.stages.sqlValues,
+                searchStatusMode = filter.search.statuses.sqlMode,
+                searchStatuses = filter.search.statuses.sqlValues,
+                searchErrorPattern = filter.search.errorMessage?.let { "%${it.lowercase()}%" },
+                excludedErrorPattern = filter.search.excludedErrorMessage?.let { "%${it.lowercase()}%" },
+            )
+            log.info {
+                "cockpit listInstancePage ${filter.describe()} limit=$pageSize cursor=${cursor != null} returned=${items.size} total=$totalCount durationMs=${elapsedMillis(startedAt)}"
+            }
+            return CockpitInstancePage(
+                items = items,
+                totalCount = totalCount,
+                nextCursor = nextCursor,
+            )
+        } catch (e: Exception) {
+            log.error(e) {
+                "cockpit listInstancePage failed ${filter.describe()} limit=$pageSize cursor=${cursor != null} durationMs=${elapsedMillis(startedAt)}"
+            }
+            throw e
+        }
+    }
+
+    /**
+     * Passes every instance matching [query] to [consumer] one keyset page at a time, in [sort] order. Unlike
+     * [listInstancePage] it never counts the matching rows, so walking a large result costs a single query per page.
+     */
+    fun forEachInstancePage(
+        query: CockpitInstanceQuery,
+        sort: CockpitInstanceSort = CockpitInstanceSort.Default,
+        consumer: (List<CockpitInstanceDto>) -> Unit,
+    ) {
+        val filter = instanceSummaryFilter(
+            flowId = query.flowId,
+            bucket = query.bucket,
+            status = query.status,
+            searchTerm = query.searchTerm,
+            stage = query.stage,
+            errorMessage = query.errorMessage,
+            errorFingerprint = query.errorFingerprint,
+            showIncompleteOnly = query.showIncompleteOnly,
+            cockpitStatusFilter = query.cockpitStatusFilter,
+            longInactiveThresholdSeconds = query.longInactiveThresholdSeconds,
+            sort = sort,
+        )
+        var cursor: CockpitInstanceCursor? = null
+        do {
+            val (items, nextCursor) = readInstancePage(filter, MAX_INSTANCE_PAGE_SIZE, cursor, sort)
+            consumer(items)
+            cursor = nextCursor
+        } while (cursor != null)
+    }
+
+    private fun readInstancePage(
+        filter: InstanceSummaryFilter,
+        pageSize: Int,
+        cursor: CockpitInstanceCursor?,
+        sort: CockpitInstanceSort,
+    ): Pair<List<CockpitInstanceDto>, CockpitInstanceCursor?> {
+        // Function references take no named arguments; the order follows the `findSummaryPageBy*` parameters.
+        val rows = summaryRepo.pageQuery(sort)(
+            filter.flowId,
+            filter.bucket?.name,
+            filter.status?.name,
+            filter.searchTerm?.let { "%$it%" },
+            filter.searchFlowInstanceId,
+            filter.stage,
+            filter.errorMessage?.let { "%$it%" },
+            filter.errorFingerprint,
+            filter.showIncompleteOnly,
+            filter.cockpitStatusFilter,
+            filter.updatedBefore,
+            filter.updatedAfter,
+            filter.search.flows.sqlMode,
+            filter.search.flows.sqlValues,
+            filter.search.stages.sqlMode,
+            filter.search.stages.sqlValues,
+            filter.search.statuses.sqlMode,
+            filter.search.statuses.sqlValues,
+            filter.search.errorMessage?.let { "%${it.lowercase()}%" },
+            filter.search.excludedErrorMessage?.let { "%${it.lowercase()}%" },
+            cursor?.sortKey,
+            cursor?.updatedAt,
+            cursor?.flowInstanceId,
+            pageSize + 1,
+        )
+        val pageRows = rows.take(pageSize)
+        val nextCursor = if (rows.size > pageSize) {
+            pageRows.last().let {
+                CockpitInstanceCursor(
+                    updatedAt = it.updatedAt,
+                    flowInstanceId = it.flowInstanceId,
+                    sortKey = it.sortKey(sort.field),
+                )
+            }
+        } else {
+            null
+        }
+        return pageRows.map { it.toDto() } to nextCursor
+    }
+
+    /**
+     * Passes every instance matching [query] to [consumer] in [sort] order, reading one page at a time so that an
+     * export never holds the whole result. With [includeStackTrace] each row carries the stack trace of the
+     * instance's latest error. Returns the number of exported instances.
+     */
+    fun exportInstances(
+        query: CockpitInstanceQuery,
+        sort: CockpitInstanceSort = CockpitInstanceSort.Default,
+        includeStackTrace: Boolean = false,
+        consumer: (CockpitInstanceExportRow) -> Unit,
+    ): Int {
+        val startedAt = System.nanoTime()
+        var exported = 0
+        try {
+            forEachInstancePage(query, sort) { items ->
+                val stackTraces = if (includeStackTrace) latestErrorStackTraces(items) else emptyMap()
+                items.forEach { instance ->
+                    consumer(CockpitInstanceExportRow(instance, stackTraces[instance.flowId to instance.flowInstanceId]))
+                }
+                exported += items.size
+            }
+            log.info { "cockpit exportInstances query=$query includeStackTrace=$includeStackTrace exported=$exported durationMs=${elapsedMillis(startedAt)}" }
+            return exported
+        } catch (e: Exception) {
+            log.error(e) { "cockpit exportInstances failed query=$query exported=$exported durationMs=${elapsedMillis(startedAt)}" }
+            throw e
+        }
+    }
+
+    private fun latestErrorStackTraces(instances: List<CockpitInstanceDto>): Map<Pair<String, UUID>, String> {
+        val withErrors = instances.filter { it.lastErrorMessage != null || it.lastErrorType != null }
+        if (withErrors.isEmpty()) return emptyMap()
+        return historyRepo.findLatestErrors(withErrors.map { it.flowInstanceId })
+            .mapNotNull { row -> row.errorStackTrace?.let { (row.flowId to row.flowInstanceId) to it } }
+            .toMap()
+    }
+
+    /** Groups the instances matching [query] by flow, stage and error fingerprint; meant for the `Error` bucket. */
+    fun listErrorGroups(query: CockpitInstanceQuery): List<CockpitErrorGroupDto> {
+        val startedAt = System.nanoTime()
+        val filter = instanceSummaryFilter(
+            flowId = query.flowId,
+            bucket = query.bucket,
+            status = query.status,
+            searchTerm = query.searchTerm,
+            stage = query.stage,
+            errorMessage = query.errorMessage,
+            errorFingerprint = query.errorFingerprint,
+            showIncompleteOnly = query.showIncompleteOnly,
+            cockpitStatusFilter = query.cockpitStatusFilter,
+            longInactiveThresholdSeconds = query.longInactiveThresholdSeconds,
+            sort = null,
+        )
+
+        try {
+            val result = summaryRepo.findErrorGroups(
+                flowId = filter.flowId,
+                bucket = filter.bucket?.name,
+                status = filter.status?.name,
+                searchPattern = filter.searchTerm?.let { "%$it%" },
+                searchFlowInstanceId = filter.searchFlowInstanceId,
+                stage = filter.stage,
+                errorMessagePattern = filter.errorMessage?.let { "%$it%" },
+                errorFingerprint = filter.errorFingerprint,
+                showIncompleteOnly = filter.showIncompleteOnly,
+                cockpitStatusFilter = filter.cockpitStatusFilter,
+                updatedBefore = filter.updatedBefore,
+                updatedAfter = filter.updatedAfter,
+                searchFlowMode = filter.search.flows.sqlMode,
+                searchFlowIds = filter.search.flows.sqlValues,
+                searchStageMode = filter.search.stages.sqlMode,
+                searchStages = filter.search.stages.sqlValues,
+                searchStatusMode = filter.search.statuses.sqlMode,
+                searchStatuses = filter.search.statuses.sqlValues,
+                searchErrorPattern = filter.search.errorMessage?.let { "%${it.lowercase()}%" },
+                excludedErrorPattern = filter.search.excludedErrorMessage?.let { "%${it.lowercase()}%" },
+            ).map { it.toDto() }
+            log.info {
+                "cockpit listErrorGroups ${filter.describe()} returned=${result.size} durationMs=${elapsedMillis(startedAt)}"
             }
             return result
         } catch (e: Exception) {
             log.error(e) {
-                "cockpit listInstances failed flowId=${flowId ?: "-"} bucket=${bucket?.name ?: "-"} status=${status?.name ?: "-"} search=${normalizedSearchTerm ?: "-"} stage=${normalizedStage ?: "-"} errorMessage=${normalizedErrorMessage ?: "-"} incompleteOnly=$showIncompleteOnly cockpitStatus=${normalizedCockpitStatusFilter ?: "-"} longInactiveThresholdSeconds=${longInactiveThresholdSeconds ?: "-"} durationMs=${elapsedMillis(startedAt)}"
+                "cockpit listErrorGroups failed ${filter.describe()} durationMs=${elapsedMillis(startedAt)}"
             }
             throw e
         }
@@ -192,10 +764,104 @@ class CockpitService(
         }
     }
 
+    /** The flow diagram with this instance's current stage and visited path highlighted; null for unknown flows or instances. */
+    fun instanceDiagram(flowId: String, flowInstanceId: UUID): CockpitDiagramDto? {
+        val startedAt = System.nanoTime()
+        try {
+            val flow = engine.registeredFlows()[flowId]
+            val summary = flow?.let { summaryRepo.findSummary(flowId, flowInstanceId) }
+            val result = summary?.let {
+                val path = MermaidInstancePath(
+                    currentStage = it.stage,
+                    currentStyle = it.toDto().cockpitStatus.diagramStyle(),
+                    transitions = historyRepo.findTimeline(flowId, flowInstanceId).mapNotNull { row -> row.toDiagramTransition() },
+                )
+                CockpitDiagramDto(diagram = mermaid.generateDiagram(flow, path))
+            }
+            log.info {
+                "cockpit instanceDiagram flowId=$flowId flowInstanceId=$flowInstanceId found=${result != null} durationMs=${elapsedMillis(startedAt)}"
+            }
+            return result
+        } catch (e: Exception) {
+            log.error(e) {
+                "cockpit instanceDiagram failed flowId=$flowId flowInstanceId=$flowInstanceId durationMs=${elapsedMillis(startedAt)}"
+            }
+            throw e
+        }
+    }
+
+    /** The instance's unconsumed events and the events its current stage accepts; null for unknown flows or instances. */
+    fun pendingEvents(flowId: String, flowInstanceId: UUID): CockpitPendingEventsDto? {
+        val startedAt = System.nanoTime()
+        try {
+            val flow = engine.registeredFlows()[flowId]
+            val summary = flow?.let { summaryRepo.findSummary(flowId, flowInstanceId) }
+            val result = summary?.let {
+                val acceptedEvents = flow.stages.entries
+                    .firstOrNull { (stage, _) -> historyValueOf(stage) == it.stage }
+                    ?.value
+                    ?.eventHandlers
+                    ?.keys
+                    .orEmpty()
+                    .map { event -> CockpitEventTypeDto(type = eventTypeOf(event), value = historyValueOf(event)) }
+                CockpitPendingEventsDto(
+                    stage = it.stage,
+                    events = engine.pendingEvents(flowId, flowInstanceId).map { event -> event.toDto(acceptedEvents) },
+                    acceptedEvents = acceptedEvents,
+                )
+            }
+            log.info {
+                "cockpit pendingEvents flowId=$flowId flowInstanceId=$flowInstanceId returned=${result?.events?.size} durationMs=${elapsedMillis(startedAt)}"
+            }
+            return result
+        } catch (e: Exception) {
+            log.error(e) {
+                "cockpit pendingEvents failed flowId=$flowId flowInstanceId=$flowInstanceId durationMs=${elapsedMillis(startedAt)}"
+            }
+            throw e
+        }
+    }
+
+    /** The next tick that wakes the instance up in its current stage; null for unknown flows or instances. */
+    fun nextTick(flowId: String, flowInstanceId: UUID): CockpitNextTickDto? {
+        val startedAt = System.nanoTime()
+        try {
+            val summary = engine.registeredFlows()[flowId]?.let { summaryRepo.findSummary(flowId, flowInstanceId) }
+            val result = summary?.let {
+                CockpitNextTickDto(
+                    stage = it.stage,
+                    nextTick = it.stage
+                        ?.let { stage -> engine.scheduledTick(flowId, flowInstanceId, stage) }
+                        ?.let { tick -> CockpitScheduledTickDto(notBefore = tick.notBefore, targetStage = tick.targetStage, retryAttempt = tick.retryAttempt) },
+                )
+            }
+            log.info {
+                "cockpit nextTick flowId=$flowId flowInstanceId=$flowInstanceId found=${result?.nextTick != null} durationMs=${elapsedMillis(startedAt)}"
+            }
+            return result
+        } catch (e: Exception) {
+            log.error(e) {
+                "cockpit nextTick failed flowId=$flowId flowInstanceId=$flowInstanceId durationMs=${elapsedMillis(startedAt)}"
+            }
+            throw e
+        }
+    }
+
+    /** The history of an instance, oldest first, with the flow's redacted state keys masked in its state snapshots. */
     fun timeline(flowId: String, flowInstanceId: UUID): List<FlowLiteHistoryRow> {
         val startedAt = System.nanoTime()
         try {
-            val result = historyRepo.findTimeline(flowId = flowId, flowInstanceId = flowInstanceId)
+            val renderer = stateRenderers[flowId]
+            val result = historyRepo.findTimeline(flowId = flowId, flowInstanceId = flowInstanceId).map { row ->
+                if (renderer == null || (row.stateBefore == null && row.stateAfter == null)) {
+                    row
+                } else {
+                    row.copy(
+                        stateBefore = row.stateBefore?.let(renderer::redactSnapshot),
+                        stateAfter = row.stateAfter?.let(renderer::redactSnapshot),
+                    )
+                }
+            }
             log.info {
                 "cockpit timeline flowId=$flowId flowInstanceId=$flowInstanceId returned=${result.size} durationMs=${elapsedMillis(startedAt)}"
             }
@@ -208,19 +874,247 @@ class CockpitService(
         }
     }
 
-    fun retry(flowId: String, flowInstanceId: UUID) {
-        log.info { "cockpit retry flowId=$flowId flowInstanceId=$flowInstanceId" }
-        engine.retry(flowId, flowInstanceId)
+    /**
+     * Starts an instance of [flowId] from the submitted JSON object; null when the flow has no [CockpitInitialState].
+     * Throws [IllegalArgumentException] when the initial state is rejected.
+     */
+    fun startInstance(flowId: String, initialState: Map<String, Any?>, user: String? = null): UUID? {
+        val reader = initialStates[flowId]?.takeIf { flowId in flowMetadataById } ?: return null
+        authorize(user, flowId, CockpitAction.StartInstance)
+        val state = reader.read(initialState)
+        val flowInstanceId = engine.startInstance(flowId, state)
+        log.info { "cockpit startInstance flowId=$flowId flowInstanceId=$flowInstanceId" }
+        return flowInstanceId
     }
 
-    fun cancel(flowId: String, flowInstanceId: UUID) {
-        log.info { "cockpit cancel flowId=$flowId flowInstanceId=$flowInstanceId" }
-        engine.cancel(flowId, flowInstanceId)
+    /**
+     * The domain state of an instance rendered by its flow's [CockpitStateRenderer], with the redacted keys masked.
+     * Null when the flow has no renderer or the instance does not exist.
+     */
+    fun instanceState(flowId: String, flowInstanceId: UUID): CockpitInstanceStateDto? {
+        val startedAt = System.nanoTime()
+        try {
+            @Suppress("UNCHECKED_CAST")
+            val renderer = stateRenderers[flowId]?.takeIf { flowId in flowMetadataById } as CockpitStateRenderer<Any>?
+            val result = renderer
+                ?.takeIf { summaryRepo.findSummary(flowId, flowInstanceId) != null }
+                ?.renderRedacted(engine.instanceState(flowId, flowInstanceId))
+            log.info {
+                "cockpit instanceState flowId=$flowId flowInstanceId=$flowInstanceId found=${result != null} redacted=${result?.redactedPaths?.size} durationMs=${elapsedMillis(startedAt)}"
+            }
+            return result
+        } catch (e: Exception) {
+            log.error(e) {
+                "cockpit instanceState failed flowId=$flowId flowInstanceId=$flowInstanceId durationMs=${elapsedMillis(startedAt)}"
+            }
+            throw e
+        }
+    }
+
+    /**
+     * Operator actions across all flows, newest first, as recorded in history with their [Intervention].
+     * [actor] matches a part of the user name, case-insensitively.
+     */
+    fun listInterventions(
+        flowId: String? = null,
+        type: HistoryEntryType? = null,
+        actor: String? = null,
+        occurredAfter: Instant? = null,
+        limit: Int? = null,
+    ): List<CockpitAuditEntryDto> {
+        val startedAt = System.nanoTime()
+        val actorPattern = actor?.trim()?.takeIf { it.isNotEmpty() }?.lowercase()?.let { "%$it%" }
+        try {
+            val rows = historyRepo.findInterventions(
+                flowId = flowId,
+                type = type?.name,
+                actorPattern = actorPattern,
+                occurredAfter = occurredAfter,
+                limit = (limit ?: DEFAULT_AUDIT_LIMIT).coerceIn(1, MAX_AUDIT_LIMIT),
+            )
+            val businessKeys = rows.map { it.flowInstanceId }.distinct().takeIf { it.isNotEmpty() }
+                ?.let { ids -> summaryRepo.findSummariesOf(ids).associate { (it.flowId to it.flowInstanceId) to it.businessKey } }
+                .orEmpty()
+            val result = rows.map { row ->
+                CockpitAuditEntryDto(
+                    occurredAt = row.occurredAt,
+                    flowId = row.flowId,
+                    flowInstanceId = row.flowInstanceId,
+                    businessKey = businessKeys[row.flowId to row.flowInstanceId],
+                    type = row.type,
+                    stage = row.stage,
+                    fromStage = row.fromStage,
+                    toStage = row.toStage,
+                    fromStatus = row.fromStatus,
+                    toStatus = row.toStatus,
+                    event = row.event,
+                    wakeUpAt = row.wakeUpAt,
+                    actor = row.actor,
+                    reason = row.reason,
+                )
+            }
+            log.info {
+                "cockpit listInterventions flowId=${flowId ?: "-"} type=${type ?: "-"} actor=${actor ?: "-"} returned=${result.size} durationMs=${elapsedMillis(startedAt)}"
+            }
+            return result
+        } catch (e: Exception) {
+            log.error(e) {
+                "cockpit listInterventions failed flowId=${flowId ?: "-"} type=${type ?: "-"} actor=${actor ?: "-"} durationMs=${elapsedMillis(startedAt)}"
+            }
+            throw e
+        }
+    }
+
+    /** Stage dwell times and completions/errors over time per registered flow (or only [flowId]) for [window]. */
+    fun flowAnalytics(
+        window: CockpitAnalyticsWindow,
+        flowId: String? = null,
+        now: Instant = Instant.now(),
+    ): List<CockpitFlowAnalyticsDto> {
+        val startedAt = System.nanoTime()
+        try {
+            val result = flowMetadataById
+                .filterKeys { flowId == null || it == flowId }
+                .toSortedMap()
+                .map { (id, metadata) ->
+                    historyRepo.findStageTransitions(id, now.minus(window.duration)).use { rows ->
+                        computeFlowAnalytics(
+                            flowId = id,
+                            stages = metadata.stages,
+                            window = window,
+                            now = now,
+                            rows = rows.iterator().asSequence(),
+                        )
+                    }
+                }
+            log.info { "cockpit flowAnalytics flowId=${flowId ?: "-"} window=${window.param} flows=${result.size} durationMs=${elapsedMillis(startedAt)}" }
+            return result
+        } catch (e: Exception) {
+            log.error(e) { "cockpit flowAnalytics failed flowId=${flowId ?: "-"} window=${window.param} durationMs=${elapsedMillis(startedAt)}" }
+            throw e
+        }
+    }
+
+    /** The user's role and allowed actions for every registered flow. */
+    fun access(user: String?): CockpitUserDto =
+        CockpitUserDto(
+            user = user,
+            flows = flowMetadataById.keys.sorted().map { flowId ->
+                val role = authorizer.role(user, flowId)
+                CockpitFlowAccessDto(
+                    flowId = flowId,
+                    role = role,
+                    actions = CockpitAction.entries.filter { role >= it.requiredRole },
+                )
+            },
+        )
+
+    /** Whether [user] is [CockpitRole.Admin] of every flow, as needed to change what belongs to no flow or user. */
+    fun isAdmin(user: String?): Boolean = flowMetadataById.keys.all { authorizer.role(user, it) == CockpitRole.Admin }
+
+    fun isAllowed(user: String?, flowId: String, action: CockpitAction): Boolean =
+        authorizer.role(user, flowId) >= action.requiredRole
+
+    /** Throws [CockpitAccessDeniedException] unless [user] may run [action] on instances of [flowId]. */
+    fun authorize(user: String?, flowId: String, action: CockpitAction) {
+        if (isAllowed(user, flowId, action)) return
+        log.warn { "cockpit access denied user=${user ?: "-"} flowId=$flowId action=$action" }
+        throw CockpitAccessDeniedException("${user ?: "Anonymous user"} may not ${action.name} instances of $flowId")
+    }
+
+    fun retry(flowId: String, flowInstanceId: UUID, intervention: Intervention? = null) {
+        authorize(intervention?.actor, flowId, CockpitAction.Retry)
+        log.info { "cockpit retry flowId=$flowId flowInstanceId=$flowInstanceId ${intervention.describe()}" }
+        engine.retry(flowId, flowInstanceId, intervention)
+    }
+
+    /**
+     * Re-runs the current [stage] of an instance waiting for the engine, a timer or an event; authorized as a retry.
+     * Throws [IllegalStateException] for any other status, as re-running a completed or cancelled instance would
+     * revive it, which takes a stage change.
+     */
+    fun rerunStage(flowId: String, flowInstanceId: UUID, stage: String, intervention: Intervention? = null) {
+        authorize(intervention?.actor, flowId, CockpitAction.Retry)
+        val status = instance(flowId, flowInstanceId)?.cockpitStatus
+        check(status == CockpitStatus.PendingEngine || status == CockpitStatus.WaitingForTimer || status == CockpitStatus.WaitingForEvent) {
+            "Cannot re-run the stage of $flowId/$flowInstanceId in status ${status ?: "unknown"}"
+        }
+        log.info { "cockpit rerunStage flowId=$flowId flowInstanceId=$flowInstanceId stage=$stage ${intervention.describe()}" }
+        engine.changeStage(flowId, flowInstanceId, stage, intervention)
+    }
+
+    fun cancel(flowId: String, flowInstanceId: UUID, intervention: Intervention? = null) {
+        authorize(intervention?.actor, flowId, CockpitAction.Cancel)
+        log.info { "cockpit cancel flowId=$flowId flowInstanceId=$flowInstanceId ${intervention.describe()}" }
+        engine.cancel(flowId, flowInstanceId, intervention)
+    }
+
+    /** Sends the named event; false when [flowId] is unknown or does not declare [event]. */
+    fun sendEvent(flowId: String, flowInstanceId: UUID, event: String, intervention: Intervention? = null): Boolean {
+        log.info { "cockpit sendEvent flowId=$flowId flowInstanceId=$flowInstanceId event=$event ${intervention.describe()}" }
+        if (event !in flowMetadataById[flowId]?.events.orEmpty()) return false
+        authorize(intervention?.actor, flowId, CockpitAction.SendEvent)
+        engine.sendEvent(flowId, flowInstanceId, event, intervention)
+        return true
+    }
+
+    fun changeStage(flowId: String, flowInstanceId: UUID, stage: String, intervention: Intervention? = null) {
+        authorize(intervention?.actor, flowId, CockpitAction.ChangeStage)
+        log.info { "cockpit changeStage flowId=$flowId flowInstanceId=$flowInstanceId stage=$stage ${intervention.describe()}" }
+        engine.changeStage(flowId, flowInstanceId, stage, intervention)
+    }
+
+    fun wakeUpTimer(flowId: String, flowInstanceId: UUID, intervention: Intervention? = null) {
+        authorize(intervention?.actor, flowId, CockpitAction.WakeUpTimer)
+        log.info { "cockpit wakeUpTimer flowId=$flowId flowInstanceId=$flowInstanceId ${intervention.describe()}" }
+        engine.wakeUpTimer(flowId, flowInstanceId, intervention)
     }
 
-    fun changeStage(flowId: String, flowInstanceId: UUID, stage: String) {
-        log.info { "cockpit changeStage flowId=$flowId flowInstanceId=$flowInstanceId stage=$stage" }
-        engine.changeStage(flowId, flowInstanceId, stage)
+    fun rescheduleTimer(flowId: String, flowInstanceId: UUID, notBefore: Instant, intervention: Intervention? = null) {
+        authorize(intervention?.actor, flowId, CockpitAction.RescheduleTimer)
+        log.info { "cockpit rescheduleTimer flowId=$flowId flowInstanceId=$flowInstanceId notBefore=$notBefore ${intervention.describe()}" }
+        engine.rescheduleTimer(flowId, flowInstanceId, notBefore, intervention)
+    }
+
+    private fun instanceSummaryFilter(
+        flowId: String?,
+        bucket: CockpitInstanceBucket?,
+        status: CockpitStatus?,
+        searchTerm: String?,
+        stage: String?,
+        errorMessage: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        longInactiveThresholdSeconds: Long?,
+        sort: CockpitInstanceSort?,
+    ): InstanceSummaryFilter {
+        val query = searchTerm?.trim()?.takeIf { it.isNotEmpty() }
+        val search = query?.let { CockpitInstanceSearch.parse(it) } ?: CockpitInstanceSearch()
+        val normalizedSearchTerm = search.text?.lowercase()
+        val now = Instant.now()
+        return InstanceSummaryFilter(
+            flowId = flowId,
+            bucket = bucket,
+            status = status,
+            searchTerm = normalizedSearchTerm,
+            searchFlowInstanceId = normalizedSearchTerm?.let { runCatching { UUID.fromString(it) }.getOrNull() },
+            stage = stage?.trim()?.takeIf { it.isNotEmpty() },
+            errorMessage = errorMessage?.trim()?.takeIf { it.isNotEmpty() }?.lowercase(),
+            errorFingerprint = errorFingerprint?.trim()?.takeIf { it.isNotEmpty() },
+            showIncompleteOnly = showIncompleteOnly,
+            cockpitStatusFilter = cockpitStatusFilter?.trim()?.takeIf { it.isNotEmpty() && it != "all" },
+            longInactiveThresholdSeconds = longInactiveThresholdSeconds,
+            query = query,
+            search = search,
+            // Both the long-inactive threshold and `updated>` ask for an older update; the stricter one wins.
+            updatedBefore = listOfNotNull(
+                longInactiveThresholdSeconds?.coerceAtLeast(1)?.let(Duration::ofSeconds),
+                search.notUpdatedFor,
+            ).maxOrNull()?.let { now.minus(it) },
+            updatedAfter = search.updatedWithin?.let { now.minus(it) },
+            sort = sort,
+        )
     }
 
     private fun FlowLiteInstanceSummaryRow.toDto(): CockpitInstanceDto {
@@ -231,10 +1125,54 @@ class CockpitService(
             stage = stage,
             cockpitStatus = statusValue,
             lastUpdatedAt = updatedAt,
+            businessKey = businessKey,
             lastErrorMessage = lastErrorMessage,
+            lastErrorType = lastErrorType,
+            errorFingerprint = lastErrorFingerprint,
+            failureDisposition = failureDisposition?.let { runCatching { FailureDisposition.valueOf(it) }.getOrNull() },
+            retryAttempt = retryAttempt,
+            maxRetryAttempts = maxRetryAttempts,
+            nextRetryAt = nextRetryAt,
         )
     }
 
+    private fun CockpitStatus.diagramStyle() =
+        when (this) {
+            CockpitStatus.Running, CockpitStatus.PendingEngine -> MermaidStageStyle.Active
+            CockpitStatus.WaitingForTimer, CockpitStatus.WaitingForEvent -> MermaidStageStyle.Waiting
+            CockpitStatus.Error, CockpitStatus.WaitingForRetry -> MermaidStageStyle.Error
+            CockpitStatus.Completed -> MermaidStageStyle.Completed
+            CockpitStatus.Cancelled -> MermaidStageStyle.Cancelled
+        }
+
+    private fun FlowLiteHistoryRow.toDiagramTransition(): MermaidTransition? =
+        when (type) {
+            HistoryEntryType.Started -> stage?.let { MermaidTransition(from = null, to = it) }
+            HistoryEntryType.StageChanged -> toStage?.let { MermaidTransition(from = fromStage, to = it) }
+            HistoryEntryType.ManualStageChanged -> toStage?.let { MermaidTransition(from = fromStage, to = it, manual = true) }
+            else -> null
+        }
+
+    private fun PendingEventRecord.toDto(acceptedEvents: List<CockpitEventTypeDto>) =
+        CockpitPendingEventDto(
+            id = id,
+            type = type,
+            value = value,
+            acceptedByCurrentStage = acceptedEvents.any { it.type == type && it.value == value },
+        )
+
+    private fun FlowLiteErrorGroupRow.toDto() =
+        CockpitErrorGroupDto(
+            flowId = flowId,
+            stage = stage,
+            errorFingerprint = errorFingerprint,
+            errorType = errorType,
+            errorPattern = sampleErrorMessage?.let(::normalizeErrorMessage),
+            count = instanceCount,
+            firstSeenAt = firstSeenAt,
+            lastSeenAt = lastSeenAt,
+        )
+
     private fun FlowLiteFlowStageBreakdownRow.toDto() =
         CockpitFlowStageDto(
             stage = stage,
@@ -242,6 +1180,9 @@ class CockpitService(
             errorCount = errorCount,
         )
 
+    // The reason is free text and may be long; only whether one was given goes to the log.
+    private fun Intervention?.describe() = "actor=${this?.actor ?: "-"} reason=${if (this?.reason != null) "yes" else "no"}"
+
     private fun elapsedMillis(startedAt: Long): Long = Duration.ofNanos(System.nanoTime() - startedAt).toMillis()
 
 }
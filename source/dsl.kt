@@ -35,6 +35,16 @@ data class Flow<T : Any, S : Stage, E : Event>(
     }
 }
 
+/** Events the flow reacts to; for enum events every constant of the enum, including ones no stage waits for yet. */
+internal fun Flow<*, *, *>.declaredEvents(): List<Event> {
+    val handled: List<Event> = stages.values.flatMap { definition -> definition.eventHandlers.keys }
+    val enumConstants = handled
+        .mapNotNull { event -> generateSequence<Class<*>>(event.javaClass) { it.superclass }.firstOrNull { it.isEnum } }
+        .distinct()
+        .flatMap { enumClass -> enumClass.enumConstants.filterIsInstance<Event>() }
+    return (enumConstants + handled).distinct()
+}
+
 internal fun inferConditionDescription(predicate: Any): String {
     return inferCallableName(predicate, fallback = "condition")
 }
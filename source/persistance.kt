@@ -1,6 +1,7 @@
 package io.flowlite
 
 import io.github.oshai.kotlinlogging.KotlinLogging
+import java.security.MessageDigest
 import java.time.Instant
 import java.util.UUID
 
@@ -15,6 +16,23 @@ enum class StageStatus {
     Error,
 }
 
+/**
+ * How a failed stage is handled, as recorded in history: retried automatically, left for an operator, or fatal.
+ */
+enum class FailureDisposition {
+    AutoRetry,
+    UserRetriable,
+    Fatal,
+}
+
+/** Retry bookkeeping for one failure; [retryAttempt] counts automatic retries of the failed stage. */
+internal data class FailureInfo(
+    val disposition: FailureDisposition,
+    val retryAttempt: Int? = null,
+    val maxRetryAttempts: Int? = null,
+    val nextRetryAt: Instant? = null,
+)
+
 /**
  * Persisted view of a flow instance.
  */
@@ -71,6 +89,9 @@ interface EventStore {
     fun append(flowId: String, flowInstanceId: UUID, event: Event)
     fun peek(flowId: String, flowInstanceId: UUID, candidates: Collection<Event>): StoredEvent?
     fun delete(eventId: UUID): Boolean
+
+    /** Events waiting to be consumed by this instance, for observability; stores that cannot list them return none. */
+    fun pendingEvents(flowId: String, flowInstanceId: UUID): List<PendingEventRecord> = emptyList()
 }
 
 data class StoredEvent(
@@ -78,11 +99,20 @@ data class StoredEvent(
     val event: Event,
 )
 
+/** A pending event as stored: [type] is the event class name and [value] the enum constant (or `toString()`). */
+data class PendingEventRecord(
+    val id: UUID,
+    val type: String,
+    val value: String,
+)
+
 data class ScheduledTick(
     val flowId: String,
     val flowInstanceId: UUID,
     val notBefore: Instant = Instant.now(),
     val targetStage: String? = null,
+    /** Set for automatic retries of a failed stage; such ticks also carry the failed stage as [targetStage]. */
+    val retryAttempt: Int? = null,
 )
 
 interface TickScheduler {
@@ -92,9 +122,16 @@ interface TickScheduler {
         flowInstanceId: UUID,
         notBefore: Instant = Instant.now(),
         targetStage: String? = null,
+        retryAttempt: Int? = null,
     )
 
     fun findScheduledTick(flowId: String, flowInstanceId: UUID, targetStage: String): ScheduledTick? = null
+
+    /**
+     * Moves the timer ticks (not automatic retries) scheduled for [targetStage] to [notBefore].
+     * Returns false when there was no such tick to move, including schedulers that cannot move ticks.
+     */
+    fun rescheduleTick(flowId: String, flowInstanceId: UUID, targetStage: String, notBefore: Instant): Boolean = false
 }
 
 /**
@@ -105,8 +142,23 @@ interface TickScheduler {
  */
 interface HistoryStore {
     fun append(entry: HistoryEntry)
+
+    /**
+     * The most recent [HistoryEntry.Error] of the instance, or null when it has none or the store does not read
+     * history back. The engine matches automatic retry ticks against it to drop stale ones.
+     */
+    fun latestError(flowId: String, flowInstanceId: UUID): HistoryEntry.Error? = null
 }
 
+/**
+ * Who asked for a manual change of an instance and why, recorded on the history entry of the change.
+ * [actor] is the authenticated user name, null when the caller is anonymous.
+ */
+data class Intervention(
+    val actor: String? = null,
+    val reason: String? = null,
+)
+
 enum class HistoryEntryType {
     Started,
     EventAppended,
@@ -116,6 +168,8 @@ enum class HistoryEntryType {
     ManualStageChanged,
     Cancelled,
     Error,
+    TimerWokenUp,
+    TimerRescheduled,
 }
 
 sealed class HistoryEntry(
@@ -132,6 +186,22 @@ sealed class HistoryEntry(
     open val errorType: String? = null,
     open val errorMessage: String? = null,
     open val errorStackTrace: String? = null,
+    open val failureDisposition: FailureDisposition? = null,
+    open val retryAttempt: Int? = null,
+    open val maxRetryAttempts: Int? = null,
+    open val nextRetryAt: Instant? = null,
+    open val wakeUpAt: Instant? = null,
+    /** Set on entries of operator actions; see [Intervention]. */
+    open val actor: String? = null,
+    open val reason: String? = null,
+    /** The instance's business key (see `BusinessKeyExtractor`), set on `Started` and `StageChanged` entries. */
+    open val businessKey: String? = null,
+    /**
+     * JSON snapshots of the state around a stage action (see `StateSnapshotSerializer`), set on `StageChanged` entries
+     * and on the `StatusChanged` entry completing an instance after a final stage's action.
+     */
+    open val stateBefore: String? = null,
+    open val stateAfter: String? = null,
 ) {
     data class Started(
         override val flowId: String,
@@ -139,6 +209,7 @@ sealed class HistoryEntry(
         override val occurredAt: Instant = Instant.now(),
         override val stage: String? = null,
         override val toStatus: StageStatus? = null,
+        override val businessKey: String? = null,
     ) : HistoryEntry(
         flowId = flowId,
         flowInstanceId = flowInstanceId,
@@ -146,6 +217,7 @@ sealed class HistoryEntry(
         occurredAt = occurredAt,
         stage = stage,
         toStatus = toStatus,
+        businessKey = businessKey,
     )
 
     data class EventAppended(
@@ -153,12 +225,16 @@ sealed class HistoryEntry(
         override val flowInstanceId: UUID,
         override val occurredAt: Instant = Instant.now(),
         override val event: String? = null,
+        override val actor: String? = null,
+        override val reason: String? = null,
     ) : HistoryEntry(
         flowId = flowId,
         flowInstanceId = flowInstanceId,
         type = HistoryEntryType.EventAppended,
         occurredAt = occurredAt,
         event = event,
+        actor = actor,
+        reason = reason,
     )
 
     data class StatusChanged(
@@ -168,6 +244,8 @@ sealed class HistoryEntry(
         override val stage: String? = null,
         override val fromStatus: StageStatus? = null,
         override val toStatus: StageStatus? = null,
+        override val stateBefore: String? = null,
+        override val stateAfter: String? = null,
     ) : HistoryEntry(
         flowId = flowId,
         flowInstanceId = flowInstanceId,
@@ -176,6 +254,8 @@ sealed class HistoryEntry(
         stage = stage,
         fromStatus = fromStatus,
         toStatus = toStatus,
+        stateBefore = stateBefore,
+        stateAfter = stateAfter,
     )
 
     data class StageChanged(
@@ -185,6 +265,9 @@ sealed class HistoryEntry(
         override val fromStage: String? = null,
         override val toStage: String? = null,
         override val event: String? = null,
+        override val businessKey: String? = null,
+        override val stateBefore: String? = null,
+        override val stateAfter: String? = null,
     ) : HistoryEntry(
         flowId = flowId,
         flowInstanceId = flowInstanceId,
@@ -193,6 +276,9 @@ sealed class HistoryEntry(
         fromStage = fromStage,
         toStage = toStage,
         event = event,
+        businessKey = businessKey,
+        stateBefore = stateBefore,
+        stateAfter = stateAfter,
     )
 
     data class Retried(
@@ -202,6 +288,8 @@ sealed class HistoryEntry(
         override val stage: String? = null,
         override val fromStatus: StageStatus? = StageStatus.Error,
         override val toStatus: StageStatus? = StageStatus.Pending,
+        override val actor: String? = null,
+        override val reason: String? = null,
     ) : HistoryEntry(
         flowId = flowId,
         flowInstanceId = flowInstanceId,
@@ -210,6 +298,8 @@ sealed class HistoryEntry(
         stage = stage,
         fromStatus = fromStatus,
         toStatus = toStatus,
+        actor = actor,
+        reason = reason,
     )
 
     data class ManualStageChanged(
@@ -220,6 +310,8 @@ sealed class HistoryEntry(
         override val toStage: String? = null,
         override val fromStatus: StageStatus? = null,
         override val toStatus: StageStatus? = null,
+        override val actor: String? = null,
+        override val reason: String? = null,
     ) : HistoryEntry(
         flowId = flowId,
         flowInstanceId = flowInstanceId,
@@ -229,6 +321,8 @@ sealed class HistoryEntry(
         toStage = toStage,
         fromStatus = fromStatus,
         toStatus = toStatus,
+        actor = actor,
+        reason = reason,
     )
 
     data class Cancelled(
@@ -238,6 +332,8 @@ sealed class HistoryEntry(
         override val stage: String? = null,
         override val fromStatus: StageStatus? = null,
         override val toStatus: StageStatus? = StageStatus.Cancelled,
+        override val actor: String? = null,
+        override val reason: String? = null,
     ) : HistoryEntry(
         flowId = flowId,
         flowInstanceId = flowInstanceId,
@@ -246,6 +342,8 @@ sealed class HistoryEntry(
         stage = stage,
         fromStatus = fromStatus,
         toStatus = toStatus,
+        actor = actor,
+        reason = reason,
     )
 
     data class Error(
@@ -258,6 +356,10 @@ sealed class HistoryEntry(
         override val errorType: String? = null,
         override val errorMessage: String? = null,
         override val errorStackTrace: String? = null,
+        override val failureDisposition: FailureDisposition? = null,
+        override val retryAttempt: Int? = null,
+        override val maxRetryAttempts: Int? = null,
+        override val nextRetryAt: Instant? = null,
     ) : HistoryEntry(
         flowId = flowId,
         flowInstanceId = flowInstanceId,
@@ -269,6 +371,50 @@ sealed class HistoryEntry(
         errorType = errorType,
         errorMessage = errorMessage,
         errorStackTrace = errorStackTrace,
+        failureDisposition = failureDisposition,
+        retryAttempt = retryAttempt,
+        maxRetryAttempts = maxRetryAttempts,
+        nextRetryAt = nextRetryAt,
+    )
+
+    /** An operator released a timer stage immediately instead of waiting for its scheduled wake-up. */
+    data class TimerWokenUp(
+        override val flowId: String,
+        override val flowInstanceId: UUID,
+        override val occurredAt: Instant = Instant.now(),
+        override val stage: String? = null,
+        override val wakeUpAt: Instant? = null,
+        override val actor: String? = null,
+        override val reason: String? = null,
+    ) : HistoryEntry(
+        flowId = flowId,
+        flowInstanceId = flowInstanceId,
+        type = HistoryEntryType.TimerWokenUp,
+        occurredAt = occurredAt,
+        stage = stage,
+        wakeUpAt = wakeUpAt,
+        actor = actor,
+        reason = reason,
+    )
+
+    /** An operator moved the wake-up of a timer stage to [wakeUpAt]. */
+    data class TimerRescheduled(
+        override val flowId: String,
+        override val flowInstanceId: UUID,
+        override val occurredAt: Instant = Instant.now(),
+        override val stage: String? = null,
+        override val wakeUpAt: Instant? = null,
+        override val actor: String? = null,
+        override val reason: String? = null,
+    ) : HistoryEntry(
+        flowId = flowId,
+        flowInstanceId = flowInstanceId,
+        type = HistoryEntryType.TimerRescheduled,
+        occurredAt = occurredAt,
+        stage = stage,
+        wakeUpAt = wakeUpAt,
+        actor = actor,
+        reason = reason,
     )
 }
 
@@ -279,6 +425,9 @@ object NoopHistoryStore : HistoryStore {
 internal fun historyValueOf(value: Any) =
     (value as? Enum<*>)?.name ?: value.toString()
 
+internal fun eventTypeOf(event: Event) =
+    event::class.qualifiedName ?: event::class.java.name
+
 private val historyLog = KotlinLogging.logger {}
 
 // --- Best-effort history recording helpers ---
@@ -293,39 +442,51 @@ internal fun HistoryStore.appendBestEffort(entry: HistoryEntry) {
     }
 }
 
-internal fun HistoryStore.recordStarted(flowId: String, data: InstanceData<Any>) {
+internal fun HistoryStore.recordStarted(flowId: String, data: InstanceData<Any>, businessKey: String? = null) {
     appendBestEffort(
         HistoryEntry.Started(
             flowId = flowId,
             flowInstanceId = data.flowInstanceId,
             stage = historyValueOf(data.stage),
             toStatus = data.stageStatus,
+            businessKey = businessKey,
         ),
     )
 }
 
-internal fun HistoryStore.recordCancelled(flowId: String, data: InstanceData<Any>, from: StageStatus) {
+internal fun HistoryStore.recordCancelled(flowId: String, data: InstanceData<Any>, from: StageStatus, intervention: Intervention?) {
     appendBestEffort(
         HistoryEntry.Cancelled(
             flowId = flowId,
             flowInstanceId = data.flowInstanceId,
             stage = historyValueOf(data.stage),
             fromStatus = from,
+            actor = intervention?.actor,
+            reason = intervention?.reason,
         ),
     )
 }
 
-internal fun HistoryStore.recordEventAppended(flowId: String, flowInstanceId: UUID, event: Event) {
+internal fun HistoryStore.recordEventAppended(flowId: String, flowInstanceId: UUID, event: Event, intervention: Intervention?) {
     appendBestEffort(
         HistoryEntry.EventAppended(
             flowId = flowId,
             flowInstanceId = flowInstanceId,
             event = historyValueOf(event),
+            actor = intervention?.actor,
+            reason = intervention?.reason,
         ),
     )
 }
 
-internal fun HistoryStore.recordStatusChanged(flowId: String, data: InstanceData<Any>, from: StageStatus, to: StageStatus) {
+internal fun HistoryStore.recordStatusChanged(
+    flowId: String,
+    data: InstanceData<Any>,
+    from: StageStatus,
+    to: StageStatus,
+    stateBefore: String? = null,
+    stateAfter: String? = null,
+) {
     appendBestEffort(
         HistoryEntry.StatusChanged(
             flowId = flowId,
@@ -333,11 +494,22 @@ internal fun HistoryStore.recordStatusChanged(flowId: String, data: InstanceData
             stage = historyValueOf(data.stage),
             fromStatus = from,
             toStatus = to,
+            stateBefore = stateBefore,
+            stateAfter = stateAfter,
         ),
     )
 }
 
-internal fun HistoryStore.recordStageChanged(flowId: String, data: InstanceData<Any>, from: Stage, to: Stage, event: Event? = null) {
+internal fun HistoryStore.recordStageChanged(
+    flowId: String,
+    data: InstanceData<Any>,
+    from: Stage,
+    to: Stage,
+    event: Event? = null,
+    businessKey: String? = null,
+    stateBefore: String? = null,
+    stateAfter: String? = null,
+) {
     appendBestEffort(
         HistoryEntry.StageChanged(
             flowId = flowId,
@@ -345,11 +517,14 @@ internal fun HistoryStore.recordStageChanged(flowId: String, data: InstanceData<
             fromStage = historyValueOf(from),
             toStage = historyValueOf(to),
             event = event?.let { historyValueOf(it) },
+            businessKey = businessKey,
+            stateBefore = stateBefore,
+            stateAfter = stateAfter,
         ),
     )
 }
 
-internal fun HistoryStore.recordRetried(flowId: String, data: InstanceData<Any>) {
+internal fun HistoryStore.recordRetried(flowId: String, data: InstanceData<Any>, intervention: Intervention?) {
     appendBestEffort(
         HistoryEntry.Retried(
             flowId = flowId,
@@ -357,6 +532,8 @@ internal fun HistoryStore.recordRetried(flowId: String, data: InstanceData<Any>)
             stage = historyValueOf(data.stage),
             fromStatus = StageStatus.Error,
             toStatus = StageStatus.Pending,
+            actor = intervention?.actor,
+            reason = intervention?.reason,
         ),
     )
 }
@@ -368,6 +545,7 @@ internal fun HistoryStore.recordManualStageChanged(
     toStage: Stage,
     fromStatus: StageStatus,
     toStatus: StageStatus,
+    intervention: Intervention?,
 ) {
     appendBestEffort(
         HistoryEntry.ManualStageChanged(
@@ -377,11 +555,13 @@ internal fun HistoryStore.recordManualStageChanged(
             toStage = historyValueOf(toStage),
             fromStatus = fromStatus,
             toStatus = toStatus,
+            actor = intervention?.actor,
+            reason = intervention?.reason,
         ),
     )
 }
 
-internal fun HistoryStore.recordError(flowId: String, data: InstanceData<Any>, ex: Exception) {
+internal fun HistoryStore.recordError(flowId: String, data: InstanceData<Any>, ex: Exception, failure: FailureInfo) {
     appendBestEffort(
         HistoryEntry.Error(
             flowId = flowId,
@@ -392,6 +572,60 @@ internal fun HistoryStore.recordError(flowId: String, data: InstanceData<Any>, e
             errorType = ex::class.qualifiedName ?: ex::class.java.name,
             errorMessage = ex.message ?: ex.toString(),
             errorStackTrace = ex.stackTraceToString(),
+            failureDisposition = failure.disposition,
+            retryAttempt = failure.retryAttempt,
+            maxRetryAttempts = failure.maxRetryAttempts,
+            nextRetryAt = failure.nextRetryAt,
+        ),
+    )
+}
+
+internal fun HistoryStore.recordTimerWokenUp(flowId: String, data: InstanceData<Any>, wakeUpAt: Instant, intervention: Intervention?) {
+    appendBestEffort(
+        HistoryEntry.TimerWokenUp(
+            flowId = flowId,
+            flowInstanceId = data.flowInstanceId,
+            stage = historyValueOf(data.stage),
+            wakeUpAt = wakeUpAt,
+            actor = intervention?.actor,
+            reason = intervention?.reason,
+        ),
+    )
+}
+
+internal fun HistoryStore.recordTimerRescheduled(flowId: String, data: InstanceData<Any>, wakeUpAt: Instant, intervention: Intervention?) {
+    appendBestEffort(
+        HistoryEntry.TimerRescheduled(
+            flowId = flowId,
+            flowInstanceId = data.flowInstanceId,
+            stage = historyValueOf(data.stage),
+            wakeUpAt = wakeUpAt,
+            actor = intervention?.actor,
+            reason = intervention?.reason,
         ),
     )
 }
+
+private val uuidPattern = Regex("[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}")
+private val identifierPattern = Regex("\\b(?=\\w*\\d)(?=\\w*[A-Za-z])\\w+\\b")
+private val numberPattern = Regex("\\d+(\\.\\d+)?")
+private val whitespacePattern = Regex("\\s+")
+
+/**
+ * Masks the parts of an error message that differ between occurrences of the same failure: UUIDs, identifiers
+ * mixing letters and digits, and numbers. `Order 42 not found` and `Order 7 not found` both become `Order <n> not found`.
+ */
+internal fun normalizeErrorMessage(message: String): String =
+    message
+        .replace(uuidPattern, "<uuid>")
+        .replace(identifierPattern, "<id>")
+        .replace(numberPattern, "<n>")
+        .replace(whitespacePattern, " ")
+        .trim()
+
+/** Stable hash of the error type and [normalizeErrorMessage]; instances failing the same way share a fingerprint. */
+internal fun errorFingerprint(errorType: String?, errorMessage: String?): String {
+    val normalized = "${errorType.orEmpty()}\n${normalizeErrorMessage(errorMessage.orEmpty())}"
+    val digest = MessageDigest.getInstance("SHA-256").digest(normalized.toByteArray(Charsets.UTF_8))
+    return digest.take(8).joinToString("") { "%02x".format(it) }
+}
@@ -4,9 +4,13 @@ create table if not exists flowlite_tick (
     flow_instance_id uuid not null,
     not_before timestamp not null,
     target_stage varchar(128),
+    retry_attempt int,
     version bigint
 );
 
+-- Tables created by an earlier version lack the newer columns; add them before the indexes that use them.
+alter table flowlite_tick add column if not exists retry_attempt int;
+
 create index if not exists idx_flowlite_tick_process on flowlite_tick(flow_id, flow_instance_id);
 create index if not exists idx_flowlite_tick_due on flowlite_tick(not_before, id);
 
@@ -32,13 +36,34 @@ create table if not exists flowlite_history (
     event varchar(256),
     error_type varchar(512),
     error_message varchar(4000),
-    error_stack_trace clob
+    error_stack_trace clob,
+    failure_disposition varchar(32),
+    retry_attempt int,
+    max_retry_attempts int,
+    next_retry_at timestamp,
+    wake_up_at timestamp,
+    actor varchar(256),
+    reason varchar(1000),
+    state_before clob,
+    state_after clob
 );
 
+alter table flowlite_history add column if not exists failure_disposition varchar(32);
+alter table flowlite_history add column if not exists retry_attempt int;
+alter table flowlite_history add column if not exists max_retry_attempts int;
+alter table flowlite_history add column if not exists next_retry_at timestamp;
+alter table flowlite_history add column if not exists wake_up_at timestamp;
+alter table flowlite_history add column if not exists actor varchar(256);
+alter table flowlite_history add column if not exists reason varchar(1000);
+alter table flowlite_history add column if not exists state_before clob;
+alter table flowlite_history add column if not exists state_after clob;
+
 create index if not exists idx_flowlite_history_instance on flowlite_history(flow_id, flow_instance_id, occurred_at);
 
 create index if not exists idx_flowlite_history_summary on flowlite_history(flow_id, flow_instance_id, type, occurred_at);
 
+create index if not exists idx_flowlite_history_type on flowlite_history(type, occurred_at);
+
 create table if not exists flowlite_instance_summary (
     id uuid default random_uuid() primary key,
     flow_id varchar(128) not null,
@@ -47,10 +72,41 @@ create table if not exists flowlite_instance_summary (
     status varchar(32) not null,
     cockpit_status varchar(32) not null,
     last_error_message varchar(4000),
-    updated_at timestamp not null
+    last_error_type varchar(512),
+    last_error_fingerprint varchar(64),
+    updated_at timestamp not null,
+    failure_disposition varchar(32),
+    retry_attempt int,
+    max_retry_attempts int,
+    next_retry_at timestamp,
+    business_key varchar(256)
 );
 
+alter table flowlite_instance_summary add column if not exists last_error_type varchar(512);
+alter table flowlite_instance_summary add column if not exists last_error_fingerprint varchar(64);
+alter table flowlite_instance_summary add column if not exists failure_disposition varchar(32);
+alter table flowlite_instance_summary add column if not exists retry_attempt int;
+alter table flowlite_instance_summary add column if not exists max_retry_attempts int;
+alter table flowlite_instance_summary add column if not exists next_retry_at timestamp;
+alter table flowlite_instance_summary add column if not exists business_key varchar(256);
+
 create unique index if not exists idx_flowlite_instance_summary_key on flowlite_instance_summary(flow_id, flow_instance_id);
 create index if not exists idx_flowlite_instance_summary_instance on flowlite_instance_summary(flow_instance_id);
 create index if not exists idx_flowlite_instance_summary_status_stage on flowlite_instance_summary(flow_id, cockpit_status, stage, updated_at, flow_instance_id);
-create index if not exists idx_flowlite_instance_summary_cockpit_status on flowlite_instance_summary(cockpit_status, updated_at, flow_id, flow_instance_id);
\ No newline at end of file
+create index if not exists idx_flowlite_instance_summary_cockpit_status on flowlite_instance_summary(cockpit_status, updated_at, flow_id, flow_instance_id);
+create index if not exists idx_flowlite_instance_summary_sort_updated on flowlite_instance_summary(updated_at desc, flow_instance_id);
+create index if not exists idx_flowlite_instance_summary_sort_flow on flowlite_instance_summary(flow_id, updated_at desc, flow_instance_id);
+create index if not exists idx_flowlite_instance_summary_sort_stage on flowlite_instance_summary(stage, updated_at desc, flow_instance_id);
+create index if not exists idx_flowlite_instance_summary_sort_status on flowlite_instance_summary(cockpit_status, updated_at desc, flow_instance_id);
+create index if not exists idx_flowlite_instance_summary_sort_business_key on flowlite_instance_summary(business_key, updated_at desc, flow_instance_id);
+
+create table if not exists flowlite_saved_view (
+    id uuid not null primary key,
+    name varchar(128) not null,
+    search varchar(4000) not null,
+    created_by varchar(256),
+    created_at timestamp not null,
+    version bigint
+);
+
+create unique index if not exists idx_flowlite_saved_view_name on flowlite_saved_view(name);
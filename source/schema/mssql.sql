@@ -6,10 +6,17 @@ BEGIN
         flow_instance_id uniqueidentifier NOT NULL,
         not_before datetime2 NOT NULL,
         target_stage varchar(128) NULL,
+        retry_attempt int NULL,
         version bigint NULL
     )
 END;
 
+-- Tables created by an earlier version lack the newer columns; add them before the indexes that use them.
+IF COL_LENGTH('dbo.flowlite_tick', 'retry_attempt') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_tick ADD retry_attempt int NULL
+END;
+
 IF NOT EXISTS (
     SELECT 1
     FROM sys.indexes
@@ -57,10 +64,64 @@ BEGIN
         event varchar(256) NULL,
         error_type varchar(512) NULL,
         error_message varchar(4000) NULL,
-        error_stack_trace varchar(max) NULL
+        error_stack_trace varchar(max) NULL,
+        failure_disposition varchar(32) NULL,
+        retry_attempt int NULL,
+        max_retry_attempts int NULL,
+        next_retry_at datetime2 NULL,
+        wake_up_at datetime2 NULL,
+        actor varchar(256) NULL,
+        reason varchar(1000) NULL,
+        state_before varchar(max) NULL,
+        state_after varchar(max) NULL
     )
 END;
 
+IF COL_LENGTH('dbo.flowlite_history', 'failure_disposition') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_history ADD failure_disposition varchar(32) NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_history', 'retry_attempt') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_history ADD retry_attempt int NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_history', 'max_retry_attempts') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_history ADD max_retry_attempts int NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_history', 'next_retry_at') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_history ADD next_retry_at datetime2 NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_history', 'wake_up_at') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_history ADD wake_up_at datetime2 NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_history', 'actor') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_history ADD actor varchar(256) NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_history', 'reason') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_history ADD reason varchar(1000) NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_history', 'state_before') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_history ADD state_before varchar(max) NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_history', 'state_after') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_history ADD state_after varchar(max) NULL
+END;
+
 IF NOT EXISTS (
     SELECT 1
     FROM sys.indexes
@@ -81,6 +142,16 @@ BEGIN
     CREATE INDEX idx_flowlite_history_summary ON dbo.flowlite_history(flow_id, flow_instance_id, type, occurred_at)
 END;
 
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'idx_flowlite_history_type'
+      AND object_id = OBJECT_ID('dbo.flowlite_history')
+)
+BEGIN
+    CREATE INDEX idx_flowlite_history_type ON dbo.flowlite_history(type, occurred_at)
+END;
+
 IF OBJECT_ID('dbo.flowlite_instance_summary', 'U') IS NULL
 BEGIN
     CREATE TABLE dbo.flowlite_instance_summary (
@@ -91,10 +162,52 @@ BEGIN
         status varchar(32) NOT NULL,
         cockpit_status varchar(32) NOT NULL,
         last_error_message varchar(4000) NULL,
-        updated_at datetime2 NOT NULL
+        last_error_type varchar(512) NULL,
+        last_error_fingerprint varchar(64) NULL,
+        updated_at datetime2 NOT NULL,
+        failure_disposition varchar(32) NULL,
+        retry_attempt int NULL,
+        max_retry_attempts int NULL,
+        next_retry_at datetime2 NULL,
+        business_key varchar(256) NULL
     )
 END;
 
+IF COL_LENGTH('dbo.flowlite_instance_summary', 'last_error_type') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_instance_summary ADD last_error_type varchar(512) NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_instance_summary', 'last_error_fingerprint') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_instance_summary ADD last_error_fingerprint varchar(64) NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_instance_summary', 'failure_disposition') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_instance_summary ADD failure_disposition varchar(32) NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_instance_summary', 'retry_attempt') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_instance_summary ADD retry_attempt int NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_instance_summary', 'max_retry_attempts') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_instance_summary ADD max_retry_attempts int NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_instance_summary', 'next_retry_at') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_instance_summary ADD next_retry_at datetime2 NULL
+END;
+
+IF COL_LENGTH('dbo.flowlite_instance_summary', 'business_key') IS NULL
+BEGIN
+    ALTER TABLE dbo.flowlite_instance_summary ADD business_key varchar(256) NULL
+END;
+
 IF NOT EXISTS (
     SELECT 1
     FROM sys.indexes
@@ -133,4 +246,76 @@ IF NOT EXISTS (
 )
 BEGIN
     CREATE INDEX idx_flowlite_instance_summary_cockpit_status ON dbo.flowlite_instance_summary(cockpit_status, updated_at, flow_id, flow_instance_id)
-END;
\ No newline at end of file
+END;
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'idx_flowlite_instance_summary_sort_updated'
+      AND object_id = OBJECT_ID('dbo.flowlite_instance_summary')
+)
+BEGIN
+    CREATE INDEX idx_flowlite_instance_summary_sort_updated ON dbo.flowlite_instance_summary(updated_at desc, flow_instance_id)
+END;
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'idx_flowlite_instance_summary_sort_flow'
+      AND object_id = OBJECT_ID('dbo.flowlite_instance_summary')
+)
+BEGIN
+    CREATE INDEX idx_flowlite_instance_summary_sort_flow ON dbo.flowlite_instance_summary(flow_id, updated_at desc, flow_instance_id)
+END;
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'idx_flowlite_instance_summary_sort_stage'
+      AND object_id = OBJECT_ID('dbo.flowlite_instance_summary')
+)
+BEGIN
+    CREATE INDEX idx_flowlite_instance_summary_sort_stage ON dbo.flowlite_instance_summary(stage, updated_at desc, flow_instance_id)
+END;
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'idx_flowlite_instance_summary_sort_status'
+      AND object_id = OBJECT_ID('dbo.flowlite_instance_summary')
+)
+BEGIN
+    CREATE INDEX idx_flowlite_instance_summary_sort_status ON dbo.flowlite_instance_summary(cockpit_status, updated_at desc, flow_instance_id)
+END;
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'idx_flowlite_instance_summary_sort_business_key'
+      AND object_id = OBJECT_ID('dbo.flowlite_instance_summary')
+)
+BEGIN
+    CREATE INDEX idx_flowlite_instance_summary_sort_business_key ON dbo.flowlite_instance_summary(business_key, updated_at desc, flow_instance_id)
+END;
+
+IF OBJECT_ID('dbo.flowlite_saved_view', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.flowlite_saved_view (
+        id uniqueidentifier NOT NULL PRIMARY KEY,
+        name varchar(128) NOT NULL,
+        search varchar(4000) NOT NULL,
+        created_by varchar(256) NULL,
+        created_at datetime2 NOT NULL,
+        version bigint NULL
+    )
+END;
+
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'idx_flowlite_saved_view_name'
+      AND object_id = OBJECT_ID('dbo.flowlite_saved_view')
+)
+BEGIN
+    CREATE UNIQUE INDEX idx_flowlite_saved_view_name ON dbo.flowlite_saved_view(name)
+END;
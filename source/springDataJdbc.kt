@@ -6,14 +6,19 @@ import java.time.Duration
 import java.time.Instant
 import java.util.UUID
 import java.util.concurrent.atomic.AtomicBoolean
+import java.util.concurrent.atomic.AtomicInteger
+import java.util.stream.Stream
 import org.springframework.boot.task.SimpleAsyncTaskExecutorBuilder
 import org.springframework.context.SmartLifecycle
 import org.springframework.dao.OptimisticLockingFailureException
 import org.springframework.data.annotation.Id
 import org.springframework.data.annotation.Version
+import org.springframework.data.jdbc.repository.query.Modifying
 import org.springframework.data.jdbc.repository.query.Query
 import org.springframework.data.relational.core.mapping.Table
 import org.springframework.data.repository.CrudRepository
+import org.springframework.transaction.support.TransactionSynchronization
+import org.springframework.transaction.support.TransactionSynchronizationManager
 
 // --- Tick scheduler ---
 
@@ -25,10 +30,17 @@ data class FlowLiteTick(
     val flowInstanceId: UUID,
     val notBefore: Instant,
     val targetStage: String? = null,
+    val retryAttempt: Int? = null,
     @Version
     var version: Long? = null, // Only so Spring Data JDBC treats the aggregate as "new" with an assigned (non-null) id.
 )
 
+/** Ticks that are due but not yet claimed by a poller. */
+data class FlowLiteTickBacklogRow(
+    val dueCount: Int,
+    val oldestNotBefore: Instant?,
+)
+
 interface FlowLiteTickRepository : CrudRepository<FlowLiteTick, UUID> {
     @Query(
         """
@@ -41,6 +53,15 @@ interface FlowLiteTickRepository : CrudRepository<FlowLiteTick, UUID> {
     )
     fun findDueBatch(now: Instant, limit: Int): List<FlowLiteTick>
 
+    @Query(
+        """
+        select count(*) as due_count, min(not_before) as oldest_not_before
+        from flowlite_tick
+        where not_before <= :now
+        """,
+    )
+    fun findBacklog(now: Instant): FlowLiteTickBacklogRow
+
     @Query(
         """
         select *
@@ -53,13 +74,28 @@ interface FlowLiteTickRepository : CrudRepository<FlowLiteTick, UUID> {
         """,
     )
     fun findScheduledTick(flowId: String, flowInstanceId: UUID, targetStage: String): FlowLiteTick?
+
+    // Bumping the version makes a poller that already read the old row lose its claim and pick up the moved tick instead.
+    @Modifying
+    @Query(
+        """
+        update flowlite_tick
+        set not_before = :notBefore, version = coalesce(version, 0) + 1
+        where flow_id = :flowId
+          and flow_instance_id = :flowInstanceId
+          and target_stage = :targetStage
+          and retry_attempt is null
+        """,
+    )
+    fun rescheduleTimerTicks(flowId: String, flowInstanceId: UUID, targetStage: String, notBefore: Instant): Int
 }
 
 class SpringDataJdbcTickScheduler(
     private val tickRepo: FlowLiteTickRepository,
     private val idleDelay: Duration = Duration.ofMillis(1000),
-    workerThreads: Int = 60,
+    private val workerThreads: Int = 60,
     private val clock: Clock = Clock.systemUTC(),
+    metrics: FlowLiteMetrics? = null,
 ) : TickScheduler, SmartLifecycle {
 
     private companion object {
@@ -79,6 +115,33 @@ class SpringDataJdbcTickScheduler(
 
     private val batchSize = (workerThreads * 2).coerceAtLeast(1)
 
+    private val busyWorkers = AtomicInteger(0)
+
+    init {
+        metrics?.gauge("flowlite_tick_workers_busy", "Tick worker threads currently handling a tick.") {
+            mapOf(emptyList<String>() to busyWorkers.get().toDouble())
+        }
+        metrics?.gauge("flowlite_tick_workers_max", "Tick worker threads available.") {
+            mapOf(emptyList<String>() to workerThreads.toDouble())
+        }
+        metrics?.let { registry ->
+            // Both backlog gauges are derived from a single backlog query per scrape.
+            val scrapedBacklog = registry.perScrape {
+                val now = clock.instant()
+                backlog(now)?.let { now to it }
+            }
+            registry.gauge("flowlite_tick_backlog", "Ticks past their not-before time that no worker has claimed yet.") {
+                scrapedBacklog()?.let { (_, row) -> mapOf(emptyList<String>() to row.dueCount.toDouble()) }.orEmpty()
+            }
+            registry.gauge("flowlite_tick_backlog_oldest_age_seconds", "How long the oldest unclaimed due tick has been waiting.") {
+                scrapedBacklog()?.let { (now, row) ->
+                    val age = row.oldestNotBefore?.let { Duration.between(it, now).toMillis().coerceAtLeast(0) / 1000.0 } ?: 0.0
+                    mapOf(emptyList<String>() to age)
+                }.orEmpty()
+            }
+        }
+    }
+
     override fun start() {
         pollerThread = Thread.ofVirtual()
             .name("flowlite-tick-poller")
@@ -96,6 +159,7 @@ class SpringDataJdbcTickScheduler(
         flowInstanceId: UUID,
         notBefore: Instant,
         targetStage: String?,
+        retryAttempt: Int?,
     ) {
         tickRepo.save(
             FlowLiteTick(
@@ -104,6 +168,7 @@ class SpringDataJdbcTickScheduler(
                 flowInstanceId = flowInstanceId,
                 notBefore = notBefore,
                 targetStage = targetStage,
+                retryAttempt = retryAttempt,
             ),
         )
     }
@@ -111,6 +176,9 @@ class SpringDataJdbcTickScheduler(
     override fun findScheduledTick(flowId: String, flowInstanceId: UUID, targetStage: String): ScheduledTick? =
         tickRepo.findScheduledTick(flowId, flowInstanceId, targetStage)?.toScheduledTick()
 
+    override fun rescheduleTick(flowId: String, flowInstanceId: UUID, targetStage: String, notBefore: Instant): Boolean =
+        tickRepo.rescheduleTimerTicks(flowId, flowInstanceId, targetStage, notBefore) > 0
+
     private fun runPollLoop() {
         val handler = requireNotNull(tickHandler)
         while (!shutdownInitiated.get()) {
@@ -146,20 +214,24 @@ class SpringDataJdbcTickScheduler(
     }
 
     private fun handleTick(handler: (ScheduledTick) -> Unit, tick: FlowLiteTick) {
+        busyWorkers.incrementAndGet()
         try {
-            handler(
-                ScheduledTick(
-                    flowId = tick.flowId,
-                    flowInstanceId = tick.flowInstanceId,
-                    notBefore = tick.notBefore,
-                    targetStage = tick.targetStage,
-                ),
-            )
+            handler(tick.toScheduledTick())
         } catch (e: Exception) {
             log.error(e) { "Tick handler failed for ${tick.flowId}/${tick.flowInstanceId}" }
+        } finally {
+            busyWorkers.decrementAndGet()
         }
     }
 
+    private fun backlog(now: Instant): FlowLiteTickBacklogRow? =
+        try {
+            tickRepo.findBacklog(now)
+        } catch (e: Exception) {
+            log.error(e) { "Tick backlog query failed" }
+            null
+        }
+
     override fun stop() {
         log.warn { "Spring invoked stop() even though SmartLifecycle.stop(callback: Runnable) is implemented; this is unexpected" }
         stop {}
@@ -192,6 +264,7 @@ private fun FlowLiteTick.toScheduledTick() =
         flowInstanceId = flowInstanceId,
         notBefore = notBefore,
         targetStage = targetStage,
+        retryAttempt = retryAttempt,
     )
 
 // --- Event store ---
@@ -212,15 +285,13 @@ class SpringDataJdbcEventStore(
     private val repo: PendingEventRepository,
 ) : EventStore {
     override fun append(flowId: String, flowInstanceId: UUID, event: Event) {
-        val type = event::class.qualifiedName ?: event::class.java.name
-        val value = (event as? Enum<*>)?.name ?: event.toString()
         repo.save(
             PendingEvent(
                 id = null,
                 flowId = flowId,
                 flowInstanceId = flowInstanceId,
-                eventType = type,
-                eventValue = value,
+                eventType = eventTypeOf(event),
+                eventValue = historyValueOf(event),
             ),
         )
     }
@@ -228,11 +299,7 @@ class SpringDataJdbcEventStore(
     override fun peek(flowId: String, flowInstanceId: UUID, candidates: Collection<Event>): StoredEvent? {
         if (candidates.isEmpty()) return null
         val rows = repo.findByFlowIdAndFlowInstanceId(flowId, flowInstanceId)
-        val candidateLookup = candidates.associateBy {
-            val type = it::class.qualifiedName ?: it::class.java.name
-            val value = (it as? Enum<*>)?.name ?: it.toString()
-            type to value
-        }
+        val candidateLookup = candidates.associateBy { eventTypeOf(it) to historyValueOf(it) }
         val match = rows.firstOrNull { row -> candidateLookup.containsKey(row.eventType to row.eventValue) }
             ?: return null
         val id = match.id ?: return null
@@ -245,6 +312,11 @@ class SpringDataJdbcEventStore(
         repo.deleteById(row.id!!)
         return true
     }
+
+    override fun pendingEvents(flowId: String, flowInstanceId: UUID): List<PendingEventRecord> =
+        repo.findByFlowIdAndFlowInstanceId(flowId, flowInstanceId).mapNotNull { row ->
+            row.id?.let { PendingEventRecord(id = it, type = row.eventType, value = row.eventValue) }
+        }
 }
 
 // --- History store ---
@@ -265,6 +337,15 @@ data class FlowLiteHistoryRow(
     val errorType: String? = null,
     val errorMessage: String? = null,
     val errorStackTrace: String? = null,
+    val failureDisposition: FailureDisposition? = null,
+    val retryAttempt: Int? = null,
+    val maxRetryAttempts: Int? = null,
+    val nextRetryAt: Instant? = null,
+    val wakeUpAt: Instant? = null,
+    val actor: String? = null,
+    val reason: String? = null,
+    val stateBefore: String? = null,
+    val stateAfter: String? = null,
 )
 
 @Table("FLOWLITE_INSTANCE_SUMMARY")
@@ -276,7 +357,16 @@ data class FlowLiteInstanceSummaryRow(
     val status: String,
     val cockpitStatus: String,
     val lastErrorMessage: String? = null,
+    val lastErrorType: String? = null,
+    /** See [errorFingerprint]; set together with [lastErrorMessage]. */
+    val lastErrorFingerprint: String? = null,
     val updatedAt: Instant,
+    val failureDisposition: String? = null,
+    val retryAttempt: Int? = null,
+    val maxRetryAttempts: Int? = null,
+    val nextRetryAt: Instant? = null,
+    /** Kept from the latest history entry that carried one; see `BusinessKeyExtractor`. */
+    val businessKey: String? = null,
 )
 
 data class FlowLiteFlowSummaryAggregateRow(
@@ -288,6 +378,23 @@ data class FlowLiteFlowSummaryAggregateRow(
     val longRunningCount: Int,
 )
 
+data class FlowLiteErrorGroupRow(
+    val flowId: String,
+    val stage: String?,
+    val errorFingerprint: String?,
+    val errorType: String?,
+    val sampleErrorMessage: String?,
+    val instanceCount: Int,
+    val firstSeenAt: Instant,
+    val lastSeenAt: Instant,
+)
+
+data class FlowLiteStatusCountRow(
+    val flowId: String,
+    val cockpitStatus: String,
+    val instanceCount: Int,
+)
+
 data class FlowLiteFlowStageBreakdownRow(
     val flowId: String,
     val stage: String,
@@ -295,6 +402,16 @@ data class FlowLiteFlowStageBreakdownRow(
     val errorCount: Int,
 )
 
+/** The stage and status changes of one history entry, as read for the Cockpit analytics. */
+data class FlowLiteStageTransitionRow(
+    val flowInstanceId: UUID,
+    val occurredAt: Instant,
+    val type: String,
+    val stage: String?,
+    val toStage: String?,
+    val toStatus: String?,
+)
+
 interface FlowLiteHistoryRepository : CrudRepository<FlowLiteHistoryRow, UUID> {
     @Query(
         """
@@ -305,27 +422,99 @@ interface FlowLiteHistoryRepository : CrudRepository<FlowLiteHistoryRow, UUID> {
         """,
     )
     fun findTimeline(flowId: String, flowInstanceId: UUID): List<FlowLiteHistoryRow>
-}
 
-interface FlowLiteInstanceSummaryRepository : CrudRepository<FlowLiteInstanceSummaryRow, UUID> {
     @Query(
         """
         select *
-        from flowlite_instance_summary
-        where flow_id = :flowId and flow_instance_id = :flowInstanceId
+        from flowlite_history
+        where flow_id = :flowId and flow_instance_id = :flowInstanceId and type = 'Error'
+        order by occurred_at desc, id desc
+        limit 1
         """,
     )
-    fun findSummary(flowId: String, flowInstanceId: UUID): FlowLiteInstanceSummaryRow?
+    fun findLatestError(flowId: String, flowInstanceId: UUID): FlowLiteHistoryRow?
 
+    /**
+     * Operator actions across instances, newest first: the manual entry types plus any entry that names an actor or
+     * a reason, so that actions of anonymous operators are listed too.
+     */
     @Query(
         """
         select *
-        from flowlite_instance_summary
-        where (:flowId is null or flow_id = :flowId)
+        from flowlite_history
+        where (
+              type in ('Retried', 'ManualStageChanged', 'Cancelled', 'TimerWokenUp', 'TimerRescheduled')
+              or actor is not null
+              or reason is not null
+          )
+          and (:flowId is null or flow_id = :flowId)
+          and (:type is null or type = :type)
+          and (:actorPattern is null or lower(actor) like :actorPattern)
+          and (:occurredAfter is null or occurred_at >= :occurredAfter)
+        order by occurred_at desc, id desc
+        limit :limit
+        """,
+    )
+    fun findInterventions(flowId: String?, type: String?, actorPattern: String?, occurredAfter: Instant?, limit: Int): List<FlowLiteHistoryRow>
+
+    /** The latest `Error` entry of each of the given instances that has one. */
+    @Query(
+        """
+        select h.*
+        from flowlite_history h
+        where h.flow_instance_id in (:flowInstanceIds)
+          and h.type = 'Error'
+          and not exists (
+              select 1
+              from flowlite_history later
+              where later.flow_id = h.flow_id
+                and later.flow_instance_id = h.flow_instance_id
+                and later.type = 'Error'
+                and later.occurred_at > h.occurred_at
+          )
+        """,
+    )
+    fun findLatestErrors(flowInstanceIds: Collection<UUID>): List<FlowLiteHistoryRow>
+
+    /**
+     * The stage and status changes of every instance of [flowId] with history at or after [occurredAfter]. Earlier
+     * entries are included from the instance's last stage entry before that time, so that the stage visit in progress
+     * keeps its full duration while older history is not read. Ordered by instance, then oldest first; close the stream.
+     */
+    @Query(
+        """
+        select h.flow_instance_id, h.occurred_at, h.type, h.stage, h.to_stage, h.to_status
+        from flowlite_history h
+        where h.flow_id = :flowId
+          and h.type in ('Started', 'StageChanged', 'ManualStageChanged', 'StatusChanged', 'Cancelled', 'Error')
+          and h.flow_instance_id in (
+              select recent.flow_instance_id
+              from flowlite_history recent
+              where recent.flow_id = :flowId and recent.occurred_at >= :occurredAfter
+          )
+          and h.occurred_at >= coalesce(
+              (
+                  select max(entered.occurred_at)
+                  from flowlite_history entered
+                  where entered.flow_id = h.flow_id
+                    and entered.flow_instance_id = h.flow_instance_id
+                    and entered.type in ('Started', 'StageChanged', 'ManualStageChanged')
+                    and entered.occurred_at < :occurredAfter
+              ),
+              :occurredAfter
+          )
+        order by h.flow_instance_id asc, h.occurred_at asc, h.id asc
+        """,
+    )
+    fun findStageTransitions(flowId: String, occurredAfter: Instant): Stream<FlowLiteStageTransitionRow>
+}
+
+private const val INSTANCE_SUMMARY_FILTERS = """
+          (:flowId is null or flow_id = :flowId)
           and (
               :bucket is null
               or (:bucket = 'Active' and cockpit_status in ('Running', 'WaitingForTimer', 'WaitingForEvent', 'PendingEngine'))
-              or (:bucket = 'Error' and cockpit_status = 'Error')
+              or (:bucket = 'Error' and cockpit_status in ('Error', 'WaitingForRetry'))
               or (:bucket = 'Completed' and cockpit_status in ('Completed', 'Cancelled'))
           )
           and (:status is null or cockpit_status = :status)
@@ -333,10 +522,12 @@ interface FlowLiteInstanceSummaryRepository : CrudRepository<FlowLiteInstanceSum
               :searchPattern is null
               or lower(flow_id) like :searchPattern
               or lower(cast(flow_instance_id as varchar(36))) like :searchPattern
+              or lower(business_key) like :searchPattern
               or (:searchFlowInstanceId is not null and flow_instance_id = :searchFlowInstanceId)
           )
           and (:stage is null or stage = :stage)
           and (:errorMessagePattern is null or lower(last_error_message) like :errorMessagePattern)
+          and (:errorFingerprint is null or last_error_fingerprint = :errorFingerprint)
           and (:showIncompleteOnly = false or cockpit_status not in ('Completed', 'Cancelled'))
           and (
               :cockpitStatusFilter is null
@@ -344,7 +535,128 @@ interface FlowLiteInstanceSummaryRepository : CrudRepository<FlowLiteInstanceSum
               or cockpit_status = :cockpitStatusFilter
           )
           and (:updatedBefore is null or updated_at < :updatedBefore)
-        order by flow_id asc, updated_at desc, flow_instance_id asc
+          and (:updatedAfter is null or updated_at >= :updatedAfter)
+          and (
+              :searchFlowMode is null
+              or (:searchFlowMode = 'in' and flow_id in (:searchFlowIds))
+              or (:searchFlowMode = 'notIn' and flow_id not in (:searchFlowIds))
+          )
+          and (
+              :searchStageMode is null
+              or (:searchStageMode = 'in' and stage in (:searchStages))
+              or (:searchStageMode = 'notIn' and (stage is null or stage not in (:searchStages)))
+          )
+          and (
+              :searchStatusMode is null
+              or (:searchStatusMode = 'in' and cockpit_status in (:searchStatuses))
+              or (:searchStatusMode = 'notIn' and cockpit_status not in (:searchStatuses))
+          )
+          and (:searchErrorPattern is null or lower(last_error_message) like :searchErrorPattern)
+          and (
+              :excludedErrorPattern is null
+              or last_error_message is null
+              or lower(last_error_message) not like :excludedErrorPattern
+          )
+"""
+
+private const val INSTANCE_SUMMARY_SORT_KEY = """
+          case
+              when :sortField = 'flow' then flow_id
+              when :sortField = 'stage' then coalesce(stage, '')
+              when :sortField = 'status' then cockpit_status
+              when :sortField = 'businessKey' then coalesce(business_key, '')
+              else ''
+          end"""
+
+/**
+ * Order of the unpaged [FlowLiteInstanceSummaryRepository.findFilteredSummaries]: without a `sortField` rows stay grouped
+ * by flow; `updatedDescending` orders rows that share the same sort key.
+ */
+private const val INSTANCE_SUMMARY_ORDER = """
+          case when :sortField is null then flow_id end asc,
+          case when :sortDescending = false then $INSTANCE_SUMMARY_SORT_KEY end asc,
+          case when :sortDescending = true then $INSTANCE_SUMMARY_SORT_KEY end desc,
+          case when :updatedDescending = false then updated_at end asc,
+          case when :updatedDescending = true then updated_at end desc,
+          flow_instance_id asc"""
+
+// Keyset conditions of the `findSummaryPageBy*` queries: the rows after the cursor in each sort order. Nullable columns
+// rely on nulls sorting first in ascending order, as they do in H2 and SQL Server.
+private const val INSTANCE_SUMMARY_TIE_ORDER = "updated_at desc, flow_instance_id asc"
+
+private const val INSTANCE_SUMMARY_AFTER_TIE = """
+          (updated_at < :cursorUpdatedAt or (updated_at = :cursorUpdatedAt and flow_instance_id > :cursorFlowInstanceId))"""
+
+private const val INSTANCE_SUMMARY_AFTER_UPDATED_ASC = """
+          (updated_at > :cursorUpdatedAt or (updated_at = :cursorUpdatedAt and flow_instance_id > :cursorFlowInstanceId))"""
+
+private const val INSTANCE_SUMMARY_AFTER_FLOW_ASC = """
+          (flow_id > :cursorSortKey or (flow_id = :cursorSortKey and $INSTANCE_SUMMARY_AFTER_TIE))"""
+
+private const val INSTANCE_SUMMARY_AFTER_FLOW_DESC = """
+          (flow_id < :cursorSortKey or (flow_id = :cursorSortKey and $INSTANCE_SUMMARY_AFTER_TIE))"""
+
+private const val INSTANCE_SUMMARY_AFTER_STATUS_ASC = """
+          (cockpit_status > :cursorSortKey or (cockpit_status = :cursorSortKey and $INSTANCE_SUMMARY_AFTER_TIE))"""
+
+private const val INSTANCE_SUMMARY_AFTER_STATUS_DESC = """
+          (cockpit_status < :cursorSortKey or (cockpit_status = :cursorSortKey and $INSTANCE_SUMMARY_AFTER_TIE))"""
+
+private const val INSTANCE_SUMMARY_AFTER_STAGE_ASC = """
+          (
+              (:cursorSortKey is null and (stage is not null or $INSTANCE_SUMMARY_AFTER_TIE))
+              or stage > :cursorSortKey
+              or (stage = :cursorSortKey and $INSTANCE_SUMMARY_AFTER_TIE)
+          )"""
+
+private const val INSTANCE_SUMMARY_AFTER_STAGE_DESC = """
+          (
+              (:cursorSortKey is null and stage is null and $INSTANCE_SUMMARY_AFTER_TIE)
+              or (:cursorSortKey is not null and stage is null)
+              or stage < :cursorSortKey
+              or (stage = :cursorSortKey and $INSTANCE_SUMMARY_AFTER_TIE)
+          )"""
+
+private const val INSTANCE_SUMMARY_AFTER_BUSINESS_KEY_ASC = """
+          (
+              (:cursorSortKey is null and (business_key is not null or $INSTANCE_SUMMARY_AFTER_TIE))
+              or business_key > :cursorSortKey
+              or (business_key = :cursorSortKey and $INSTANCE_SUMMARY_AFTER_TIE)
+          )"""
+
+private const val INSTANCE_SUMMARY_AFTER_BUSINESS_KEY_DESC = """
+          (
+              (:cursorSortKey is null and business_key is null and $INSTANCE_SUMMARY_AFTER_TIE)
+              or (:cursorSortKey is not null and business_key is null)
+              or business_key < :cursorSortKey
+              or (business_key = :cursorSortKey and $INSTANCE_SUMMARY_AFTER_TIE)
+          )"""
+
+interface FlowLiteInstanceSummaryRepository : CrudRepository<FlowLiteInstanceSummaryRow, UUID> {
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where flow_id = :flowId and flow_instance_id = :flowInstanceId
+        """,
+    )
+    fun findSummary(flowId: String, flowInstanceId: UUID): FlowLiteInstanceSummaryRow?
+
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where flow_instance_id in (:flowInstanceIds)
+        """,
+    )
+    fun findSummariesOf(flowInstanceIds: Collection<UUID>): List<FlowLiteInstanceSummaryRow>
+
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+        order by $INSTANCE_SUMMARY_ORDER
         """,
     )
     fun findFilteredSummaries(
@@ -355,17 +667,476 @@ interface FlowLiteInstanceSummaryRepository : CrudRepository<FlowLiteInstanceSum
         searchFlowInstanceId: UUID?,
         stage: String?,
         errorMessagePattern: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+        sortField: String?,
+        sortDescending: Boolean,
+        updatedDescending: Boolean,
+    ): List<FlowLiteInstanceSummaryRow>
+
+    /**
+     * Keyset pages of the filtered rows, one static query per sort so that the database can read them in the order of
+     * an index on the sorted column instead of sorting every match. Rows sharing a sort value come most recently
+     * updated first; the cursor values come from the last row of the previous page and are null for the first page.
+     */
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+          and (:cursorUpdatedAt is null or $INSTANCE_SUMMARY_AFTER_TIE)
+        order by updated_at desc, flow_instance_id asc
+        limit :limit
+        """,
+    )
+    fun findSummaryPageByUpdatedAtDesc(
+        flowId: String?,
+        bucket: String?,
+        status: String?,
+        searchPattern: String?,
+        searchFlowInstanceId: UUID?,
+        stage: String?,
+        errorMessagePattern: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+        cursorSortKey: String?,
+        cursorUpdatedAt: Instant?,
+        cursorFlowInstanceId: UUID?,
+        limit: Int,
+    ): List<FlowLiteInstanceSummaryRow>
+
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+          and (:cursorUpdatedAt is null or $INSTANCE_SUMMARY_AFTER_UPDATED_ASC)
+        order by updated_at asc, flow_instance_id asc
+        limit :limit
+        """,
+    )
+    fun findSummaryPageByUpdatedAtAsc(
+        flowId: String?,
+        bucket: String?,
+        status: String?,
+        searchPattern: String?,
+        searchFlowInstanceId: UUID?,
+        stage: String?,
+        errorMessagePattern: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+        cursorSortKey: String?,
+        cursorUpdatedAt: Instant?,
+        cursorFlowInstanceId: UUID?,
+        limit: Int,
+    ): List<FlowLiteInstanceSummaryRow>
+
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+          and (:cursorUpdatedAt is null or $INSTANCE_SUMMARY_AFTER_FLOW_ASC)
+        order by flow_id asc, $INSTANCE_SUMMARY_TIE_ORDER
+        limit :limit
+        """,
+    )
+    fun findSummaryPageByFlowAsc(
+        flowId: String?,
+        bucket: String?,
+        status: String?,
+        searchPattern: String?,
+        searchFlowInstanceId: UUID?,
+        stage: String?,
+        errorMessagePattern: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+        cursorSortKey: String?,
+        cursorUpdatedAt: Instant?,
+        cursorFlowInstanceId: UUID?,
+        limit: Int,
+    ): List<FlowLiteInstanceSummaryRow>
+
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+          and (:cursorUpdatedAt is null or $INSTANCE_SUMMARY_AFTER_FLOW_DESC)
+        order by flow_id desc, $INSTANCE_SUMMARY_TIE_ORDER
+        limit :limit
+        """,
+    )
+    fun findSummaryPageByFlowDesc(
+        flowId: String?,
+        bucket: String?,
+        status: String?,
+        searchPattern: String?,
+        searchFlowInstanceId: UUID?,
+        stage: String?,
+        errorMessagePattern: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+        cursorSortKey: String?,
+        cursorUpdatedAt: Instant?,
+        cursorFlowInstanceId: UUID?,
+        limit: Int,
+    ): List<FlowLiteInstanceSummaryRow>
+
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+          and (:cursorUpdatedAt is null or $INSTANCE_SUMMARY_AFTER_STAGE_ASC)
+        order by stage asc, $INSTANCE_SUMMARY_TIE_ORDER
+        limit :limit
+        """,
+    )
+    fun findSummaryPageByStageAsc(
+        flowId: String?,
+        bucket: String?,
+        status: String?,
+        searchPattern: String?,
+        searchFlowInstanceId: UUID?,
+        stage: String?,
+        errorMessagePattern: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+        cursorSortKey: String?,
+        cursorUpdatedAt: Instant?,
+        cursorFlowInstanceId: UUID?,
+        limit: Int,
+    ): List<FlowLiteInstanceSummaryRow>
+
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+          and (:cursorUpdatedAt is null or $INSTANCE_SUMMARY_AFTER_STAGE_DESC)
+        order by stage desc, $INSTANCE_SUMMARY_TIE_ORDER
+        limit :limit
+        """,
+    )
+    fun findSummaryPageByStageDesc(
+        flowId: String?,
+        bucket: String?,
+        status: String?,
+        searchPattern: String?,
+        searchFlowInstanceId: UUID?,
+        stage: String?,
+        errorMessagePattern: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+        cursorSortKey: String?,
+        cursorUpdatedAt: Instant?,
+        cursorFlowInstanceId: UUID?,
+        limit: Int,
+    ): List<FlowLiteInstanceSummaryRow>
+
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+          and (:cursorUpdatedAt is null or $INSTANCE_SUMMARY_AFTER_STATUS_ASC)
+        order by cockpit_status asc, $INSTANCE_SUMMARY_TIE_ORDER
+        limit :limit
+        """,
+    )
+    fun findSummaryPageByStatusAsc(
+        flowId: String?,
+        bucket: String?,
+        status: String?,
+        searchPattern: String?,
+        searchFlowInstanceId: UUID?,
+        stage: String?,
+        errorMessagePattern: String?,
+        errorFingerprint: String?,
         showIncompleteOnly: Boolean,
         cockpitStatusFilter: String?,
         updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+        cursorSortKey: String?,
+        cursorUpdatedAt: Instant?,
+        cursorFlowInstanceId: UUID?,
+        limit: Int,
     ): List<FlowLiteInstanceSummaryRow>
 
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+          and (:cursorUpdatedAt is null or $INSTANCE_SUMMARY_AFTER_STATUS_DESC)
+        order by cockpit_status desc, $INSTANCE_SUMMARY_TIE_ORDER
+        limit :limit
+        """,
+    )
+    fun findSummaryPageByStatusDesc(
+        flowId: String?,
+        bucket: String?,
+        status: String?,
+        searchPattern: String?,
+        searchFlowInstanceId: UUID?,
+        stage: String?,
+        errorMessagePattern: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+        cursorSortKey: String?,
+        cursorUpdatedAt: Instant?,
+        cursorFlowInstanceId: UUID?,
+        limit: Int,
+    ): List<FlowLiteInstanceSummaryRow>
+
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+          and (:cursorUpdatedAt is null or $INSTANCE_SUMMARY_AFTER_BUSINESS_KEY_ASC)
+        order by business_key asc, $INSTANCE_SUMMARY_TIE_ORDER
+        limit :limit
+        """,
+    )
+    fun findSummaryPageByBusinessKeyAsc(
+        flowId: String?,
+        bucket: String?,
+        status: String?,
+        searchPattern: String?,
+        searchFlowInstanceId: UUID?,
+        stage: String?,
+        errorMessagePattern: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+        cursorSortKey: String?,
+        cursorUpdatedAt: Instant?,
+        cursorFlowInstanceId: UUID?,
+        limit: Int,
+    ): List<FlowLiteInstanceSummaryRow>
+
+    @Query(
+        """
+        select *
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+          and (:cursorUpdatedAt is null or $INSTANCE_SUMMARY_AFTER_BUSINESS_KEY_DESC)
+        order by business_key desc, $INSTANCE_SUMMARY_TIE_ORDER
+        limit :limit
+        """,
+    )
+    fun findSummaryPageByBusinessKeyDesc(
+        flowId: String?,
+        bucket: String?,
+        status: String?,
+        searchPattern: String?,
+        searchFlowInstanceId: UUID?,
+        stage: String?,
+        errorMessagePattern: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+        cursorSortKey: String?,
+        cursorUpdatedAt: Instant?,
+        cursorFlowInstanceId: UUID?,
+        limit: Int,
+    ): List<FlowLiteInstanceSummaryRow>
+
+    @Query(
+        """
+        select count(*)
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+        """,
+    )
+    fun countFilteredSummaries(
+        flowId: String?,
+        bucket: String?,
+        status: String?,
+        searchPattern: String?,
+        searchFlowInstanceId: UUID?,
+        stage: String?,
+        errorMessagePattern: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+    ): Long
+
+    /** One row per flow, stage and error fingerprint among the filtered rows; within a stage the largest, then most recent groups come first. */
+    @Query(
+        """
+        select
+            flow_id as flow_id,
+            stage as stage,
+            last_error_fingerprint as error_fingerprint,
+            max(last_error_type) as error_type,
+            min(last_error_message) as sample_error_message,
+            count(*) as instance_count,
+            min(updated_at) as first_seen_at,
+            max(updated_at) as last_seen_at
+        from flowlite_instance_summary
+        where $INSTANCE_SUMMARY_FILTERS
+        group by flow_id, stage, last_error_fingerprint
+        order by flow_id asc, stage asc, count(*) desc, max(updated_at) desc, last_error_fingerprint asc
+        """,
+    )
+    fun findErrorGroups(
+        flowId: String?,
+        bucket: String?,
+        status: String?,
+        searchPattern: String?,
+        searchFlowInstanceId: UUID?,
+        stage: String?,
+        errorMessagePattern: String?,
+        errorFingerprint: String?,
+        showIncompleteOnly: Boolean,
+        cockpitStatusFilter: String?,
+        updatedBefore: Instant?,
+        updatedAfter: Instant?,
+        searchFlowMode: String?,
+        searchFlowIds: Collection<String>?,
+        searchStageMode: String?,
+        searchStages: Collection<String>?,
+        searchStatusMode: String?,
+        searchStatuses: Collection<String>?,
+        searchErrorPattern: String?,
+        excludedErrorPattern: String?,
+    ): List<FlowLiteErrorGroupRow>
+
     @Query(
         """
         select
             flow_id as flow_id,
             sum(case when cockpit_status in ('Running', 'WaitingForTimer', 'WaitingForEvent', 'PendingEngine') then 1 else 0 end) as active_count,
-            sum(case when cockpit_status = 'Error' then 1 else 0 end) as error_count,
+            sum(case when cockpit_status in ('Error', 'WaitingForRetry') then 1 else 0 end) as error_count,
             sum(case when cockpit_status in ('Completed', 'Cancelled') then 1 else 0 end) as completed_count,
             sum(case when cockpit_status not in ('Completed', 'Cancelled') then 1 else 0 end) as not_completed_count,
             sum(case when cockpit_status in ('Running', 'PendingEngine') and updated_at < :updatedBefore then 1 else 0 end) as long_running_count
@@ -376,6 +1147,16 @@ interface FlowLiteInstanceSummaryRepository : CrudRepository<FlowLiteInstanceSum
     )
     fun findFlowSummaryAggregates(updatedBefore: Instant): List<FlowLiteFlowSummaryAggregateRow>
 
+    @Query(
+        """
+        select flow_id, cockpit_status, count(*) as instance_count
+        from flowlite_instance_summary
+        group by flow_id, cockpit_status
+        order by flow_id asc, cockpit_status asc
+        """,
+    )
+    fun findStatusCounts(): List<FlowLiteStatusCountRow>
+
     @Query(
         """
         select
@@ -400,10 +1181,17 @@ class SpringDataJdbcHistoryStore(
     @Volatile
     private var cockpitStatusResolver: ((flowId: String, stage: String?, status: StageStatus?) -> String?)? = null
 
+    @Volatile
+    private var summaryChangeListener: ((flowId: String, occurredAt: Instant) -> Unit)? = null
+
     fun setCockpitStatusResolver(resolver: (flowId: String, stage: String?, status: StageStatus?) -> String?) {
         cockpitStatusResolver = resolver
     }
 
+    fun setSummaryChangeListener(listener: (flowId: String, occurredAt: Instant) -> Unit) {
+        summaryChangeListener = listener
+    }
+
     override fun append(entry: HistoryEntry) {
         repo.save(
             FlowLiteHistoryRow(
@@ -421,6 +1209,15 @@ class SpringDataJdbcHistoryStore(
                 errorType = entry.errorType,
                 errorMessage = entry.errorMessage,
                 errorStackTrace = entry.errorStackTrace,
+                failureDisposition = entry.failureDisposition,
+                retryAttempt = entry.retryAttempt,
+                maxRetryAttempts = entry.maxRetryAttempts,
+                nextRetryAt = entry.nextRetryAt,
+                wakeUpAt = entry.wakeUpAt,
+                actor = entry.actor,
+                reason = entry.reason,
+                stateBefore = entry.stateBefore,
+                stateAfter = entry.stateAfter,
             ),
         )
 
@@ -436,10 +1233,36 @@ class SpringDataJdbcHistoryStore(
             updatedAt = entry.occurredAt,
         )).apply(entry, cockpitStatusResolver)
         summaryRepo.save(next)
+        notifySummaryChanged(entry.flowId, entry.occurredAt)
     }
+
+    // Inside a transaction the listener only hears of the change after commit, once other connections can read it.
+    private fun notifySummaryChanged(flowId: String, occurredAt: Instant) {
+        val listener = summaryChangeListener ?: return
+        if (!TransactionSynchronizationManager.isSynchronizationActive()) {
+            listener(flowId, occurredAt)
+            return
+        }
+        TransactionSynchronizationManager.registerSynchronization(
+            object : TransactionSynchronization {
+                override fun afterCommit() {
+                    listener(flowId, occurredAt)
+                }
+            },
+        )
+    }
+
+    override fun latestError(flowId: String, flowInstanceId: UUID): HistoryEntry.Error? =
+        repo.findLatestError(flowId, flowInstanceId)?.toHistoryEntry() as? HistoryEntry.Error
 }
 
-private fun HistoryEntry.affectsSummary(): Boolean = type != HistoryEntryType.EventAppended
+// Events and timer moves leave the stage and status as they are; the instance only changes once a tick processes it.
+private fun HistoryEntry.affectsSummary(): Boolean =
+    type != HistoryEntryType.EventAppended &&
+        type != HistoryEntryType.TimerWokenUp &&
+        type != HistoryEntryType.TimerRescheduled
+
+private const val MAX_BUSINESS_KEY_LENGTH = 256
 
 private fun FlowLiteInstanceSummaryRow.apply(
     entry: HistoryEntry,
@@ -455,7 +1278,10 @@ private fun FlowLiteInstanceSummaryRow.apply(
         HistoryEntryType.StageChanged,
         HistoryEntryType.ManualStageChanged,
         -> entry.toStage ?: stage
-        HistoryEntryType.EventAppended -> stage
+        HistoryEntryType.EventAppended,
+        HistoryEntryType.TimerWokenUp,
+        HistoryEntryType.TimerRescheduled,
+        -> stage
     }
 
     val nextStatus = when (entry.type) {
@@ -468,15 +1294,35 @@ private fun FlowLiteInstanceSummaryRow.apply(
         -> entry.toStatus?.name ?: status
         HistoryEntryType.StageChanged,
         HistoryEntryType.EventAppended,
+        HistoryEntryType.TimerWokenUp,
+        HistoryEntryType.TimerRescheduled,
         -> status
     }
 
     val nextStatusValue = runCatching { StageStatus.valueOf(nextStatus) }.getOrNull()
-    val nextCockpitStatus = cockpitStatusResolver?.invoke(entry.flowId, nextStage, nextStatusValue) ?: cockpitStatus
+    // Only the latest Error entry describes the pending retry; any later transition supersedes it.
+    val isError = entry.type == HistoryEntryType.Error
+    val nextRetryAt = entry.nextRetryAt.takeIf { isError }
+    val nextCockpitStatus = if (nextRetryAt != null) {
+        "WaitingForRetry"
+    } else {
+        cockpitStatusResolver?.invoke(entry.flowId, nextStage, nextStatusValue) ?: cockpitStatus
+    }
 
+    val keepsError = !isError && nextStatus == StageStatus.Error.name
     val nextErrorMessage = when {
-        entry.type == HistoryEntryType.Error -> entry.errorMessage
-        nextStatus == StageStatus.Error.name -> lastErrorMessage
+        isError -> entry.errorMessage
+        keepsError -> lastErrorMessage
+        else -> null
+    }
+    val nextErrorType = when {
+        isError -> entry.errorType
+        keepsError -> lastErrorType
+        else -> null
+    }
+    val nextErrorFingerprint = when {
+        isError -> errorFingerprint(entry.errorType, entry.errorMessage)
+        keepsError -> lastErrorFingerprint
         else -> null
     }
 
@@ -485,7 +1331,14 @@ private fun FlowLiteInstanceSummaryRow.apply(
         status = nextStatus,
         cockpitStatus = nextCockpitStatus,
         lastErrorMessage = nextErrorMessage,
+        lastErrorType = nextErrorType,
+        lastErrorFingerprint = nextErrorFingerprint,
         updatedAt = entry.occurredAt,
+        failureDisposition = entry.failureDisposition?.name.takeIf { isError },
+        retryAttempt = entry.retryAttempt.takeIf { isError },
+        maxRetryAttempts = entry.maxRetryAttempts.takeIf { isError },
+        nextRetryAt = nextRetryAt,
+        businessKey = entry.businessKey?.take(MAX_BUSINESS_KEY_LENGTH) ?: businessKey,
     )
 }
 
@@ -503,6 +1356,8 @@ fun FlowLiteHistoryRow.toHistoryEntry() =
             flowInstanceId = flowInstanceId,
             occurredAt = occurredAt,
             event = event,
+            actor = actor,
+            reason = reason,
         )
         HistoryEntryType.StatusChanged -> HistoryEntry.StatusChanged(
             flowId = flowId,
@@ -511,6 +1366,8 @@ fun FlowLiteHistoryRow.toHistoryEntry() =
             stage = stage,
             fromStatus = fromStatus?.let { runCatching { StageStatus.valueOf(it) }.getOrNull() },
             toStatus = toStatus?.let { runCatching { StageStatus.valueOf(it) }.getOrNull() },
+            stateBefore = stateBefore,
+            stateAfter = stateAfter,
         )
         HistoryEntryType.StageChanged -> HistoryEntry.StageChanged(
             flowId = flowId,
@@ -519,6 +1376,8 @@ fun FlowLiteHistoryRow.toHistoryEntry() =
             fromStage = fromStage,
             toStage = toStage,
             event = event,
+            stateBefore = stateBefore,
+            stateAfter = stateAfter,
         )
         HistoryEntryType.Retried -> HistoryEntry.Retried(
             flowId = flowId,
@@ -527,6 +1386,8 @@ fun FlowLiteHistoryRow.toHistoryEntry() =
             stage = stage,
             fromStatus = fromStatus?.let { runCatching { StageStatus.valueOf(it) }.getOrNull() },
             toStatus = toStatus?.let { runCatching { StageStatus.valueOf(it) }.getOrNull() },
+            actor = actor,
+            reason = reason,
         )
         HistoryEntryType.ManualStageChanged -> HistoryEntry.ManualStageChanged(
             flowId = flowId,
@@ -536,6 +1397,8 @@ fun FlowLiteHistoryRow.toHistoryEntry() =
             toStage = toStage,
             fromStatus = fromStatus?.let { runCatching { StageStatus.valueOf(it) }.getOrNull() },
             toStatus = toStatus?.let { runCatching { StageStatus.valueOf(it) }.getOrNull() },
+            actor = actor,
+            reason = reason,
         )
         HistoryEntryType.Cancelled -> HistoryEntry.Cancelled(
             flowId = flowId,
@@ -544,6 +1407,8 @@ fun FlowLiteHistoryRow.toHistoryEntry() =
             stage = stage,
             fromStatus = fromStatus?.let { runCatching { StageStatus.valueOf(it) }.getOrNull() },
             toStatus = toStatus?.let { runCatching { StageStatus.valueOf(it) }.getOrNull() },
+            actor = actor,
+            reason = reason,
         )
         HistoryEntryType.Error -> HistoryEntry.Error(
             flowId = flowId,
@@ -555,5 +1420,27 @@ fun FlowLiteHistoryRow.toHistoryEntry() =
             errorType = errorType,
             errorMessage = errorMessage,
             errorStackTrace = errorStackTrace,
+            failureDisposition = failureDisposition,
+            retryAttempt = retryAttempt,
+            maxRetryAttempts = maxRetryAttempts,
+            nextRetryAt = nextRetryAt,
+        )
+        HistoryEntryType.TimerWokenUp -> HistoryEntry.TimerWokenUp(
+            flowId = flowId,
+            flowInstanceId = flowInstanceId,
+            occurredAt = occurredAt,
+            stage = stage,
+            wakeUpAt = wakeUpAt,
+            actor = actor,
+            reason = reason,
+        )
+        HistoryEntryType.TimerRescheduled -> HistoryEntry.TimerRescheduled(
+            flowId = flowId,
+            flowInstanceId = flowInstanceId,
+            occurredAt = occurredAt,
+            stage = stage,
+            wakeUpAt = wakeUpAt,
+            actor = actor,
+            reason = reason,
         )
     }
@@ -0,0 +1,53 @@
+package io.flowlite.test
+
+import io.flowlite.cockpit.CockpitInstanceSearch
+import io.flowlite.cockpit.CockpitInstanceSearchException
+import io.flowlite.cockpit.CockpitSearchValues
+import io.kotest.assertions.throwables.shouldThrow
+import io.kotest.core.spec.style.BehaviorSpec
+import io.kotest.matchers.shouldBe
+import io.kotest.matchers.string.shouldContain
+import java.time.Duration
+
+class CockpitInstanceSearchTest : BehaviorSpec({
+    given("an instance search query") {
+        `when`("it combines fields, negation, durations and a quoted error") {
+            val search = CockpitInstanceSearch.parse(
+                """flow:order-confirmation status:Error,waitingforevent -stage:InformingCustomer updated<2h error~"timeout reached"""",
+            )
+
+            then("each term becomes a filter and statuses are normalized") {
+                search shouldBe CockpitInstanceSearch(
+                    flows = CockpitSearchValues(included = setOf("order-confirmation")),
+                    stages = CockpitSearchValues(excluded = setOf("InformingCustomer")),
+                    statuses = CockpitSearchValues(included = setOf("Error", "WaitingForEvent")),
+                    errorMessage = "timeout reached",
+                    updatedWithin = Duration.ofHours(2),
+                )
+            }
+        }
+
+        `when`("it mixes plain words, repeated fields and combined durations") {
+            val search = CockpitInstanceSearch.parse("""ORD-1 stage:"Waiting For Payment",Review -flow:a,b updated>1h30m updated>1d -error~"a,b"""")
+
+            then("words are searched as text, values are merged and the longest inactivity wins") {
+                search.text shouldBe "ORD-1"
+                search.stages.included shouldBe setOf("Waiting For Payment", "Review")
+                search.flows.excluded shouldBe setOf("a", "b")
+                search.notUpdatedFor shouldBe Duration.ofDays(1)
+                search.excludedErrorMessage shouldBe "a,b"
+            }
+        }
+
+        `when`("it is malformed") {
+            then("the error names the offending term") {
+                shouldThrow<CockpitInstanceSearchException> { CockpitInstanceSearch.parse("owner:me") }.message shouldContain "owner"
+                shouldThrow<CockpitInstanceSearchException> { CockpitInstanceSearch.parse("status:Broken") }.message shouldContain "Broken"
+                shouldThrow<CockpitInstanceSearchException> { CockpitInstanceSearch.parse("updated<soon") }.message shouldContain "soon"
+                shouldThrow<CockpitInstanceSearchException> { CockpitInstanceSearch.parse("stage~Review") }.message shouldContain "stage:value"
+                shouldThrow<CockpitInstanceSearchException> { CockpitInstanceSearch.parse("flow:") }
+                shouldThrow<CockpitInstanceSearchException> { CockpitInstanceSearch.parse("error~\"open") }
+            }
+        }
+    }
+})
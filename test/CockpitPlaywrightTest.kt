@@ -222,6 +222,12 @@ class CockpitPlaywrightTest : BehaviorSpec({
         assertThat(page.getByTestId("cockpit-title")).isVisible()
     }
 
+    // Actions on one instance run through its own endpoint and close the dialog once they succeed.
+    fun confirmInstanceAction(page: Page) {
+        page.getByTestId("action-confirmation-confirm").click()
+        assertThat(page.getByTestId("action-confirmation-modal")).hasCount(0)
+    }
+
     fun instanceRow(page: Page, instanceId: UUID): Locator =
         page.locator("[data-testid='instances-row'][data-instance-id='$instanceId']")
 
@@ -622,6 +628,7 @@ class CockpitPlaywrightTest : BehaviorSpec({
             assertThat(page.getByTestId("copy-instance-list-id-${fixture.orderPendingId}")).containsText("Copied")
             listCopyWorked = true
             instanceRow(page, fixture.orderPendingId).click()
+            assertThat(page.getByTestId("instance-mailbox")).isVisible()
             page.getByTestId("copy-instance-details-id").click()
             assertThat(page.getByTestId("copy-instance-details-id")).containsText("Copied")
             detailsCopyWorked = true
@@ -635,6 +642,7 @@ class CockpitPlaywrightTest : BehaviorSpec({
             page.navigate(cockpitUrl())
             page.getByTestId("flow-view-diagram-order-confirmation").click()
             assertThat(page.getByTestId("flow-diagram-modal")).isVisible()
+            assertThat(page.locator("[data-testid=flow-diagram-canvas] .mermaid-diagram[data-renderer=mermaid] svg")).isVisible()
             page.keyboard().press("Escape")
             assertThat(page.getByTestId("flow-diagram-modal")).hasCount(0)
 
@@ -738,6 +746,10 @@ class CockpitPlaywrightTest : BehaviorSpec({
                     assertThat(currentPage.getByTestId("errors-message-filter")).hasValue("")
                     assertThat(currentPage.getByTestId("error-group-order-confirmation-InformingCustomer")).isVisible()
                     assertThat(currentPage.getByTestId("error-group-employee-onboarding-UpdateHRSystem")).isVisible()
+                    assertThat(
+                        currentPage.getByTestId("error-group-order-confirmation-InformingCustomer")
+                            .locator("[data-testid^='error-fingerprint-pattern-']"),
+                    ).hasText(arrayOf("manual notification staging required", "notification retry needed"))
                     instanceErrorStackTrace.shouldContain("notification retry needed")
                     historyErrorStackTrace.shouldContain("Notify.retry")
                     assertThat(currentPage.getByTestId("instance-details-modal")).hasCount(0)
@@ -755,17 +767,22 @@ class CockpitPlaywrightTest : BehaviorSpec({
 
             page.getByTestId("error-instance-checkbox-${fixture.orderErrorRetryId}").check()
             page.getByTestId("errors-retry-selected").click()
-            page.getByTestId("action-confirmation-confirm").click()
+            confirmInstanceAction(page)
 
             page.getByTestId("error-instance-checkbox-${fixture.orderErrorChangeStageId}").check()
             page.getByTestId("errors-change-stage-selected").click()
             page.getByTestId("change-stage-select").selectOption(OrderConfirmationStage.WaitingForConfirmation.name)
             page.getByTestId("change-stage-confirm").click()
-            page.getByTestId("action-confirmation-confirm").click()
+            confirmInstanceAction(page)
 
-            page.getByTestId("error-instance-checkbox-${fixture.employeeErrorCancelId}").check()
-            page.getByTestId("errors-cancel-selected").click()
-            page.getByTestId("action-confirmation-confirm").click()
+            page.getByTestId("error-group-cancel-all-employee-onboarding-UpdateHRSystem").click()
+            page.getByTestId("action-confirmation-confirm").dblclick()
+            assertThat(page.getByTestId("action-result-${fixture.employeeErrorCancelId}")).hasAttribute("data-outcome", "Succeeded")
+            // The double click submitted one job only; a second one would show up in the jobs panel.
+            assertThat(page.locator("[data-testid^='bulk-job-counts-']")).hasCount(0)
+            assertThat(page.getByTestId("action-confirmation-result-counts")).containsText("1 succeeded")
+            assertThat(page.getByTestId("action-confirmation-download-csv")).isVisible()
+            page.getByTestId("action-confirmation-done").click()
 
             page.getByTestId("tab-instances").click()
             page.getByTestId("instances-search").fill(fixture.orderErrorChangeStageId.toString())
@@ -776,7 +793,7 @@ class CockpitPlaywrightTest : BehaviorSpec({
             page.getByTestId("instances-search").fill(fixture.employeeErrorCancelId.toString())
             instanceRow(page, fixture.employeeErrorCancelId).click()
 
-            then("it retries, changes stage, and cancels selected instances") {
+            then("it retries and changes the stage of selected instances and cancels an error group as a bulk job") {
                 verifyRecordedContext(session) { currentPage ->
                     changedStageText.shouldContain(OrderConfirmationStage.WaitingForConfirmation.name)
                     assertThat(currentPage.getByTestId("instance-details-status")).containsText(StageStatus.Cancelled.name)
@@ -803,7 +820,7 @@ class CockpitPlaywrightTest : BehaviorSpec({
             page.getByTestId("long-running-deselect-selected").click()
             page.getByTestId("long-running-checkbox-${fixture.orderLongRunningId}").check()
             page.getByTestId("long-running-retry-selected").click()
-            page.getByTestId("action-confirmation-confirm").click()
+            confirmInstanceAction(page)
             page.getByTestId("tab-instances").click()
             page.getByTestId("instances-search").fill(fixture.orderLongRunningId.toString())
 
@@ -816,6 +833,31 @@ class CockpitPlaywrightTest : BehaviorSpec({
             }
         }
 
+        `when`("viewing the timeline of an instance that is still open") {
+            val fixture = seedRichFixture()
+            val session = openRecordedContext("it-grows-the-open-timeline-segment")
+            val page = session.page
+
+            page.clock().install()
+            navigateToCockpit(page, "tab=instances")
+            page.getByTestId("instances-search").fill(fixture.orderErrorRetryId.toString())
+            instanceRow(page, fixture.orderErrorRetryId).click()
+            assertThat(page.getByTestId("instance-timeline")).isVisible()
+            val laneDurationBefore = page.getByTestId("instance-timeline-lane-duration-0").textContent() ?: ""
+            page.clock().runFor(Duration.ofMinutes(2).toMillis())
+
+            then("it lays out the stage segments and keeps the open one growing") {
+                verifyRecordedContext(session) { currentPage ->
+                    assertThat(currentPage.getByTestId("instance-timeline-lane-0")).containsText(OrderConfirmationStage.InformingCustomer.name)
+                    assertThat(currentPage.getByTestId("instance-timeline-segment-0-1")).hasAttribute("data-status", "Error")
+                    assertThat(currentPage.getByTestId("instance-timeline-segment-0-1")).hasAttribute("data-retry", "false")
+                    assertThat(currentPage.getByTestId("instance-timeline-end")).containsText("now")
+                    laneDurationBefore.shouldContain("50m")
+                    assertThat(currentPage.getByTestId("instance-timeline-lane-duration-0")).containsText("52m")
+                }
+            }
+        }
+
         `when`("updating instances from the detail modal") {
             val fixture = seedRichFixture()
             val session = openRecordedContext("it-refreshes-detail-modal-after-actions")
@@ -827,14 +869,14 @@ class CockpitPlaywrightTest : BehaviorSpec({
             page.getByTestId("instance-change-stage").click()
             page.getByTestId("change-stage-select").selectOption(OrderConfirmationStage.WaitingForConfirmation.name)
             page.getByTestId("change-stage-confirm").click()
-            page.getByTestId("action-confirmation-confirm").click()
+            confirmInstanceAction(page)
             page.getByTestId("instance-details-close").click()
             assertThat(page.getByTestId("instance-details-modal")).hasCount(0)
 
             assertThat(page.getByTestId("error-instance-${fixture.employeeErrorCancelId}")).isVisible()
             page.getByTestId("error-instance-${fixture.employeeErrorCancelId}").click()
             page.getByTestId("instance-cancel").click()
-            page.getByTestId("action-confirmation-confirm").click()
+            confirmInstanceAction(page)
 
             then("it refreshes the modal stage, status, and history after change-stage and cancel actions") {
                 verifyRecordedContext(session) { currentPage ->
@@ -845,6 +887,89 @@ class CockpitPlaywrightTest : BehaviorSpec({
             }
         }
 
+        `when`("watching the flows tab while the backend changes") {
+            val fixture = seedRichFixture()
+            val session = openRecordedContext("it-live-updates-flow-cards")
+            val page = session.page
+
+            navigateToCockpit(page)
+            assertThat(page.getByTestId("flows-live-status")).containsText("Live")
+            assertThat(page.getByTestId("flow-errors-order-confirmation")).containsText("2 errors")
+
+            appendHistory(
+                historyRow(
+                    occurredAt = Instant.now(),
+                    flowId = ORDER_CONFIRMATION_FLOW_ID,
+                    flowInstanceId = fixture.orderPendingId,
+                    type = HistoryEntryType.Error,
+                    stage = OrderConfirmationStage.WaitingForConfirmation.name,
+                    fromStatus = StageStatus.Running,
+                    toStatus = StageStatus.Error,
+                    errorMessage = "live update failure",
+                ),
+            )
+            assertThat(page.getByTestId("flow-errors-order-confirmation")).containsText("3 errors")
+            val liveErrorCount = page.getByTestId("flow-errors-order-confirmation").textContent()
+
+            page.getByTestId("flows-live-toggle").click()
+            assertThat(page.getByTestId("flows-live-status")).containsText("Paused")
+            appendHistory(
+                historyRow(
+                    occurredAt = Instant.now(),
+                    flowId = ORDER_CONFIRMATION_FLOW_ID,
+                    flowInstanceId = fixture.orderLongRunningId,
+                    type = HistoryEntryType.Error,
+                    stage = OrderConfirmationStage.WaitingForConfirmation.name,
+                    fromStatus = StageStatus.Running,
+                    toStatus = StageStatus.Error,
+                    errorMessage = "paused update failure",
+                ),
+            )
+            page.waitForTimeout(1000.0)
+            val pausedErrorCount = page.getByTestId("flow-errors-order-confirmation").textContent()
+            page.getByTestId("flows-refresh").click()
+
+            then("it updates flow cards in place while live and only on manual refresh while paused") {
+                verifyRecordedContext(session) { currentPage ->
+                    liveErrorCount.shouldContain("3 errors")
+                    pausedErrorCount.shouldContain("3 errors")
+                    assertThat(currentPage.getByTestId("flow-errors-order-confirmation")).containsText("4 errors")
+                    assertThat(currentPage.getByTestId("flows-last-updated")).isVisible()
+                    assertThat(currentPage.getByTestId("flows-heading")).isVisible()
+                }
+            }
+        }
+
+        `when`("sorting instances and choosing table columns") {
+            val fixture = seedRichFixture()
+            val session = openRecordedContext("it-sorts-instances-and-persists-column-layout")
+            val page = session.page
+
+            navigateToCockpit(page, "tab=instances&incomplete=1")
+
+            page.getByTestId("instances-sort-stage").click()
+            page.getByTestId("instances-column-picker").click()
+            page.getByTestId("instances-column-toggle-errorMessage").check()
+            page.getByTestId("instances-column-toggle-updatedAt").uncheck()
+            val sharedUrl = page.url()
+
+            page.navigate(cockpitUrl("tab=instances&incomplete=1"))
+            val storedStageSort = page.getByTestId("instances-sort-stage").getAttribute("data-sort-direction")
+
+            page.navigate(sharedUrl)
+
+            then("it pushes the sort to the backend and restores the layout from shared links and localStorage") {
+                verifyRecordedContext(session) { currentPage ->
+                    sharedUrl.shouldContain("sort=stage%2Casc")
+                    sharedUrl.shouldContain("cols=businessKey%2Cflow%2Cstage%2Cstatus%2CerrorMessage")
+                    storedStageSort shouldBe "asc"
+                    assertThat(currentPage.getByTestId("instances-sort-stage")).hasAttribute("data-sort-direction", "asc")
+                    assertThat(currentPage.getByTestId("instances-sort-updatedAt")).hasCount(0)
+                    assertThat(currentPage.getByTestId("instance-error-${fixture.orderErrorRetryId}")).isVisible()
+                }
+            }
+        }
+
         `when`("filtering instances") {
             val fixture = seedRichFixture()
             val session = openRecordedContext("it-filters-instances-and-clears-filters")
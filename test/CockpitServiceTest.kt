@@ -1,22 +1,78 @@
 package io.flowlite.test
 
+import io.flowlite.Engine
+import io.flowlite.Event
+import io.flowlite.FailureDisposition
 import io.flowlite.FlowLiteHistoryRepository
 import io.flowlite.FlowLiteHistoryRow
 import io.flowlite.FlowLiteInstanceSummaryRepository
+import io.flowlite.FlowLiteMetrics
+import io.flowlite.FlowLiteTickRepository
+import io.flowlite.HistoryEntry
 import io.flowlite.HistoryEntryType
+import io.flowlite.Intervention
+import io.flowlite.MermaidGenerator
+import io.flowlite.PendingEventRepository
+import io.flowlite.SpringDataJdbcEventStore
 import io.flowlite.SpringDataJdbcHistoryStore
+import io.flowlite.SpringDataJdbcTickScheduler
 import io.flowlite.StageStatus
+import io.flowlite.normalizeErrorMessage
 import io.flowlite.toHistoryEntry
+import io.flowlite.cockpit.CockpitAccessDeniedException
+import io.flowlite.cockpit.CockpitAction
+import io.flowlite.cockpit.CockpitAnalyticsWindow
+import io.flowlite.cockpit.CockpitAuthorizer
+import io.flowlite.cockpit.CockpitBulkAction
+import io.flowlite.cockpit.CockpitBulkActionRunner
+import io.flowlite.cockpit.CockpitBulkItemOutcome
+import io.flowlite.cockpit.CockpitBulkJobDto
+import io.flowlite.cockpit.CockpitBulkJobStatus
+import io.flowlite.cockpit.CockpitExportFormat
+import io.flowlite.cockpit.CockpitFlowsInvalidated
 import io.flowlite.cockpit.CockpitInstanceBucket
+import io.flowlite.cockpit.CockpitInstanceCursor
+import io.flowlite.cockpit.CockpitInstanceExportRow
+import io.flowlite.cockpit.CockpitInstanceExportWriter
+import io.flowlite.cockpit.CockpitInstanceQuery
+import io.flowlite.cockpit.CockpitInstanceSearchException
+import io.flowlite.cockpit.CockpitInstanceRef
+import io.flowlite.cockpit.CockpitInstanceSort
+import io.flowlite.cockpit.CockpitInstanceSortField
+import io.flowlite.cockpit.CockpitLiveUpdatePublisher
+import io.flowlite.cockpit.CockpitLiveUpdateSubscriber
+import io.flowlite.cockpit.CockpitRole
+import io.flowlite.cockpit.CockpitSavedViewStore
+import io.flowlite.cockpit.CockpitStateRenderer
 import io.flowlite.cockpit.CockpitStatus
 import io.flowlite.cockpit.CockpitService
+import io.flowlite.cockpit.cockpitRouter
+import io.kotest.assertions.throwables.shouldThrow
 import io.kotest.core.spec.style.BehaviorSpec
+import io.kotest.matchers.collections.shouldContain
 import io.kotest.matchers.collections.shouldContainExactly
+import io.kotest.matchers.collections.shouldNotContain
+import io.kotest.matchers.nulls.shouldNotBeNull
 import io.kotest.matchers.shouldBe
+import io.kotest.matchers.shouldNotBe
+import io.kotest.matchers.string.shouldContain
+import io.kotest.matchers.string.shouldNotContain
 import java.time.Duration
+import java.io.StringWriter
 import java.time.Instant
 import java.util.UUID
+import java.util.concurrent.CountDownLatch
+import java.util.concurrent.LinkedBlockingQueue
+import java.util.concurrent.TimeUnit
 import org.springframework.beans.factory.getBean
+import org.springframework.http.HttpStatus
+import org.springframework.mock.web.MockHttpServletRequest
+import org.springframework.transaction.PlatformTransactionManager
+import org.springframework.transaction.support.TransactionTemplate
+import org.springframework.web.servlet.function.ServerRequest
+import org.springframework.web.util.ServletRequestPathUtils
+
+private enum class StrayEvent : Event { Unexpected }
 
 class CockpitServiceTest : BehaviorSpec({
     val context = startTestApplication()
@@ -87,6 +143,93 @@ class CockpitServiceTest : BehaviorSpec({
                     .map { it.flowInstanceId } shouldContainExactly listOf(bError)
             }
 
+            then("listInstances translates a search query into summary filters") {
+                fun search(query: String) = service.listInstances(searchTerm = query).map { it.flowInstanceId }
+
+                search("flow:flow-a status:Error") shouldContainExactly listOf(aError2, aError1)
+                search("status:error -stage:Review") shouldContainExactly listOf(bError)
+                search("-flow:flow-a error~\"BOOM\"") shouldContainExactly listOf(bError)
+                search("-error~boom") shouldContainExactly listOf(aRunning, bCompleted, bCancelled)
+                search("flow:flow-b updated>1d") shouldContainExactly listOf(bError, bCompleted, bCancelled)
+                search("updated<1d") shouldBe emptyList()
+                search("flow:flow-a -flow:flow-a") shouldBe emptyList()
+                search("flow-b status:Completed,Cancelled") shouldContainExactly listOf(bCompleted, bCancelled)
+                service.listInstancePage(searchTerm = "status:Error", limit = 2).totalCount shouldBe 3L
+
+                shouldThrow<CockpitInstanceSearchException> { search("owner:me") }
+            }
+
+            then("listInstancePage pages through filtered rows with a keyset cursor") {
+                val firstPage = service.listInstancePage(limit = 4)
+                firstPage.items.map { it.flowInstanceId } shouldContainExactly listOf(bError, bCompleted, bCancelled, aError2)
+                firstPage.totalCount shouldBe 6L
+
+                val cursor = requireNotNull(firstPage.nextCursor)
+                CockpitInstanceCursor.decode(cursor.encode()) shouldBe cursor
+
+                val secondPage = service.listInstancePage(limit = 4, cursor = cursor)
+                secondPage.items.map { it.flowInstanceId } shouldContainExactly listOf(aError1, aRunning)
+                secondPage.totalCount shouldBe 6L
+                secondPage.nextCursor shouldBe null
+
+                val errorPage = service.listInstancePage(bucket = CockpitInstanceBucket.Error, limit = 2)
+                errorPage.items.map { it.flowInstanceId } shouldContainExactly listOf(bError, aError2)
+                errorPage.totalCount shouldBe 3L
+                CockpitInstanceCursor.decode("not-a-cursor") shouldBe null
+            }
+
+            then("listInstances and listInstancePage honour the requested sort") {
+                service.listInstances(sort = CockpitInstanceSort.parse("stage,asc")).map { it.flowInstanceId } shouldContainExactly listOf(
+                    bCompleted,
+                    bCancelled,
+                    bError,
+                    aError2,
+                    aError1,
+                    aRunning,
+                )
+                service.listInstances(sort = CockpitInstanceSort.parse("status,desc")).map { it.flowInstanceId } shouldContainExactly listOf(
+                    aRunning,
+                    bError,
+                    aError2,
+                    aError1,
+                    bCompleted,
+                    bCancelled,
+                )
+                service.listInstances(sort = CockpitInstanceSort.parse("updatedAt,asc")).map { it.flowInstanceId } shouldContainExactly listOf(
+                    aRunning,
+                    aError1,
+                    aError2,
+                    bCancelled,
+                    bCompleted,
+                    bError,
+                )
+
+                val stageSort = CockpitInstanceSort(CockpitInstanceSortField.Stage, descending = false)
+                val firstPage = service.listInstancePage(limit = 3, sort = stageSort)
+                firstPage.items.map { it.flowInstanceId } shouldContainExactly listOf(bCompleted, bCancelled, bError)
+                val cursor = requireNotNull(firstPage.nextCursor)
+                cursor.sortKey shouldBe "Investigate"
+                CockpitInstanceCursor.decode(cursor.encode()) shouldBe cursor
+
+                val secondPage = service.listInstancePage(limit = 3, cursor = cursor, sort = stageSort)
+                secondPage.items.map { it.flowInstanceId } shouldContainExactly listOf(aError2, aError1, aRunning)
+                secondPage.nextCursor shouldBe null
+
+                val allSorts = CockpitInstanceSortField.entries.flatMap { field ->
+                    listOf(false, true).map { CockpitInstanceSort(field, descending = it) }
+                }
+                allSorts.forEach { sort ->
+                    val pagedIds = generateSequence(service.listInstancePage(limit = 1, sort = sort)) { page ->
+                        page.nextCursor?.let { service.listInstancePage(limit = 1, cursor = it, sort = sort) }
+                    }.flatMap { it.items }.map { it.flowInstanceId }.toList()
+                    pagedIds shouldContainExactly service.listInstances(sort = sort).map { it.flowInstanceId }
+                }
+
+                CockpitInstanceSort.parse("flow") shouldBe CockpitInstanceSort(CockpitInstanceSortField.Flow, descending = false)
+                CockpitInstanceSort.parse("updatedAt,sideways") shouldBe null
+                CockpitInstanceSort.parse("priority,asc") shouldBe null
+            }
+
         }
     }
 
@@ -136,8 +279,11 @@ class CockpitServiceTest : BehaviorSpec({
                     ),
                 )
                 onboarding.diagram.contains("stateDiagram-v2") shouldBe true
+                onboarding.pendingStatusByStage["DelayAfterHRUpdate"] shouldBe CockpitStatus.WaitingForTimer
+                onboarding.pendingStatusByStage["GenerateOnboardingDocuments"] shouldBe CockpitStatus.PendingEngine
 
                 val order = flows.first { it.flowId == ORDER_CONFIRMATION_FLOW_ID }
+                order.pendingStatusByStage["WaitingForConfirmation"] shouldBe CockpitStatus.WaitingForEvent
                 order.activeCount shouldBe 2
                 order.errorCount shouldBe 1
                 order.completedCount shouldBe 0
@@ -202,6 +348,241 @@ class CockpitServiceTest : BehaviorSpec({
         }
     }
 
+    given("auto retry projection") {
+        `when`("an error is scheduled for automatic retry") {
+            val flowId = "flow-auto-retry"
+            val waiting = UUID.fromString("00000000-0000-0000-0000-000000000301")
+            val retrying = UUID.fromString("00000000-0000-0000-0000-000000000302")
+            val nextRetryAt = Instant.parse("2026-03-04T10:00:30Z")
+
+            then("it shows the instance as waiting for retry in the error bucket until the retry starts") {
+                summaryRepo.deleteAll()
+                historyRepo.deleteAll()
+                listOf(waiting, retrying).forEach { flowInstanceId ->
+                    historyStore.append(
+                        HistoryEntry.Error(
+                            flowId = flowId,
+                            flowInstanceId = flowInstanceId,
+                            occurredAt = Instant.parse("2026-03-04T10:00:00Z"),
+                            stage = "Review",
+                            fromStatus = StageStatus.Running,
+                            toStatus = StageStatus.Error,
+                            errorMessage = "timeout",
+                            failureDisposition = FailureDisposition.AutoRetry,
+                            retryAttempt = 2,
+                            maxRetryAttempts = 5,
+                            nextRetryAt = nextRetryAt,
+                        ),
+                    )
+                }
+                historyStore.append(
+                    historyRow("2026-03-04T10:00:30Z", flowId, retrying, HistoryEntryType.StatusChanged, stage = "Review", fromStatus = StageStatus.Error, toStatus = StageStatus.Running)
+                        .toHistoryEntry(),
+                )
+
+                val errors = service.listInstances(bucket = CockpitInstanceBucket.Error)
+                errors.map { it.flowInstanceId } shouldContainExactly listOf(waiting)
+                errors.single().cockpitStatus shouldBe CockpitStatus.WaitingForRetry
+                errors.single().failureDisposition shouldBe FailureDisposition.AutoRetry
+                errors.single().retryAttempt shouldBe 2
+                errors.single().maxRetryAttempts shouldBe 5
+                errors.single().nextRetryAt shouldBe nextRetryAt
+
+                val resumed = requireNotNull(service.instance(flowId, retrying))
+                resumed.cockpitStatus shouldBe CockpitStatus.Running
+                resumed.nextRetryAt shouldBe null
+                resumed.failureDisposition shouldBe null
+            }
+        }
+    }
+
+    given("error fingerprints") {
+        `when`("one stage fails with different kinds of errors") {
+            val flowId = "flow-fingerprint"
+            val gatewayError1 = UUID.fromString("00000000-0000-0000-0000-000000000401")
+            val gatewayError2 = UUID.fromString("00000000-0000-0000-0000-000000000402")
+            val validationError = UUID.fromString("00000000-0000-0000-0000-000000000403")
+            val ioError = "java.io.IOException"
+            val validation = "java.lang.IllegalArgumentException"
+
+            fun seedRows() {
+                summaryRepo.deleteAll()
+                historyRepo.deleteAll()
+                listOf(
+                    historyRow("2026-03-04T11:00:00Z", flowId, gatewayError1, HistoryEntryType.Error, stage = "Notify", fromStatus = StageStatus.Running, toStatus = StageStatus.Error, errorType = ioError, errorMessage = "HTTP 503 from node7"),
+                    historyRow("2026-03-04T11:01:00Z", flowId, validationError, HistoryEntryType.Error, stage = "Notify", fromStatus = StageStatus.Running, toStatus = StageStatus.Error, errorType = validation, errorMessage = "Invalid email for customer 42"),
+                    historyRow("2026-03-04T11:02:00Z", flowId, gatewayError2, HistoryEntryType.Error, stage = "Notify", fromStatus = StageStatus.Running, toStatus = StageStatus.Error, errorType = ioError, errorMessage = "HTTP 503  from node12"),
+                ).forEach { historyStore.append(it.toHistoryEntry()) }
+            }
+
+            seedRows()
+
+            then("messages are normalized by masking uuids, ids and numbers") {
+                normalizeErrorMessage("Order 5f0c9b0e-3c1a-4d7e-9a59-2f4c1b7d8e90 failed for user abc123 after 3 attempts") shouldBe
+                    "Order <uuid> failed for user <id> after <n> attempts"
+            }
+
+            then("error groups split a stage by fingerprint, largest first") {
+                val groups = service.listErrorGroups(CockpitInstanceQuery(bucket = CockpitInstanceBucket.Error, flowId = flowId))
+                groups.map { it.errorPattern } shouldContainExactly listOf("HTTP <n> from <id>", "Invalid email for customer <n>")
+                groups.map { it.count } shouldContainExactly listOf(2, 1)
+                groups.map { it.errorType } shouldContainExactly listOf(ioError, validation)
+                groups.first().stage shouldBe "Notify"
+                groups.first().firstSeenAt shouldBe Instant.parse("2026-03-04T11:00:00Z")
+                groups.first().lastSeenAt shouldBe Instant.parse("2026-03-04T11:02:00Z")
+            }
+
+            then("instances can be filtered by fingerprint") {
+                val fingerprint = requireNotNull(service.instance(flowId, gatewayError1)?.errorFingerprint)
+                service.instance(flowId, gatewayError2)?.errorFingerprint shouldBe fingerprint
+                service.instance(flowId, validationError)?.errorFingerprint shouldNotBe fingerprint
+
+                service.listInstances(errorFingerprint = fingerprint).map { it.flowInstanceId } shouldContainExactly listOf(gatewayError2, gatewayError1)
+            }
+
+            then("the fingerprint is cleared once the instance leaves the error") {
+                historyStore.append(
+                    historyRow("2026-03-04T11:03:00Z", flowId, gatewayError1, HistoryEntryType.Retried, stage = "Notify", fromStatus = StageStatus.Error, toStatus = StageStatus.Pending)
+                        .toHistoryEntry(),
+                )
+
+                val retried = requireNotNull(service.instance(flowId, gatewayError1))
+                retried.errorFingerprint shouldBe null
+                retried.lastErrorType shouldBe null
+                service.listErrorGroups(CockpitInstanceQuery(bucket = CockpitInstanceBucket.Error, flowId = flowId))
+                    .map { it.count } shouldContainExactly listOf(1, 1)
+            }
+        }
+    }
+
+    given("instance diagram") {
+        `when`("an order instance failed after taking the not-digitally-confirmed branch") {
+            val orderId = UUID.fromString("00000000-0000-0000-0000-000000000501")
+
+            then("it highlights the visited path and the failed current stage") {
+                summaryRepo.deleteAll()
+                historyRepo.deleteAll()
+                listOf(
+                    historyRow("2026-03-04T12:00:00Z", ORDER_CONFIRMATION_FLOW_ID, orderId, HistoryEntryType.Started, stage = "InitializingConfirmation", toStatus = StageStatus.Pending),
+                    historyRow("2026-03-04T12:01:00Z", ORDER_CONFIRMATION_FLOW_ID, orderId, HistoryEntryType.StageChanged, fromStage = "InitializingConfirmation", toStage = "WaitingForConfirmation"),
+                    historyRow("2026-03-04T12:02:00Z", ORDER_CONFIRMATION_FLOW_ID, orderId, HistoryEntryType.StageChanged, fromStage = "WaitingForConfirmation", toStage = "InformingCustomer"),
+                    historyRow("2026-03-04T12:03:00Z", ORDER_CONFIRMATION_FLOW_ID, orderId, HistoryEntryType.Error, stage = "InformingCustomer", fromStatus = StageStatus.Running, toStatus = StageStatus.Error, errorMessage = "mail down"),
+                ).forEach { historyStore.append(it.toHistoryEntry()) }
+
+                val diagram = requireNotNull(service.instanceDiagram(ORDER_CONFIRMATION_FLOW_ID, orderId)).diagram
+                diagram shouldContain "class InitializingConfirmation,WaitingForConfirmation,if_wasconfirmeddigitally visited"
+                diagram shouldContain "class RemovingFromConfirmationQueue notVisited"
+                diagram shouldContain "class InformingCustomer currentError"
+
+                service.instanceDiagram(ORDER_CONFIRMATION_FLOW_ID, UUID.randomUUID()) shouldBe null
+                service.instanceDiagram("unknown-flow", orderId) shouldBe null
+            }
+        }
+    }
+
+    given("flow heatmap") {
+        `when`("an order instance is failing in one stage") {
+            val orderId = UUID.fromString("00000000-0000-0000-0000-000000000502")
+
+            then("it shows the stage counts and marks that stage as the hottest") {
+                summaryRepo.deleteAll()
+                historyRepo.deleteAll()
+                listOf(
+                    historyRow("2026-03-04T12:00:00Z", ORDER_CONFIRMATION_FLOW_ID, orderId, HistoryEntryType.Started, stage = "InitializingConfirmation", toStatus = StageStatus.Pending),
+                    historyRow("2026-03-04T12:01:00Z", ORDER_CONFIRMATION_FLOW_ID, orderId, HistoryEntryType.StageChanged, fromStage = "InitializingConfirmation", toStage = "InformingCustomer"),
+                    historyRow("2026-03-04T12:02:00Z", ORDER_CONFIRMATION_FLOW_ID, orderId, HistoryEntryType.Error, stage = "InformingCustomer", fromStatus = StageStatus.Running, toStatus = StageStatus.Error, errorMessage = "mail down"),
+                ).forEach { historyStore.append(it.toHistoryEntry()) }
+
+                val diagram = requireNotNull(service.flowHeatmap(ORDER_CONFIRMATION_FLOW_ID)).diagram
+                diagram shouldContain "InformingCustomer: 1 open, 1 err"
+                diagram shouldContain "WaitingForConfirmation: 0 open"
+                diagram shouldContain "class InformingCustomer heat4"
+
+                service.flowHeatmap("unknown-flow") shouldBe null
+            }
+        }
+    }
+
+    given("pending events and next tick") {
+        val eventStore = context.getBean<SpringDataJdbcEventStore>()
+        val tickScheduler = context.getBean<SpringDataJdbcTickScheduler>()
+        val pendingEventRepo = context.getBean<PendingEventRepository>()
+        val tickRepo = context.getBean<FlowLiteTickRepository>()
+
+        `when`("an order instance waits for confirmation with events in its mailbox and a scheduled wake-up") {
+            val orderId = UUID.fromString("00000000-0000-0000-0000-000000000503")
+            val wakeUpAt = Instant.parse("2099-01-01T00:00:00Z")
+
+            then("it lists the events, marks the accepted ones and returns the next wake-up") {
+                summaryRepo.deleteAll()
+                historyRepo.deleteAll()
+                listOf(
+                    historyRow("2026-03-04T12:00:00Z", ORDER_CONFIRMATION_FLOW_ID, orderId, HistoryEntryType.Started, stage = "InitializingConfirmation", toStatus = StageStatus.Pending),
+                    historyRow("2026-03-04T12:01:00Z", ORDER_CONFIRMATION_FLOW_ID, orderId, HistoryEntryType.StageChanged, fromStage = "InitializingConfirmation", toStage = "WaitingForConfirmation"),
+                ).forEach { historyStore.append(it.toHistoryEntry()) }
+                eventStore.append(ORDER_CONFIRMATION_FLOW_ID, orderId, StrayEvent.Unexpected)
+                eventStore.append(ORDER_CONFIRMATION_FLOW_ID, orderId, OrderConfirmationEvent.Confirmed)
+                // Far in the future so the running scheduler never claims it.
+                tickScheduler.scheduleTick(ORDER_CONFIRMATION_FLOW_ID, orderId, notBefore = wakeUpAt, targetStage = "WaitingForConfirmation")
+
+                try {
+                    val pending = requireNotNull(service.pendingEvents(ORDER_CONFIRMATION_FLOW_ID, orderId))
+                    pending.stage shouldBe "WaitingForConfirmation"
+                    pending.acceptedEvents.map { it.value } shouldContainExactly listOf("Confirmed")
+                    pending.events.associate { it.value to it.acceptedByCurrentStage } shouldBe mapOf("Unexpected" to false, "Confirmed" to true)
+
+                    val nextTick = requireNotNull(service.nextTick(ORDER_CONFIRMATION_FLOW_ID, orderId))
+                    nextTick.nextTick?.notBefore shouldBe wakeUpAt
+                    nextTick.nextTick?.retryAttempt shouldBe null
+
+                    service.pendingEvents("unknown-flow", orderId) shouldBe null
+                    service.nextTick(ORDER_CONFIRMATION_FLOW_ID, UUID.randomUUID()) shouldBe null
+                } finally {
+                    pendingEventRepo.deleteAll(pendingEventRepo.findByFlowIdAndFlowInstanceId(ORDER_CONFIRMATION_FLOW_ID, orderId))
+                    tickRepo.findScheduledTick(ORDER_CONFIRMATION_FLOW_ID, orderId, "WaitingForConfirmation")?.let { tickRepo.delete(it) }
+                }
+            }
+        }
+
+        `when`("the wake-up of a waiting order instance is moved by an operator") {
+            val orderId = UUID.fromString("00000000-0000-0000-0000-000000000504")
+            val rescheduledAt = Instant.parse("2099-06-01T00:00:00Z")
+
+            then("the scheduled tick moves and the timeline records the new wake-up without touching the summary") {
+                summaryRepo.deleteAll()
+                historyRepo.deleteAll()
+                historyStore.append(
+                    historyRow("2026-03-04T12:00:00Z", ORDER_CONFIRMATION_FLOW_ID, orderId, HistoryEntryType.Started, stage = "WaitingForConfirmation", toStatus = StageStatus.Pending).toHistoryEntry(),
+                )
+                tickScheduler.scheduleTick(ORDER_CONFIRMATION_FLOW_ID, orderId, notBefore = Instant.parse("2099-01-01T00:00:00Z"), targetStage = "WaitingForConfirmation")
+
+                try {
+                    tickScheduler.rescheduleTick(ORDER_CONFIRMATION_FLOW_ID, orderId, "WaitingForConfirmation", rescheduledAt) shouldBe true
+                    tickScheduler.rescheduleTick(ORDER_CONFIRMATION_FLOW_ID, orderId, "Unknown", rescheduledAt) shouldBe false
+                    requireNotNull(service.nextTick(ORDER_CONFIRMATION_FLOW_ID, orderId)).nextTick?.notBefore shouldBe rescheduledAt
+
+                    val updatedAt = requireNotNull(service.instance(ORDER_CONFIRMATION_FLOW_ID, orderId)).lastUpdatedAt
+                    historyStore.append(
+                        HistoryEntry.TimerRescheduled(
+                            flowId = ORDER_CONFIRMATION_FLOW_ID,
+                            flowInstanceId = orderId,
+                            occurredAt = Instant.parse("2026-03-04T12:05:00Z"),
+                            stage = "WaitingForConfirmation",
+                            wakeUpAt = rescheduledAt,
+                        ),
+                    )
+
+                    val rescheduled = service.timeline(ORDER_CONFIRMATION_FLOW_ID, orderId).last()
+                    rescheduled.type shouldBe HistoryEntryType.TimerRescheduled
+                    rescheduled.wakeUpAt shouldBe rescheduledAt
+                    requireNotNull(service.instance(ORDER_CONFIRMATION_FLOW_ID, orderId)).lastUpdatedAt shouldBe updatedAt
+                } finally {
+                    tickRepo.findScheduledTick(ORDER_CONFIRMATION_FLOW_ID, orderId, "WaitingForConfirmation")?.let { tickRepo.delete(it) }
+                }
+            }
+        }
+    }
+
     given("timeline projection") {
         `when`("rows exist for a flow instance") {
             val flowId = ORDER_CONFIRMATION_FLOW_ID
@@ -221,6 +602,874 @@ class CockpitServiceTest : BehaviorSpec({
             }
         }
     }
+
+    given("flow analytics") {
+        `when`("order instances moved through stages, completed and failed") {
+            val completed = UUID.fromString("00000000-0000-0000-0000-000000000701")
+            val failed = UUID.fromString("00000000-0000-0000-0000-000000000702")
+            val beforeWindow = UUID.fromString("00000000-0000-0000-0000-000000000703")
+            val startedBeforeWindow = UUID.fromString("00000000-0000-0000-0000-000000000704")
+            val movedBeforeWindow = UUID.fromString("00000000-0000-0000-0000-000000000705")
+
+            then("it reports stage dwell percentiles and hourly completions and errors for the last day") {
+                summaryRepo.deleteAll()
+                historyRepo.deleteAll()
+                listOf(
+                    historyRow("2026-03-04T12:00:00Z", ORDER_CONFIRMATION_FLOW_ID, completed, HistoryEntryType.Started, stage = "InitializingConfirmation", toStatus = StageStatus.Pending),
+                    historyRow("2026-03-04T12:01:00Z", ORDER_CONFIRMATION_FLOW_ID, completed, HistoryEntryType.StageChanged, fromStage = "InitializingConfirmation", toStage = "WaitingForConfirmation"),
+                    historyRow("2026-03-04T12:11:00Z", ORDER_CONFIRMATION_FLOW_ID, completed, HistoryEntryType.StageChanged, fromStage = "WaitingForConfirmation", toStage = "InformingCustomer"),
+                    historyRow("2026-03-04T12:12:00Z", ORDER_CONFIRMATION_FLOW_ID, completed, HistoryEntryType.StatusChanged, stage = "InformingCustomer", fromStatus = StageStatus.Running, toStatus = StageStatus.Completed),
+                    historyRow("2026-03-04T12:00:00Z", ORDER_CONFIRMATION_FLOW_ID, failed, HistoryEntryType.Started, stage = "InitializingConfirmation", toStatus = StageStatus.Pending),
+                    historyRow("2026-03-04T12:03:00Z", ORDER_CONFIRMATION_FLOW_ID, failed, HistoryEntryType.StageChanged, fromStage = "InitializingConfirmation", toStage = "WaitingForConfirmation"),
+                    historyRow("2026-03-04T12:33:00Z", ORDER_CONFIRMATION_FLOW_ID, failed, HistoryEntryType.StageChanged, fromStage = "WaitingForConfirmation", toStage = "InformingCustomer"),
+                    historyRow("2026-03-04T12:34:00Z", ORDER_CONFIRMATION_FLOW_ID, failed, HistoryEntryType.Error, stage = "InformingCustomer", fromStatus = StageStatus.Running, toStatus = StageStatus.Error, errorMessage = "mail down"),
+                    historyRow("2026-03-01T12:00:00Z", ORDER_CONFIRMATION_FLOW_ID, beforeWindow, HistoryEntryType.Started, stage = "InitializingConfirmation", toStatus = StageStatus.Pending),
+                    historyRow("2026-03-01T12:05:00Z", ORDER_CONFIRMATION_FLOW_ID, beforeWindow, HistoryEntryType.StageChanged, fromStage = "InitializingConfirmation", toStage = "WaitingForConfirmation"),
+                    historyRow("2026-03-03T12:00:00Z", ORDER_CONFIRMATION_FLOW_ID, startedBeforeWindow, HistoryEntryType.Started, stage = "InitializingConfirmation", toStatus = StageStatus.Pending),
+                    historyRow("2026-03-03T14:00:00Z", ORDER_CONFIRMATION_FLOW_ID, startedBeforeWindow, HistoryEntryType.StageChanged, fromStage = "InitializingConfirmation", toStage = "WaitingForConfirmation"),
+                    historyRow("2026-03-02T12:00:00Z", ORDER_CONFIRMATION_FLOW_ID, movedBeforeWindow, HistoryEntryType.Started, stage = "InitializingConfirmation", toStatus = StageStatus.Pending),
+                    historyRow("2026-03-03T12:30:00Z", ORDER_CONFIRMATION_FLOW_ID, movedBeforeWindow, HistoryEntryType.StageChanged, fromStage = "InitializingConfirmation", toStage = "WaitingForConfirmation"),
+                    historyRow("2026-03-03T13:30:00Z", ORDER_CONFIRMATION_FLOW_ID, movedBeforeWindow, HistoryEntryType.StageChanged, fromStage = "WaitingForConfirmation", toStage = "InformingCustomer"),
+                ).forEach { historyStore.append(it.toHistoryEntry()) }
+
+                val analytics = service.flowAnalytics(
+                    window = CockpitAnalyticsWindow.LastDay,
+                    flowId = ORDER_CONFIRMATION_FLOW_ID,
+                    now = Instant.parse("2026-03-04T13:00:00Z"),
+                ).single()
+
+                analytics.since shouldBe Instant.parse("2026-03-03T13:00:00Z")
+                analytics.bucketSeconds shouldBe 3600L
+                analytics.stages.map { listOf(it.stage, it.visitCount, it.p50Millis, it.p95Millis, it.maxMillis) } shouldContainExactly listOf(
+                    listOf("InitializingConfirmation", 3, 180_000L, 7_200_000L, 7_200_000L),
+                    listOf("WaitingForConfirmation", 3, 1_800_000L, 3_600_000L, 3_600_000L),
+                    listOf("InformingCustomer", 1, 60_000L, 60_000L, 60_000L),
+                )
+                analytics.throughput.size shouldBe 24
+                historyRepo.findStageTransitions(ORDER_CONFIRMATION_FLOW_ID, analytics.since).use { rows ->
+                    rows.filter { it.flowInstanceId == movedBeforeWindow }.map { it.occurredAt }.toList()
+                } shouldContainExactly listOf(Instant.parse("2026-03-03T12:30:00Z"), Instant.parse("2026-03-03T13:30:00Z"))
+                analytics.throughput.last().startAt shouldBe Instant.parse("2026-03-04T12:00:00Z")
+                analytics.throughput.last().completedCount shouldBe 1
+                analytics.throughput.last().errorCount shouldBe 1
+                analytics.throughput.dropLast(1).sumOf { it.completedCount + it.errorCount } shouldBe 0
+
+                CockpitAnalyticsWindow.fromParam("7d") shouldBe CockpitAnalyticsWindow.LastWeek
+                CockpitAnalyticsWindow.fromParam("2d") shouldBe null
+                service.flowAnalytics(CockpitAnalyticsWindow.LastDay, flowId = "unknown-flow") shouldBe emptyList()
+            }
+        }
+    }
+
+    given("metrics") {
+        val metrics = context.getBean<FlowLiteMetrics>()
+
+        `when`("instances are in different statuses") {
+            val running = UUID.fromString("00000000-0000-0000-0000-000000000801")
+            val failed = UUID.fromString("00000000-0000-0000-0000-000000000802")
+
+            then("the scrape lists instances per flow and status and the tick scheduler gauges") {
+                summaryRepo.deleteAll()
+                historyRepo.deleteAll()
+                listOf(
+                    historyRow("2026-03-04T12:00:00Z", ORDER_CONFIRMATION_FLOW_ID, running, HistoryEntryType.StatusChanged, stage = "InitializingConfirmation", fromStatus = StageStatus.Pending, toStatus = StageStatus.Running),
+                    historyRow("2026-03-04T12:00:00Z", ORDER_CONFIRMATION_FLOW_ID, failed, HistoryEntryType.Error, stage = "InformingCustomer", fromStatus = StageStatus.Running, toStatus = StageStatus.Error, errorMessage = "mail down"),
+                ).forEach { historyStore.append(it.toHistoryEntry()) }
+
+                val text = metrics.scrape()
+                text shouldContain "flowlite_instances{flow_id=\"$ORDER_CONFIRMATION_FLOW_ID\",status=\"Running\"} 1\n"
+                text shouldContain "flowlite_instances{flow_id=\"$ORDER_CONFIRMATION_FLOW_ID\",status=\"Error\"} 1\n"
+                text shouldContain "# TYPE flowlite_tick_backlog gauge\n"
+                text shouldContain "flowlite_tick_workers_max 60\n"
+            }
+        }
+    }
+
+    given("instance export") {
+        val flowId = "flow-export"
+        val failed = UUID.fromString("00000000-0000-0000-0000-000000000601")
+        val running = UUID.fromString("00000000-0000-0000-0000-000000000602")
+
+        fun seedRows() {
+            summaryRepo.deleteAll()
+            historyRepo.deleteAll()
+            listOf(
+                historyRow("2026-03-04T13:00:00Z", flowId, failed, HistoryEntryType.Error, stage = "Charge", fromStatus = StageStatus.Running, toStatus = StageStatus.Error, errorType = "java.lang.IllegalStateException", errorMessage = "first, failure", errorStackTrace = "trace-1"),
+                historyRow("2026-03-04T13:05:00Z", flowId, failed, HistoryEntryType.Retried, stage = "Charge", fromStatus = StageStatus.Error, toStatus = StageStatus.Pending),
+                historyRow("2026-03-04T13:06:00Z", flowId, failed, HistoryEntryType.Error, stage = "Charge", fromStatus = StageStatus.Running, toStatus = StageStatus.Error, errorType = "java.lang.IllegalStateException", errorMessage = "second \"failure\"", errorStackTrace = "trace-2\n\tat Charge"),
+                historyRow("2026-03-04T13:07:00Z", flowId, running, HistoryEntryType.StatusChanged, stage = "Ship", fromStatus = StageStatus.Pending, toStatus = StageStatus.Running),
+            ).forEach { historyStore.append(it.toHistoryEntry()) }
+        }
+
+        `when`("the error bucket is exported with stack traces") {
+            then("it passes every matching instance with its latest stack trace") {
+                seedRows()
+                val rows = mutableListOf<CockpitInstanceExportRow>()
+
+                val exported = service.exportInstances(
+                    CockpitInstanceQuery(flowId = flowId, bucket = CockpitInstanceBucket.Error),
+                    includeStackTrace = true,
+                ) { rows += it }
+
+                exported shouldBe 1
+                rows.map { it.instance.flowInstanceId } shouldContainExactly listOf(failed)
+                rows.single().lastErrorStackTrace shouldBe "trace-2\n\tat Charge"
+            }
+        }
+
+        `when`("instances are written as CSV and JSON") {
+            then("fields are quoted and escaped and the stack trace column is optional") {
+                seedRows()
+                summaryRepo.save(requireNotNull(summaryRepo.findSummary(flowId, running)).copy(businessKey = "ORD-EXPORT-2"))
+                fun export(format: CockpitExportFormat, includeStackTrace: Boolean): String {
+                    val out = StringWriter()
+                    val writer = CockpitInstanceExportWriter(out, format, includeStackTrace)
+                    service.exportInstances(CockpitInstanceQuery(flowId = flowId), includeStackTrace = includeStackTrace) { writer.write(it) }
+                    writer.finish()
+                    return out.toString()
+                }
+
+                val csv = export(CockpitExportFormat.Csv, includeStackTrace = false).lines()
+                csv.first() shouldBe "flowId,flowInstanceId,businessKey,stage,cockpitStatus,lastUpdatedAt,lastErrorType,lastErrorMessage,errorFingerprint,failureDisposition,retryAttempt,maxRetryAttempts,nextRetryAt"
+                csv.size shouldBe 4
+                csv.single { failed.toString() in it } shouldContain ",\"second \"\"failure\"\"\","
+                csv.single { running.toString() in it } shouldContain "$running,ORD-EXPORT-2,Ship,"
+
+                val json = export(CockpitExportFormat.Json, includeStackTrace = true)
+                json shouldContain "\"flowInstanceId\":\"$failed\",\"businessKey\":null"
+                json shouldContain "\"businessKey\":\"ORD-EXPORT-2\""
+                json shouldContain "\"lastErrorStackTrace\":\"trace-2\\n\\tat Charge\""
+                json shouldContain "\"lastErrorStackTrace\":null"
+
+                val empty = StringWriter().also { CockpitInstanceExportWriter(it, CockpitExportFormat.Json, includeStackTrace = false).finish() }
+                empty.toString() shouldBe "[]\n"
+            }
+        }
+    }
+
+    given("audit of operator actions") {
+        `when`("operator actions and engine transitions are recorded") {
+            val order = UUID.fromString("00000000-0000-0000-0000-000000000211")
+            val onboarding = UUID.fromString("00000000-0000-0000-0000-000000000212")
+
+            then("it lists only the interventions, newest first, filtered by flow, type, actor and time") {
+                summaryRepo.deleteAll()
+                historyRepo.deleteAll()
+                listOf(
+                    historyRow("2026-03-05T09:00:00Z", ORDER_CONFIRMATION_FLOW_ID, order, HistoryEntryType.StageChanged, fromStage = "InitializingConfirmation", toStage = "WaitingForConfirmation"),
+                    historyRow("2026-03-05T09:01:00Z", ORDER_CONFIRMATION_FLOW_ID, order, HistoryEntryType.Retried, stage = "InformingCustomer", actor = "alice", reason = "Mail server is back"),
+                    historyRow("2026-03-05T09:02:00Z", ORDER_CONFIRMATION_FLOW_ID, order, HistoryEntryType.EventAppended, event = "Confirmed"),
+                    historyRow("2026-03-05T09:02:30Z", ORDER_CONFIRMATION_FLOW_ID, order, HistoryEntryType.EventAppended, event = "Confirmed", reason = "Confirmed by phone"),
+                    historyRow("2026-03-05T09:03:00Z", ORDER_CONFIRMATION_FLOW_ID, order, HistoryEntryType.EventAppended, event = "Confirmed", actor = "bob"),
+                    historyRow("2026-03-05T09:04:00Z", EMPLOYEE_ONBOARDING_FLOW_ID, onboarding, HistoryEntryType.Cancelled, stage = "CreateEmployeeProfile", actor = "Alice.Smith"),
+                    historyRow("2026-03-05T09:05:00Z", EMPLOYEE_ONBOARDING_FLOW_ID, onboarding, HistoryEntryType.ManualStageChanged, fromStage = "CreateEmployeeProfile", toStage = "CompleteOnboarding"),
+                ).forEach { historyStore.append(it.toHistoryEntry()) }
+
+                service.listInterventions().map { it.type } shouldContainExactly listOf(
+                    HistoryEntryType.ManualStageChanged,
+                    HistoryEntryType.Cancelled,
+                    HistoryEntryType.EventAppended,
+                    HistoryEntryType.EventAppended,
+                    HistoryEntryType.Retried,
+                )
+                service.listInterventions(flowId = ORDER_CONFIRMATION_FLOW_ID).map { it.actor } shouldContainExactly listOf("bob", null, "alice")
+                service.listInterventions(type = HistoryEntryType.Retried).single().reason shouldBe "Mail server is back"
+                summaryRepo.save(requireNotNull(summaryRepo.findSummary(ORDER_CONFIRMATION_FLOW_ID, order)).copy(businessKey = "ORD-AUDIT-1"))
+                service.listInterventions().map { it.businessKey }.distinct() shouldContainExactly listOf(null, "ORD-AUDIT-1")
+                service.listInterventions(actor = "ALICE").map { it.actor } shouldContainExactly listOf("Alice.Smith", "alice")
+                service.listInterventions(occurredAfter = Instant.parse("2026-03-05T09:04:00Z"), limit = 1).map { it.type } shouldContainExactly
+                    listOf(HistoryEntryType.ManualStageChanged)
+            }
+        }
+    }
+
+    given("bulk actions") {
+        val engine = context.getBean<Engine>()
+
+        fun CockpitBulkActionRunner.awaitJob(jobId: UUID): CockpitBulkJobDto {
+            val deadline = System.nanoTime() + Duration.ofSeconds(5).toNanos()
+            while (System.nanoTime() < deadline) {
+                val current = requireNotNull(job(jobId))
+                if (current.status != CockpitBulkJobStatus.Running) return current
+                Thread.sleep(10)
+            }
+            error("Bulk job $jobId did not finish in time")
+        }
+
+        `when`("a job targets instances by query") {
+            val flowA = "flow-bulk-a"
+            val aError1 = UUID.fromString("00000000-0000-0000-0000-000000000401")
+            val aError2 = UUID.fromString("00000000-0000-0000-0000-000000000402")
+            val aRunning = UUID.fromString("00000000-0000-0000-0000-000000000403")
+
+            then("it resolves every matching instance and counts per-instance failures") {
+                summaryRepo.deleteAll()
+                historyRepo.deleteAll()
+                listOf(
+                    historyRow("2026-03-04T12:00:00Z", flowA, aError1, HistoryEntryType.Error, stage = "Review", fromStatus = StageStatus.Running, toStatus = StageStatus.Error, errorMessage = "boom-1"),
+                    historyRow("2026-03-04T12:01:00Z", flowA, aError2, HistoryEntryType.Error, stage = "Review", fromStatus = StageStatus.Running, toStatus = StageStatus.Error, errorMessage = "boom-2"),
+                    historyRow("2026-03-04T12:02:00Z", flowA, aRunning, HistoryEntryType.StatusChanged, stage = "Review", fromStatus = StageStatus.Pending, toStatus = StageStatus.Running),
+                ).forEach { historyStore.append(it.toHistoryEntry()) }
+
+                CockpitBulkActionRunner(service, batchSize = 1).use { runner ->
+                    val started = runner.start(CockpitBulkAction.Retry, CockpitInstanceQuery(flowId = flowA, bucket = CockpitInstanceBucket.Error))
+                    val job = runner.awaitJob(started.jobId)
+
+                    job.status shouldBe CockpitBulkJobStatus.Completed
+                    job.totalCount shouldBe 2
+                    job.processedCount shouldBe 2
+                    // flow-bulk-a is not registered with the engine, so every retry fails without stopping the job.
+                    job.succeededCount shouldBe 0
+                    job.failedCount shouldBe 2
+                    job.finishedAt shouldNotBe null
+                    runner.results(started.jobId).orEmpty().map { it.flowInstanceId to it.outcome }.toSet() shouldBe setOf(
+                        aError1 to CockpitBulkItemOutcome.Failed,
+                        aError2 to CockpitBulkItemOutcome.Failed,
+                    )
+                }
+            }
+        }
+
+        `when`("a query job matches completed and cancelled instances") {
+            then("it leaves them untouched and only acts on actionable instances") {
+                fun startWaitingOrder(orderNumber: String): UUID {
+                    val flowInstanceId = engine.startInstance(
+                        flowId = ORDER_CONFIRMATION_FLOW_ID,
+                        initialState = OrderConfirmation(
+                            stage = OrderConfirmationStage.InitializingConfirmation,
+                            orderNumber = orderNumber,
+                            confirmationType = ConfirmationType.Digital,
+                            customerName = "Bulk",
+                        ),
+                    )
+                    awaitStatus(
+                        fetch = { engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId) },
+                        expected = OrderConfirmationStage.WaitingForConfirmation to StageStatus.Pending,
+                    )
+                    return flowInstanceId
+                }
+                val waiting = startWaitingOrder("ORD-BULK-SKIP-1")
+                val cancelled = startWaitingOrder("ORD-BULK-SKIP-2").also { engine.cancel(ORDER_CONFIRMATION_FLOW_ID, it) }
+                val completed = startWaitingOrder("ORD-BULK-SKIP-3").also { engine.sendEvent(ORDER_CONFIRMATION_FLOW_ID, it, OrderConfirmationEvent.Confirmed) }
+                awaitStatus(
+                    fetch = { engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, completed) },
+                    expected = OrderConfirmationStage.InformingCustomer to StageStatus.Completed,
+                )
+
+                CockpitBulkActionRunner(service).use { runner ->
+                    val started = runner.start(
+                        CockpitBulkAction.Retry,
+                        CockpitInstanceQuery(flowId = ORDER_CONFIRMATION_FLOW_ID, searchTerm = "ORD-BULK-SKIP"),
+                    )
+                    val job = runner.awaitJob(started.jobId)
+
+                    job.totalCount shouldBe 3
+                    runner.results(started.jobId).orEmpty().associate { it.flowInstanceId to it.outcome } shouldBe mapOf(
+                        waiting to CockpitBulkItemOutcome.Succeeded,
+                        cancelled to CockpitBulkItemOutcome.Skipped,
+                        completed to CockpitBulkItemOutcome.Skipped,
+                    )
+                }
+                engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, cancelled) shouldBe (OrderConfirmationStage.WaitingForConfirmation to StageStatus.Cancelled)
+                engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, completed) shouldBe (OrderConfirmationStage.InformingCustomer to StageStatus.Completed)
+                historyRepo.findTimeline(ORDER_CONFIRMATION_FLOW_ID, completed).map { it.type } shouldNotContain HistoryEntryType.ManualStageChanged
+            }
+        }
+
+        `when`("a job targets explicit instances") {
+            then("it applies the action, reports missing instances as failed, and exports the outcome as CSV") {
+                val flowInstanceId = engine.startInstance(
+                    flowId = ORDER_CONFIRMATION_FLOW_ID,
+                    initialState = OrderConfirmation(
+                        stage = OrderConfirmationStage.InitializingConfirmation,
+                        orderNumber = "ORD-BULK-1",
+                        confirmationType = ConfirmationType.Digital,
+                        customerName = "Bulk",
+                    ),
+                )
+                awaitStatus(
+                    fetch = { engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId) },
+                    expected = OrderConfirmationStage.WaitingForConfirmation to StageStatus.Pending,
+                )
+
+                CockpitBulkActionRunner(service).use { runner ->
+                    val started = runner.start(
+                        CockpitBulkAction.Cancel,
+                        listOf(
+                            CockpitInstanceRef(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId),
+                            CockpitInstanceRef(ORDER_CONFIRMATION_FLOW_ID, UUID.fromString("00000000-0000-0000-0000-000000000499")),
+                        ),
+                    )
+                    val job = runner.awaitJob(started.jobId)
+
+                    job.totalCount shouldBe 2
+                    job.succeededCount shouldBe 1
+                    job.skippedCount shouldBe 0
+                    job.failedCount shouldBe 1
+                    engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId).second shouldBe StageStatus.Cancelled
+                    runner.resultsCsv(started.jobId)?.lines() shouldBe listOf(
+                        "flowId,flowInstanceId,outcome,message",
+                        "$ORDER_CONFIRMATION_FLOW_ID,$flowInstanceId,Succeeded,",
+                        "$ORDER_CONFIRMATION_FLOW_ID,00000000-0000-0000-0000-000000000499,Failed,Instance not found",
+                        "",
+                    )
+                }
+            }
+        }
+
+        `when`("an explicit instance changed status after the operator saw it") {
+            then("it skips the instance instead of acting on its new status") {
+                val flowInstanceId = engine.startInstance(
+                    flowId = ORDER_CONFIRMATION_FLOW_ID,
+                    initialState = OrderConfirmation(
+                        stage = OrderConfirmationStage.InitializingConfirmation,
+                        orderNumber = "ORD-BULK-SEEN",
+                        confirmationType = ConfirmationType.Digital,
+                        customerName = "Bulk",
+                    ),
+                )
+                awaitStatus(
+                    fetch = { engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId) },
+                    expected = OrderConfirmationStage.WaitingForConfirmation to StageStatus.Pending,
+                )
+                val currentStatus = requireNotNull(service.instance(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId)).cockpitStatus
+                val ref = CockpitInstanceRef(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId)
+
+                CockpitBulkActionRunner(service).use { runner ->
+                    val started = runner.start(
+                        CockpitBulkAction.Cancel,
+                        listOf(ref),
+                        expectedStatuses = mapOf(ref to CockpitStatus.Error),
+                    )
+                    val job = runner.awaitJob(started.jobId)
+
+                    job.skippedCount shouldBe 1
+                    runner.results(started.jobId).orEmpty().single().let {
+                        it.outcome shouldBe CockpitBulkItemOutcome.Skipped
+                        it.message shouldBe "Status changed from Error to $currentStatus"
+                    }
+                    engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId).second shouldBe StageStatus.Pending
+                }
+            }
+        }
+
+        `when`("a send-event job targets a waiting and a cancelled instance") {
+            then("it sends the declared event to the waiting instance and skips the other") {
+                fun startWaitingOrder(orderNumber: String): UUID {
+                    val flowInstanceId = engine.startInstance(
+                        flowId = ORDER_CONFIRMATION_FLOW_ID,
+                        initialState = OrderConfirmation(
+                            stage = OrderConfirmationStage.InitializingConfirmation,
+                            orderNumber = orderNumber,
+                            confirmationType = ConfirmationType.Digital,
+                            customerName = "Bulk",
+                        ),
+                    )
+                    awaitStatus(
+                        fetch = { engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId) },
+                        expected = OrderConfirmationStage.WaitingForConfirmation to StageStatus.Pending,
+                    )
+                    return flowInstanceId
+                }
+                val waiting = startWaitingOrder("ORD-EVENT-1")
+                val cancelled = startWaitingOrder("ORD-EVENT-2").also { engine.cancel(ORDER_CONFIRMATION_FLOW_ID, it) }
+
+                service.listFlows().single { it.flowId == ORDER_CONFIRMATION_FLOW_ID }.events shouldContainExactly listOf("Confirmed")
+
+                CockpitBulkActionRunner(service).use { runner ->
+                    val started = runner.start(
+                        CockpitBulkAction.SendEvent,
+                        listOf(
+                            CockpitInstanceRef(ORDER_CONFIRMATION_FLOW_ID, waiting),
+                            CockpitInstanceRef(ORDER_CONFIRMATION_FLOW_ID, cancelled),
+                        ),
+                        event = "Confirmed",
+                    )
+                    val job = runner.awaitJob(started.jobId)
+
+                    job.event shouldBe "Confirmed"
+                    job.succeededCount shouldBe 1
+                    job.skippedCount shouldBe 1
+                    runner.results(started.jobId).orEmpty().associate { it.flowInstanceId to it.outcome } shouldBe mapOf(
+                        waiting to CockpitBulkItemOutcome.Succeeded,
+                        cancelled to CockpitBulkItemOutcome.Skipped,
+                    )
+                    historyRepo.findTimeline(ORDER_CONFIRMATION_FLOW_ID, waiting).map { it.event } shouldContain "Confirmed"
+                }
+
+                service.sendEvent(ORDER_CONFIRMATION_FLOW_ID, waiting, "Unknown") shouldBe false
+            }
+        }
+    }
+
+    given("start instance") {
+        val engine = context.getBean<Engine>()
+
+        `when`("an order confirmation is started from an initial state entered as JSON") {
+            then("it reads the state through the registered reader and rejects invalid input") {
+                service.listFlows().single { it.flowId == ORDER_CONFIRMATION_FLOW_ID }.initialStateSchema?.get("required") shouldBe
+                    listOf("orderNumber", "customerName", "confirmationType")
+
+                val flowInstanceId = service.startInstance(
+                    ORDER_CONFIRMATION_FLOW_ID,
+                    mapOf("orderNumber" to "ORD-START-1", "customerName" to "Cockpit", "confirmationType" to "Digital"),
+                )
+
+                flowInstanceId shouldNotBe null
+                awaitStatus(
+                    fetch = { engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId!!) },
+                    expected = OrderConfirmationStage.WaitingForConfirmation to StageStatus.Pending,
+                )
+                shouldThrow<IllegalArgumentException> {
+                    service.startInstance(ORDER_CONFIRMATION_FLOW_ID, mapOf("orderNumber" to "ORD-START-2"))
+                }
+                service.startInstance("unknown-flow", emptyMap()) shouldBe null
+            }
+        }
+    }
+
+    given("business keys") {
+        val engine = context.getBean<Engine>()
+
+        `when`("an order confirmation flow registered with the order number as business key is started") {
+            then("the key is kept on the summary, shown on the instance and matched by the search") {
+                val flowInstanceId = engine.startInstance(
+                    flowId = ORDER_CONFIRMATION_FLOW_ID,
+                    initialState = OrderConfirmation(
+                        stage = OrderConfirmationStage.InitializingConfirmation,
+                        orderNumber = "ORD-48213",
+                        confirmationType = ConfirmationType.Digital,
+                        customerName = "Business Key",
+                    ),
+                )
+                awaitStatus(
+                    fetch = { engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId) },
+                    expected = OrderConfirmationStage.WaitingForConfirmation to StageStatus.Pending,
+                )
+
+                summaryRepo.findSummary(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId)?.businessKey shouldBe "ORD-48213"
+                service.instance(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId)?.businessKey shouldBe "ORD-48213"
+                service.listInstances(searchTerm = "48213").map { it.flowInstanceId } shouldContainExactly listOf(flowInstanceId)
+                service.listInstances(searchTerm = "flow:$ORDER_CONFIRMATION_FLOW_ID ord-4821").map { it.flowInstanceId } shouldContain flowInstanceId
+            }
+        }
+
+        `when`("a later history entry carries no business key") {
+            then("the summary keeps the last known key") {
+                val flowInstanceId = UUID.fromString("00000000-0000-0000-0000-000000000521")
+                historyStore.append(
+                    HistoryEntry.Started(
+                        flowId = "flow-business-key",
+                        flowInstanceId = flowInstanceId,
+                        occurredAt = Instant.parse("2026-03-04T10:00:00Z"),
+                        stage = "Review",
+                        toStatus = StageStatus.Pending,
+                        businessKey = "employee@example.com",
+                    ),
+                )
+                historyStore.append(
+                    HistoryEntry.StatusChanged(
+                        flowId = "flow-business-key",
+                        flowInstanceId = flowInstanceId,
+                        occurredAt = Instant.parse("2026-03-04T10:01:00Z"),
+                        stage = "Review",
+                        fromStatus = StageStatus.Pending,
+                        toStatus = StageStatus.Running,
+                    ),
+                )
+
+                summaryRepo.findSummary("flow-business-key", flowInstanceId)?.businessKey shouldBe "employee@example.com"
+                service.listInstances(
+                    flowId = "flow-business-key",
+                    sort = CockpitInstanceSort(CockpitInstanceSortField.BusinessKey, descending = false),
+                ).map { it.businessKey } shouldContainExactly listOf("employee@example.com")
+            }
+        }
+    }
+
+    given("state diffs") {
+        val engine = context.getBean<Engine>()
+
+        `when`("an action of an order confirmation flow registered with a state snapshot serializer changes the order") {
+            then("its stage change in the timeline carries the state before and after the action, with redacted keys masked") {
+                val flowInstanceId = engine.startInstance(
+                    flowId = ORDER_CONFIRMATION_FLOW_ID,
+                    initialState = OrderConfirmation(
+                        stage = OrderConfirmationStage.InitializingConfirmation,
+                        orderNumber = "ORD-SNAPSHOT",
+                        confirmationType = ConfirmationType.Digital,
+                        customerName = "Snapshot Customer",
+                    ),
+                )
+                awaitStatus(
+                    fetch = { engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId) },
+                    expected = OrderConfirmationStage.WaitingForConfirmation to StageStatus.Pending,
+                )
+
+                val stageChange = service.timeline(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId).single { it.type == HistoryEntryType.StageChanged }
+                val stateBefore = stageChange.stateBefore.shouldNotBeNull()
+                val stateAfter = stageChange.stateAfter.shouldNotBeNull()
+                stateBefore shouldContain "\"orderNumber\":\"ORD-SNAPSHOT\""
+                stateBefore shouldContain "\"confirmationTimestamp\":null"
+                stateAfter shouldNotContain "\"confirmationTimestamp\":null"
+                stateAfter shouldContain "\"customer\":{\"name\":\"[redacted]\"}"
+                listOf(stateBefore, stateAfter).forEach { it shouldNotContain "Snapshot Customer" }
+            }
+        }
+
+        `when`("snapshots are redacted") {
+            then("redacted keys are masked at any depth, everything else is kept, and unparsable snapshots are withheld") {
+                val renderer = CockpitStateRenderer<Map<String, Any?>>(render = { it }, redactedKeys = setOf("email"))
+
+                renderer.redactSnapshot(
+                    """ { "id": 7, "amount": 12.50, "ok": true, "note": "line\n\"quoted\" \u00e9", "contacts": [{"EMAIL": "a@example.com"}, []], "none": null } """,
+                ) shouldBe """{"id":7,"amount":12.50,"ok":true,"note":"line\n\"quoted\" é","contacts":[{"EMAIL":"[redacted]"},[]],"none":null}"""
+                renderer.redactSnapshot("""{"email": "a@example.com"…[truncated]""") shouldBe null
+                CockpitStateRenderer<Map<String, Any?>>(render = { it }).redactSnapshot("not json") shouldBe "not json"
+            }
+        }
+    }
+
+    given("instance state") {
+        val engine = context.getBean<Engine>()
+
+        `when`("an order confirmation with a state renderer is inspected") {
+            then("its rendered state is returned with the customer's name redacted") {
+                val flowInstanceId = engine.startInstance(
+                    flowId = ORDER_CONFIRMATION_FLOW_ID,
+                    initialState = OrderConfirmation(
+                        stage = OrderConfirmationStage.InitializingConfirmation,
+                        orderNumber = "ORD-STATE-1",
+                        confirmationType = ConfirmationType.Digital,
+                        customerName = "Jane Private",
+                    ),
+                )
+                awaitStatus(
+                    fetch = { engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId) },
+                    expected = OrderConfirmationStage.WaitingForConfirmation to StageStatus.Pending,
+                )
+
+                val state = requireNotNull(service.instanceState(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId))
+                state.state["orderNumber"] shouldBe "ORD-STATE-1"
+                state.state["customer"] shouldBe mapOf("name" to CockpitStateRenderer.REDACTED)
+                state.redactedPaths shouldContainExactly listOf("customer.name")
+                state.toString().contains("Jane Private") shouldBe false
+
+                service.instanceState(ORDER_CONFIRMATION_FLOW_ID, UUID.fromString("00000000-0000-0000-0000-000000000531")) shouldBe null
+            }
+        }
+
+        `when`("nested maps and lists contain redacted keys") {
+            then("they are masked at any depth, ignoring case") {
+                val renderer = CockpitStateRenderer<Map<String, Any?>>(render = { it }, redactedKeys = setOf("Email"))
+
+                val rendered = renderer.renderRedacted(
+                    mapOf(
+                        "id" to 7,
+                        "contacts" to listOf(mapOf("email" to "a@example.com", "role" to "owner"), mapOf("EMAIL" to "b@example.com")),
+                    ),
+                )
+
+                rendered.state shouldBe mapOf(
+                    "id" to 7,
+                    "contacts" to listOf(
+                        mapOf("email" to CockpitStateRenderer.REDACTED, "role" to "owner"),
+                        mapOf("EMAIL" to CockpitStateRenderer.REDACTED),
+                    ),
+                )
+                rendered.redactedPaths shouldContainExactly listOf("contacts[0].email", "contacts[1].EMAIL")
+            }
+        }
+
+        `when`("the rendered state nests a data class holding a redacted key") {
+            then("it is rejected instead of being returned unredacted") {
+                data class Contact(val email: String)
+                val renderer = CockpitStateRenderer<Contact>(render = { mapOf("contacts" to listOf(it)) }, redactedKeys = setOf("email"))
+
+                shouldThrow<IllegalArgumentException> { renderer.renderRedacted(Contact("a@example.com")) }.message.orEmpty() shouldContain "contacts[0]"
+            }
+        }
+    }
+
+    given("access control") {
+        val engine = context.getBean<Engine>()
+        val restricted = CockpitService(
+            engine = engine,
+            mermaid = context.getBean<MermaidGenerator>(),
+            historyRepo = historyRepo,
+            summaryRepo = summaryRepo,
+            authorizer = CockpitAuthorizer { user, flowId ->
+                when {
+                    user == "admin" -> CockpitRole.Admin
+                    user == "operator" && flowId == ORDER_CONFIRMATION_FLOW_ID -> CockpitRole.Operator
+                    else -> CockpitRole.Viewer
+                }
+            },
+        )
+
+        `when`("an operator of one flow works with its instances") {
+            then("operator actions are allowed, admin actions and other flows are denied") {
+                val actionsByFlow = restricted.access("operator").flows.associate { it.flowId to it.actions }
+                actionsByFlow[EMPLOYEE_ONBOARDING_FLOW_ID] shouldBe emptyList()
+                actionsByFlow[ORDER_CONFIRMATION_FLOW_ID] shouldBe listOf(
+                    CockpitAction.StartInstance,
+                    CockpitAction.Retry,
+                    CockpitAction.SendEvent,
+                    CockpitAction.WakeUpTimer,
+                    CockpitAction.RescheduleTimer,
+                )
+                restricted.isAdmin("operator") shouldBe false
+                restricted.isAdmin("admin") shouldBe true
+
+                val flowInstanceId = engine.startInstance(
+                    flowId = ORDER_CONFIRMATION_FLOW_ID,
+                    initialState = OrderConfirmation(
+                        stage = OrderConfirmationStage.InitializingConfirmation,
+                        orderNumber = "ORD-RBAC-1",
+                        confirmationType = ConfirmationType.Digital,
+                        customerName = "Access",
+                    ),
+                )
+                awaitStatus(
+                    fetch = { engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId) },
+                    expected = OrderConfirmationStage.WaitingForConfirmation to StageStatus.Pending,
+                )
+
+                shouldThrow<CockpitAccessDeniedException> {
+                    restricted.cancel(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId, Intervention(actor = "operator"))
+                }
+                shouldThrow<CockpitAccessDeniedException> {
+                    restricted.changeStage(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId, "WaitingForConfirmation", Intervention(actor = "operator"))
+                }
+                engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId).second shouldBe StageStatus.Pending
+
+                CockpitBulkActionRunner(restricted).use { runner ->
+                    val started = runner.start(
+                        CockpitBulkAction.Cancel,
+                        listOf(CockpitInstanceRef(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId)),
+                        intervention = Intervention(actor = "viewer"),
+                    )
+                    var job = runner.job(started.jobId)!!
+                    val deadline = System.nanoTime() + Duration.ofSeconds(5).toNanos()
+                    while (job.status == CockpitBulkJobStatus.Running && System.nanoTime() < deadline) {
+                        Thread.sleep(10)
+                        job = runner.job(started.jobId)!!
+                    }
+
+                    job.failedCount shouldBe 1
+                    runner.results(started.jobId).orEmpty().single().message.orEmpty() shouldContain "may not Cancel"
+                }
+
+                restricted.sendEvent(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId, "Confirmed", Intervention(actor = "operator")) shouldBe true
+                restricted.isAllowed("admin", EMPLOYEE_ONBOARDING_FLOW_ID, CockpitAction.ChangeStage) shouldBe true
+                restricted.isAllowed(null, ORDER_CONFIRMATION_FLOW_ID, CockpitAction.Retry) shouldBe false
+            }
+        }
+
+        `when`("an operator re-runs the stage of a cancelled instance") {
+            then("it is rejected, as only a stage change by an admin may revive the instance") {
+                val flowInstanceId = engine.startInstance(
+                    flowId = ORDER_CONFIRMATION_FLOW_ID,
+                    initialState = OrderConfirmation(
+                        stage = OrderConfirmationStage.InitializingConfirmation,
+                        orderNumber = "ORD-RBAC-2",
+                        confirmationType = ConfirmationType.Digital,
+                        customerName = "Access",
+                    ),
+                )
+                awaitStatus(
+                    fetch = { engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId) },
+                    expected = OrderConfirmationStage.WaitingForConfirmation to StageStatus.Pending,
+                )
+                engine.cancel(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId)
+
+                shouldThrow<IllegalStateException> {
+                    restricted.rerunStage(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId, "WaitingForConfirmation", Intervention(actor = "operator"))
+                }.message.orEmpty() shouldContain "Cancelled"
+                engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId) shouldBe (OrderConfirmationStage.WaitingForConfirmation to StageStatus.Cancelled)
+            }
+        }
+    }
+
+    given("a router without a bulk action runner") {
+        val engine = context.getBean<Engine>()
+        val router = cockpitRouter(service)
+
+        fun request(path: String): ServerRequest {
+            val servletRequest = MockHttpServletRequest("POST", path)
+            ServletRequestPathUtils.parseAndCache(servletRequest)
+            return ServerRequest.create(servletRequest, emptyList())
+        }
+
+        `when`("an action is run on one instance") {
+            then("the instance endpoints still work and the bulk endpoints are not served") {
+                val flowInstanceId = engine.startInstance(
+                    flowId = ORDER_CONFIRMATION_FLOW_ID,
+                    initialState = OrderConfirmation(
+                        stage = OrderConfirmationStage.InitializingConfirmation,
+                        orderNumber = "ORD-NO-BULK-1",
+                        confirmationType = ConfirmationType.Digital,
+                        customerName = "Single",
+                    ),
+                )
+                awaitStatus(
+                    fetch = { engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId) },
+                    expected = OrderConfirmationStage.WaitingForConfirmation to StageStatus.Pending,
+                )
+
+                router.route(request("/api/instances/bulk/cancel")).isPresent shouldBe false
+
+                val cancel = request("/api/instances/$ORDER_CONFIRMATION_FLOW_ID/$flowInstanceId/cancel")
+                router.route(cancel).orElseThrow().handle(cancel).statusCode() shouldBe HttpStatus.NO_CONTENT
+                engine.getStatus(ORDER_CONFIRMATION_FLOW_ID, flowInstanceId).second shouldBe StageStatus.Cancelled
+            }
+        }
+    }
+
+    given("saved views") {
+        val store = context.getBean<CockpitSavedViewStore>()
+
+        `when`("views are saved, replaced and deleted") {
+            then("names are unique and only the user who saved a view may change it") {
+                val errors = store.save("Onboarding errors", "?tab=errors&errorFlow=employee-onboarding", "alice")
+                val longInactive = store.save("Long inactive", "?tab=long-running", null)
+
+                store.list().map { it.name } shouldContainExactly listOf("Long inactive", "Onboarding errors")
+                val savedErrors = store.list().single { it.name == "Onboarding errors" }
+
+                val replaced = store.save("Onboarding errors", "?tab=errors&errorFlow=employee-onboarding&errorMessage=timeout", "alice")
+                replaced.id shouldBe errors.id
+                store.list().single { it.name == "Onboarding errors" } shouldBe
+                    savedErrors.copy(search = "?tab=errors&errorFlow=employee-onboarding&errorMessage=timeout")
+
+                shouldThrow<CockpitAccessDeniedException> {
+                    store.save("Onboarding errors", "?tab=errors", "bob")
+                }
+                shouldThrow<CockpitAccessDeniedException> {
+                    store.save("Onboarding errors", "?tab=errors", "bob", isAdmin = true)
+                }
+                shouldThrow<CockpitAccessDeniedException> {
+                    store.delete(errors.id, "bob")
+                }
+
+                store.delete(errors.id, "alice") shouldBe true
+                store.delete(errors.id, "alice") shouldBe false
+                store.list().map { it.name } shouldContainExactly listOf("Long inactive")
+
+                shouldThrow<CockpitAccessDeniedException> {
+                    store.save("Long inactive", "?tab=long-running&longRunningThreshold=2h", "bob")
+                }
+                shouldThrow<CockpitAccessDeniedException> {
+                    store.save("Long inactive", "?tab=long-running&longRunningThreshold=2h", null)
+                }
+                shouldThrow<CockpitAccessDeniedException> {
+                    store.delete(longInactive.id, "bob")
+                }
+                store.save("Long inactive", "?tab=long-running&longRunningThreshold=2h", "admin", isAdmin = true).createdBy shouldBe null
+                store.delete(longInactive.id, "admin", isAdmin = true) shouldBe true
+                store.list() shouldBe emptyList()
+            }
+        }
+    }
+
+    given("live flow updates") {
+        val publisher = context.getBean<CockpitLiveUpdatePublisher>()
+
+        `when`("history entries are appended in a transaction") {
+            val flowId = "flow-live"
+            val otherFlowId = "flow-live-other"
+            val id = UUID.fromString("00000000-0000-0000-0000-000000000301")
+            val otherId = UUID.fromString("00000000-0000-0000-0000-000000000302")
+
+            then("summary-affecting entries are sent after commit as one invalidation and event appends are not") {
+                summaryRepo.deleteAll()
+                historyRepo.deleteAll()
+                val transactions = TransactionTemplate(context.getBean<PlatformTransactionManager>())
+                // Instances started by other tests may still be moving; only the flows of this test are followed.
+                val received = LinkedBlockingQueue<CockpitFlowsInvalidated>()
+                val subscription = publisher.subscribe(
+                    object : CockpitLiveUpdateSubscriber {
+                        override fun onFlowsInvalidated(update: CockpitFlowsInvalidated) {
+                            val flowIds = update.flowIds.filter { it == flowId || it == otherFlowId }
+                            if (flowIds.isNotEmpty()) received += update.copy(flowIds = flowIds)
+                        }
+                    },
+                )
+
+                subscription.use {
+                    transactions.executeWithoutResult {
+                        listOf(
+                            historyRow("2026-03-04T11:00:00Z", flowId, id, HistoryEntryType.Started, stage = "Init", toStatus = StageStatus.Pending),
+                            historyRow("2026-03-04T11:01:00Z", flowId, id, HistoryEntryType.StatusChanged, stage = "Init", fromStatus = StageStatus.Pending, toStatus = StageStatus.Running),
+                            historyRow("2026-03-04T11:02:00Z", otherFlowId, otherId, HistoryEntryType.Started, stage = "Init", toStatus = StageStatus.Pending),
+                            historyRow("2026-03-04T11:03:00Z", flowId, id, HistoryEntryType.StageChanged, fromStage = "Init", toStage = "Review"),
+                            historyRow("2026-03-04T11:04:00Z", flowId, id, HistoryEntryType.Error, stage = "Review", fromStatus = StageStatus.Running, toStatus = StageStatus.Error, errorMessage = "boom"),
+                            historyRow("2026-03-04T11:05:00Z", flowId, id, HistoryEntryType.Cancelled, stage = "Review", fromStatus = StageStatus.Error, toStatus = StageStatus.Cancelled),
+                        ).forEach { historyStore.append(it.toHistoryEntry()) }
+
+                        received.poll(500, TimeUnit.MILLISECONDS) shouldBe null
+                    }
+
+                    val update = received.poll(5, TimeUnit.SECONDS).shouldNotBeNull()
+                    update.flowIds shouldContainExactly listOf(flowId, otherFlowId)
+                    update.occurredAt shouldBe Instant.parse("2026-03-04T11:05:00Z")
+
+                    historyStore.append(
+                        historyRow("2026-03-04T11:06:00Z", flowId, id, HistoryEntryType.EventAppended, event = "Approved").toHistoryEntry(),
+                    )
+                    received.poll(500, TimeUnit.MILLISECONDS) shouldBe null
+                }
+            }
+        }
+
+        `when`("a subscriber fails to receive an update") {
+            then("it is dropped from the publisher and the others still receive it") {
+                CockpitLiveUpdatePublisher(coalesceWindow = Duration.ofMillis(10)).use { livePublisher ->
+                    val delivered = CountDownLatch(1)
+                    livePublisher.subscribe(
+                        object : CockpitLiveUpdateSubscriber {
+                            override fun onFlowsInvalidated(update: CockpitFlowsInvalidated) {
+                                throw IllegalStateException("client disconnected")
+                            }
+                        },
+                    )
+                    livePublisher.subscribe(
+                        object : CockpitLiveUpdateSubscriber {
+                            override fun onFlowsInvalidated(update: CockpitFlowsInvalidated) {
+                                delivered.countDown()
+                            }
+                        },
+                    )
+                    livePublisher.subscriberCount() shouldBe 2
+
+                    livePublisher.publishFlowsInvalidated("flow-live", Instant.parse("2026-03-04T11:10:00Z"))
+
+                    delivered.await(5, TimeUnit.SECONDS) shouldBe true
+                    livePublisher.subscriberCount() shouldBe 1
+                }
+            }
+        }
+
+        `when`("no flow changes happen for a while") {
+            then("subscribers keep receiving heartbeats") {
+                val heartbeats = CountDownLatch(2)
+                CockpitLiveUpdatePublisher(heartbeatInterval = Duration.ofMillis(20)).use { idlePublisher ->
+                    idlePublisher.subscribe(
+                        object : CockpitLiveUpdateSubscriber {
+                            override fun onFlowsInvalidated(update: CockpitFlowsInvalidated) = Unit
+
+                            override fun onHeartbeat() {
+                                heartbeats.countDown()
+                            }
+                        },
+                    )
+
+                    heartbeats.await(5, TimeUnit.SECONDS) shouldBe true
+                    idlePublisher.subscriberCount() shouldBe 1
+                }
+            }
+        }
+    }
 })
 
 private fun historyRow(
@@ -237,6 +1486,8 @@ private fun historyRow(
     errorType: String? = null,
     errorMessage: String? = null,
     errorStackTrace: String? = null,
+    actor: String? = null,
+    reason: String? = null,
 ) = FlowLiteHistoryRow(
     occurredAt = Instant.parse(occurredAt),
     flowId = flowId,
@@ -251,4 +1502,6 @@ private fun historyRow(
     errorType = errorType,
     errorMessage = errorMessage,
     errorStackTrace = errorStackTrace,
-)
\ No newline at end of file
+    actor = actor,
+    reason = reason,
+)
@@ -170,6 +170,25 @@ class EngineBehaviorTest : BehaviorSpec({
             }
         }
 
+        `when`("an event is sent by name") {
+            val eventStore = InMemoryEventStore()
+            val tickScheduler = ManualTickScheduler()
+            val persister = InMemoryStatePersister<EngineState>()
+            val engine = Engine(eventStore, tickScheduler).also {
+                it.registerFlow("wait-flow", waitingFlow(), persister)
+            }
+
+            val id = engine.startInstance("wait-flow", EngineState(flag = false))
+            tickScheduler.drain()
+
+            then("it resolves the declared event and rejects unknown names") {
+                shouldThrow<IllegalStateException> { engine.sendEvent("wait-flow", id, "Unknown") }
+                engine.sendEvent("wait-flow", id, "Go")
+                tickScheduler.drain()
+                engine.getStatus("wait-flow", id) shouldBe (EngineStage.Done to StageStatus.Completed)
+            }
+        }
+
         `when`("an event joins to a stage that has a condition-only transition") {
             val eventStore = InMemoryEventStore()
             val tickScheduler = ManualTickScheduler()
@@ -348,6 +367,37 @@ class EngineBehaviorTest : BehaviorSpec({
                 engine.getStatus("timer-flow", id) shouldBe (EngineStage.Done to StageStatus.Completed)
             }
         }
+
+        `when`("an operator moves the wake-up of a timer stage") {
+            val clock = AdjustableClock(Clock.fixed(Instant.parse("2026-03-16T10:00:00Z"), ZoneOffset.UTC))
+            val tickScheduler = ManualTickScheduler(clock)
+            val persister = InMemoryStatePersister<EngineState>()
+            val engine = Engine(eventStore = InMemoryEventStore(), tickScheduler = tickScheduler, clock = clock).also {
+                it.registerFlow("timer-flow", timerFlow(), persister)
+            }
+
+            val postponed = engine.startInstance("timer-flow", EngineState(flag = false))
+            val wokenUp = engine.startInstance("timer-flow", EngineState(flag = false))
+            tickScheduler.drain()
+
+            then("it wakes up the instance now or at the rescheduled time") {
+                engine.rescheduleTimer("timer-flow", postponed, Instant.parse("2026-03-16T11:00:00Z"))
+                engine.wakeUpTimer("timer-flow", wokenUp)
+                tickScheduler.drain()
+
+                engine.getStatus("timer-flow", wokenUp) shouldBe (EngineStage.Done to StageStatus.Completed)
+                tickScheduler.findScheduledTick("timer-flow", postponed, "Wait")?.notBefore shouldBe Instant.parse("2026-03-16T11:00:00Z")
+                shouldThrow<IllegalStateException> { engine.wakeUpTimer("timer-flow", wokenUp) }
+
+                clock.advanceBy(Duration.ofMinutes(5))
+                tickScheduler.drain()
+                engine.getStatus("timer-flow", postponed) shouldBe (EngineStage.Wait to StageStatus.Pending)
+
+                clock.advanceBy(Duration.ofHours(1))
+                tickScheduler.drain()
+                engine.getStatus("timer-flow", postponed) shouldBe (EngineStage.Done to StageStatus.Completed)
+            }
+        }
     }
 }) {
     private class ManualTickScheduler(
@@ -365,8 +415,9 @@ class EngineBehaviorTest : BehaviorSpec({
             flowInstanceId: UUID,
             notBefore: Instant,
             targetStage: String?,
+            retryAttempt: Int?,
         ) {
-            queue += ScheduledTick(flowId, flowInstanceId, notBefore, targetStage)
+            queue += ScheduledTick(flowId, flowInstanceId, notBefore, targetStage, retryAttempt)
         }
 
         override fun findScheduledTick(flowId: String, flowInstanceId: UUID, targetStage: String): ScheduledTick? {
@@ -375,6 +426,19 @@ class EngineBehaviorTest : BehaviorSpec({
                 .minByOrNull { it.notBefore }
         }
 
+        override fun rescheduleTick(flowId: String, flowInstanceId: UUID, targetStage: String, notBefore: Instant): Boolean {
+            var moved = false
+            queue.replaceAll { tick ->
+                if (tick.flowId == flowId && tick.flowInstanceId == flowInstanceId && tick.targetStage == targetStage && tick.retryAttempt == null) {
+                    moved = true
+                    tick.copy(notBefore = notBefore)
+                } else {
+                    tick
+                }
+            }
+            return moved
+        }
+
         fun scheduledCount() = queue.size
 
         fun drain(limit: Int = 1000) {
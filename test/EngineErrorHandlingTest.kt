@@ -4,6 +4,7 @@ import io.flowlite.*
 import io.kotest.core.spec.style.BehaviorSpec
 import io.kotest.assertions.throwables.shouldThrow
 import io.kotest.matchers.shouldBe
+import java.time.Duration
 import java.time.Instant
 import java.util.UUID
 import java.util.concurrent.atomic.AtomicInteger
@@ -69,11 +70,135 @@ class EngineErrorHandlingTest : BehaviorSpec({
             }
         }
     }
+
+    given("a flow with a failure classifier") {
+        val flowId = "auto-retry"
+        val failuresBeforeSuccess = AtomicInteger(0)
+        val attempts = AtomicInteger(0)
+        val classifiedAttempts = mutableListOf<Int>()
+        var directive: FailureDirective = FailureDirective.AutoRetry(delay = Duration.ofSeconds(1), maxAttempts = 2)
+
+        fun flakyAction(s: ErrorFlowState): ErrorFlowState {
+            val n = attempts.incrementAndGet()
+            if (n <= failuresBeforeSuccess.get()) error("transient-$n")
+            return s.copy(attempts = n)
+        }
+
+        val flow = eventlessFlow<ErrorFlowState, ErrorFlowStage> {
+            stage(ErrorFlowStage.Failing, ::flakyAction)
+            stage(ErrorFlowStage.Done)
+        }
+
+        val tickScheduler = ManualTickScheduler()
+        val history = mutableListOf<HistoryEntry>()
+        val historyStore = object : HistoryStore {
+            override fun append(entry: HistoryEntry) {
+                history += entry
+            }
+
+            override fun latestError(flowId: String, flowInstanceId: UUID) =
+                history.filterIsInstance<HistoryEntry.Error>().lastOrNull { it.flowInstanceId == flowInstanceId }
+        }
+        val engine = Engine(eventStore = InMemoryEventStore(), tickScheduler = tickScheduler, historyStore = historyStore).also {
+            it.registerFlow(
+                flowId,
+                flow,
+                InMemoryStatePersister(),
+                failureClassifier = { _, _, _, _, attempt ->
+                    classifiedAttempts += attempt
+                    directive
+                },
+            )
+        }
+
+        fun startWithFailures(failures: Int, failureDirective: FailureDirective): UUID {
+            failuresBeforeSuccess.set(failures)
+            attempts.set(0)
+            classifiedAttempts.clear()
+            history.clear()
+            tickScheduler.scheduled.clear()
+            directive = failureDirective
+            return engine.startInstance(flowId, ErrorFlowState(stage = ErrorFlowStage.Failing))
+        }
+
+        fun errorEntries() = history.filterIsInstance<HistoryEntry.Error>()
+
+        `when`("the action fails once") {
+            val flowInstanceId = startWithFailures(1, FailureDirective.AutoRetry(delay = Duration.ofSeconds(1), maxAttempts = 2))
+            shouldThrow<IllegalStateException> { tickScheduler.drain() }
+            val statusAfterFailure = engine.getStatus(flowId, flowInstanceId)
+            tickScheduler.drain()
+
+            then("it schedules a delayed retry of the failed stage and completes on that retry") {
+                statusAfterFailure shouldBe (ErrorFlowStage.Failing to StageStatus.Error)
+                val retryTick = tickScheduler.scheduled.single { it.retryAttempt != null }
+                retryTick.retryAttempt shouldBe 1
+                retryTick.targetStage shouldBe ErrorFlowStage.Failing.name
+                errorEntries().single().failureDisposition shouldBe FailureDisposition.AutoRetry
+                errorEntries().single().nextRetryAt shouldBe retryTick.notBefore
+                engine.getStatus(flowId, flowInstanceId) shouldBe (ErrorFlowStage.Done to StageStatus.Completed)
+            }
+        }
+
+        `when`("the action keeps failing") {
+            val flowInstanceId = startWithFailures(10, FailureDirective.AutoRetry(delay = Duration.ofSeconds(1), maxAttempts = 2))
+            repeat(3) { shouldThrow<IllegalStateException> { tickScheduler.drain() } }
+            tickScheduler.drain()
+
+            then("it backs off between retries and leaves the instance user-retriable once retries are exhausted") {
+                classifiedAttempts shouldBe listOf(1, 2, 3)
+                val retryTicks = tickScheduler.scheduled.filter { it.retryAttempt != null }
+                retryTicks.map { it.retryAttempt } shouldBe listOf(1, 2)
+                errorEntries().map { it.failureDisposition } shouldBe listOf(
+                    FailureDisposition.AutoRetry,
+                    FailureDisposition.AutoRetry,
+                    FailureDisposition.UserRetriable,
+                )
+                errorEntries().last().retryAttempt shouldBe 2
+                engine.getStatus(flowId, flowInstanceId) shouldBe (ErrorFlowStage.Failing to StageStatus.Error)
+            }
+        }
+
+        `when`("a retry tick of an earlier failure arrives after the retries are exhausted") {
+            val flowInstanceId = startWithFailures(10, FailureDirective.AutoRetry(delay = Duration.ofSeconds(1), maxAttempts = 1))
+            repeat(2) { shouldThrow<IllegalStateException> { tickScheduler.drain() } }
+            val retryTick = tickScheduler.scheduled.single { it.retryAttempt != null }
+            tickScheduler.scheduleTick(flowId, flowInstanceId, retryTick.notBefore, retryTick.targetStage, retryTick.retryAttempt)
+            tickScheduler.drain()
+
+            then("it ignores the stale tick and leaves the instance in ERROR") {
+                attempts.get() shouldBe 2
+                errorEntries().map { it.failureDisposition } shouldBe listOf(FailureDisposition.AutoRetry, FailureDisposition.UserRetriable)
+                engine.getStatus(flowId, flowInstanceId) shouldBe (ErrorFlowStage.Failing to StageStatus.Error)
+            }
+        }
+
+        `when`("computing auto-retry delays") {
+            val backoff = FailureDirective.AutoRetry(delay = Duration.ofSeconds(1), maxAttempts = 5, maxDelay = Duration.ofSeconds(3))
+
+            then("it doubles the delay per attempt up to the maximum") {
+                (1..4).map { backoff.delayFor(it) } shouldBe listOf(1L, 2L, 3L, 3L).map(Duration::ofSeconds)
+            }
+        }
+
+        `when`("the classifier marks the failure as fatal") {
+            val flowInstanceId = startWithFailures(1, FailureDirective.Fatal)
+            shouldThrow<IllegalStateException> { tickScheduler.drain() }
+            tickScheduler.drain()
+
+            then("it does not schedule a retry") {
+                tickScheduler.scheduled.filter { it.retryAttempt != null } shouldBe emptyList()
+                errorEntries().single().failureDisposition shouldBe FailureDisposition.Fatal
+                engine.getStatus(flowId, flowInstanceId) shouldBe (ErrorFlowStage.Failing to StageStatus.Error)
+            }
+        }
+    }
 })
 
 private class ManualTickScheduler : TickScheduler {
     private var handler: ((ScheduledTick) -> Unit)? = null
     private val queue = ArrayDeque<ScheduledTick>()
+    val scheduled = mutableListOf<ScheduledTick>()
 
     override fun setTickHandler(handler: (ScheduledTick) -> Unit) {
         this.handler = handler
@@ -84,8 +209,11 @@ private class ManualTickScheduler : TickScheduler {
         flowInstanceId: UUID,
         notBefore: Instant,
         targetStage: String?,
+        retryAttempt: Int?,
     ) {
-        queue.addLast(ScheduledTick(flowId, flowInstanceId, notBefore, targetStage))
+        val tick = ScheduledTick(flowId, flowInstanceId, notBefore, targetStage, retryAttempt)
+        scheduled += tick
+        queue.addLast(tick)
     }
 
     fun drain(limit: Int = 1000) {
@@ -5,6 +5,7 @@ import io.flowlite.Engine
 import io.flowlite.HistoryEntry
 import io.flowlite.HistoryEntryType
 import io.flowlite.HistoryStore
+import io.flowlite.Intervention
 import io.flowlite.Stage
 import io.flowlite.StageStatus
 import io.flowlite.eventlessFlow
@@ -20,6 +21,8 @@ private enum class HistWaitStage : Stage { Wait, Done }
 private enum class HistWaitEvent : Event { Go }
 private data class HistWaitState(val x: Int = 0)
 
+private enum class HistSnapshotStage : Stage { Start, Middle, Done }
+
 private enum class HistThrowStage : Stage { Start, Terminal }
 private data class HistThrowState(val x: Int = 0)
 
@@ -137,6 +140,128 @@ class EngineHistoryTest : BehaviorSpec({
             }
         }
 
+        `when`("an operator cancels an instance and gives a reason") {
+            val flow = flow<HistWaitState, HistWaitStage, HistWaitEvent> {
+                stage(HistWaitStage.Wait, waitFor = HistWaitEvent.Go)
+                stage(HistWaitStage.Done)
+            }
+
+            val eventStore = HistoryInMemoryEventStore()
+            val tickScheduler = HistoryManualTickScheduler()
+            val persister = HistoryInMemoryStatePersister<HistWaitState>()
+            val history = CapturingHistoryStore()
+
+            val engine = Engine(eventStore, tickScheduler, history).also {
+                it.registerFlow("hist-intervention", flow, persister)
+            }
+
+            val id = engine.startInstance("hist-intervention", HistWaitState())
+            tickScheduler.drain()
+            engine.sendEvent("hist-intervention", id, HistWaitEvent.Go)
+            engine.cancel("hist-intervention", id, Intervention(actor = "alice", reason = "Duplicate order"))
+
+            then("the cancellation records who did it and why, and application events stay anonymous") {
+                val cancelled = history.entries.single { it.type == HistoryEntryType.Cancelled }
+                cancelled.actor shouldBe "alice"
+                cancelled.reason shouldBe "Duplicate order"
+
+                val appended = history.entries.single { it.type == HistoryEntryType.EventAppended }
+                appended.actor shouldBe null
+                appended.reason shouldBe null
+            }
+        }
+
+        `when`("a flow is registered with a business key extractor") {
+            val flow = eventlessFlow<HistAutoState, HistAutoStage> {
+                stage(HistAutoStage.Start) { _, state -> state.copy(x = 48213) }
+                stage(HistAutoStage.Done)
+            }
+
+            val eventStore = HistoryInMemoryEventStore()
+            val tickScheduler = HistoryManualTickScheduler()
+            val history = CapturingHistoryStore()
+
+            val engine = Engine(eventStore, tickScheduler, history).also {
+                it.registerFlow(
+                    "hist-key",
+                    flow,
+                    HistoryInMemoryStatePersister<HistAutoState>(),
+                    businessKeyExtractor = { state -> if (state.x > 0) "ORD-${state.x}" else null },
+                )
+                it.registerFlow("hist-key-failing", flow, HistoryInMemoryStatePersister<HistAutoState>(), businessKeyExtractor = { error("no key") })
+            }
+
+            val id = engine.startInstance("hist-key", HistAutoState())
+            val failingId = engine.startInstance("hist-key-failing", HistAutoState())
+            tickScheduler.drain()
+
+            then("the key of the state after each action is recorded and a failing extractor is ignored") {
+                history.entries.single { it.flowInstanceId == id && it.type == HistoryEntryType.Started }.businessKey shouldBe null
+                history.entries.single { it.flowInstanceId == id && it.type == HistoryEntryType.StageChanged }.businessKey shouldBe "ORD-48213"
+
+                engine.getStatus("hist-key-failing", failingId) shouldBe (HistAutoStage.Done to StageStatus.Completed)
+                history.entries.filter { it.flowInstanceId == failingId }.map { it.businessKey }.toSet() shouldBe setOf(null)
+            }
+        }
+
+        `when`("a flow is registered with a state snapshot serializer") {
+            val flow = eventlessFlow<HistAutoState, HistSnapshotStage> {
+                stage(HistSnapshotStage.Start) { _, state -> state.copy(x = state.x + 1) }
+                stage(HistSnapshotStage.Middle)
+                stage(HistSnapshotStage.Done) { _, state -> state.copy(x = state.x * 10) }
+            }
+
+            val eventStore = HistoryInMemoryEventStore()
+            val tickScheduler = HistoryManualTickScheduler()
+            val history = CapturingHistoryStore()
+
+            val engine = Engine(eventStore, tickScheduler, history).also {
+                it.registerFlow(
+                    "hist-snapshot",
+                    flow,
+                    HistoryInMemoryStatePersister<HistAutoState>(),
+                    stateSnapshotSerializer = { state -> "{\"x\":${state.x}}" },
+                )
+                it.registerFlow(
+                    "hist-snapshot-failing",
+                    flow,
+                    HistoryInMemoryStatePersister<HistAutoState>(),
+                    stateSnapshotSerializer = { error("not serializable") },
+                )
+                it.registerFlow(
+                    "hist-snapshot-large",
+                    flow,
+                    HistoryInMemoryStatePersister<HistAutoState>(),
+                    stateSnapshotSerializer = { state -> "{\"x\":\"${"9".repeat(70_000)}${state.x}\"}" },
+                )
+            }
+
+            val id = engine.startInstance("hist-snapshot", HistAutoState(x = 1))
+            val failingId = engine.startInstance("hist-snapshot-failing", HistAutoState())
+            val largeId = engine.startInstance("hist-snapshot-large", HistAutoState())
+            tickScheduler.drain()
+
+            then("only the steps of actions carry the state before and after them and a failing serializer is ignored") {
+                val stageChanges = history.entries.filter { it.flowInstanceId == id && it.type == HistoryEntryType.StageChanged }
+                stageChanges.map { Triple(it.toStage, it.stateBefore, it.stateAfter) } shouldBe listOf(
+                    Triple("Middle", "{\"x\":1}", "{\"x\":2}"),
+                    Triple("Done", null, null),
+                )
+                val completion = history.entries.single { it.flowInstanceId == id && it.toStatus == StageStatus.Completed }
+                completion.type shouldBe HistoryEntryType.StatusChanged
+                (completion.stateBefore to completion.stateAfter) shouldBe ("{\"x\":2}" to "{\"x\":20}")
+
+                engine.getStatus("hist-snapshot-failing", failingId) shouldBe (HistSnapshotStage.Done to StageStatus.Completed)
+                history.entries.filter { it.flowInstanceId == failingId }.map { it.stateAfter }.toSet() shouldBe setOf(null)
+            }
+
+            then("snapshots over the size limit are truncated with a marker") {
+                val snapshot = history.entries.first { it.flowInstanceId == largeId && it.stateAfter != null }.stateAfter.orEmpty()
+                snapshot.length shouldBe 65_536 + "…[truncated]".length
+                snapshot.endsWith("…[truncated]") shouldBe true
+            }
+        }
+
         `when`("the history store throws") {
             val flow = eventlessFlow<HistThrowState, HistThrowStage> {
                 stage(HistThrowStage.Start)
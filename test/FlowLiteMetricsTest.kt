@@ -0,0 +1,74 @@
+package io.flowlite.test
+
+import io.flowlite.FlowLiteMetrics
+import io.kotest.assertions.throwables.shouldThrow
+import io.kotest.core.spec.style.BehaviorSpec
+import io.kotest.matchers.shouldBe
+import io.kotest.matchers.string.shouldContain
+import io.kotest.matchers.string.shouldEndWith
+
+class FlowLiteMetricsTest : BehaviorSpec({
+    given("a registry with a counter, a histogram and a gauge") {
+        val metrics = FlowLiteMetrics()
+        val ticks = metrics.counter("flowlite_ticks_processed", "Ticks handed to the engine.", "flow_id")
+        val latency = metrics.histogram("flowlite_action_duration_seconds", "Duration of stage actions.", "flow_id", "stage", buckets = listOf(0.1, 1.0))
+        metrics.gauge("flowlite_tick_backlog", "Due ticks.") { mapOf(emptyList<String>() to 3.0) }
+
+        ticks.inc("orders")
+        ticks.inc("orders")
+        ticks.inc("say \"hi\"")
+        latency.observe(0.05, "orders", "Charging")
+        latency.observe(0.5, "orders", "Charging")
+
+        `when`("writing it in the OpenMetrics text format") {
+            val text = metrics.scrape()
+
+            then("counters get a _total sample per label set and escaped label values") {
+                text shouldContain "# TYPE flowlite_ticks_processed counter\n# HELP flowlite_ticks_processed Ticks handed to the engine.\n"
+                text shouldContain "flowlite_ticks_processed_total{flow_id=\"orders\"} 2\n"
+                text shouldContain "flowlite_ticks_processed_total{flow_id=\"say \\\"hi\\\"\"} 1\n"
+            }
+
+            then("histograms get cumulative buckets, a count and a sum") {
+                text shouldContain "flowlite_action_duration_seconds_bucket{flow_id=\"orders\",stage=\"Charging\",le=\"0.1\"} 1\n"
+                text shouldContain "flowlite_action_duration_seconds_bucket{flow_id=\"orders\",stage=\"Charging\",le=\"1\"} 2\n"
+                text shouldContain "flowlite_action_duration_seconds_bucket{flow_id=\"orders\",stage=\"Charging\",le=\"+Inf\"} 2\n"
+                text shouldContain "flowlite_action_duration_seconds_count{flow_id=\"orders\",stage=\"Charging\"} 2\n"
+                text shouldContain "flowlite_action_duration_seconds_sum{flow_id=\"orders\",stage=\"Charging\"} 0.55\n"
+            }
+
+            then("gauges are collected on write and the output ends with EOF") {
+                text shouldContain "# TYPE flowlite_tick_backlog gauge\n"
+                text shouldContain "flowlite_tick_backlog 3\n"
+                text shouldEndWith "# EOF\n"
+            }
+        }
+
+        `when`("several gauges read the same value") {
+            val shared = FlowLiteMetrics()
+            var reads = 0
+            val backlog = shared.perScrape { ++reads }
+            shared.gauge("flowlite_tick_backlog", "Due ticks.") { mapOf(emptyList<String>() to backlog().toDouble()) }
+            shared.gauge("flowlite_tick_backlog_reads", "Backlog reads.") { mapOf(emptyList<String>() to backlog().toDouble()) }
+
+            then("the value is read once per write and on every call outside a write") {
+                val text = shared.scrape()
+                text shouldContain "flowlite_tick_backlog 1\n"
+                text shouldContain "flowlite_tick_backlog_reads 1\n"
+                reads shouldBe 1
+                shared.scrape() shouldContain "flowlite_tick_backlog_reads 2\n"
+                reads shouldBe 2
+                backlog() shouldBe 3
+                backlog() shouldBe 4
+            }
+        }
+
+        `when`("registering a metric again") {
+            then("the same counter is returned and a different type is rejected") {
+                metrics.counter("flowlite_ticks_processed", "Ticks handed to the engine.", "flow_id").value("orders") shouldBe 2.0
+                shouldThrow<IllegalArgumentException> { metrics.histogram("flowlite_ticks_processed", "Ticks.", "flow_id") }
+                shouldThrow<IllegalArgumentException> { ticks.inc("orders", "extra") }
+            }
+        }
+    }
+})
@@ -2,9 +2,14 @@ package io.flowlite.test
 
 import io.flowlite.Event
 import io.flowlite.MermaidGenerator
+import io.flowlite.MermaidInstancePath
+import io.flowlite.MermaidStageHeat
+import io.flowlite.MermaidStageStyle
+import io.flowlite.MermaidTransition
 import io.flowlite.Stage
 import io.flowlite.flow
 import io.kotest.core.spec.style.BehaviorSpec
+import io.kotest.matchers.collections.shouldContainExactlyInAnyOrder
 import io.kotest.matchers.string.shouldContain
 import java.time.Instant
 
@@ -54,6 +59,99 @@ class MermaidGeneratorTest : BehaviorSpec({
         }
     }
 
+    given("an instance path on a flow with conditions") {
+        val flow = createDiagramFlow()
+        val generator = MermaidGenerator()
+
+        `when`("generating the instance diagram") {
+            val diagram = generator.generateDiagram(
+                flow,
+                MermaidInstancePath(
+                    currentStage = DiagramStage.AfterEvent.name,
+                    currentStyle = MermaidStageStyle.Waiting,
+                    transitions = listOf(
+                        MermaidTransition(from = null, to = DiagramStage.FalseStage.name),
+                        MermaidTransition(from = DiagramStage.FalseStage.name, to = DiagramStage.AfterEvent.name),
+                    ),
+                ),
+            )
+            val notVisited = diagram.lines()
+                .single { it.trim().startsWith("class ") && it.endsWith(" notVisited") }
+                .trim()
+                .removePrefix("class ")
+                .removeSuffix(" notVisited")
+                .split(",")
+
+            then("it marks visited stages and the choice branches taken") {
+                diagram shouldContain "classDef visited "
+                // The event-based "Is VIP" condition gets the second id: stages are compiled from the end of each branch.
+                diagram shouldContain "class FalseStage,if_is_ready,if_is_vip_2 visited"
+            }
+
+            then("it styles the current stage") {
+                diagram shouldContain "classDef currentWaiting "
+                diagram shouldContain "class AfterEvent currentWaiting"
+            }
+
+            then("it dims stages and choices that were never reached") {
+                notVisited shouldContainExactlyInAnyOrder listOf("End", "AltEndTrue", "TrueStage", "AltEndFalse", "if_is_vip")
+            }
+        }
+
+        `when`("the instance was moved manually") {
+            val diagram = generator.generateDiagram(
+                flow,
+                MermaidInstancePath(
+                    currentStage = DiagramStage.End.name,
+                    currentStyle = MermaidStageStyle.Completed,
+                    transitions = listOf(
+                        MermaidTransition(from = null, to = DiagramStage.FalseStage.name),
+                        MermaidTransition(from = DiagramStage.FalseStage.name, to = DiagramStage.End.name, manual = true),
+                    ),
+                ),
+            )
+
+            then("it marks no choice branch for the manual move") {
+                diagram shouldContain "class FalseStage,if_is_ready visited"
+                diagram shouldContain "class End currentCompleted"
+            }
+        }
+    }
+
+    given("a stage heatmap on a flow with conditions") {
+        val flow = createDiagramFlow()
+        val generator = MermaidGenerator()
+
+        `when`("generating the heatmap diagram") {
+            val diagram = generator.generateDiagram(
+                flow,
+                heatmap = mapOf(
+                    DiagramStage.FalseStage.name to MermaidStageHeat(totalCount = 4, errorCount = 1),
+                    DiagramStage.AfterEvent.name to MermaidStageHeat(totalCount = 1, errorCount = 0),
+                ),
+            )
+            val coldStages = diagram.lines()
+                .single { it.trim().startsWith("class ") && it.endsWith(" heat0") }
+                .trim()
+                .removePrefix("class ")
+                .removeSuffix(" heat0")
+                .split(",")
+
+            then("it shows the counts of every stage") {
+                diagram shouldContain "FalseStage: 4 open, 1 err"
+                diagram shouldContain "AfterEvent: 1 open"
+                diagram shouldContain "End: 0 open"
+            }
+
+            then("it scales heat classes to the busiest stage") {
+                diagram shouldContain "classDef heat4 "
+                diagram shouldContain "class AfterEvent heat1"
+                diagram shouldContain "class FalseStage heat4"
+                coldStages shouldContainExactlyInAnyOrder listOf("TrueStage", "End", "AltEndTrue", "AltEndFalse")
+            }
+        }
+    }
+
     given("a flow where condition description is inferred") {
         val flow = createInferredDescriptionFlow()
         val generator = MermaidGenerator()
@@ -0,0 +1,61 @@
+package io.flowlite.test
+
+import io.flowlite.MermaidSvgRenderer
+import io.kotest.core.spec.style.BehaviorSpec
+import io.kotest.matchers.shouldBe
+import io.kotest.matchers.string.shouldContain
+import io.kotest.matchers.string.shouldNotContain
+import io.kotest.matchers.string.shouldStartWith
+
+class MermaidSvgRendererTest : BehaviorSpec({
+    given("a generated diagram with a choice, a retry loop and highlight classes") {
+        val diagram = """
+            stateDiagram-v2
+                state if_is_paid <<choice>>
+                [*] --> Charging
+                Charging: Charging charge()
+                Charging --> if_is_paid
+                if_is_paid --> Shipping: is paid
+                if_is_paid --> Charging: NOT (is paid)
+                Shipping --> [*]
+                classDef visited fill:#064e3b,stroke:#34d399,color:#ecfdf5
+                classDef notVisited opacity:0.35
+                class Charging,if_is_paid visited
+                class Shipping notVisited
+        """.trimIndent()
+
+        `when`("rendering it as SVG") {
+            val svg = MermaidSvgRenderer().render(diagram)
+
+            then("it produces a standalone SVG document") {
+                svg shouldStartWith "<svg xmlns=\"http://www.w3.org/2000/svg\""
+                svg.endsWith("</svg>") shouldBe true
+            }
+
+            then("it renders stages and choices as clickable nodes with their classes applied") {
+                svg shouldContain """<g class="node visited" id="state-Charging-0">"""
+                svg shouldContain """<g class="node visited" id="state-if_is_paid-0">"""
+                svg shouldContain """<g class="node notVisited" id="state-Shipping-0" opacity="0.35">"""
+                svg shouldContain """fill="#064e3b" stroke="#34d399""""
+                svg shouldContain ">Charging charge()</text>"
+            }
+
+            then("it draws every transition with its label") {
+                Regex("""<path class="edge"""").findAll(svg).count() shouldBe 5
+                svg shouldContain ">is paid</text>"
+                svg shouldContain ">NOT (is paid)</text>"
+            }
+        }
+    }
+
+    given("a diagram with markup in a description") {
+        `when`("rendering it as SVG") {
+            val svg = MermaidSvgRenderer().render("stateDiagram-v2\n    [*] --> Review\n    Review: <script>alert(1)</script> & more\n")
+
+            then("it escapes the text") {
+                svg shouldContain "&lt;script&gt;alert(1)&lt;/script&gt; &amp; more"
+                svg shouldNotContain "<script>"
+            }
+        }
+    }
+})
@@ -0,0 +1,102 @@
+package io.flowlite.test
+
+import io.kotest.core.spec.style.BehaviorSpec
+import io.kotest.matchers.collections.shouldContainAll
+import java.util.UUID
+import org.springframework.jdbc.core.JdbcTemplate
+import org.springframework.jdbc.datasource.DriverManagerDataSource
+
+class SchemaUpgradeTest : BehaviorSpec({
+    given("a database created by the first release of the schema") {
+        val dataSource = DriverManagerDataSource("jdbc:h2:mem:${UUID.randomUUID()};DB_CLOSE_DELAY=-1")
+        val jdbc = JdbcTemplate(dataSource)
+        jdbc.execute(
+            """
+            create table flowlite_tick (
+                id uuid not null primary key,
+                flow_id varchar(128) not null,
+                flow_instance_id uuid not null,
+                not_before timestamp not null,
+                target_stage varchar(128),
+                version bigint
+            )
+            """,
+        )
+        jdbc.execute(
+            """
+            create table flowlite_history (
+                id uuid default random_uuid() primary key,
+                occurred_at timestamp not null,
+                flow_id varchar(128) not null,
+                flow_instance_id uuid not null,
+                type varchar(64) not null,
+                stage varchar(128),
+                from_stage varchar(128),
+                to_stage varchar(128),
+                from_status varchar(32),
+                to_status varchar(32),
+                event varchar(256),
+                error_type varchar(512),
+                error_message varchar(4000),
+                error_stack_trace clob
+            )
+            """,
+        )
+        jdbc.execute(
+            """
+            create table flowlite_instance_summary (
+                id uuid default random_uuid() primary key,
+                flow_id varchar(128) not null,
+                flow_instance_id uuid not null,
+                stage varchar(128),
+                status varchar(32) not null,
+                cockpit_status varchar(32) not null,
+                last_error_message varchar(4000),
+                updated_at timestamp not null
+            )
+            """,
+        )
+
+        `when`("the current schema script runs against it") {
+            initializeTestSchema(dataSource, TestDatabaseDialect.H2)
+
+            then("the existing tables gain the newer columns and indexes") {
+                fun columns(table: String) = jdbc.queryForList(
+                    "select lower(column_name) from information_schema.columns where lower(table_name) = ?",
+                    String::class.java,
+                    table,
+                )
+
+                columns("flowlite_tick") shouldContainAll listOf("retry_attempt")
+                columns("flowlite_history") shouldContainAll listOf(
+                    "failure_disposition",
+                    "retry_attempt",
+                    "max_retry_attempts",
+                    "next_retry_at",
+                    "wake_up_at",
+                    "actor",
+                    "reason",
+                    "state_before",
+                    "state_after",
+                )
+                columns("flowlite_instance_summary") shouldContainAll listOf(
+                    "last_error_type",
+                    "last_error_fingerprint",
+                    "failure_disposition",
+                    "retry_attempt",
+                    "max_retry_attempts",
+                    "next_retry_at",
+                    "business_key",
+                )
+                jdbc.queryForList(
+                    "select lower(index_name) from information_schema.indexes where lower(table_name) = 'flowlite_instance_summary'",
+                    String::class.java,
+                ) shouldContainAll listOf("idx_flowlite_instance_summary_sort_business_key")
+            }
+
+            then("running the script again changes nothing") {
+                initializeTestSchema(dataSource, TestDatabaseDialect.H2)
+            }
+        }
+    }
+})
@@ -6,6 +6,7 @@ import io.flowlite.InstanceData
 import io.flowlite.Stage
 import io.flowlite.StageStatus
 import io.flowlite.StatePersister
+import io.flowlite.cockpit.CockpitInitialState
 import io.flowlite.flow
 import io.flowlite.test.EmployeeEvent.ComplianceComplete
 import io.flowlite.test.EmployeeEvent.ContractSigned
@@ -318,6 +319,45 @@ class EmployeeOnboardingActions(
 
 interface EmployeeOnboardingRepository : CrudRepository<EmployeeOnboarding, UUID>
 
+private val employeeOnboardingStartFlags = listOf(
+    "isOnboardingAutomated",
+    "needsTrainingProgram",
+    "isEngineeringRole",
+    "isFullSecuritySetup",
+    "wereDocumentsSignedPhysically",
+    "isNotManualPath",
+    "isExecutiveOrManagement",
+    "hasComplianceChecks",
+    "isNotContractor",
+    "isRemoteEmployee",
+    "isManagerOrDirectorRole",
+)
+
+/** Lets Cockpit start onboardings from the flags that pick the path through the flow; omitted flags keep their defaults. */
+val employeeOnboardingInitialState = CockpitInitialState(
+    schema = mapOf(
+        "type" to "object",
+        "additionalProperties" to false,
+        "properties" to employeeOnboardingStartFlags.associateWith { mapOf("type" to "boolean") },
+    ),
+    read = { json ->
+        val defaults = EmployeeOnboarding(stage = CreateEmployeeProfile)
+        defaults.copy(
+            isOnboardingAutomated = json.optionalBoolean("isOnboardingAutomated") ?: defaults.isOnboardingAutomated,
+            needsTrainingProgram = json.optionalBoolean("needsTrainingProgram") ?: defaults.needsTrainingProgram,
+            isEngineeringRole = json.optionalBoolean("isEngineeringRole") ?: defaults.isEngineeringRole,
+            isFullSecuritySetup = json.optionalBoolean("isFullSecuritySetup") ?: defaults.isFullSecuritySetup,
+            wereDocumentsSignedPhysically = json.optionalBoolean("wereDocumentsSignedPhysically") ?: defaults.wereDocumentsSignedPhysically,
+            isNotManualPath = json.optionalBoolean("isNotManualPath") ?: defaults.isNotManualPath,
+            isExecutiveOrManagement = json.optionalBoolean("isExecutiveOrManagement") ?: defaults.isExecutiveOrManagement,
+            hasComplianceChecks = json.optionalBoolean("hasComplianceChecks") ?: defaults.hasComplianceChecks,
+            isNotContractor = json.optionalBoolean("isNotContractor") ?: defaults.isNotContractor,
+            isRemoteEmployee = json.optionalBoolean("isRemoteEmployee") ?: defaults.isRemoteEmployee,
+            isManagerOrDirectorRole = json.optionalBoolean("isManagerOrDirectorRole") ?: defaults.isManagerOrDirectorRole,
+        )
+    },
+)
+
 class SpringDataEmployeeOnboardingPersister(
     private val repo: EmployeeOnboardingRepository,
 ) : StatePersister<EmployeeOnboarding> {
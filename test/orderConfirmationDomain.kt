@@ -5,6 +5,9 @@ import io.flowlite.InstanceData
 import io.flowlite.Stage
 import io.flowlite.StageStatus
 import io.flowlite.StatePersister
+import io.flowlite.StateSnapshotSerializer
+import io.flowlite.cockpit.CockpitInitialState
+import io.flowlite.cockpit.CockpitStateRenderer
 import io.flowlite.flow
 import io.flowlite.test.OrderConfirmationEvent.Confirmed
 import io.flowlite.test.OrderConfirmationStage.InformingCustomer
@@ -16,6 +19,7 @@ import java.util.UUID
 import org.springframework.dao.OptimisticLockingFailureException
 import org.springframework.data.annotation.Id
 import org.springframework.data.annotation.Version
+import tools.jackson.databind.json.JsonMapper
 import org.springframework.data.repository.CrudRepository
 
 const val ORDER_CONFIRMATION_FLOW_ID = "order-confirmation"
@@ -53,6 +57,52 @@ data class OrderConfirmation(
 
 interface OrderConfirmationRepository : CrudRepository<OrderConfirmation, UUID>
 
+/** Lets Cockpit start order confirmations from `{"orderNumber": ..., "customerName": ..., "confirmationType": ...}`. */
+val orderConfirmationInitialState = CockpitInitialState(
+    schema = mapOf(
+        "type" to "object",
+        "required" to listOf("orderNumber", "customerName", "confirmationType"),
+        "additionalProperties" to false,
+        "properties" to mapOf(
+            "orderNumber" to mapOf("type" to "string", "minLength" to 1),
+            "customerName" to mapOf("type" to "string", "minLength" to 1),
+            "confirmationType" to mapOf("type" to "string", "enum" to ConfirmationType.entries.map { it.name }),
+        ),
+    ),
+    read = { json ->
+        val confirmationType = json.requireString("confirmationType")
+        OrderConfirmation(
+            stage = InitializingConfirmation,
+            orderNumber = json.requireString("orderNumber"),
+            customerName = json.requireString("customerName"),
+            confirmationType = ConfirmationType.entries.firstOrNull { it.name == confirmationType }
+                ?: throw IllegalArgumentException("confirmationType must be one of ${ConfirmationType.entries}"),
+        )
+    },
+)
+
+/** Shows order confirmations in the Cockpit instance details; the customer's name is personal data and stays on the server. */
+val orderConfirmationStateRenderer = CockpitStateRenderer<OrderConfirmation>(
+    render = { order ->
+        mapOf(
+            "orderNumber" to order.orderNumber,
+            "confirmationType" to order.confirmationType.name,
+            "customer" to mapOf("name" to order.customerName),
+            "isRemovedFromQueue" to order.isRemovedFromQueue,
+            "isCustomerInformed" to order.isCustomerInformed,
+            "confirmationTimestamp" to order.confirmationTimestamp.ifEmpty { null },
+        )
+    },
+    redactedKeys = setOf("name"),
+)
+
+private val snapshotMapper = JsonMapper.builder().build()
+
+/** Lets Cockpit diff the state around each order action; Cockpit masks the customer's name as in the state inspector. */
+val orderConfirmationSnapshotSerializer = StateSnapshotSerializer<OrderConfirmation> { order ->
+    snapshotMapper.writeValueAsString(orderConfirmationStateRenderer.render(order))
+}
+
 class SpringDataOrderConfirmationPersister(
     private val repo: OrderConfirmationRepository,
 ) : StatePersister<OrderConfirmation> {
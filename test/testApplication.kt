@@ -4,6 +4,7 @@ import io.flowlite.Engine
 import io.flowlite.Event
 import io.flowlite.FlowLiteHistoryRepository
 import io.flowlite.FlowLiteInstanceSummaryRepository
+import io.flowlite.FlowLiteMetrics
 import io.flowlite.FlowLiteTickRepository
 import io.flowlite.PendingEventRepository
 import io.flowlite.StageStatus
@@ -11,6 +12,10 @@ import io.flowlite.SpringDataJdbcEventStore
 import io.flowlite.SpringDataJdbcHistoryStore
 import io.flowlite.SpringDataJdbcTickScheduler
 import io.flowlite.historyValueOf
+import io.flowlite.cockpit.CockpitBulkActionRunner
+import io.flowlite.cockpit.CockpitLiveUpdatePublisher
+import io.flowlite.cockpit.CockpitSavedViewStore
+import io.flowlite.cockpit.FlowLiteSavedViewRepository
 import io.flowlite.cockpit.CockpitUiStaticConfig
 import io.flowlite.cockpit.CockpitService
 import io.flowlite.cockpit.classifyCockpitStatus
@@ -71,10 +76,15 @@ object Beans {
             AdjustableClock.systemUTC()
         }
 
+        registerBean {
+            FlowLiteMetrics()
+        }
+
         registerBean {
             SpringDataJdbcTickScheduler(
                 tickRepo = bean<FlowLiteTickRepository>(),
                 clock = bean<AdjustableClock>(),
+                metrics = bean<FlowLiteMetrics>(),
             )
         }
 
@@ -83,7 +93,13 @@ object Beans {
         }
 
         registerBean {
-            SpringDataJdbcHistoryStore(bean<FlowLiteHistoryRepository>(), bean<FlowLiteInstanceSummaryRepository>())
+            CockpitLiveUpdatePublisher()
+        }
+
+        registerBean {
+            SpringDataJdbcHistoryStore(bean<FlowLiteHistoryRepository>(), bean<FlowLiteInstanceSummaryRepository>()).also { historyStore ->
+                historyStore.setSummaryChangeListener(bean<CockpitLiveUpdatePublisher>()::publishFlowsInvalidated)
+            }
         }
 
         registerBean {
@@ -117,8 +133,15 @@ object Beans {
                 tickScheduler = tickScheduler,
                 historyStore = historyStore,
                 clock = bean<AdjustableClock>(),
+                metrics = bean<FlowLiteMetrics>(),
             ).also { engine ->
-                engine.registerFlow(ORDER_CONFIRMATION_FLOW_ID, createOrderConfirmationFlow(), orderPersister)
+                engine.registerFlow(
+                    ORDER_CONFIRMATION_FLOW_ID,
+                    createOrderConfirmationFlow(),
+                    orderPersister,
+                    businessKeyExtractor = { order -> order.orderNumber },
+                    stateSnapshotSerializer = orderConfirmationSnapshotSerializer,
+                )
                 engine.registerFlow(EMPLOYEE_ONBOARDING_FLOW_ID, createEmployeeOnboardingFlow(onboardingActions), onboardingPersister)
                 historyStore.setCockpitStatusResolver { flowId, stage, status ->
                     val stageDefinitions = engine.registeredFlows()[flowId]
@@ -149,15 +172,35 @@ object Beans {
                 mermaid = bean<io.flowlite.MermaidGenerator>(),
                 historyRepo = bean<FlowLiteHistoryRepository>(),
                 summaryRepo = bean<FlowLiteInstanceSummaryRepository>(),
+                initialStates = mapOf(
+                    ORDER_CONFIRMATION_FLOW_ID to orderConfirmationInitialState,
+                    EMPLOYEE_ONBOARDING_FLOW_ID to employeeOnboardingInitialState,
+                ),
+                stateRenderers = mapOf(ORDER_CONFIRMATION_FLOW_ID to orderConfirmationStateRenderer),
+                metrics = bean<FlowLiteMetrics>(),
             )
         }
 
+        registerBean {
+            CockpitBulkActionRunner(bean<CockpitService>())
+        }
+
+        registerBean {
+            CockpitSavedViewStore(bean<FlowLiteSavedViewRepository>())
+        }
+
         registerBean {
             CockpitUiStaticConfig()
         }
 
         registerBean<RouterFunction<ServerResponse>> {
-            cockpitRouter(bean<CockpitService>())
+            cockpitRouter(
+                service = bean<CockpitService>(),
+                liveUpdates = bean<CockpitLiveUpdatePublisher>(),
+                bulkActions = bean<CockpitBulkActionRunner>(),
+                metrics = bean<FlowLiteMetrics>(),
+                savedViews = bean<CockpitSavedViewStore>(),
+            )
         }
     }
 }
@@ -10,6 +10,18 @@ import java.util.concurrent.atomic.AtomicReference
 import org.springframework.dao.OptimisticLockingFailureException
 import org.springframework.data.repository.CrudRepository
 
+/** Reads a required, non-blank string from a JSON object parsed into a map. */
+fun Map<String, Any?>.requireString(key: String): String =
+    (this[key] as? String)?.takeIf { it.isNotBlank() } ?: throw IllegalArgumentException("$key must be a non-blank string")
+
+/** Reads an optional boolean from a JSON object parsed into a map; null when absent. */
+fun Map<String, Any?>.optionalBoolean(key: String): Boolean? =
+    when (val value = this[key]) {
+        null -> null
+        is Boolean -> value
+        else -> throw IllegalArgumentException("$key must be a boolean")
+    }
+
 fun awaitStatus(
     timeout: Duration = Duration.ofSeconds(2),
     pollInterval: Duration = Duration.ofMillis(10),